@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run on Vitest, whose API matches Jest 29; the jest rules can't detect a version without jest installed
+  settings: {
+    jest: { version: 29 }
+  },
 };
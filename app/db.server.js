@@ -1,4 +1,5 @@
 import { PrismaClient } from "@prisma/client";
+import { normalizePhoneNumber } from "./utils/phone.server";
 
 if (process.env.NODE_ENV !== "production") {
   if (!global.prismaGlobal) {
@@ -179,6 +180,12 @@ export async function deleteConversationHistory(conversationId) {
       }
     });
 
+    // The memory summarizes those messages, so it goes too
+    await prisma.conversation.updateMany({
+      where: { id: conversationId },
+      data: { memory: null, memoryThrough: null }
+    });
+
     console.log(`Deleted ${result.count} messages for conversation ${conversationId}`);
     return result;
   } catch (error) {
@@ -192,9 +199,12 @@ export async function deleteConversationHistory(conversationId) {
  * @param {string} conversationId - The conversation ID
  * @param {string} role - The message role (user or assistant)
  * @param {string} content - The message content
+ * @param {Object} [options] - Extra message fields
+ * @param {string} [options.sentBy] - Staff member who wrote an assistant message from the inbox
+ * @param {string} [options.origin] - How a customer message was sent, e.g. 'voice' for a transcribed voice note
  * @returns {Promise<Object>} - The saved message
  */
-export async function saveMessage(conversationId, role, content) {
+export async function saveMessage(conversationId, role, content, { sentBy, origin } = {}) {
   try {
     // Ensure the conversation exists
     await createOrUpdateConversation(conversationId);
@@ -204,7 +214,9 @@ export async function saveMessage(conversationId, role, content) {
       data: {
         conversationId,
         role,
-        content
+        content,
+        sentBy: sentBy || null,
+        origin: origin || null
       }
     });
 
@@ -306,10 +318,17 @@ export async function getCustomerAccountUrl(conversationId) {
  * Clean up old messages to prevent database bloat
  * @param {string} conversationId - The conversation ID
  * @param {number} keepCount - Number of recent messages to keep (default: 10)
+ * @param {Object} [options] - Cleanup options
+ * @param {Date|null} [options.through] - Only delete messages created up to this time
+ *   (e.g. those already covered by the conversation memory); null deletes nothing
  * @returns {Promise<number>} - Number of messages deleted
  */
-export async function cleanupOldMessages(conversationId, keepCount = 10) {
+export async function cleanupOldMessages(conversationId, keepCount = 10, options = {}) {
   try {
+    if ('through' in options && !options.through) {
+      return 0;
+    }
+
     // Get total message count for this conversation
     const totalMessages = await prisma.message.count({
       where: { conversationId }
@@ -318,7 +337,10 @@ export async function cleanupOldMessages(conversationId, keepCount = 10) {
     // If we have more messages than we want to keep, delete the oldest ones
     if (totalMessages > keepCount) {
       const messagesToDelete = await prisma.message.findMany({
-        where: { conversationId },
+        where: {
+          conversationId,
+          ...(options.through ? { createdAt: { lte: options.through } } : {})
+        },
         orderBy: { createdAt: 'asc' },
         take: totalMessages - keepCount,
         select: { id: true }
@@ -352,7 +374,7 @@ export async function cleanupOldMessages(conversationId, keepCount = 10) {
  * @param {Object} userInfo - User information
  * @param {string} userInfo.type - User type ("web" or "whatsapp")
  * @param {string} [userInfo.shopifyCustomerId] - Shopify customer ID
- * @param {string} [userInfo.phoneNumber] - Phone number (for WhatsApp)
+ * @param {string} [userInfo.phoneNumber] - Phone number (for WhatsApp), stored in E.164 format
  * @param {string} [userInfo.email] - Email address
  * @param {string} [userInfo.name] - User name
  * @param {Object} [userInfo.metadata] - Additional metadata
@@ -360,7 +382,11 @@ export async function cleanupOldMessages(conversationId, keepCount = 10) {
  */
 export async function createOrGetUser(userInfo) {
   try {
-    const { type, shopifyCustomerId, phoneNumber, email, name, metadata } = userInfo;
+    const { type, shopifyCustomerId, email, name, metadata } = userInfo;
+    const phoneNumber = userInfo.phoneNumber ? normalizePhoneNumber(userInfo.phoneNumber) : undefined;
+    if (userInfo.phoneNumber && !phoneNumber) {
+      throw new Error(`Invalid phone number: ${userInfo.phoneNumber}`);
+    }
 
     // Try to find existing user by unique identifiers
     let user = null;
@@ -522,13 +548,17 @@ export async function getAllWebUsersWithConversations() {
 
 /**
  * Get user by phone number
- * @param {string} phoneNumber - The phone number
+ * @param {string} phoneNumber - The phone number, in any format normalizePhoneNumber accepts
  * @returns {Promise<Object|null>} - The user object or null
  */
 export async function getUserByPhoneNumber(phoneNumber) {
   try {
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (!normalized) {
+      return null;
+    }
     return await prisma.user.findUnique({
-      where: { phoneNumber }
+      where: { phoneNumber: normalized }
     });
   } catch (error) {
     console.error('Error retrieving user by phone number:', error);
@@ -555,17 +585,21 @@ export async function getUserByShopifyCustomerId(shopifyCustomerId) {
 /**
  * Update user information
  * @param {string} userId - The user ID
- * @param {Object} updateData - Data to update
+ * @param {Object} updateData - Data to update; a phone number is normalized to E.164
  * @returns {Promise<Object>} - The updated user object
  */
 export async function updateUser(userId, updateData) {
   try {
+    const data = { ...updateData, updatedAt: new Date() };
+    if (updateData.phoneNumber) {
+      data.phoneNumber = normalizePhoneNumber(updateData.phoneNumber);
+      if (!data.phoneNumber) {
+        throw new Error(`Invalid phone number: ${updateData.phoneNumber}`);
+      }
+    }
     return await prisma.user.update({
       where: { id: userId },
-      data: {
-        ...updateData,
-        updatedAt: new Date()
-      }
+      data
     });
   } catch (error) {
     console.error('Error updating user:', error);
@@ -654,35 +688,6 @@ export async function updateConversationMetadata(conversationId, metadataUpdate)
   }
 }
 
-/**
- * Generate a unique 3-digit ticket reference for support handoffs
- * @returns {Promise<string>} - Unique ticket reference (e.g., "123")
- */
-export async function generateUniqueTicketReference() {
-  const MAX_ATTEMPTS = 25;
-
-  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
-    const candidate = String(Math.floor(Math.random() * 900) + 100);
-
-    const existingConversation = await prisma.conversation.findFirst({
-      where: {
-        metadata: {
-          path: ['handoff_ticket_reference'],
-          equals: candidate
-        }
-      },
-      select: { id: true }
-    });
-
-    if (!existingConversation) {
-      return candidate;
-    }
-  }
-
-  // Fallback: still return a 3-digit string even if uniqueness couldn't be confirmed
-  return String(Math.floor(Math.random() * 900) + 100);
-}
-
 /**
  * Archive old conversations that haven't been updated recently
  * @param {number} daysInactive - Number of days of inactivity before archiving (default: 30)
@@ -790,3 +795,1403 @@ export async function getConversationStats() {
     return null;
   }
 }
+
+// ===================================
+// WHATSAPP INBOUND QUEUE FUNCTIONS
+// ===================================
+
+/**
+ * Queue an inbound WhatsApp message for processing
+ * @param {Object} job - Job details
+ * @param {string} job.messageId - WhatsApp message.id
+ * @param {string} job.phoneNumber - Sender phone number
+ * @param {Object} job.payload - Raw message object from the webhook
+ * @param {Date} [job.messageTimestamp] - When the message was sent
+ * @returns {Promise<Object|null>} - The created job, or null if the message id was already queued
+ */
+export async function enqueueWhatsAppInboundJob({ messageId, phoneNumber, payload, messageTimestamp }) {
+  try {
+    return await prisma.whatsAppInboundJob.create({
+      data: {
+        messageId,
+        phoneNumber,
+        payload,
+        messageTimestamp: messageTimestamp || new Date()
+      }
+    });
+  } catch (error) {
+    // Unique constraint on messageId: Meta redelivered a message we already have
+    if (error.code === 'P2002') {
+      return null;
+    }
+    console.error('Error enqueueing WhatsApp inbound job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim the next runnable inbound job.
+ * Only the oldest unfinished job per phone number is eligible, so messages from one
+ * customer are handled in order while different customers can proceed independently.
+ * @returns {Promise<Object|null>} - The claimed job (status 'processing') or null if none is ready
+ */
+export async function claimNextWhatsAppInboundJob() {
+  try {
+    const rows = await prisma.$queryRaw`
+      UPDATE "WhatsAppInboundJob"
+      SET "status" = 'processing',
+          "lockedAt" = NOW(),
+          "attempts" = "attempts" + 1,
+          "updatedAt" = NOW()
+      WHERE "id" = (
+        SELECT j."id"
+        FROM "WhatsAppInboundJob" j
+        WHERE j."status" = 'pending'
+          AND j."availableAt" <= NOW()
+          AND NOT EXISTS (
+            SELECT 1 FROM "WhatsAppInboundJob" e
+            WHERE e."phoneNumber" = j."phoneNumber"
+              AND e."id" <> j."id"
+              AND (
+                e."status" = 'processing'
+                OR (
+                  e."status" = 'pending'
+                  AND (e."messageTimestamp", e."createdAt") < (j."messageTimestamp", j."createdAt")
+                )
+              )
+          )
+        ORDER BY j."messageTimestamp", j."createdAt"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Error claiming WhatsApp inbound job:', error);
+    return null;
+  }
+}
+
+/**
+ * Mark an inbound job as processed
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function completeWhatsAppInboundJob(jobId) {
+  try {
+    return await prisma.whatsAppInboundJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'completed',
+        lockedAt: null,
+        processedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error completing WhatsApp inbound job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save the steps of an inbound job that are already done, so a retry can skip them
+ * @param {string} jobId - The job ID
+ * @param {Object} progress - Completed steps (e.g. the stored photo or the transcript)
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function saveWhatsAppInboundJobProgress(jobId, progress) {
+  try {
+    return await prisma.whatsAppInboundJob.update({
+      where: { id: jobId },
+      data: { progress }
+    });
+  } catch (error) {
+    console.error('Error saving WhatsApp inbound job progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a failed attempt for an inbound job
+ * @param {string} jobId - The job ID
+ * @param {string} errorMessage - Error to record
+ * @param {Date|null} retryAt - When to try again, or null to give up
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function failWhatsAppInboundJob(jobId, errorMessage, retryAt) {
+  try {
+    return await prisma.whatsAppInboundJob.update({
+      where: { id: jobId },
+      data: retryAt
+        ? { status: 'pending', lastError: errorMessage, lockedAt: null, availableAt: retryAt }
+        : { status: 'failed', lastError: errorMessage, lockedAt: null, processedAt: new Date() }
+    });
+  } catch (error) {
+    console.error('Error recording WhatsApp inbound job failure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Return jobs stuck in 'processing' (e.g. after a crash) to the queue
+ * @param {number} staleMinutes - How long a job may stay locked
+ * @returns {Promise<number>} - Number of jobs released
+ */
+export async function releaseStaleWhatsAppInboundJobs(staleMinutes = 10) {
+  try {
+    const cutoffDate = new Date(Date.now() - staleMinutes * 60 * 1000);
+    const result = await prisma.whatsAppInboundJob.updateMany({
+      where: {
+        status: 'processing',
+        lockedAt: { lt: cutoffDate }
+      },
+      data: {
+        status: 'pending',
+        lockedAt: null
+      }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error releasing stale WhatsApp inbound jobs:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get the earliest future time a delayed inbound job becomes runnable
+ * @returns {Promise<Date|null>} - Next availableAt, or null if no retry is scheduled
+ */
+export async function getNextWhatsAppInboundRetryAt() {
+  try {
+    const job = await prisma.whatsAppInboundJob.findFirst({
+      where: {
+        status: 'pending',
+        availableAt: { gt: new Date() }
+      },
+      orderBy: { availableAt: 'asc' },
+      select: { availableAt: true }
+    });
+    return job?.availableAt || null;
+  } catch (error) {
+    console.error('Error getting next WhatsApp inbound retry:', error);
+    return null;
+  }
+}
+
+/**
+ * Count inbound jobs by status for monitoring
+ * @returns {Promise<Object>} - Map of status to count
+ */
+export async function getWhatsAppInboundQueueStats() {
+  try {
+    const groups = await prisma.whatsAppInboundJob.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+    return groups.reduce((acc, group) => {
+      acc[group.status] = group._count._all;
+      return acc;
+    }, { pending: 0, processing: 0, completed: 0, failed: 0 });
+  } catch (error) {
+    console.error('Error getting WhatsApp inbound queue stats:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete finished inbound jobs older than the retention window.
+ * Message ids are kept for this long to de-duplicate webhook redeliveries.
+ * @param {number} daysOld - Retention in days (default: 7)
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+export async function deleteOldWhatsAppInboundJobs(daysOld = 7) {
+  try {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+    const result = await prisma.whatsAppInboundJob.deleteMany({
+      where: {
+        status: { in: ['completed', 'failed'] },
+        processedAt: { lt: cutoffDate }
+      }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error deleting old WhatsApp inbound jobs:', error);
+    return 0;
+  }
+}
+
+// ===================================
+// WHATSAPP DELIVERY STATUS FUNCTIONS
+// ===================================
+
+// Delivery statuses only move forward; callbacks can arrive out of order
+const WHATSAPP_STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+/**
+ * Check whether a status callback should replace the stored status
+ * @param {string|null} current - Stored status
+ * @param {string} next - Status from the callback
+ * @returns {boolean} - True if the stored status should be updated
+ */
+function shouldAdvanceWhatsAppStatus(current, next) {
+  if (!current) return true;
+  if (next === 'failed') return current === 'sent';
+  if (current === 'failed') return false;
+  return (WHATSAPP_STATUS_RANK[next] || 0) > (WHATSAPP_STATUS_RANK[current] || 0);
+}
+
+/**
+ * Link a stored message to the WhatsApp message id it was sent as
+ * @param {string} messageId - Message row ID
+ * @param {string} whatsappMessageId - wamid returned by the WhatsApp API
+ * @returns {Promise<Object|null>} - The updated message or null on failure
+ */
+export async function setMessageWhatsAppId(messageId, whatsappMessageId) {
+  try {
+    return await prisma.message.update({
+      where: { id: messageId },
+      data: {
+        whatsappMessageId,
+        whatsappStatus: 'sent',
+        whatsappStatusAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error linking WhatsApp message id:', error);
+    return null;
+  }
+}
+
+/**
+ * Apply a WhatsApp status callback to the matching message and broadcast recipient
+ * @param {Object} update - Status update
+ * @param {string} update.whatsappMessageId - wamid from the callback
+ * @param {string} update.status - 'sent', 'delivered', 'read' or 'failed'
+ * @param {Date} update.timestamp - When WhatsApp reported the status
+ * @param {string} [update.error] - Error description for failed messages
+ * @returns {Promise<{messages: number, recipients: number}>} - Rows updated
+ */
+export async function applyWhatsAppStatus({ whatsappMessageId, status, timestamp, error }) {
+  const updated = { messages: 0, recipients: 0 };
+  try {
+    const message = await prisma.message.findUnique({
+      where: { whatsappMessageId },
+      select: { id: true, whatsappStatus: true }
+    });
+    if (message && shouldAdvanceWhatsAppStatus(message.whatsappStatus, status)) {
+      await prisma.message.update({
+        where: { id: message.id },
+        data: {
+          whatsappStatus: status,
+          whatsappStatusAt: timestamp,
+          whatsappError: error || null
+        }
+      });
+      updated.messages++;
+    }
+
+    const recipient = await prisma.broadcastRecipient.findUnique({
+      where: { whatsappMessageId },
+      select: { id: true, status: true, deliveredAt: true }
+    });
+    if (recipient && shouldAdvanceWhatsAppStatus(recipient.status, status)) {
+      const data = { status, error: error || null };
+      if (status === 'delivered') data.deliveredAt = timestamp;
+      if (status === 'read') {
+        data.readAt = timestamp;
+        // A read receipt implies delivery even if that callback never arrived
+        if (!recipient.deliveredAt) data.deliveredAt = timestamp;
+      }
+      if (status === 'failed') data.failedAt = timestamp;
+      await prisma.broadcastRecipient.update({
+        where: { id: recipient.id },
+        data
+      });
+      updated.recipients++;
+    }
+  } catch (err) {
+    console.error('Error applying WhatsApp status:', err);
+  }
+  return updated;
+}
+
+// ===================================
+// BROADCAST FUNCTIONS
+// ===================================
+
+/**
+ * Get a broadcast log entry
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<Object|null>} - The broadcast or null
+ */
+export async function getBroadcastLog(broadcastId) {
+  try {
+    return await prisma.broadcastLog.findUnique({
+      where: { id: broadcastId }
+    });
+  } catch (error) {
+    console.error('Error getting broadcast log:', error);
+    return null;
+  }
+}
+
+/**
+ * Update a broadcast log entry
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>} - The updated broadcast
+ */
+export async function updateBroadcastLog(broadcastId, data) {
+  try {
+    return await prisma.broadcastLog.update({
+      where: { id: broadcastId },
+      data
+    });
+  } catch (error) {
+    console.error('Error updating broadcast log:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue recipients for a broadcast. Recipients already queued for the same
+ * broadcast and channel are skipped.
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {Array<Object>} recipients - Recipients ({ userId, channel, phoneNumber?, conversationId? })
+ * @returns {Promise<number>} - Number of recipients created
+ */
+export async function createBroadcastRecipients(broadcastId, recipients) {
+  try {
+    if (!recipients || recipients.length === 0) {
+      return 0;
+    }
+    const result = await prisma.broadcastRecipient.createMany({
+      data: recipients.map(recipient => ({
+        broadcastId,
+        userId: recipient.userId,
+        channel: recipient.channel,
+        phoneNumber: recipient.phoneNumber || null,
+        conversationId: recipient.conversationId || null,
+        status: 'pending'
+      })),
+      skipDuplicates: true
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error creating broadcast recipients:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the next batch of recipients still waiting to be sent
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {number} limit - Batch size
+ * @param {string} [afterId] - Cursor: only return recipients with a greater ID
+ * @returns {Promise<Array>} - Pending recipients ordered by ID
+ */
+export async function getPendingBroadcastRecipients(broadcastId, limit = 50, afterId = null) {
+  try {
+    return await prisma.broadcastRecipient.findMany({
+      where: {
+        broadcastId,
+        status: 'pending',
+        ...(afterId ? { id: { gt: afterId } } : {})
+      },
+      orderBy: { id: 'asc' },
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error getting pending broadcast recipients:', error);
+    return [];
+  }
+}
+
+/**
+ * Record the outcome of a send attempt for one recipient
+ * @param {string} recipientId - BroadcastRecipient ID
+ * @param {Object} outcome - Send outcome
+ * @param {string} outcome.status - 'sent' or 'failed'
+ * @param {string|null} [outcome.whatsappMessageId] - wamid returned by the send
+ * @param {string} [outcome.error] - Error message for failed sends
+ * @param {string} [outcome.errorCode] - Error code for failed sends
+ * @param {string} [outcome.sentAs] - 'message' or 'template' for WhatsApp sends
+ * @returns {Promise<Object|null>} - The updated recipient or null on failure
+ */
+export async function recordBroadcastRecipientOutcome(recipientId, { status, whatsappMessageId, error, errorCode, sentAs }) {
+  try {
+    const now = new Date();
+    return await prisma.broadcastRecipient.update({
+      where: { id: recipientId },
+      data: {
+        status,
+        attempts: { increment: 1 },
+        whatsappMessageId: whatsappMessageId || undefined,
+        error: error || null,
+        errorCode: errorCode || null,
+        sentAs: sentAs || undefined,
+        sentAt: status === 'sent' ? now : undefined,
+        failedAt: status === 'failed' ? now : null
+      }
+    });
+  } catch (err) {
+    console.error('Error recording broadcast recipient outcome:', err);
+    return null;
+  }
+}
+
+/**
+ * Mark every recipient still pending as failed (e.g. when the broadcast image could not be hosted)
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {string} error - Error message
+ * @param {string} errorCode - Error code
+ * @returns {Promise<number>} - Number of recipients updated
+ */
+export async function failPendingBroadcastRecipients(broadcastId, error, errorCode) {
+  try {
+    const result = await prisma.broadcastRecipient.updateMany({
+      where: { broadcastId, status: 'pending' },
+      data: { status: 'failed', error, errorCode, failedAt: new Date() }
+    });
+    return result.count;
+  } catch (err) {
+    console.error('Error failing pending broadcast recipients:', err);
+    return 0;
+  }
+}
+
+/**
+ * Put failed recipients back in the queue so they are retried
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<number>} - Number of recipients reset
+ */
+export async function resetFailedBroadcastRecipients(broadcastId) {
+  try {
+    const result = await prisma.broadcastRecipient.updateMany({
+      where: { broadcastId, status: 'failed' },
+      data: { status: 'pending', error: null, errorCode: null, failedAt: null }
+    });
+    return result.count;
+  } catch (error) {
+    console.error('Error resetting failed broadcast recipients:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get one page of recipients for a broadcast
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {Object} [options] - Paging and filters
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=25] - Recipients per page
+ * @param {string} [options.status] - Only recipients with this status
+ * @param {string} [options.channel] - Only recipients on this channel
+ * @returns {Promise<{recipients: Array, total: number}>} - The page and the total matching count
+ */
+export async function getBroadcastRecipientPage(broadcastId, { page = 1, pageSize = 25, status, channel } = {}) {
+  try {
+    const where = {
+      broadcastId,
+      ...(status ? { status } : {}),
+      ...(channel ? { channel } : {})
+    };
+    const [recipients, total] = await Promise.all([
+      prisma.broadcastRecipient.findMany({
+        where,
+        orderBy: { id: 'asc' },
+        skip: (Math.max(page, 1) - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.broadcastRecipient.count({ where })
+    ]);
+    return { recipients, total };
+  } catch (error) {
+    console.error('Error getting broadcast recipients:', error);
+    return { recipients: [], total: 0 };
+  }
+}
+
+/**
+ * Count broadcast recipients per channel and status
+ * @param {Array<string>} broadcastIds - BroadcastLog IDs
+ * @returns {Promise<Object>} - Map of broadcastId to { whatsapp: counts, website: counts } where counts
+ *   is { pending, sent, delivered, read, failed } and sent/delivered include later statuses
+ */
+export async function getBroadcastRecipientCounts(broadcastIds) {
+  try {
+    if (!broadcastIds || broadcastIds.length === 0) {
+      return {};
+    }
+    const groups = await prisma.broadcastRecipient.groupBy({
+      by: ['broadcastId', 'channel', 'status'],
+      where: { broadcastId: { in: broadcastIds } },
+      _count: { _all: true }
+    });
+
+    const emptyCounts = () => ({ pending: 0, sent: 0, delivered: 0, read: 0, failed: 0 });
+    const counts = {};
+    for (const group of groups) {
+      const entry = counts[group.broadcastId] || { whatsapp: emptyCounts(), website: emptyCounts() };
+      const channelCounts = entry[group.channel] || emptyCounts();
+      channelCounts[group.status] = (channelCounts[group.status] || 0) + group._count._all;
+      entry[group.channel] = channelCounts;
+      counts[group.broadcastId] = entry;
+    }
+
+    // Read messages were also delivered, and delivered ones were sent; report cumulative counts
+    for (const entry of Object.values(counts)) {
+      for (const channelCounts of Object.values(entry)) {
+        channelCounts.delivered += channelCounts.read;
+        channelCounts.sent += channelCounts.delivered;
+      }
+    }
+    return counts;
+  } catch (error) {
+    console.error('Error getting broadcast recipient counts:', error);
+    return {};
+  }
+}
+
+/**
+ * Get scheduled broadcasts whose send time has passed
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} - Due broadcasts, oldest schedule first
+ */
+export async function getDueScheduledBroadcasts(now = new Date()) {
+  try {
+    return await prisma.broadcastLog.findMany({
+      where: { status: 'scheduled', scheduledAt: { lte: now } },
+      orderBy: { scheduledAt: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error getting due scheduled broadcasts:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the send time of the next scheduled broadcast
+ * @returns {Promise<Date|null>} - Earliest scheduledAt, or null if nothing is scheduled
+ */
+export async function getNextScheduledBroadcastAt() {
+  try {
+    const next = await prisma.broadcastLog.findFirst({
+      where: { status: 'scheduled', scheduledAt: { not: null } },
+      orderBy: { scheduledAt: 'asc' },
+      select: { scheduledAt: true }
+    });
+    return next?.scheduledAt || null;
+  } catch (error) {
+    console.error('Error getting next scheduled broadcast:', error);
+    return null;
+  }
+}
+
+/**
+ * Update a broadcast only while it is still scheduled. Used to claim a due
+ * broadcast for sending, and to cancel or reschedule one, without racing
+ * another process that has already started it.
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<boolean>} - True if the broadcast was still scheduled and was updated
+ */
+export async function updateScheduledBroadcast(broadcastId, data) {
+  try {
+    const result = await prisma.broadcastLog.updateMany({
+      where: { id: broadcastId, status: 'scheduled' },
+      data
+    });
+    return result.count === 1;
+  } catch (error) {
+    console.error('Error updating scheduled broadcast:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get when each conversation last received a message from the customer.
+ * Tool results are stored with the user role too, so they are excluded.
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<Object>} - Map of conversationId to the Date of the last inbound message
+ */
+export async function getLastInboundMessageTimes(conversationIds) {
+  try {
+    if (!conversationIds || conversationIds.length === 0) {
+      return {};
+    }
+    const groups = await prisma.message.groupBy({
+      by: ['conversationId'],
+      where: {
+        conversationId: { in: conversationIds },
+        role: 'user',
+        NOT: { content: { startsWith: '[{"type":"tool_result"' } }
+      },
+      _max: { createdAt: true }
+    });
+    return Object.fromEntries(groups.map(group => [group.conversationId, group._max.createdAt]));
+  } catch (error) {
+    console.error('Error getting last inbound message times:', error);
+    return {};
+  }
+}
+
+// ===================================
+// AUDIENCE SEGMENT FUNCTIONS
+// ===================================
+
+/**
+ * Get all saved audience segments
+ * @returns {Promise<Array>} - Segments ordered by name
+ */
+export async function getAudienceSegments() {
+  try {
+    return await prisma.audienceSegment.findMany({
+      orderBy: { name: 'asc' }
+    });
+  } catch (error) {
+    console.error('Error getting audience segments:', error);
+    return [];
+  }
+}
+
+/**
+ * Get an audience segment
+ * @param {string} segmentId - AudienceSegment ID
+ * @returns {Promise<Object|null>} - The segment or null
+ */
+export async function getAudienceSegment(segmentId) {
+  try {
+    return await prisma.audienceSegment.findUnique({
+      where: { id: segmentId }
+    });
+  } catch (error) {
+    console.error('Error getting audience segment:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update an audience segment
+ * @param {Object} segment - Segment fields
+ * @param {string} [segment.id] - Existing segment ID; omit to create
+ * @param {string} segment.name - Unique segment name
+ * @param {string} [segment.description] - Optional description
+ * @param {Object} segment.rules - Segment rules
+ * @returns {Promise<Object>} - The saved segment
+ */
+export async function saveAudienceSegment({ id, name, description, rules }) {
+  try {
+    const data = { name, description: description || null, rules };
+    if (id) {
+      return await prisma.audienceSegment.update({ where: { id }, data });
+    }
+    return await prisma.audienceSegment.create({ data });
+  } catch (error) {
+    console.error('Error saving audience segment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an audience segment. Broadcasts that used it keep their recipients.
+ * @param {string} segmentId - AudienceSegment ID
+ * @returns {Promise<boolean>} - True if a segment was deleted
+ */
+export async function deleteAudienceSegment(segmentId) {
+  try {
+    const result = await prisma.audienceSegment.deleteMany({
+      where: { id: segmentId }
+    });
+    return result.count > 0;
+  } catch (error) {
+    console.error('Error deleting audience segment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get every user with the conversation fields segment rules look at
+ * @returns {Promise<Array>} - Users with their conversations
+ */
+export async function getUsersForSegmentEvaluation() {
+  try {
+    return await prisma.user.findMany({
+      select: {
+        id: true,
+        type: true,
+        shopifyCustomerId: true,
+        phoneNumber: true,
+        email: true,
+        name: true,
+        metadata: true,
+        createdAt: true,
+        conversations: {
+          select: {
+            id: true,
+            channel: true,
+            metadata: true,
+            archived: true,
+            lastMessageAt: true
+          }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting users for segment evaluation:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the shop domain of the store's offline session, for Admin API calls
+ * made outside a request (e.g. scheduled broadcasts)
+ * @returns {Promise<string|null>} - Shop domain or null if the app isn't installed
+ */
+export async function getOfflineSessionShop() {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { isOnline: false },
+      select: { shop: true }
+    });
+    return session?.shop || null;
+  } catch (error) {
+    console.error('Error getting offline session shop:', error);
+    return null;
+  }
+}
+
+// ===================================
+// MARKETING CONSENT FUNCTIONS
+// ===================================
+
+/**
+ * Record a marketing consent change for a user and add it to the audit history
+ * @param {string} userId - User ID
+ * @param {string} channel - "whatsapp" or "website"
+ * @param {Object} change - Consent change
+ * @param {string} change.status - "opted_in" or "opted_out"
+ * @param {string} change.source - What changed it, e.g. "keyword", "admin"
+ * @param {string} [change.detail] - Extra context, e.g. the keyword sent
+ * @returns {Promise<Object>} - The current consent record
+ */
+export async function setMarketingConsent(userId, channel, { status, source, detail }) {
+  try {
+    const [consent] = await prisma.$transaction([
+      prisma.marketingConsent.upsert({
+        where: { userId_channel: { userId, channel } },
+        create: { userId, channel, status, source, detail: detail || null },
+        update: { status, source, detail: detail || null }
+      }),
+      prisma.marketingConsentEvent.create({
+        data: { userId, channel, status, source, detail: detail || null }
+      })
+    ]);
+    return consent;
+  } catch (error) {
+    console.error('Error setting marketing consent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the consent status of several users on one channel
+ * @param {Array<string>} userIds - User IDs
+ * @param {string} channel - "whatsapp" or "website"
+ * @returns {Promise<Object>} - Map of userId to status; users without a record are omitted
+ */
+export async function getMarketingConsentStatuses(userIds, channel) {
+  try {
+    if (!userIds || userIds.length === 0) {
+      return {};
+    }
+    const consents = await prisma.marketingConsent.findMany({
+      where: { userId: { in: userIds }, channel },
+      select: { userId: true, status: true }
+    });
+    return Object.fromEntries(consents.map(consent => [consent.userId, consent.status]));
+  } catch (error) {
+    console.error('Error getting marketing consent statuses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one page of users with their consent records, for the admin audit view
+ * @param {Object} [options] - Paging and filters
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=25] - Users per page
+ * @param {string} [options.channel] - Channel the status filter applies to
+ * @param {string} [options.status] - "opted_in", "opted_out" or "none" (no record)
+ * @param {string} [options.search] - Matches phone number, email or name
+ * @returns {Promise<{users: Array, total: number}>} - The page and the total matching count
+ */
+export async function getUsersWithMarketingConsent({ page = 1, pageSize = 25, channel, status, search } = {}) {
+  try {
+    const where = {};
+    if (channel && status === 'none') {
+      where.consents = { none: { channel } };
+    } else if (channel && status) {
+      where.consents = { some: { channel, status } };
+    }
+    if (search) {
+      where.OR = [
+        { phoneNumber: { contains: search } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { name: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        select: {
+          id: true,
+          type: true,
+          phoneNumber: true,
+          email: true,
+          name: true,
+          createdAt: true,
+          consents: true
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (Math.max(page, 1) - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.user.count({ where })
+    ]);
+    return { users, total };
+  } catch (error) {
+    console.error('Error getting users with marketing consent:', error);
+    return { users: [], total: 0 };
+  }
+}
+
+/**
+ * Get a user's consent history, newest first
+ * @param {string} userId - User ID
+ * @param {number} [limit=50] - Maximum events to return
+ * @returns {Promise<Array>} - Consent events
+ */
+export async function getMarketingConsentEvents(userId, limit = 50) {
+  try {
+    return await prisma.marketingConsentEvent.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error getting marketing consent events:', error);
+    return [];
+  }
+}
+
+// ===================================
+// AGENT INBOX FUNCTIONS
+// ===================================
+
+/**
+ * Get one page of conversations for the agent inbox, most recently active first
+ * @param {Object} [options] - Paging and filters
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize=25] - Conversations per page
+ * @param {string} [options.channel] - "web" or "whatsapp"
+ * @param {string} [options.handoff] - "open" for conversations with an open or pending ticket, "none" for the rest
+ * @param {string} [options.ticketReference] - Exact ticket reference
+ * @returns {Promise<{conversations: Array, total: number}>} - The page and the total matching count
+ */
+export async function getInboxConversations({ page = 1, pageSize = 25, channel, handoff, ticketReference } = {}) {
+  try {
+    const ticketFilters = [];
+    if (handoff === 'open') {
+      ticketFilters.push({ tickets: { some: { status: { in: ACTIVE_TICKET_STATUSES } } } });
+    } else if (handoff === 'none') {
+      ticketFilters.push({ tickets: { none: { status: { in: ACTIVE_TICKET_STATUSES } } } });
+    }
+    if (ticketReference) {
+      const reference = parseInt(ticketReference, 10);
+      if (Number.isNaN(reference)) {
+        return { conversations: [], total: 0 };
+      }
+      ticketFilters.push({ tickets: { some: { reference } } });
+    }
+
+    const where = {
+      archived: false,
+      ...(channel ? { channel } : {}),
+      ...(ticketFilters.length > 0 ? { AND: ticketFilters } : {})
+    };
+
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        include: {
+          user: { select: { id: true, name: true, email: true, phoneNumber: true } },
+          messages: { orderBy: { createdAt: 'desc' }, take: 1 },
+          tickets: { orderBy: { createdAt: 'desc' }, take: 1 },
+          _count: { select: { messages: true } }
+        },
+        orderBy: [{ lastMessageAt: { sort: 'desc', nulls: 'last' } }, { updatedAt: 'desc' }],
+        skip: (Math.max(page, 1) - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.conversation.count({ where })
+    ]);
+    return { conversations, total };
+  } catch (error) {
+    console.error('Error getting inbox conversations:', error);
+    return { conversations: [], total: 0 };
+  }
+}
+
+/**
+ * Get a conversation with its user and full message thread
+ * @param {string} conversationId - The conversation ID
+ * @param {number} [limit=200] - Maximum number of most recent messages to return
+ * @returns {Promise<Object|null>} - The conversation with messages oldest first and its latest ticket, or null
+ */
+export async function getConversationThread(conversationId, limit = 200) {
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      include: {
+        user: { select: { id: true, name: true, email: true, phoneNumber: true } },
+        messages: { orderBy: { createdAt: 'desc' }, take: limit },
+        tickets: { orderBy: { createdAt: 'desc' }, take: 1 }
+      }
+    });
+    if (!conversation) {
+      return null;
+    }
+    return { ...conversation, messages: conversation.messages.reverse() };
+  } catch (error) {
+    console.error('Error getting conversation thread:', error);
+    return null;
+  }
+}
+
+/**
+ * Get conversations where staff have taken over from the bot
+ * @returns {Promise<Array>} - Conversations with their channel and metadata
+ */
+export async function getTakeoverConversations() {
+  try {
+    return await prisma.conversation.findMany({
+      where: { metadata: { path: ['takeover_active'], equals: true } },
+      select: { id: true, channel: true, metadata: true }
+    });
+  } catch (error) {
+    console.error('Error getting takeover conversations:', error);
+    return [];
+  }
+}
+
+// ===================================
+// SUPPORT TICKET FUNCTIONS
+// ===================================
+
+// Tickets in these states still need the team, so no new ticket is opened
+const ACTIVE_TICKET_STATUSES = ['open', 'pending'];
+
+/**
+ * Create a support ticket; its reference is assigned from a sequence.
+ * A conversation can only have one open or pending ticket at a time
+ * @param {Object} ticket - Ticket details
+ * @param {string} ticket.conversationId - The conversation ID
+ * @param {string} [ticket.userId] - The customer's user ID
+ * @param {string} ticket.channel - "web" or "whatsapp"
+ * @param {string} [ticket.reason] - Why the customer needs the team
+ * @param {string} [ticket.customerName] - Customer name
+ * @param {string} [ticket.customerEmail] - Customer email
+ * @param {string} [ticket.customerPhone] - Customer phone number
+ * @returns {Promise<Object|null>} - The created ticket, or null if the conversation already has an active one
+ */
+export async function createSupportTicket({ conversationId, userId, channel, reason, customerName, customerEmail, customerPhone }) {
+  try {
+    return await prisma.supportTicket.create({
+      data: {
+        conversationId,
+        userId: userId || null,
+        channel,
+        reason: reason || null,
+        customerName: customerName || null,
+        customerEmail: customerEmail || null,
+        customerPhone: customerPhone || null
+      }
+    });
+  } catch (error) {
+    // Unique index on active tickets per conversation: another escalation got there first
+    if (error.code === 'P2002') {
+      return null;
+    }
+    console.error('Error creating support ticket:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent open or pending ticket for a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - The ticket or null
+ */
+export async function getActiveSupportTicket(conversationId) {
+  try {
+    return await prisma.supportTicket.findFirst({
+      where: { conversationId, status: { in: ACTIVE_TICKET_STATUSES } },
+      orderBy: { createdAt: 'desc' }
+    });
+  } catch (error) {
+    console.error('Error getting active support ticket:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a support ticket by ID
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<Object|null>} - The ticket or null
+ */
+export async function getSupportTicket(ticketId) {
+  try {
+    return await prisma.supportTicket.findUnique({
+      where: { id: ticketId }
+    });
+  } catch (error) {
+    console.error('Error getting support ticket:', error);
+    return null;
+  }
+}
+
+/**
+ * Get a support ticket by its customer-facing reference
+ * @param {number} reference - Ticket reference, e.g. 1042
+ * @returns {Promise<Object|null>} - The ticket or null
+ */
+export async function getSupportTicketByReference(reference) {
+  try {
+    return await prisma.supportTicket.findUnique({
+      where: { reference }
+    });
+  } catch (error) {
+    console.error('Error getting support ticket by reference:', error);
+    return null;
+  }
+}
+
+/**
+ * Update a support ticket's status or assignee
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} data - Fields to update (status, assignee, resolvedAt)
+ * @returns {Promise<Object>} - The updated ticket
+ */
+export async function updateSupportTicket(ticketId, data) {
+  try {
+    return await prisma.supportTicket.update({
+      where: { id: ticketId },
+      data
+    });
+  } catch (error) {
+    console.error('Error updating support ticket:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a support ticket
+ * @param {string} ticketId - Ticket ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSupportTicket(ticketId) {
+  try {
+    await prisma.supportTicket.delete({
+      where: { id: ticketId }
+    });
+  } catch (error) {
+    console.error('Error deleting support ticket:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the conversations that have an open or pending ticket
+ * @returns {Promise<Set<string>>} - Conversation IDs
+ */
+export async function getConversationIdsWithActiveTickets() {
+  try {
+    const tickets = await prisma.supportTicket.findMany({
+      where: { status: { in: ACTIVE_TICKET_STATUSES }, conversationId: { not: null } },
+      select: { conversationId: true },
+      distinct: ['conversationId']
+    });
+    return new Set(tickets.map(ticket => ticket.conversationId));
+  } catch (error) {
+    console.error('Error getting conversations with active tickets:', error);
+    throw error;
+  }
+}
+
+// ===================================
+// CONVERSATION MEMORY FUNCTIONS
+// ===================================
+
+/**
+ * Get the stored memory for a conversation and its customer
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} - { memory, memoryThrough, userId, userMemory } or null
+ */
+export async function getConversationMemory(conversationId) {
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        memory: true,
+        memoryThrough: true,
+        userId: true,
+        user: { select: { memory: true } }
+      }
+    });
+    if (!conversation) {
+      return null;
+    }
+    return {
+      memory: conversation.memory,
+      memoryThrough: conversation.memoryThrough,
+      userId: conversation.userId,
+      userMemory: conversation.user?.memory || null
+    };
+  } catch (error) {
+    console.error('Error getting conversation memory:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the messages that have dropped out of the recent history sent to Claude
+ * but are not yet covered by the conversation memory
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} options - Query options
+ * @param {number} options.keepRecent - Number of recent messages still sent to Claude
+ * @param {Date|null} [options.after] - Messages up to this time are already remembered
+ * @param {number} [options.limit=100] - Maximum number of messages to return
+ * @returns {Promise<Array>} - Messages in chronological order (oldest first)
+ */
+export async function getMessagesToRemember(conversationId, { keepRecent, after = null, limit = 100 }) {
+  try {
+    const recent = await prisma.message.findMany({
+      where: { conversationId },
+      orderBy: { createdAt: 'desc' },
+      take: keepRecent,
+      select: { createdAt: true }
+    });
+    if (recent.length < keepRecent) {
+      return [];
+    }
+    const oldestRecent = recent[recent.length - 1].createdAt;
+
+    return await prisma.message.findMany({
+      where: {
+        conversationId,
+        createdAt: after ? { gt: after, lt: oldestRecent } : { lt: oldestRecent }
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit
+    });
+  } catch (error) {
+    console.error('Error getting messages to remember:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the conversation memory and, when the conversation has a user, the customer memory
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} memory - Memory to store
+ * @param {string} memory.memory - Rolling summary of the conversation's older messages
+ * @param {Date} memory.memoryThrough - Created time of the last message the summary covers
+ * @param {string} [memory.userId] - The customer's user ID
+ * @param {string} [memory.userMemory] - What to remember about the customer
+ * @returns {Promise<void>}
+ */
+export async function saveConversationMemory(conversationId, { memory, memoryThrough, userId, userMemory }) {
+  try {
+    const updates = [
+      prisma.conversation.update({
+        where: { id: conversationId },
+        data: { memory, memoryThrough }
+      })
+    ];
+    if (userId && userMemory !== undefined) {
+      updates.push(prisma.user.update({
+        where: { id: userId },
+        data: { memory: userMemory, memoryUpdatedAt: new Date() }
+      }));
+    }
+    await prisma.$transaction(updates);
+  } catch (error) {
+    console.error('Error saving conversation memory:', error);
+    throw error;
+  }
+}
+
+// ===================================
+// CLAUDE USAGE FUNCTIONS
+// ===================================
+
+/**
+ * Record the token usage of one Claude request
+ * @param {Object} usage - Usage details
+ * @param {string} [usage.conversationId] - The conversation ID
+ * @param {string} [usage.channel] - "web" or "whatsapp"
+ * @param {string} usage.purpose - What the request was for ("chat", "summary", "memory")
+ * @param {string} usage.model - Model used
+ * @param {number} [usage.inputTokens] - Uncached input tokens
+ * @param {number} [usage.outputTokens] - Output tokens
+ * @param {number} [usage.cacheCreationInputTokens] - Input tokens written to the cache
+ * @param {number} [usage.cacheReadInputTokens] - Input tokens read from the cache
+ * @param {number} [usage.estimatedInputTokens] - Local estimate of the input size
+ * @param {number} [usage.trimmedMessages] - History messages dropped to fit the budget
+ * @param {number} [usage.toolRound] - Claude call number within the turn
+ * @param {number} [usage.latencyMs] - Time until the full response arrived
+ * @returns {Promise<Object|null>} - The usage record, or null if it couldn't be saved
+ */
+export async function recordClaudeUsage(usage) {
+  try {
+    return await prisma.claudeUsage.create({
+      data: {
+        conversationId: usage.conversationId || null,
+        channel: usage.channel || null,
+        purpose: usage.purpose,
+        model: usage.model,
+        inputTokens: usage.inputTokens || 0,
+        outputTokens: usage.outputTokens || 0,
+        cacheCreationInputTokens: usage.cacheCreationInputTokens || 0,
+        cacheReadInputTokens: usage.cacheReadInputTokens || 0,
+        estimatedInputTokens: usage.estimatedInputTokens ?? null,
+        trimmedMessages: usage.trimmedMessages || 0,
+        toolRound: usage.toolRound ?? null,
+        latencyMs: usage.latencyMs ?? null
+      }
+    });
+  } catch (error) {
+    // Usage is for reporting only; never fail a conversation over it
+    console.error('Error recording Claude usage:', error);
+    return null;
+  }
+}
+
+/**
+ * Total Claude usage per day and model
+ * @param {Date} since - Start of the period
+ * @returns {Promise<Array>} - Rows of { day, model, requests, inputTokens, outputTokens,
+ *   cacheCreationInputTokens, cacheReadInputTokens, latencyMsTotal, latencyCount }
+ */
+export async function getClaudeUsageByDay(since) {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT date_trunc('day', "createdAt") AS "day",
+             "model",
+             COUNT(*) AS "requests",
+             SUM("inputTokens") AS "inputTokens",
+             SUM("outputTokens") AS "outputTokens",
+             SUM("cacheCreationInputTokens") AS "cacheCreationInputTokens",
+             SUM("cacheReadInputTokens") AS "cacheReadInputTokens",
+             COALESCE(SUM("latencyMs"), 0) AS "latencyMsTotal",
+             COUNT("latencyMs") AS "latencyCount"
+      FROM "ClaudeUsage"
+      WHERE "createdAt" >= ${since}
+      GROUP BY 1, 2
+      ORDER BY 1`;
+    return rows.map(normalizeUsageRow);
+  } catch (error) {
+    console.error('Error getting Claude usage by day:', error);
+    return [];
+  }
+}
+
+/**
+ * Total Claude usage per conversation and model
+ * @param {Date} since - Start of the period
+ * @returns {Promise<Array>} - Rows of { conversationId, channel, model, requests, inputTokens,
+ *   outputTokens, cacheCreationInputTokens, cacheReadInputTokens }
+ */
+export async function getClaudeUsageByConversation(since) {
+  try {
+    const rows = await prisma.$queryRaw`
+      SELECT "conversationId",
+             MAX("channel") AS "channel",
+             "model",
+             COUNT(*) AS "requests",
+             SUM("inputTokens") AS "inputTokens",
+             SUM("outputTokens") AS "outputTokens",
+             SUM("cacheCreationInputTokens") AS "cacheCreationInputTokens",
+             SUM("cacheReadInputTokens") AS "cacheReadInputTokens"
+      FROM "ClaudeUsage"
+      WHERE "createdAt" >= ${since} AND "conversationId" IS NOT NULL
+      GROUP BY "conversationId", "model"`;
+    return rows.map(normalizeUsageRow);
+  } catch (error) {
+    console.error('Error getting Claude usage by conversation:', error);
+    return [];
+  }
+}
+
+/**
+ * Convert the BigInt aggregates returned by raw queries to numbers
+ * @param {Object} row - Raw query row
+ * @returns {Object} - Row with numeric aggregates
+ */
+function normalizeUsageRow(row) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(row)) {
+    normalized[key] = typeof value === 'bigint' ? Number(value) : value;
+  }
+  return normalized;
+}
+
+/**
+ * Get the details the usage report shows for a set of conversations
+ * @param {Array<string>} conversationIds - Conversation IDs
+ * @returns {Promise<Array>} - Conversations with their user and any open or pending tickets
+ */
+export async function getConversationsForUsageReport(conversationIds) {
+  try {
+    return await prisma.conversation.findMany({
+      where: { id: { in: conversationIds } },
+      select: {
+        id: true,
+        channel: true,
+        lastMessageAt: true,
+        user: { select: { name: true, email: true, phoneNumber: true } },
+        tickets: {
+          where: { status: { in: ACTIVE_TICKET_STATUSES } },
+          select: { id: true }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting conversations for usage report:', error);
+    return [];
+  }
+}
+
+// ===================================
+// PRODUCT QUANTITY INCREMENT FUNCTIONS
+// ===================================
+
+/**
+ * Get the quantity increments synced for a set of products and variants
+ * @param {Array<string>} entityIds - Product and variant GIDs
+ * @returns {Promise<Map<string, number>>} - Increment per entity ID; entities without one are left out
+ */
+export async function getQuantityIncrements(entityIds) {
+  try {
+    const records = await prisma.productQuantityIncrement.findMany({
+      where: { entityId: { in: entityIds } },
+      select: { entityId: true, increment: true }
+    });
+    return new Map(records.map(record => [record.entityId, record.increment]));
+  } catch (error) {
+    console.error('Error getting quantity increments:', error);
+    return new Map();
+  }
+}
@@ -5,6 +5,11 @@ import {
   getStorefrontMcpEndpoint,
   normalizeStorefrontDomain
 } from "./utils/mcp.server";
+import {
+  getCustomTool,
+  getCustomToolDefinitions,
+  runCustomTool
+} from "./services/custom-tools.server";
 
 const EXCLUDED_MCP_TOOLS = new Set([
   "get_store_credit_balances",
@@ -34,82 +39,8 @@ class MCPClient {
     this.channel = channel;
     this.logPrefix = `[MCP][${channel === 'whatsapp' ? 'WA' : 'WEB'}][${conversationId}]`;
 
-    // Add custom tools that aren't from MCP servers
-    // Only add send_order_template for WhatsApp channel
-    this.customTools = [];
-    
-    if (channel === 'whatsapp') {
-      this.customTools.push({
-        name: "send_order_template",
-        description: "Send a spreadsheet order template to the customer via WhatsApp. Use this when customers ask about bestsellers, want to place bulk orders, or need an order form. The template includes business details fields and a product list where they can enter quantities.",
-        input_schema: {
-          type: "object",
-          properties: {
-            template_type: {
-              type: "string",
-              enum: ["bestsellers", "general"],
-              description: "Type of template to send: 'bestsellers' for pre-filled bestseller products, 'general' for blank order form"
-            },
-            message: {
-              type: "string",
-              description: "Optional custom message to include with the template"
-            }
-          },
-          required: ["template_type"]
-        }
-      });
-    }
-    
-    this.customTools.push({
-      name: "validate_product_quantity",
-      description: "Check if a product has quantity requirements (minimum or increment). ALWAYS call this before adding products to cart. If a quantity_increment exists, you MUST use that value or a multiple of it as the quantity. Example: if increment is 5, use 5, 10, 15, etc. Provide the exact Shopify `product_id` or `variant_id` returned by your latest search/get_product_details call; if you don't have a canonical ID yet, run the lookup again instead of guessing.",
-      input_schema: {
-        type: "object",
-        properties: {
-          product_id: {
-            type: "string",
-            description: "The product ID to check (can be GID or product title)"
-          },
-          product_title: {
-            type: "string",
-            description: "Optional product title to check if ID not found"
-          },
-          variant_id: {
-            type: "string",
-            description: "Optional variant ID to check variant-level increment"
-          }
-        },
-        required: ["product_id"]
-      }
-    });
-    
-    // Add escalate_to_customer_service tool for both channels
-    this.customTools.push({
-      name: "escalate_to_customer_service",
-      description: "Escalate the conversation to a human customer service representative. Use this when the customer explicitly requests to speak with a person, needs help beyond the bot's capabilities, or is frustrated. The customer must provide their name, email, and phone number before this tool can be used. IMPORTANT: Only one support ticket can be created per conversation within a 24-hour period. If a ticket was created less than 24 hours ago, inform the customer that their request is already being processed and the team will be in touch soon. After 24 hours, a new ticket can be created if needed.",
-      input_schema: {
-        type: "object",
-        properties: {
-          customer_name: {
-            type: "string",
-            description: "The customer's full name"
-          },
-          customer_email: {
-            type: "string",
-            description: "The customer's email address"
-          },
-          customer_phone: {
-            type: "string",
-            description: "The customer's phone number"
-          },
-          reason: {
-            type: "string",
-            description: "Brief reason for the handoff (optional)"
-          }
-        },
-        required: ["customer_name", "customer_email", "customer_phone"]
-      }
-    });
+    // Add custom tools that aren't from MCP servers (see services/custom-tools.server.js)
+    this.customTools = getCustomToolDefinitions(channel);
     
     const normalizedHostUrl = normalizeStorefrontDomain(hostUrl);
     this.storefrontMcpEndpoint = getStorefrontMcpEndpoint(normalizedHostUrl);
@@ -171,7 +102,7 @@ class MCPClient {
 
       this.customerTools = customerTools;
       // Only add custom tools if they haven't been added yet
-      const customToolsToAdd = this.tools.some(t => t.name === 'send_order_template' || t.name === 'validate_product_quantity') ? [] : this.customTools;
+      const customToolsToAdd = this._hasCustomTools() ? [] : this.customTools;
       this.tools = [...this.tools, ...customerTools, ...customToolsToAdd];
 
       return customerTools;
@@ -206,7 +137,7 @@ class MCPClient {
 
       this.storefrontTools = storefrontTools;
       // Add custom tools only once (in case storefront connects first)
-      const customToolsToAdd = this.tools.some(t => t.name === 'send_order_template' || t.name === 'validate_product_quantity') ? [] : this.customTools;
+      const customToolsToAdd = this._hasCustomTools() ? [] : this.customTools;
       this.tools = [...this.tools, ...storefrontTools, ...customToolsToAdd];
 
       return storefrontTools;
@@ -238,151 +169,35 @@ class MCPClient {
 
   /**
    * Handles custom tool calls that aren't from MCP servers.
-   * Returns a special response that the webhook handler can process.
+   * Runs the registered handler without a channel adapter, so tools that need to
+   * message the customer should be dispatched through the conversation engine.
    *
    * @param {string} toolName - Name of the custom tool to call
    * @param {Object} toolArgs - Arguments passed to the tool
-   * @returns {Promise<Object>} Result indicating custom tool was called
+   * @returns {Promise<Object>} Result in MCP content format
    */
   async callCustomTool(toolName, toolArgs) {
-    
-    // Handle validate_product_quantity custom tool
-    if (toolName === 'validate_product_quantity') {
-      return this.handleValidateProductQuantity(toolArgs);
+    const tool = getCustomTool(toolName, this.channel);
+    if (!tool) {
+      throw new Error(`Tool ${toolName} not found`);
     }
-    
-    // Return a special response that the webhook can detect and handle
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({
-          custom_tool: toolName,
-          arguments: toolArgs
-        })
-      }],
-      isCustomTool: true,
-      toolName: toolName,
-      toolArgs: toolArgs
-    };
-  }
 
-  /**
-   * Handles the validate_product_quantity custom tool
-   * @param {Object} toolArgs - Arguments passed to the tool
-   * @returns {Promise<Object>} Result with quantity requirements
-   */
-  async handleValidateProductQuantity(toolArgs) {
-    const { product_id, product_title, variant_id } = toolArgs;
-    
-    let quantity_increment = null;
-    let matchedKey = null;
-    
-    // Check database for quantity increments by product_id, variant_id, or product_title
-    let incrementRecord = null;
-    
-    if (product_id) {
-      incrementRecord = await prisma.productQuantityIncrement.findUnique({
-        where: { entityId: product_id }
-      });
-      if (incrementRecord) {
-        quantity_increment = incrementRecord.increment;
-        matchedKey = product_id;
-      }
-    }
-    
-    if (!incrementRecord && variant_id) {
-      incrementRecord = await prisma.productQuantityIncrement.findUnique({
-        where: { entityId: variant_id }
-      });
-      if (incrementRecord) {
-        quantity_increment = incrementRecord.increment;
-        matchedKey = variant_id;
-      }
-    }
-    
-    if (!incrementRecord && product_title) {
-      incrementRecord = await prisma.productQuantityIncrement.findFirst({
-        where: { productTitle: product_title }
+    try {
+      const outcome = await runCustomTool(tool, toolArgs, {
+        conversationId: this.conversationId,
+        channel: this.channel,
+        mcpClient: this
       });
-      if (incrementRecord) {
-        quantity_increment = incrementRecord.increment;
-        matchedKey = incrementRecord.entityId;
-      }
-    }
-
-    // If still not found, try resolving IDs via storefront search
-    if (quantity_increment == null) {
-      try {
-        // Try to resolve by any identifier we have; include variant_id as a last-resort query
-        const query = (product_title || product_id || variant_id);
-        if (query && typeof query === 'string') {
-          const searchResponse = await this.callStorefrontTool('search_shop_catalog', {
-            query,
-            context: 'Resolve product for quantity increment validation'
-          });
-
-          // Expected to be an object with content[0].text containing JSON with products
-          let products = [];
-          if (searchResponse?.content && Array.isArray(searchResponse.content) && searchResponse.content[0]) {
-            const text = searchResponse.content[0].text;
-            try {
-              const parsed = typeof text === 'string' ? JSON.parse(text) : text;
-              if (parsed?.products && Array.isArray(parsed.products)) {
-                products = parsed.products;
-              }
-            } catch (e) {
-              console.error('Failed parsing search_shop_catalog response:', e);
-            }
-          }
-
-          if (products.length > 0) {
-            const best = products[0];
-            const resolvedProductId = best.product_id || best.id;
-            const resolvedVariantId = (best.variants && best.variants[0] && (best.variants[0].variant_id || best.variants[0].id)) || null;
-
-            // Check database for resolved IDs
-            if (resolvedVariantId) {
-              const resolvedIncrement = await prisma.productQuantityIncrement.findUnique({
-                where: { entityId: resolvedVariantId }
-              });
-              if (resolvedIncrement) {
-                quantity_increment = resolvedIncrement.increment;
-                matchedKey = resolvedVariantId;
-              }
-            }
-            
-            if (!quantity_increment && resolvedProductId) {
-              const resolvedIncrement = await prisma.productQuantityIncrement.findUnique({
-                where: { entityId: resolvedProductId }
-              });
-              if (resolvedIncrement) {
-                quantity_increment = resolvedIncrement.increment;
-                matchedKey = resolvedProductId;
-              }
-            }
-          }
-        }
-      } catch (e) {
-        console.error('Error resolving product for quantity validation:', e);
-      }
+      return {
+        content: [{
+          type: "text",
+          text: outcome.content
+        }]
+      };
+    } catch (error) {
+      console.error(`${this.logPrefix} ERROR custom.${toolName}:`, error);
+      return this._buildToolError(error.message || `Tool ${toolName} failed`);
     }
-    
-    const result = {
-      product_id: product_id,
-      variant_id,
-      product_title,
-      quantity_increment: quantity_increment,
-      message: quantity_increment 
-        ? `Product requires quantity in increments of ${quantity_increment}. Use ${quantity_increment} or multiples (${quantity_increment * 2}, ${quantity_increment * 3}, etc.) when adding to cart.`
-        : `Product has no quantity requirements. Default quantity of 1 can be used.`
-    };
-    
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify(result)
-      }]
-    };
   }
 
   /**
@@ -493,7 +308,7 @@ class MCPClient {
 
             if (!increment) {
               try {
-                const vq = await this.handleValidateProductQuantity({
+                const vq = await this.callCustomTool('validate_product_quantity', {
                   product_id: productId || '',
                   product_title: '',
                   variant_id: variantId || ''
@@ -961,6 +776,15 @@ class MCPClient {
       }
   }
 
+  /**
+   * Whether the custom tools have already been appended to the tool list.
+   *
+   * @returns {boolean} True if any custom tool is present in this.tools
+   */
+  _hasCustomTools() {
+    return this.customTools.some(custom => this.tools.some(t => t.name === custom.name));
+  }
+
   /**
    * Clear cached and persisted cart metadata (e.g., when Shopify rejects the cart_id)
    * @private
@@ -0,0 +1,87 @@
+/**
+ * Broadcast Recipients API Route
+ * Pages through a broadcast's recipients and resumes or retries sending
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  processBroadcast,
+  retryFailedRecipients,
+  isBroadcastActive
+} from "../services/broadcast.server";
+
+const PAGE_SIZE = 25;
+
+/**
+ * Handle GET requests - return one page of recipients
+ * Query params: page (1-based), status, channel
+ */
+export async function loader({ params, request }) {
+  await authenticate.admin(request);
+
+  const { getBroadcastRecipientPage } = await import("../db.server");
+  const url = new URL(request.url);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+  const status = url.searchParams.get("status") || undefined;
+  const channel = url.searchParams.get("channel") || undefined;
+
+  const { recipients, total } = await getBroadcastRecipientPage(params.id, {
+    page,
+    pageSize: PAGE_SIZE,
+    status,
+    channel
+  });
+
+  return json({
+    recipients,
+    total,
+    page,
+    pageSize: PAGE_SIZE,
+    hasNext: page * PAGE_SIZE < total,
+    hasPrevious: page > 1
+  });
+}
+
+/**
+ * Handle POST requests
+ * Body: { intent: "resume" } to continue sending pending recipients,
+ *       { intent: "retry" } to re-send to failed recipients
+ */
+export async function action({ params, request }) {
+  await authenticate.admin(request);
+
+  const { getBroadcastLog } = await import("../db.server");
+  const broadcast = await getBroadcastLog(params.id);
+  if (!broadcast) {
+    return json({ error: "Broadcast not found" }, { status: 404 });
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    // Treat an empty body as a resume
+  }
+  const intent = body?.intent || "resume";
+
+  if (broadcast.status === "scheduled" || broadcast.status === "cancelled") {
+    return json({ error: `Broadcast is ${broadcast.status}` }, { status: 409 });
+  }
+
+  if (isBroadcastActive(broadcast.id)) {
+    return json({ error: "Broadcast is already sending" }, { status: 409 });
+  }
+
+  let requeued = 0;
+  if (intent === "retry") {
+    requeued = await retryFailedRecipients(broadcast.id);
+  } else if (intent !== "resume") {
+    return json({ error: `Unknown intent: ${intent}` }, { status: 400 });
+  }
+
+  processBroadcast(broadcast.id).catch((error) => {
+    console.error(`Broadcast: Processing failed for ${broadcast.id}:`, error);
+  });
+
+  return json({ success: true, intent, requeued });
+}
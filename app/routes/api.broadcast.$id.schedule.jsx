@@ -0,0 +1,69 @@
+/**
+ * Broadcast Schedule API Route
+ * Cancels or reschedules a broadcast that has not started sending yet
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import {
+  cancelScheduledBroadcast,
+  rescheduleBroadcast,
+  parseScheduledAt
+} from "../services/broadcast.server";
+
+/**
+ * Handle POST requests
+ * Body: { intent: "cancel" } or { intent: "reschedule", scheduledAt: ISO string }
+ */
+export async function action({ params, request }) {
+  await authenticate.admin(request);
+
+  const { getBroadcastLog } = await import("../db.server");
+  const broadcast = await getBroadcastLog(params.id);
+  if (!broadcast) {
+    return json({ error: "Broadcast not found" }, { status: 404 });
+  }
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: 400 });
+  }
+  const intent = body?.intent;
+
+  if (intent !== "cancel" && intent !== "reschedule") {
+    return json({ error: `Unknown intent: ${intent}` }, { status: 400 });
+  }
+
+  let scheduledAt = null;
+  if (intent === "reschedule") {
+    scheduledAt = parseScheduledAt(body.scheduledAt);
+    if (!scheduledAt) {
+      return json({ error: "Invalid schedule date" }, { status: 400 });
+    }
+    if (scheduledAt.getTime() <= Date.now()) {
+      return json({ error: "Schedule date must be in the future" }, { status: 400 });
+    }
+  }
+
+  try {
+    const updated = intent === "cancel"
+      ? await cancelScheduledBroadcast(broadcast.id)
+      : await rescheduleBroadcast(broadcast.id, scheduledAt);
+
+    // Already dispatched (or cancelled) by the time the request arrived
+    if (!updated) {
+      return json({ error: "Broadcast is no longer scheduled" }, { status: 409 });
+    }
+
+    return json({
+      success: true,
+      intent,
+      status: intent === "cancel" ? "cancelled" : "scheduled",
+      scheduledAt: intent === "cancel" ? broadcast.scheduledAt : scheduledAt
+    });
+  } catch (error) {
+    console.error(`Broadcast: Failed to ${intent} ${broadcast.id}:`, error);
+    return json({ error: `Failed to ${intent} broadcast` }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Broadcast Dispatch API Route
+ * Lets a scheduled job (e.g., cron) start scheduled broadcasts that are due,
+ * so they still go out after a restart
+ */
+import { json } from "@remix-run/node";
+import { dispatchDueBroadcasts } from "../services/broadcast.server";
+
+function isAuthorized(request) {
+  const authToken = request.headers.get('Authorization');
+  return !!process.env.BROADCAST_DISPATCH_SECRET && authToken === `Bearer ${process.env.BROADCAST_DISPATCH_SECRET}`;
+}
+
+/**
+ * Handle POST requests - start every due scheduled broadcast
+ */
+export async function action({ request }) {
+  if (!isAuthorized(request)) {
+    return json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const result = await dispatchDueBroadcasts();
+    return json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error dispatching scheduled broadcasts:', error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
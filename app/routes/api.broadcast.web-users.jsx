@@ -1,10 +1,13 @@
 import { json } from "@remix-run/node";
 import { getAllWebUsers } from "../db.server";
+import { getMarketingBlockedUserIds } from "../services/consent.server";
 
 export const loader = async () => {
   try {
     const webUsers = await getAllWebUsers();
-    return json({ count: webUsers.length });
+    // Opted-out users are skipped by broadcasts, so leave them out of the count
+    const optedOut = await getMarketingBlockedUserIds(webUsers.map(user => user.id), 'website');
+    return json({ count: webUsers.length - optedOut.size, optedOut: optedOut.size });
   } catch (error) {
     console.error('Error getting web users count:', error);
     return json({ count: 0 });
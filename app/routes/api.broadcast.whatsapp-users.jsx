@@ -1,13 +1,15 @@
 import { json } from "@remix-run/node";
 import { getAllWhatsAppUsers } from "../db.server";
+import { getMarketingBlockedUserIds } from "../services/consent.server";
 
 export const loader = async () => {
   try {
     const whatsappUsers = await getAllWhatsAppUsers();
-    return json({ count: whatsappUsers.length });
+    // Opted-out users are skipped by broadcasts, so leave them out of the count
+    const optedOut = await getMarketingBlockedUserIds(whatsappUsers.map(user => user.id), 'whatsapp');
+    return json({ count: whatsappUsers.length - optedOut.size, optedOut: optedOut.size });
   } catch (error) {
     console.error("Error getting WhatsApp users count:", error);
     return json({ count: 0 });
   }
 };
-
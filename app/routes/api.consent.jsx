@@ -0,0 +1,86 @@
+/**
+ * Marketing Consent API Route
+ * Lists users with their consent status and history, and lets admins change it
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { recordMarketingConsent, CONSENT_STATUS } from "../services/consent.server";
+
+const PAGE_SIZE = 25;
+const CHANNELS = ["whatsapp", "website"];
+
+/**
+ * Handle GET requests
+ * Query params: page, channel, status ("opted_in" | "opted_out" | "none"), search
+ * or userId to return that user's consent history
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+
+  const { getUsersWithMarketingConsent, getMarketingConsentEvents } = await import("../db.server");
+  const url = new URL(request.url);
+
+  const userId = url.searchParams.get("userId");
+  if (userId) {
+    const events = await getMarketingConsentEvents(userId);
+    return json({ events });
+  }
+
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+  const channel = url.searchParams.get("channel") || "whatsapp";
+  const status = url.searchParams.get("status") || undefined;
+  const search = url.searchParams.get("search")?.trim() || undefined;
+
+  const { users, total } = await getUsersWithMarketingConsent({
+    page,
+    pageSize: PAGE_SIZE,
+    channel,
+    status,
+    search
+  });
+
+  return json({
+    users,
+    total,
+    page,
+    pageSize: PAGE_SIZE,
+    hasNext: page * PAGE_SIZE < total,
+    hasPrevious: page > 1
+  });
+}
+
+/**
+ * Handle POST requests - set a user's consent
+ * Body: { userId, channel, status: "opted_in" | "opted_out", note? }
+ */
+export async function action({ request }) {
+  await authenticate.admin(request);
+
+  const { getUserById } = await import("../db.server");
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: 400 });
+  }
+  const { userId, channel, status, note } = body || {};
+
+  if (!CHANNELS.includes(channel)) {
+    return json({ error: `Unknown channel: ${channel}` }, { status: 400 });
+  }
+  if (status !== CONSENT_STATUS.OPTED_IN && status !== CONSENT_STATUS.OPTED_OUT) {
+    return json({ error: `Unknown status: ${status}` }, { status: 400 });
+  }
+  if (!userId || !(await getUserById(userId))) {
+    return json({ error: "User not found" }, { status: 404 });
+  }
+
+  try {
+    const consent = await recordMarketingConsent(userId, channel, status, "admin", note?.trim() || undefined);
+    return json({ success: true, consent });
+  } catch (error) {
+    console.error("Consent: Failed to update consent:", error);
+    return json({ error: "Failed to update consent" }, { status: 500 });
+  }
+}
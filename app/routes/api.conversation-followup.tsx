@@ -2,8 +2,9 @@
  * API Route: Send follow-up messages for inactive conversations
  */
 import { json } from "@remix-run/node";
-import prisma from "../db.server";
-import { sendWhatsAppMessage } from "../utils/whatsapp.server";
+import prisma, { setMessageWhatsAppId } from "../db.server";
+import { sendWhatsAppMessage, getWhatsAppMessageId } from "../utils/whatsapp.server";
+import { getSegmentUserIds } from "../services/segments.server";
 
 export const config = { runtime: 'nodejs' };
 
@@ -16,6 +17,18 @@ export async function loader({ request }) {
     return json({ error: 'Unauthorized' }, { status: 401 });
   }
 
+  // Optional ?segment=<id> limits follow-ups to users in an audience segment
+  const segmentId = new URL(request.url).searchParams.get('segment');
+  let segmentUserIds: Set<string> | null = null;
+  if (segmentId) {
+    try {
+      segmentUserIds = await getSegmentUserIds(segmentId);
+    } catch (error) {
+      return json({ success: false, error: (error as Error).message }, { status: 400 });
+    }
+  }
+  const inSegment = (conv: any) => !segmentUserIds || (!!conv.userId && segmentUserIds.has(conv.userId));
+
   try {
     const now = new Date();
     
@@ -40,7 +53,7 @@ export async function loader({ request }) {
     // Filter in JavaScript to check metadata
     const conversationsForFirstFollowup = allInactiveConversations.filter(conv => {
       const metadata = conv.metadata as any;
-      return !metadata || !metadata.followup1_sent;
+      return inSegment(conv) && (!metadata || !metadata.followup1_sent);
     });
 
     // Find conversations that got the first follow-up 2 minutes ago (120000 ms) and haven't received the second
@@ -64,7 +77,7 @@ export async function loader({ request }) {
     // Filter to get only those with followup1_sent but not followup2_sent
     const conversationsForSecondFollowup = allOldInactiveConversations.filter(conv => {
       const metadata = conv.metadata as any;
-      return metadata && metadata.followup1_sent && !metadata.followup2_sent;
+      return inSegment(conv) && metadata && metadata.followup1_sent && !metadata.followup2_sent;
     });
 
     const results = {
@@ -78,7 +91,7 @@ export async function loader({ request }) {
         const message = "It looks like you may have stepped away. Don't worry I'll remember our conversation and if you need any further help, just send me a message back here.";
         
         // Save the message to conversation history WITHOUT updating lastMessageAt
-        await prisma.message.create({
+        const savedMessage = await prisma.message.create({
           data: {
             conversationId: conversation.id,
             role: 'assistant',
@@ -100,7 +113,11 @@ export async function loader({ request }) {
 
         // Send message based on channel
         if (conversation.channel === 'whatsapp' && conversation.user?.phoneNumber) {
-          await sendWhatsAppMessage(conversation.user.phoneNumber, message);
+          const sendResponse = await sendWhatsAppMessage(conversation.user.phoneNumber, message);
+          const whatsappMessageId = getWhatsAppMessageId(sendResponse);
+          if (whatsappMessageId) {
+            await setMessageWhatsAppId(savedMessage.id, whatsappMessageId);
+          }
         }
 
         results.firstFollowup.sent++;
@@ -117,7 +134,7 @@ export async function loader({ request }) {
         const message = "Do you want to get notified on best sellers, restocks, deals and more?\n\nJoin our WhatsApp community here and be the first to hear about all the latest news: https://chat.whatsapp.com/FKAfXRmPh0bBdI8Syd0lzN";
         
         // Save the message to conversation history WITHOUT updating lastMessageAt
-        await prisma.message.create({
+        const savedMessage = await prisma.message.create({
           data: {
             conversationId: conversation.id,
             role: 'assistant',
@@ -139,7 +156,11 @@ export async function loader({ request }) {
 
         // Send message based on channel
         if (conversation.channel === 'whatsapp' && conversation.user?.phoneNumber) {
-          await sendWhatsAppMessage(conversation.user.phoneNumber, message);
+          const sendResponse = await sendWhatsAppMessage(conversation.user.phoneNumber, message);
+          const whatsappMessageId = getWhatsAppMessageId(sendResponse);
+          if (whatsappMessageId) {
+            await setMessageWhatsAppId(savedMessage.id, whatsappMessageId);
+          }
         }
 
         results.secondFollowup.sent++;
@@ -0,0 +1,63 @@
+/**
+ * Inbound Email API Route
+ * Receives parsed emails from the mail provider's inbound webhook and relays
+ * support's replies to ticket emails into the customer's chat
+ */
+import { json } from "@remix-run/node";
+import { relayInboundEmail } from "../services/inbound-email.server";
+
+const STATUS_CODES = {
+  relayed: 200,
+  ignored: 200,
+  rejected: 403,
+  not_found: 404
+};
+
+// Most inbound webhooks can't set headers, so the secret may also be passed as ?token=
+function isAuthorized(request) {
+  const secret = process.env.INBOUND_EMAIL_SECRET;
+  if (!secret) {
+    return false;
+  }
+  const authToken = request.headers.get('Authorization');
+  const queryToken = new URL(request.url).searchParams.get('token');
+  return authToken === `Bearer ${secret}` || queryToken === secret;
+}
+
+/**
+ * Handle POST requests
+ * Body: JSON { from, subject, text, html? } (or the provider's own format),
+ * or form data with the same fields
+ */
+export async function action({ request }) {
+  if (!isAuthorized(request)) {
+    return json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  let payload;
+  try {
+    const contentType = request.headers.get('Content-Type') || '';
+    payload = contentType.includes('application/json')
+      ? await request.json()
+      : Object.fromEntries(await request.formData());
+  } catch {
+    return json({ error: 'Invalid email payload' }, { status: 400 });
+  }
+
+  try {
+    const result = await relayInboundEmail(payload);
+    if (result.status !== 'relayed') {
+      console.log(`Inbound email: ${result.status} - ${result.reason}`);
+      return json({ success: false, ...result }, { status: STATUS_CODES[result.status] || 400 });
+    }
+    return json({ success: true, ...result });
+  } catch (error) {
+    console.error('Inbound email: Failed to relay reply:', error);
+    const windowClosed = error.code === '131047' || error.message?.includes('MESSAGING_WINDOW_EXPIRED');
+    // 409 tells the provider not to retry; the sender has been emailed about it
+    return json({
+      success: false,
+      error: windowClosed ? 'WhatsApp customer service window has closed' : 'Failed to relay reply'
+    }, { status: windowClosed ? 409 : 502 });
+  }
+}
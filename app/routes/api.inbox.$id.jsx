@@ -0,0 +1,116 @@
+/**
+ * Agent Inbox Conversation API Route
+ * Returns a conversation thread, sends staff replies, pauses or resumes the bot
+ * and summarizes the conversation
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getAgentName, getInboxThread, sendAgentReply } from "../services/inbox.server";
+import {
+  getTakeoverState,
+  startTakeover,
+  releaseTakeover,
+  recordTakeoverActivity
+} from "../services/takeover.server";
+import { summarizeConversation } from "../services/summary.server";
+
+const MAX_REPLY_LENGTH = 4096; // WhatsApp text message limit
+
+/**
+ * Handle GET requests - return the conversation with its messages
+ */
+export async function loader({ params, request }) {
+  await authenticate.admin(request);
+
+  const thread = await getInboxThread(params.id);
+  if (!thread) {
+    return json({ error: "Conversation not found" }, { status: 404 });
+  }
+
+  return json({
+    id: thread.id,
+    channel: thread.channel,
+    user: thread.user,
+    lastMessageAt: thread.lastMessageAt,
+    ticket: thread.tickets[0] || null,
+    takeover: getTakeoverState(thread.metadata),
+    summary: thread.metadata?.summary || null,
+    messages: thread.messages
+  });
+}
+
+/**
+ * Handle POST requests
+ * Body: { intent: "reply", text } to send a reply (this also pauses the bot),
+ *       { intent: "takeover" } to pause the bot,
+ *       { intent: "release" } to hand the conversation back to the bot,
+ *       { intent: "summarize" } to summarize the conversation
+ */
+export async function action({ params, request }) {
+  // Replies and takeovers are recorded against the signed-in staff member
+  const agentName = getAgentName(await authenticate.admin(request));
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: 400 });
+  }
+
+  const intent = body?.intent || "reply";
+
+  const { getConversation } = await import("../db.server");
+  const conversation = await getConversation(params.id);
+  if (!conversation) {
+    return json({ error: "Conversation not found" }, { status: 404 });
+  }
+
+  if (intent === "takeover") {
+    const takeover = await startTakeover(params.id, agentName);
+    return json({ success: true, takeover });
+  }
+
+  if (intent === "release") {
+    if (!getTakeoverState(conversation.metadata).active) {
+      return json({ error: "The bot is not paused for this conversation" }, { status: 409 });
+    }
+    await releaseTakeover(params.id, "agent");
+    return json({ success: true, takeover: { active: false } });
+  }
+
+  if (intent === "summarize") {
+    try {
+      const summary = await summarizeConversation(params.id);
+      return json({ success: true, summary });
+    } catch (error) {
+      console.error(`Inbox: Failed to summarize ${params.id}:`, error);
+      return json({ error: "Failed to summarize conversation" }, { status: 500 });
+    }
+  }
+
+  if (intent !== "reply") {
+    return json({ error: `Unknown intent: ${intent}` }, { status: 400 });
+  }
+
+  const text = typeof body?.text === "string" ? body.text.trim() : "";
+  if (!text) {
+    return json({ error: "Reply text is required" }, { status: 400 });
+  }
+  if (text.length > MAX_REPLY_LENGTH) {
+    return json({ error: `Replies are limited to ${MAX_REPLY_LENGTH} characters` }, { status: 400 });
+  }
+
+  try {
+    const message = await sendAgentReply(params.id, text, agentName);
+    const takeover = await recordTakeoverActivity(params.id, agentName);
+    return json({ success: true, message, takeover });
+  } catch (error) {
+    console.error(`Inbox: Failed to send reply to ${params.id}:`, error);
+    const windowClosed = error.code === "131047" || error.message?.includes("MESSAGING_WINDOW_EXPIRED");
+    return json({
+      error: windowClosed
+        ? "The customer hasn't messaged in the last 24 hours, so WhatsApp won't deliver a free-form reply"
+        : "Failed to send reply"
+    }, { status: windowClosed ? 409 : 502 });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Agent Inbox API Route
+ * Lists conversations for the admin inbox
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { formatInboxMessage, getAgentName } from "../services/inbox.server";
+import { getTakeoverState, releaseExpiredTakeovers, ensureTakeoverReleaseTimer } from "../services/takeover.server";
+
+const PAGE_SIZE = 25;
+
+/**
+ * Handle GET requests - return one page of conversations
+ * Query params: page (1-based), channel ("web" | "whatsapp"),
+ * handoff ("open" | "none"), ticket (ticket reference)
+ */
+export async function loader({ request }) {
+  const adminContext = await authenticate.admin(request);
+  const { getInboxConversations } = await import("../db.server");
+
+  // Hand quiet conversations back to the bot before listing them
+  await releaseExpiredTakeovers().catch((error) => {
+    console.error('Inbox: Failed to release expired takeovers:', error);
+  });
+  ensureTakeoverReleaseTimer();
+
+  const url = new URL(request.url);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+  const channel = url.searchParams.get("channel") || undefined;
+  const handoff = url.searchParams.get("handoff") || undefined;
+  const ticketReference = url.searchParams.get("ticket")?.trim().replace(/^#/, "") || undefined;
+
+  const { conversations, total } = await getInboxConversations({
+    page,
+    pageSize: PAGE_SIZE,
+    channel,
+    handoff,
+    ticketReference
+  });
+
+  return json({
+    conversations: conversations.map((conversation) => ({
+      id: conversation.id,
+      channel: conversation.channel,
+      user: conversation.user,
+      lastMessageAt: conversation.lastMessageAt,
+      messageCount: conversation._count.messages,
+      preview: conversation.messages[0] ? formatInboxMessage(conversation.messages[0])?.text || null : null,
+      ticket: conversation.tickets[0] || null,
+      takeover: getTakeoverState(conversation.metadata)
+    })),
+    total,
+    page,
+    pageSize: PAGE_SIZE,
+    hasNext: page * PAGE_SIZE < total,
+    hasPrevious: page > 1,
+    agentName: getAgentName(adminContext)
+  });
+}
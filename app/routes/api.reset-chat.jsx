@@ -23,16 +23,14 @@ export const action = async ({ request }) => {
     // Delete all messages for this conversation
     await deleteConversationHistory(conversation_id);
 
-    // Reset handoff flag and clear any persisted cart metadata so old carts aren’t reused
+    // Clear any persisted cart metadata so old carts aren’t reused
     await updateConversationMetadata(conversation_id, {
-      handoff_requested: false,
-      handoff_at: null,
       last_cart_id: null,
       last_checkout_url: null,
       last_cart_updated_at: null
     });
 
-    console.log(`Chat reset: Cleared conversation history and reset handoff flag for ${conversation_id}`);
+    console.log(`Chat reset: Cleared conversation history and cart for ${conversation_id}`);
 
     return json({ 
       success: true, 
@@ -0,0 +1,91 @@
+/**
+ * Audience Segments API Route
+ * Lists, saves, deletes and previews the segments broadcasts can target
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { normalizeSegmentRules, previewSegment } from "../services/segments.server";
+
+/**
+ * Handle GET requests - return all saved segments
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+
+  const { getAudienceSegments } = await import("../db.server");
+  const segments = await getAudienceSegments();
+  return json({ segments });
+}
+
+/**
+ * Handle POST requests
+ * Body: { intent: "save", id?, name, description?, rules }
+ *       { intent: "delete", id }
+ *       { intent: "preview", rules } or { intent: "preview", segmentId }
+ */
+export async function action({ request }) {
+  await authenticate.admin(request);
+
+  const { getAudienceSegment, saveAudienceSegment, deleteAudienceSegment } = await import("../db.server");
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: 400 });
+  }
+  const { intent } = body || {};
+
+  try {
+    if (intent === "preview") {
+      let rules = body.rules;
+      if (body.segmentId) {
+        const segment = await getAudienceSegment(body.segmentId);
+        if (!segment) {
+          return json({ error: "Segment not found" }, { status: 404 });
+        }
+        rules = segment.rules;
+      }
+      const { rules: normalized, errors } = normalizeSegmentRules(rules);
+      if (errors.length > 0) {
+        return json({ error: errors.join("; ") }, { status: 400 });
+      }
+      const counts = await previewSegment(normalized);
+      return json({ success: true, counts });
+    }
+
+    if (intent === "save") {
+      const name = typeof body.name === "string" ? body.name.trim() : "";
+      if (!name) {
+        return json({ error: "Segment name is required" }, { status: 400 });
+      }
+      const { rules, errors } = normalizeSegmentRules(body.rules);
+      if (errors.length > 0) {
+        return json({ error: errors.join("; ") }, { status: 400 });
+      }
+      const segment = await saveAudienceSegment({
+        id: body.id || undefined,
+        name,
+        description: body.description?.trim(),
+        rules
+      });
+      return json({ success: true, segment }, { status: body.id ? 200 : 201 });
+    }
+
+    if (intent === "delete") {
+      const deleted = await deleteAudienceSegment(body.id);
+      if (!deleted) {
+        return json({ error: "Segment not found" }, { status: 404 });
+      }
+      return json({ success: true });
+    }
+
+    return json({ error: `Unknown intent: ${intent}` }, { status: 400 });
+  } catch (error) {
+    if (error?.code === "P2002") {
+      return json({ error: "A segment with this name already exists" }, { status: 409 });
+    }
+    console.error(`Segments: Failed to ${intent}:`, error);
+    return json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,5 +1,6 @@
 import { json } from "@remix-run/node";
 import { sendWhatsAppTemplate } from "../utils/whatsapp.server";
+import { normalizePhoneNumber } from "../utils/phone.server";
 
 export const action = async ({ request }) => {
   try {
@@ -15,11 +16,23 @@ export const action = async ({ request }) => {
       });
     }
     
-    console.log('Received WhatsApp invite request for:', phoneNumber);
+    const normalizedPhoneNumber = normalizePhoneNumber(phoneNumber);
+    if (!normalizedPhoneNumber) {
+      return json({ error: "Enter the phone number with its country code, e.g. +44 7700 900123." }, {
+        status: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type',
+        }
+      });
+    }
+    
+    console.log('Received WhatsApp invite request for:', normalizedPhoneNumber);
     
     // Send WhatsApp template message (bypasses 24-hour window)
     // Using the default 'hello_world' template which is pre-approved by Meta
-    const result = await sendWhatsAppTemplate(phoneNumber, 'hello_world', 'en_US');
+    const result = await sendWhatsAppTemplate(normalizedPhoneNumber, 'hello_world', 'en_US');
     
     console.log('WhatsApp template sent successfully. Message ID:', result.messages?.[0]?.id);
     
@@ -0,0 +1,45 @@
+/**
+ * Support Ticket API Route
+ * Updates a ticket's status or assignee from the agent inbox
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { updateTicket, TICKET_STATUSES } from "../services/escalation.server";
+
+/**
+ * Handle POST requests
+ * Body: { status?: "open" | "pending" | "resolved", assignee?: string | null }
+ */
+export async function action({ params, request }) {
+  await authenticate.admin(request);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON" }, { status: 400 });
+  }
+
+  const { status, assignee } = body || {};
+  if (status !== undefined && !TICKET_STATUSES.includes(status)) {
+    return json({ error: `Unknown status: ${status}` }, { status: 400 });
+  }
+  if (assignee !== undefined && assignee !== null && typeof assignee !== "string") {
+    return json({ error: "Assignee must be a name or null" }, { status: 400 });
+  }
+
+  try {
+    const ticket = await updateTicket(params.id, { status, assignee });
+    if (!ticket) {
+      return json({ error: "Ticket not found" }, { status: 404 });
+    }
+    return json({ success: true, ticket });
+  } catch (error) {
+    // Reopening would give the conversation a second active ticket
+    if (error.code === "P2002") {
+      return json({ error: "This conversation already has an open ticket" }, { status: 409 });
+    }
+    console.error(`Tickets: Failed to update ticket ${params.id}:`, error);
+    return json({ error: "Failed to update ticket" }, { status: 500 });
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Claude Usage API Route
+ * Returns the token and cost report for the admin
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getUsageReport } from "../services/usage.server";
+
+const MAX_DAYS = 365;
+
+/**
+ * Handle GET requests - return the usage report
+ * Query params: days (number of days to cover, including today)
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const days = parseInt(url.searchParams.get("days") || "", 10);
+
+  try {
+    const report = await getUsageReport(
+      Number.isFinite(days) ? { days: Math.min(Math.max(days, 1), MAX_DAYS) } : undefined
+    );
+    return json(report);
+  } catch (error) {
+    console.error('Usage: Failed to build usage report:', error);
+    return json({ error: 'Failed to load usage' }, { status: 500 });
+  }
+}
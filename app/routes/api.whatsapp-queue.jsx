@@ -0,0 +1,45 @@
+/**
+ * WhatsApp Queue API Route
+ * Lets a scheduled job (e.g., cron) inspect and drain the inbound WhatsApp queue,
+ * picking up retries after a restart
+ */
+import { json } from "@remix-run/node";
+import { processWhatsAppQueue } from "../services/whatsapp-queue.server";
+
+function isAuthorized(request) {
+  const authToken = request.headers.get('Authorization');
+  return !!process.env.WHATSAPP_QUEUE_SECRET && authToken === `Bearer ${process.env.WHATSAPP_QUEUE_SECRET}`;
+}
+
+/**
+ * Handle GET requests - return queue counts by status
+ */
+export async function loader({ request }) {
+  if (!isAuthorized(request)) {
+    return json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  const { getWhatsAppInboundQueueStats } = await import("../db.server");
+  const stats = await getWhatsAppInboundQueueStats();
+  return json({ success: !!stats, stats });
+}
+
+/**
+ * Handle POST requests - process any jobs that are ready
+ */
+export async function action({ request }) {
+  if (!isAuthorized(request)) {
+    return json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const result = await processWhatsAppQueue();
+    return json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error processing WhatsApp queue:', error);
+    return json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
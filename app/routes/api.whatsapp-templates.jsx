@@ -0,0 +1,57 @@
+/**
+ * WhatsApp Templates API Route
+ * Lists approved message templates so broadcasts can fall back to one
+ * for customers outside the 24-hour window
+ */
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getWhatsAppTemplates } from "../utils/whatsapp.server";
+
+/**
+ * Summarize a template's variables for the broadcast form
+ * @param {Object} template - Template from the WhatsApp API
+ * @returns {Object} Template with header type, body text, variable counts and dynamic buttons
+ */
+function describeTemplate(template) {
+  const components = template.components || [];
+  const header = components.find(component => component.type === 'HEADER');
+  const body = components.find(component => component.type === 'BODY');
+  const buttons = components.find(component => component.type === 'BUTTONS')?.buttons || [];
+  const countVariables = (text) => new Set((text || '').match(/\{\{\d+\}\}/g) || []).size;
+
+  return {
+    name: template.name,
+    language: template.language,
+    category: template.category,
+    headerType: !header ? 'none' : header.format === 'TEXT' ? 'text' : header.format === 'IMAGE' ? 'image' : 'unsupported',
+    headerText: header?.format === 'TEXT' ? header.text : null,
+    headerVariables: header?.format === 'TEXT' ? countVariables(header.text) : 0,
+    bodyText: body?.text || '',
+    bodyVariables: countVariables(body?.text),
+    // URL buttons with a {{1}} suffix and quick replies take a parameter per send
+    buttons: buttons
+      .map((button, index) => ({ index, type: button.type, text: button.text, url: button.url || null }))
+      .filter(button => (button.type === 'URL' && /\{\{\d+\}\}/.test(button.url || '')) || button.type === 'QUICK_REPLY')
+      .map(button => ({ ...button, subType: button.type === 'URL' ? 'url' : 'quick_reply' }))
+  };
+}
+
+/**
+ * Handle GET requests - return approved templates
+ */
+export async function loader({ request }) {
+  await authenticate.admin(request);
+
+  try {
+    const templates = await getWhatsAppTemplates();
+    return json({
+      templates: templates
+        .map(describeTemplate)
+        // Video/document headers aren't supported by the broadcast form
+        .filter(template => template.headerType !== 'unsupported')
+    });
+  } catch (error) {
+    console.error('Error loading WhatsApp templates:', error);
+    return json({ templates: [], error: error.message });
+  }
+}
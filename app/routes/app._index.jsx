@@ -34,6 +34,7 @@ export default function BroadcastCenter() {
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
   const [syncResult, setSyncResult] = useState(null);
+  const [segments, setSegments] = useState([]);
 
   // Load real broadcast data from API
   useEffect(() => {
@@ -52,12 +53,16 @@ export default function BroadcastCenter() {
               ...(entry.channels?.whatsapp ? ['whatsapp'] : [])
             ],
             status: entry.status || 'completed',
-            sentAt: entry.createdAt ? new Date(entry.createdAt).toLocaleString() : null,
-            recipients: (entry.results?.whatsapp?.sent || 0) + (entry.results?.website?.sent || 0),
-            whatsappSent: entry.results?.whatsapp?.sent || 0,
-            whatsappFailed: entry.results?.whatsapp?.failed || 0,
-            websiteSent: entry.results?.website?.sent || 0,
-            websiteFailed: entry.results?.website?.failed || 0
+            sentAt: entry.status === 'scheduled' && entry.scheduledAt
+              ? `Scheduled for ${new Date(entry.scheduledAt).toLocaleString()}`
+              : entry.createdAt ? new Date(entry.createdAt).toLocaleString() : null,
+            // Per-recipient counts for current broadcasts, legacy results blob for older ones
+            recipients: (entry.counts?.whatsapp?.sent ?? entry.results?.whatsapp?.sent ?? 0) +
+              (entry.counts?.website?.sent ?? entry.results?.website?.sent ?? 0),
+            whatsappSent: entry.counts?.whatsapp?.sent ?? entry.results?.whatsapp?.sent ?? 0,
+            whatsappFailed: entry.counts?.whatsapp?.failed ?? entry.results?.whatsapp?.failed ?? 0,
+            websiteSent: entry.counts?.website?.sent ?? entry.results?.website?.sent ?? 0,
+            websiteFailed: entry.counts?.website?.failed ?? entry.results?.website?.failed ?? 0
           }));
           setCampaigns(transformedCampaigns);
         }
@@ -68,7 +73,20 @@ export default function BroadcastCenter() {
       }
     };
 
+    const loadSegments = async () => {
+      try {
+        const res = await fetch("/api/segments");
+        if (res.ok) {
+          const data = await res.json();
+          setSegments(data.segments || []);
+        }
+      } catch (error) {
+        console.error('Error loading segments:', error);
+      }
+    };
+
     loadCampaigns();
+    loadSegments();
   }, []);
 
   const channelOptions = [
@@ -78,9 +96,7 @@ export default function BroadcastCenter() {
 
   const audienceOptions = [
     { label: "All customers", value: "all" },
-    { label: "Active customers", value: "active" },
-    { label: "VIP customers", value: "vip" },
-    { label: "Cart abandoners", value: "abandoned" },
+    ...segments.map((segment) => ({ label: segment.name, value: segment.id })),
   ];
 
   const handleCreateCampaign = useCallback(() => {
@@ -111,22 +127,53 @@ export default function BroadcastCenter() {
     setIsScheduled(false);
   }, []);
 
-  const handleSaveCampaign = useCallback(() => {
-    // Here you would save the campaign to your backend
-    console.log("Saving campaign:", {
-      name: campaignName,
-      message,
-      channels: selectedChannels,
-      audience: audienceType,
-      scheduled: isScheduled ? scheduledDate : null,
-    });
+  const handleSaveCampaign = useCallback(async () => {
+    try {
+      const res = await fetch("/api/broadcast/log", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          heading: campaignName,
+          message,
+          channels: {
+            website: selectedChannels.includes("web"),
+            whatsapp: selectedChannels.includes("whatsapp")
+          },
+          // datetime-local is in the admin's local time; send an absolute timestamp
+          scheduledAt: isScheduled && scheduledDate ? new Date(scheduledDate).toISOString() : null,
+          segmentId: audienceType === "all" ? null : audienceType,
+        }),
+      });
+      if (!res.ok) throw new Error("Failed to create campaign");
+      const entry = await res.json();
+      setCampaigns((prev) => [{
+        id: entry.id,
+        name: campaignName,
+        message: entry.message,
+        channels: selectedChannels,
+        status: entry.status,
+        sentAt: entry.scheduledAt ? `Scheduled for ${new Date(entry.scheduledAt).toLocaleString()}` : null,
+        recipients: 0,
+        whatsappSent: 0,
+        whatsappFailed: 0,
+        websiteSent: 0,
+        websiteFailed: 0
+      }, ...prev]);
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+    }
     handleCloseModal();
   }, [campaignName, message, selectedChannels, audienceType, isScheduled, scheduledDate, handleCloseModal]);
 
   const getStatusBadge = (status) => {
     const statusMap = {
       sent: { status: "success", children: "Sent" },
+      completed: { status: "success", children: "Sent" },
+      partial: { status: "warning", children: "Partial" },
+      failed: { status: "critical", children: "Failed" },
+      processing: { status: "info", children: "Sending" },
       scheduled: { status: "attention", children: "Scheduled" },
+      cancelled: { children: "Cancelled" },
       draft: { status: "info", children: "Draft" },
     };
     return <Badge {...statusMap[status]} />;
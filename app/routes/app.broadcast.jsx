@@ -16,8 +16,92 @@ import {
   DropZone,
   Thumbnail,
   Stack,
+  Pagination,
+  Select,
 } from "@shopify/polaris";
 
+const RECIPIENT_STATUS_TONES = {
+  pending: 'info',
+  sent: undefined,
+  delivered: 'success',
+  read: 'success',
+  failed: 'critical'
+};
+
+// Format a date as the value of a datetime-local input (local time, minute precision)
+function toDateTimeLocal(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Fill a template's {{n}} placeholders with the given values
+function renderTemplateText(text, params) {
+  return (text || '').replace(/\{\{(\d+)\}\}/g, (match, n) => params[Number(n) - 1] || match);
+}
+
+// Paged list of a broadcast's recipients and their delivery status
+function RecipientList({ broadcastId }) {
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    fetch(`/api/broadcast/${broadcastId}/recipients?page=${page}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((result) => { if (isMounted) setData(result); })
+      .catch(() => { /* ignore for POC */ })
+      .finally(() => { if (isMounted) setLoading(false); });
+    return () => { isMounted = false; };
+  }, [broadcastId, page]);
+
+  if (loading && !data) {
+    return <Text as="p" variant="bodySm" tone="subdued">Loading recipients…</Text>;
+  }
+  if (!data || data.total === 0) {
+    return <Text as="p" variant="bodySm" tone="subdued">No recipients recorded for this broadcast.</Text>;
+  }
+
+  return (
+    <BlockStack gap="200">
+      {data.recipients.map((recipient) => (
+        <InlineStack key={recipient.id} gap="200" align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Badge tone={recipient.channel === 'whatsapp' ? 'attention' : 'success'}>
+              {recipient.channel === 'whatsapp' ? 'WhatsApp' : 'Website'}
+            </Badge>
+            {recipient.sentAs === 'template' && <Badge tone="info">Template</Badge>}
+            <Text as="span" variant="bodySm">
+              {recipient.phoneNumber || recipient.conversationId}
+            </Text>
+          </InlineStack>
+          <InlineStack gap="200" blockAlign="center">
+            {recipient.error && (
+              <Text as="span" variant="bodySm" tone="critical">
+                {recipient.errorCode ? `${recipient.errorCode}: ` : ''}{recipient.error}
+              </Text>
+            )}
+            <Badge tone={RECIPIENT_STATUS_TONES[recipient.status]}>{recipient.status}</Badge>
+          </InlineStack>
+        </InlineStack>
+      ))}
+      <InlineStack align="space-between" blockAlign="center">
+        <Text as="span" variant="bodySm" tone="subdued">
+          {(data.page - 1) * data.pageSize + 1}–{Math.min(data.page * data.pageSize, data.total)} of {data.total}
+        </Text>
+        <Pagination
+          hasPrevious={data.hasPrevious}
+          onPrevious={() => setPage((p) => Math.max(p - 1, 1))}
+          hasNext={data.hasNext}
+          onNext={() => setPage((p) => p + 1)}
+        />
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
 export default function BroadcastCenter() {
   const [message, setMessage] = useState("");
   const [heading, setHeading] = useState("");
@@ -28,17 +112,83 @@ export default function BroadcastCenter() {
   const [whatsappUserCount, setWhatsappUserCount] = useState(0);
   const [webUserCount, setWebUserCount] = useState(0);
   const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+  const [scheduleChecked, setScheduleChecked] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState("");
+  const [rescheduleLogId, setRescheduleLogId] = useState(null);
+  const [rescheduleValue, setRescheduleValue] = useState("");
+  const [segments, setSegments] = useState([]);
+  const [segmentId, setSegmentId] = useState("");
+  const [segmentCounts, setSegmentCounts] = useState(null);
+  const [segmentError, setSegmentError] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templatesError, setTemplatesError] = useState(null);
+  const [templateKey, setTemplateKey] = useState("");
+  const [templateHeaderParams, setTemplateHeaderParams] = useState([]);
+  const [templateBodyParams, setTemplateBodyParams] = useState([]);
+  const [templateButtonParams, setTemplateButtonParams] = useState([]);
+  const [templateHeaderImageUrl, setTemplateHeaderImageUrl] = useState("");
+
+  const selectedTemplate = templates.find((template) => `${template.name}|${template.language}` === templateKey);
+
+  // With a segment selected, the preview counts replace the whole-database counts
+  const whatsappAudienceCount = segmentId ? (segmentCounts?.whatsapp ?? 0) : whatsappUserCount;
+  const webAudienceCount = segmentId ? (segmentCounts?.website ?? 0) : webUserCount;
+  const selectedSegment = segments.find((segment) => segment.id === segmentId);
   const [logs, setLogs] = useState([]);
   const [loadingLogs, setLoadingLogs] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [expandedLogId, setExpandedLogId] = useState(null);
 
   const canSend = useMemo(() => {
     const hasChannel = websiteChecked || whatsappChecked;
-    const hasWhatsAppAudience = !whatsappChecked || whatsappUserCount > 0;
-    const hasWebAudience = !websiteChecked || webUserCount > 0;
+    const hasWhatsAppAudience = !whatsappChecked || whatsappAudienceCount > 0;
+    const hasWebAudience = !websiteChecked || webAudienceCount > 0;
     const hasContent = message.trim().length > 0 || heading.trim().length > 0 || imageFile;
-    return hasChannel && hasWhatsAppAudience && hasWebAudience && hasContent;
-  }, [websiteChecked, whatsappChecked, whatsappUserCount, webUserCount, message, heading, imageFile]);
+    const hasSchedule = !scheduleChecked || (scheduledFor && new Date(scheduledFor).getTime() > Date.now());
+    const hasTemplateValues = !whatsappChecked || !selectedTemplate || (
+      [...templateHeaderParams, ...templateBodyParams, ...templateButtonParams].every((value) => value.trim()) &&
+      (selectedTemplate.headerType !== 'image' || imageFile || templateHeaderImageUrl.trim())
+    );
+    return hasChannel && hasWhatsAppAudience && hasWebAudience && hasContent && hasSchedule && hasTemplateValues;
+  }, [websiteChecked, whatsappChecked, whatsappAudienceCount, webAudienceCount, message, heading, imageFile, scheduleChecked, scheduledFor, selectedTemplate, templateHeaderParams, templateBodyParams, templateButtonParams, templateHeaderImageUrl]);
+
+  const handleTemplateChange = useCallback((value) => {
+    const template = templates.find((t) => `${t.name}|${t.language}` === value);
+    setTemplateKey(value);
+    setTemplateHeaderParams(Array(template?.headerVariables || 0).fill(""));
+    setTemplateBodyParams(Array(template?.bodyVariables || 0).fill(""));
+    setTemplateButtonParams(Array(template?.buttons?.length || 0).fill(""));
+    setTemplateHeaderImageUrl("");
+  }, [templates]);
+
+  // Recipient-count preview for the selected segment
+  useEffect(() => {
+    if (!segmentId) {
+      setSegmentCounts(null);
+      setSegmentError(null);
+      return;
+    }
+    let isMounted = true;
+    setSegmentCounts(null);
+    setSegmentError(null);
+    fetch("/api/segments", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ intent: "preview", segmentId }),
+    })
+      .then((res) => res.json())
+      .then((result) => {
+        if (!isMounted) return;
+        if (result.counts) {
+          setSegmentCounts(result.counts);
+        } else {
+          setSegmentError(result.error || "Failed to preview segment");
+        }
+      })
+      .catch(() => { if (isMounted) setSegmentError("Failed to preview segment"); });
+    return () => { isMounted = false; };
+  }, [segmentId]);
 
   const handleImageChange = useCallback((files) => {
     const file = files[0];
@@ -127,8 +277,37 @@ export default function BroadcastCenter() {
       }
     };
     
+    const loadSegments = async () => {
+      try {
+        const res = await fetch("/api/segments");
+        if (res.ok) {
+          const data = await res.json();
+          if (isMounted) setSegments(data.segments || []);
+        }
+      } catch (e) {
+        // ignore for POC
+      }
+    };
+
+    const loadTemplates = async () => {
+      try {
+        const res = await fetch("/api/whatsapp-templates");
+        if (res.ok) {
+          const data = await res.json();
+          if (isMounted) {
+            setTemplates(data.templates || []);
+            setTemplatesError(data.error || null);
+          }
+        }
+      } catch (e) {
+        // ignore for POC
+      }
+    };
+
     loadWhatsAppUserCount();
     loadWebUserCount();
+    loadSegments();
+    loadTemplates();
     
     return () => { 
       isMounted = false; 
@@ -141,7 +320,28 @@ export default function BroadcastCenter() {
         message: message.trim(),
         heading: heading.trim(),
         channels: { website: websiteChecked, whatsapp: whatsappChecked },
+        segmentId: segmentId || null,
       };
+      if (whatsappChecked && selectedTemplate) {
+        payload.template = {
+          name: selectedTemplate.name,
+          language: selectedTemplate.language,
+          headerType: selectedTemplate.headerType,
+          headerParams: templateHeaderParams,
+          headerImageUrl: templateHeaderImageUrl.trim() || null,
+          bodyParams: templateBodyParams,
+          buttonParams: selectedTemplate.buttons.map((button, i) => ({
+            index: button.index,
+            subType: button.subType,
+            value: templateButtonParams[i],
+          })),
+          text: renderTemplateText(selectedTemplate.bodyText, templateBodyParams),
+        };
+      }
+      if (scheduleChecked) {
+        // datetime-local is in the admin's local time; send an absolute timestamp
+        payload.scheduledAt = new Date(scheduledFor).toISOString();
+      }
       
       // If there's an image, we'll need to handle it differently
       if (imageFile) {
@@ -163,10 +363,13 @@ export default function BroadcastCenter() {
       if (!res.ok) throw new Error("Failed to log broadcast");
       const entry = await res.json();
       setLogs((prev) => [entry, ...prev]);
+      setToastMessage(scheduleChecked
+        ? `Broadcast scheduled for ${new Date(entry.scheduledAt).toLocaleString()}`
+        : "Broadcast sent successfully!");
       setShowToast(true);
       
       // Refresh logs after a short delay to show updated status
-      if (whatsappChecked) {
+      if (whatsappChecked && !scheduleChecked) {
         setTimeout(() => {
           handleRefresh();
         }, 3000); // Wait 3 seconds for WhatsApp processing to complete
@@ -174,7 +377,7 @@ export default function BroadcastCenter() {
     } catch (e) {
       // ignore for POC
     }
-  }, [message, heading, websiteChecked, whatsappChecked, imageFile]);
+  }, [message, heading, websiteChecked, whatsappChecked, imageFile, scheduleChecked, scheduledFor, segmentId, selectedTemplate, templateHeaderParams, templateBodyParams, templateButtonParams, templateHeaderImageUrl]);
 
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -205,6 +408,52 @@ export default function BroadcastCenter() {
     }
   }, []);
 
+  // Resume an interrupted broadcast or retry its failed recipients
+  const handleRecipientAction = useCallback(async (broadcastId, intent) => {
+    try {
+      const res = await fetch(`/api/broadcast/${broadcastId}/recipients`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent }),
+      });
+      if (!res.ok) throw new Error("Failed to update broadcast");
+      setLogs((prev) => prev.map((entry) => (
+        entry.id === broadcastId ? { ...entry, status: 'processing', active: true } : entry
+      )));
+      setTimeout(() => {
+        handleRefresh();
+      }, 3000);
+    } catch (e) {
+      // ignore for POC
+    }
+  }, [handleRefresh]);
+
+  // Cancel or reschedule a broadcast that hasn't been sent yet
+  const handleScheduleAction = useCallback(async (broadcastId, intent, scheduledAt) => {
+    try {
+      const res = await fetch(`/api/broadcast/${broadcastId}/schedule`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          intent,
+          ...(scheduledAt ? { scheduledAt: new Date(scheduledAt).toISOString() } : {})
+        }),
+      });
+      if (!res.ok) {
+        // Most likely already dispatched - reload to show the current status
+        handleRefresh();
+        return;
+      }
+      const result = await res.json();
+      setLogs((prev) => prev.map((entry) => (
+        entry.id === broadcastId ? { ...entry, status: result.status, scheduledAt: result.scheduledAt } : entry
+      )));
+      setRescheduleLogId(null);
+    } catch (e) {
+      // ignore for POC
+    }
+  }, [handleRefresh]);
+
   return (
     <Page>
       <TitleBar title="Broadcast Center (POC)" />
@@ -298,15 +547,108 @@ export default function BroadcastCenter() {
                   />
                 </InlineStack>
 
+                <Select
+                  label="Audience"
+                  options={[
+                    { label: "All customers", value: "" },
+                    ...segments.map((segment) => ({ label: segment.name, value: segment.id })),
+                  ]}
+                  value={segmentId}
+                  onChange={setSegmentId}
+                  helpText={segmentError
+                    ? `Preview failed: ${segmentError}`
+                    : selectedSegment?.description || "Manage segments under Audience Segments"}
+                />
+
+                <BlockStack gap="200">
+                  <Checkbox
+                    label="Schedule for later"
+                    checked={scheduleChecked}
+                    onChange={setScheduleChecked}
+                  />
+                  {scheduleChecked && (
+                    <TextField
+                      label="Send at"
+                      type="datetime-local"
+                      value={scheduledFor}
+                      onChange={setScheduledFor}
+                      autoComplete="off"
+                      helpText="Recipients are picked when the broadcast is sent, so new customers before then are included"
+                    />
+                  )}
+                </BlockStack>
+
                 {whatsappChecked && (
                   <Card>
                     <BlockStack gap="200">
                       <Text as="p" variant="bodyMd">
-                        📱 WhatsApp will be sent to <strong>{whatsappUserCount}</strong> users from your database
+                        📱 WhatsApp will be sent to <strong>{segmentId && !segmentCounts ? '…' : whatsappAudienceCount}</strong> users {selectedSegment ? `in "${selectedSegment.name}"` : 'from your database'}
                       </Text>
                       <Text as="p" variant="bodySm" tone="subdued">
-                        This includes all customers who have previously messaged you via WhatsApp
+                        {selectedSegment
+                          ? 'Customers in this segment who have previously messaged you via WhatsApp'
+                          : 'This includes all customers who have previously messaged you via WhatsApp'}
                       </Text>
+                      <Select
+                        label="Template for customers outside the 24-hour window"
+                        options={[
+                          { label: "None - skip those customers", value: "" },
+                          ...templates.map((template) => ({
+                            label: `${template.name} (${template.language})`,
+                            value: `${template.name}|${template.language}`,
+                          })),
+                        ]}
+                        value={templateKey}
+                        onChange={handleTemplateChange}
+                        helpText={templatesError
+                          ? `Couldn't load templates: ${templatesError}`
+                          : "WhatsApp only delivers free-form messages to customers who messaged you in the last 24 hours; everyone else gets this approved template"}
+                      />
+                      {selectedTemplate && (
+                        <BlockStack gap="200">
+                          {selectedTemplate.headerType === 'image' && (
+                            <TextField
+                              label="Header image URL"
+                              value={templateHeaderImageUrl}
+                              onChange={setTemplateHeaderImageUrl}
+                              autoComplete="off"
+                              placeholder="https://…"
+                              helpText="Leave empty to use the broadcast image"
+                            />
+                          )}
+                          {templateHeaderParams.map((value, i) => (
+                            <TextField
+                              key={`header-${i}`}
+                              label={`Header {{${i + 1}}}`}
+                              value={value}
+                              onChange={(v) => setTemplateHeaderParams((prev) => prev.map((p, j) => (j === i ? v : p)))}
+                              autoComplete="off"
+                            />
+                          ))}
+                          {templateBodyParams.map((value, i) => (
+                            <TextField
+                              key={`body-${i}`}
+                              label={`Body {{${i + 1}}}`}
+                              value={value}
+                              onChange={(v) => setTemplateBodyParams((prev) => prev.map((p, j) => (j === i ? v : p)))}
+                              autoComplete="off"
+                            />
+                          ))}
+                          {selectedTemplate.buttons.map((button, i) => (
+                            <TextField
+                              key={`button-${button.index}`}
+                              label={button.subType === 'url' ? `"${button.text}" link suffix` : `"${button.text}" reply payload`}
+                              value={templateButtonParams[i] || ""}
+                              onChange={(v) => setTemplateButtonParams((prev) => prev.map((p, j) => (j === i ? v : p)))}
+                              autoComplete="off"
+                              helpText={button.url || undefined}
+                            />
+                          ))}
+                          <Text as="p" variant="bodySm" tone="subdued">
+                            Template preview: {renderTemplateText(selectedTemplate.bodyText, templateBodyParams)}
+                          </Text>
+                        </BlockStack>
+                      )}
                     </BlockStack>
                   </Card>
                 )}
@@ -315,10 +657,12 @@ export default function BroadcastCenter() {
                   <Card>
                     <BlockStack gap="200">
                       <Text as="p" variant="bodyMd">
-                        💬 Website chat will be sent to <strong>{webUserCount}</strong> users from your database
+                        💬 Website chat will be sent to <strong>{segmentId && !segmentCounts ? '…' : webAudienceCount}</strong> users {selectedSegment ? `in "${selectedSegment.name}"` : 'from your database'}
                       </Text>
                       <Text as="p" variant="bodySm" tone="subdued">
-                        This includes all customers who have used the web chat feature
+                        {selectedSegment
+                          ? 'Customers in this segment who have used the web chat feature'
+                          : 'This includes all customers who have used the web chat feature'}
                       </Text>
                     </BlockStack>
                   </Card>
@@ -332,11 +676,15 @@ export default function BroadcastCenter() {
                     setImagePreview(null);
                     setWebsiteChecked(true);
                     setWhatsappChecked(false);
+                    setScheduleChecked(false);
+                    setScheduledFor("");
+                    setSegmentId("");
+                    handleTemplateChange("");
                   }}>
                     Clear
                   </Button>
                   <Button variant="primary" disabled={!canSend} onClick={handleSend}>
-                    Send Broadcast (POC)
+                    {scheduleChecked ? "Schedule Broadcast" : "Send Broadcast (POC)"}
                   </Button>
                 </InlineStack>
               </BlockStack>
@@ -367,34 +715,120 @@ export default function BroadcastCenter() {
                             <InlineStack gap="200">
                               {entry?.channels?.website && <Badge tone="success">Website</Badge>}
                               {entry?.channels?.whatsapp && <Badge tone="attention">WhatsApp</Badge>}
+                              {entry?.segment && <Badge>{entry.segment.name}</Badge>}
+                              {entry?.template?.name && <Badge tone="info">{`Template: ${entry.template.name}`}</Badge>}
                               {entry?.status && (
                                 <Badge tone={
                                   entry.status === 'completed' ? 'success' :
                                   entry.status === 'failed' ? 'critical' :
-                                  entry.status === 'partial' ? 'warning' : 'info'
+                                  entry.status === 'partial' ? 'warning' :
+                                  entry.status === 'scheduled' ? 'attention' :
+                                  entry.status === 'cancelled' ? undefined : 'info'
                                 }>
                                   {entry.status === 'completed' ? 'Completed' :
                                    entry.status === 'failed' ? 'Failed' :
-                                   entry.status === 'partial' ? 'Partial' : 'Processing'}
+                                   entry.status === 'partial' ? 'Partial' :
+                                   entry.status === 'scheduled' ? 'Scheduled' :
+                                   entry.status === 'cancelled' ? 'Cancelled' :
+                                   entry.active === false ? 'Interrupted' : 'Processing'}
                                 </Badge>
                               )}
                             </InlineStack>
                             <Text as="span" variant="bodySm" tone="subdued">{new Date(entry.createdAt).toLocaleString()}</Text>
                           </InlineStack>
                           <Text as="p" variant="bodyMd">{entry.message}</Text>
-                          {entry?.channels?.whatsapp && (
+                          {entry.scheduledAt && (entry.status === 'scheduled' || entry.status === 'cancelled') && (
                             <Text as="p" variant="bodySm" tone="subdued">
-                              WhatsApp: {entry.results?.whatsapp?.sent || 0} sent, {entry.results?.whatsapp?.failed || 0} failed
-                              {entry.results?.whatsapp?.errors?.length > 0 && (
-                                <span> ({entry.results.whatsapp.errors.length} errors)</span>
+                              {entry.status === 'scheduled' ? 'Sends' : 'Was scheduled for'} {new Date(entry.scheduledAt).toLocaleString()}
+                            </Text>
+                          )}
+                          {entry.status === 'scheduled' && (
+                            <InlineStack gap="200" blockAlign="end">
+                              {rescheduleLogId === entry.id ? (
+                                <>
+                                  <TextField
+                                    label="New send time"
+                                    labelHidden
+                                    type="datetime-local"
+                                    value={rescheduleValue}
+                                    onChange={setRescheduleValue}
+                                    autoComplete="off"
+                                  />
+                                  <Button
+                                    size="slim"
+                                    variant="primary"
+                                    disabled={!rescheduleValue || new Date(rescheduleValue).getTime() <= Date.now()}
+                                    onClick={() => handleScheduleAction(entry.id, 'reschedule', rescheduleValue)}
+                                  >
+                                    Save
+                                  </Button>
+                                  <Button size="slim" onClick={() => setRescheduleLogId(null)}>
+                                    Back
+                                  </Button>
+                                </>
+                              ) : (
+                                <>
+                                  <Button
+                                    size="slim"
+                                    onClick={() => {
+                                      setRescheduleLogId(entry.id);
+                                      setRescheduleValue(toDateTimeLocal(entry.scheduledAt));
+                                    }}
+                                  >
+                                    Reschedule
+                                  </Button>
+                                  <Button size="slim" tone="critical" onClick={() => handleScheduleAction(entry.id, 'cancel')}>
+                                    Cancel broadcast
+                                  </Button>
+                                </>
+                              )}
+                            </InlineStack>
+                          )}
+                          {entry?.channels?.whatsapp && entry.status !== 'scheduled' && entry.status !== 'cancelled' && (
+                            <Text as="p" variant="bodySm" tone="subdued">
+                              {entry.counts ? (
+                                <>
+                                  WhatsApp: {entry.counts.whatsapp.sent} sent, {entry.counts.whatsapp.delivered} delivered, {entry.counts.whatsapp.read} read, {entry.counts.whatsapp.failed} failed
+                                  {entry.counts.whatsapp.pending > 0 && <span>, {entry.counts.whatsapp.pending} pending</span>}
+                                </>
+                              ) : (
+                                <>WhatsApp: {entry.results?.whatsapp?.sent || 0} sent, {entry.results?.whatsapp?.failed || 0} failed</>
                               )}
                             </Text>
                           )}
-                          {entry?.channels?.website && (
+                          {entry?.channels?.website && entry.status !== 'scheduled' && entry.status !== 'cancelled' && (
                             <Text as="p" variant="bodySm" tone="subdued">
-                              Website: {entry.results?.website?.sent || 0} sent, {entry.results?.website?.failed || 0} failed
+                              {entry.counts ? (
+                                <>
+                                  Website: {entry.counts.website.sent} sent, {entry.counts.website.failed} failed
+                                  {entry.counts.website.pending > 0 && <span>, {entry.counts.website.pending} pending</span>}
+                                </>
+                              ) : (
+                                <>Website: {entry.results?.website?.sent || 0} sent, {entry.results?.website?.failed || 0} failed</>
+                              )}
                             </Text>
                           )}
+                          {entry.counts && (
+                            <InlineStack gap="200">
+                              <Button
+                                variant="plain"
+                                onClick={() => setExpandedLogId(expandedLogId === entry.id ? null : entry.id)}
+                              >
+                                {expandedLogId === entry.id ? 'Hide recipients' : 'View recipients'}
+                              </Button>
+                              {!entry.active && entry.status === 'processing' && (
+                                <Button size="slim" onClick={() => handleRecipientAction(entry.id, 'resume')}>
+                                  Resume
+                                </Button>
+                              )}
+                              {!entry.active && (entry.counts.whatsapp.failed + entry.counts.website.failed) > 0 && (
+                                <Button size="slim" onClick={() => handleRecipientAction(entry.id, 'retry')}>
+                                  Retry failed
+                                </Button>
+                              )}
+                            </InlineStack>
+                          )}
+                          {expandedLogId === entry.id && <RecipientList broadcastId={entry.id} />}
                         </BlockStack>
                       </Card>
                     ))}
@@ -439,12 +873,12 @@ export default function BroadcastCenter() {
                 </Card>
                 {websiteChecked && (
                   <Text as="p" variant="bodySm" tone="subdued">
-                    Website recipients: {webUserCount} users from database
+                    Website recipients: {webAudienceCount} users {selectedSegment ? `in "${selectedSegment.name}"` : 'from database'}
                   </Text>
                 )}
                 {whatsappChecked && (
                   <Text as="p" variant="bodySm" tone="subdued">
-                    WhatsApp recipients: {whatsappUserCount} users from database
+                    WhatsApp recipients: {whatsappAudienceCount} users {selectedSegment ? `in "${selectedSegment.name}"` : 'from database'}
                   </Text>
                 )}
               </BlockStack>
@@ -454,7 +888,7 @@ export default function BroadcastCenter() {
 
         {showToast && (
           <Toast
-            content="Broadcast sent successfully!"
+            content={toastMessage}
             onDismiss={() => setShowToast(false)}
             duration={3000}
           />
@@ -0,0 +1,205 @@
+import { useState, useCallback, useEffect } from "react";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Badge,
+  Pagination,
+} from "@shopify/polaris";
+
+const CHANNEL_OPTIONS = [
+  { label: "WhatsApp", value: "whatsapp" },
+  { label: "Website", value: "website" },
+];
+
+const STATUS_OPTIONS = [
+  { label: "Any status", value: "" },
+  { label: "Opted in", value: "opted_in" },
+  { label: "Opted out", value: "opted_out" },
+  { label: "No record", value: "none" },
+];
+
+const STATUS_BADGES = {
+  opted_in: { tone: "success", label: "Opted in" },
+  opted_out: { tone: "critical", label: "Opted out" },
+};
+
+// Consent change history for one user
+function ConsentHistory({ userId }) {
+  const [events, setEvents] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    fetch(`/api/consent?userId=${encodeURIComponent(userId)}`)
+      .then((res) => (res.ok ? res.json() : { events: [] }))
+      .then((data) => { if (isMounted) setEvents(data.events || []); })
+      .catch(() => { if (isMounted) setEvents([]); });
+    return () => { isMounted = false; };
+  }, [userId]);
+
+  if (!events) {
+    return <Text as="p" variant="bodySm" tone="subdued">Loading history…</Text>;
+  }
+  if (events.length === 0) {
+    return <Text as="p" variant="bodySm" tone="subdued">No consent changes recorded.</Text>;
+  }
+
+  return (
+    <BlockStack gap="100">
+      {events.map((event) => (
+        <Text key={event.id} as="p" variant="bodySm" tone="subdued">
+          {new Date(event.createdAt).toLocaleString()} · {event.channel} · {STATUS_BADGES[event.status]?.label || event.status} via {event.source}
+          {event.detail ? ` (${event.detail})` : ""}
+        </Text>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function MarketingConsent() {
+  const [channel, setChannel] = useState("whatsapp");
+  const [status, setStatus] = useState("");
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expandedUserId, setExpandedUserId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    const params = new URLSearchParams({ page: String(page), channel });
+    if (status) params.set("status", status);
+    if (search.trim()) params.set("search", search.trim());
+    fetch(`/api/consent?${params}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((result) => { if (isMounted) setData(result); })
+      .catch(() => { /* ignore for POC */ })
+      .finally(() => { if (isMounted) setLoading(false); });
+    return () => { isMounted = false; };
+  }, [channel, status, search, page, reloadKey]);
+
+  const handleFilterChange = useCallback((setter) => (value) => {
+    setter(value);
+    setPage(1);
+  }, []);
+
+  const handleSetConsent = useCallback(async (userId, newStatus) => {
+    try {
+      const res = await fetch("/api/consent", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userId, channel, status: newStatus, note: "Changed in admin" }),
+      });
+      if (!res.ok) throw new Error("Failed to update consent");
+      setExpandedUserId(null);
+      setReloadKey((key) => key + 1);
+    } catch (e) {
+      // ignore for POC
+    }
+  }, [channel]);
+
+  return (
+    <Page>
+      <TitleBar title="Marketing Consent" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="p" variant="bodySm" tone="subdued">
+                Customers opt out by replying STOP or UNSUBSCRIBE on WhatsApp and opt back in with START.
+                Opted-out customers are skipped by every broadcast.
+              </Text>
+              <InlineStack gap="300" wrap={false}>
+                <Select label="Channel" options={CHANNEL_OPTIONS} value={channel} onChange={handleFilterChange(setChannel)} />
+                <Select label="Status" options={STATUS_OPTIONS} value={status} onChange={handleFilterChange(setStatus)} />
+                <TextField
+                  label="Search"
+                  value={search}
+                  onChange={handleFilterChange(setSearch)}
+                  placeholder="Phone, email or name"
+                  autoComplete="off"
+                />
+              </InlineStack>
+
+              {loading && !data ? (
+                <Text as="p" variant="bodySm" tone="subdued">Loading…</Text>
+              ) : !data || data.total === 0 ? (
+                <Text as="p" variant="bodySm" tone="subdued">No customers match.</Text>
+              ) : (
+                <BlockStack gap="200">
+                  {data.users.map((user) => {
+                    const consent = user.consents.find((c) => c.channel === channel);
+                    const badge = STATUS_BADGES[consent?.status];
+                    return (
+                      <Card key={user.id}>
+                        <BlockStack gap="200">
+                          <InlineStack align="space-between" blockAlign="center">
+                            <BlockStack gap="050">
+                              <Text as="span" variant="bodyMd">
+                                {user.name || user.phoneNumber || user.email || user.id}
+                              </Text>
+                              <Text as="span" variant="bodySm" tone="subdued">
+                                {[user.phoneNumber, user.email].filter(Boolean).join(" · ") || `${user.type} user`}
+                              </Text>
+                            </BlockStack>
+                            <InlineStack gap="200" blockAlign="center">
+                              {badge ? <Badge tone={badge.tone}>{badge.label}</Badge> : <Badge>No record</Badge>}
+                              {consent && (
+                                <Text as="span" variant="bodySm" tone="subdued">
+                                  {consent.source}{consent.detail ? ` (${consent.detail})` : ""} · {new Date(consent.updatedAt).toLocaleString()}
+                                </Text>
+                              )}
+                            </InlineStack>
+                          </InlineStack>
+                          <InlineStack gap="200">
+                            <Button
+                              variant="plain"
+                              onClick={() => setExpandedUserId(expandedUserId === user.id ? null : user.id)}
+                            >
+                              {expandedUserId === user.id ? "Hide history" : "History"}
+                            </Button>
+                            {consent?.status !== "opted_out" && (
+                              <Button size="slim" tone="critical" onClick={() => handleSetConsent(user.id, "opted_out")}>
+                                Opt out
+                              </Button>
+                            )}
+                            {consent?.status !== "opted_in" && (
+                              <Button size="slim" onClick={() => handleSetConsent(user.id, "opted_in")}>
+                                Opt in
+                              </Button>
+                            )}
+                          </InlineStack>
+                          {expandedUserId === user.id && <ConsentHistory userId={user.id} />}
+                        </BlockStack>
+                      </Card>
+                    );
+                  })}
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {(data.page - 1) * data.pageSize + 1}–{Math.min(data.page * data.pageSize, data.total)} of {data.total}
+                    </Text>
+                    <Pagination
+                      hasPrevious={data.hasPrevious}
+                      onPrevious={() => setPage((p) => Math.max(p - 1, 1))}
+                      hasNext={data.hasNext}
+                      onNext={() => setPage((p) => p + 1)}
+                    />
+                  </InlineStack>
+                </BlockStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,487 @@
+import { useState, useCallback, useEffect } from "react";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Box,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Badge,
+  Frame,
+  Toast,
+  Pagination,
+  Link,
+} from "@shopify/polaris";
+
+const THREAD_REFRESH_MS = 10000;
+
+const CHANNEL_OPTIONS = [
+  { label: "All channels", value: "" },
+  { label: "WhatsApp", value: "whatsapp" },
+  { label: "Website", value: "web" },
+];
+
+const HANDOFF_OPTIONS = [
+  { label: "Any", value: "" },
+  { label: "Open ticket", value: "open" },
+  { label: "No open ticket", value: "none" },
+];
+
+const TICKET_STATUS_OPTIONS = [
+  { label: "Open", value: "open" },
+  { label: "Pending", value: "pending" },
+  { label: "Resolved", value: "resolved" },
+];
+
+const TICKET_STATUS_TONES = {
+  open: "attention",
+  pending: "info",
+  resolved: "success",
+};
+
+const AUTHOR_LABELS = {
+  customer: "Customer",
+  bot: "Bot",
+  agent: "Agent",
+};
+
+const SENTIMENT_TONES = {
+  positive: "success",
+  neutral: undefined,
+  negative: "critical",
+};
+
+// Structured conversation summary, generated on request
+function ConversationSummary({ summary, lastMessageAt, summarizing, onSummarize }) {
+  const isStale = summary && lastMessageAt && new Date(lastMessageAt) > new Date(summary.coversUntil);
+  return (
+    <Box padding="300" borderRadius="200" background="bg-surface-secondary">
+      <BlockStack gap="200">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text as="h3" variant="headingSm">Summary</Text>
+            {summary && (
+              <Badge tone={SENTIMENT_TONES[summary.sentiment]}>{summary.sentiment}</Badge>
+            )}
+            {isStale && <Badge tone="attention">New messages since</Badge>}
+          </InlineStack>
+          <Button size="slim" onClick={onSummarize} loading={summarizing}>
+            {summary ? "Refresh summary" : "Summarize"}
+          </Button>
+        </InlineStack>
+        {summary && (
+          <BlockStack gap="100">
+            <Text as="p" variant="bodySm"><b>Intent:</b> {summary.intent}</Text>
+            <Text as="p" variant="bodySm">
+              <b>Products:</b> {summary.products.length > 0 ? summary.products.join(", ") : "None"}
+            </Text>
+            <Text as="p" variant="bodySm"><b>Cart:</b> {summary.cart}</Text>
+            {summary.unresolvedQuestions.length > 0 && (
+              <Text as="p" variant="bodySm"><b>Unresolved:</b> {summary.unresolvedQuestions.join(" · ")}</Text>
+            )}
+            <Text as="p" variant="bodySm" tone="subdued">
+              {summary.source === "basic" ? "Basic summary (AI summary unavailable)" : "AI summary"} · {new Date(summary.generatedAt).toLocaleString()}
+            </Text>
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Box>
+  );
+}
+
+// Best name to show for a conversation's customer
+function customerLabel(conversation) {
+  const user = conversation.user;
+  return user?.name || user?.phoneNumber || user?.email || conversation.id;
+}
+
+// Message thread and reply box for one conversation
+function ConversationThread({ conversationId, agentName, onReplySent, onError }) {
+  const [thread, setThread] = useState(null);
+  const [reply, setReply] = useState("");
+  const [sending, setSending] = useState(false);
+  const [summarizing, setSummarizing] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true;
+    const load = () => {
+      fetch(`/api/inbox/${encodeURIComponent(conversationId)}`)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => { if (isMounted && data) setThread(data); })
+        .catch(() => { /* ignore for POC */ });
+    };
+    load();
+    // Keep the thread live while it's open
+    const interval = setInterval(load, THREAD_REFRESH_MS);
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [conversationId, reloadKey]);
+
+  const handleTakeover = useCallback(async (intent) => {
+    try {
+      const res = await fetch(`/api/inbox/${encodeURIComponent(conversationId)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to update the bot");
+      setReloadKey((key) => key + 1);
+    } catch (e) {
+      onError(e.message);
+    }
+  }, [conversationId, onError]);
+
+  const handleSummarize = useCallback(async () => {
+    setSummarizing(true);
+    try {
+      const res = await fetch(`/api/inbox/${encodeURIComponent(conversationId)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent: "summarize" }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to summarize conversation");
+      setReloadKey((key) => key + 1);
+    } catch (e) {
+      onError(e.message);
+    } finally {
+      setSummarizing(false);
+    }
+  }, [conversationId, onError]);
+
+  const handleTicketUpdate = useCallback(async (changes) => {
+    try {
+      const res = await fetch(`/api/tickets/${thread.ticket.id}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(changes),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to update ticket");
+      setReloadKey((key) => key + 1);
+    } catch (e) {
+      onError(e.message);
+    }
+  }, [thread, onError]);
+
+  const handleSend = useCallback(async () => {
+    if (!reply.trim()) return;
+    setSending(true);
+    try {
+      const res = await fetch(`/api/inbox/${encodeURIComponent(conversationId)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent: "reply", text: reply }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to send reply");
+      setReply("");
+      setReloadKey((key) => key + 1);
+      onReplySent();
+    } catch (e) {
+      onError(e.message);
+    } finally {
+      setSending(false);
+    }
+  }, [conversationId, reply, onReplySent, onError]);
+
+  if (!thread) {
+    return (
+      <Card>
+        <Text as="p" variant="bodySm" tone="subdued">Loading conversation…</Text>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="050">
+            <Text as="h2" variant="headingMd">{customerLabel(thread)}</Text>
+            <Text as="span" variant="bodySm" tone="subdued">
+              {[thread.user?.phoneNumber, thread.user?.email].filter(Boolean).join(" · ") || thread.id}
+            </Text>
+          </BlockStack>
+          <InlineStack gap="200">
+            <Badge>{thread.channel === "whatsapp" ? "WhatsApp" : "Website"}</Badge>
+            {thread.ticket && (
+              <Badge tone={TICKET_STATUS_TONES[thread.ticket.status]}>
+                {`Ticket #${thread.ticket.reference} · ${thread.ticket.status}`}
+              </Badge>
+            )}
+          </InlineStack>
+        </InlineStack>
+
+        {thread.ticket && (
+          <BlockStack gap="200">
+            {thread.ticket.reason && (
+              <Text as="p" variant="bodySm">Reason: {thread.ticket.reason}</Text>
+            )}
+            {thread.ticket.externalUrl && (
+              <Text as="p" variant="bodySm">
+                <Link url={thread.ticket.externalUrl} target="_blank">
+                  Open in {thread.ticket.helpdesk || "helpdesk"}{thread.ticket.externalId ? ` (${thread.ticket.externalId})` : ""}
+                </Link>
+              </Text>
+            )}
+            <InlineStack gap="300" blockAlign="end">
+              <Select
+                label="Ticket status"
+                options={TICKET_STATUS_OPTIONS}
+                value={thread.ticket.status}
+                onChange={(status) => handleTicketUpdate({ status })}
+              />
+              <Text as="span" variant="bodySm" tone="subdued">
+                {thread.ticket.assignee ? `Assigned to ${thread.ticket.assignee}` : "Unassigned"}
+              </Text>
+              {agentName.trim() && thread.ticket.assignee !== agentName.trim() && (
+                <Button size="slim" onClick={() => handleTicketUpdate({ assignee: agentName.trim() })}>
+                  Assign to me
+                </Button>
+              )}
+              {thread.ticket.assignee && (
+                <Button size="slim" variant="plain" onClick={() => handleTicketUpdate({ assignee: null })}>
+                  Unassign
+                </Button>
+              )}
+            </InlineStack>
+          </BlockStack>
+        )}
+
+        <ConversationSummary
+          summary={thread.summary}
+          lastMessageAt={thread.lastMessageAt}
+          summarizing={summarizing}
+          onSummarize={handleSummarize}
+        />
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text as="span" variant="bodySm" tone="subdued">
+            {thread.takeover.active
+              ? `Bot paused by ${thread.takeover.by}${thread.takeover.expiresAt ? ` · hands back ${new Date(thread.takeover.expiresAt).toLocaleString()} if nobody replies` : ""}`
+              : "The bot is answering this conversation."}
+          </Text>
+          {thread.takeover.active ? (
+            <Button size="slim" onClick={() => handleTakeover("release")}>Hand back to bot</Button>
+          ) : (
+            <Button size="slim" onClick={() => handleTakeover("takeover")}>Pause bot</Button>
+          )}
+        </InlineStack>
+
+        <BlockStack gap="200">
+          {thread.messages.length === 0 ? (
+            <Text as="p" variant="bodySm" tone="subdued">No messages yet.</Text>
+          ) : (
+            thread.messages.map((message) => (
+              <Box
+                key={message.id}
+                padding="300"
+                borderRadius="200"
+                background={message.author === "customer" ? "bg-surface-secondary" : message.author === "agent" ? "bg-surface-info" : "bg-surface"}
+                borderWidth="025"
+                borderColor="border"
+              >
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="span" variant="bodySm" fontWeight="semibold">
+                      {message.author === "agent" ? `${AUTHOR_LABELS.agent} · ${message.sentBy}` : AUTHOR_LABELS[message.author]}
+                    </Text>
+                    <Text as="span" variant="bodySm" tone="subdued">
+                      {new Date(message.createdAt).toLocaleString()}
+                    </Text>
+                    {message.whatsappStatus && (
+                      <Badge tone={message.whatsappStatus === "failed" ? "critical" : undefined}>
+                        {message.whatsappStatus}
+                      </Badge>
+                    )}
+                  </InlineStack>
+                  <Text as="p" variant="bodyMd">
+                    <span style={{ whiteSpace: "pre-wrap" }}>{message.text}</span>
+                  </Text>
+                  {message.whatsappError && (
+                    <Text as="p" variant="bodySm" tone="critical">{message.whatsappError}</Text>
+                  )}
+                </BlockStack>
+              </Box>
+            ))
+          )}
+        </BlockStack>
+
+        <TextField
+          label="Reply"
+          value={reply}
+          onChange={setReply}
+          multiline={3}
+          autoComplete="off"
+          helpText={`${thread.channel === "whatsapp"
+            ? "Sent to the customer on WhatsApp. Free-form replies only reach customers who messaged in the last 24 hours."
+            : "Shown in the customer's chat widget next time it checks for messages."} Replying pauses the bot.`}
+        />
+        <InlineStack align="end">
+          <Button variant="primary" onClick={handleSend} loading={sending} disabled={!reply.trim()}>
+            Send reply
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function Inbox() {
+  const [channel, setChannel] = useState("");
+  const [handoff, setHandoff] = useState("");
+  const [ticket, setTicket] = useState("");
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [showToast, setShowToast] = useState(false);
+  const [toastMessage, setToastMessage] = useState("");
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    const params = new URLSearchParams({ page: String(page) });
+    if (channel) params.set("channel", channel);
+    if (handoff) params.set("handoff", handoff);
+    if (ticket.trim()) params.set("ticket", ticket.trim());
+    fetch(`/api/inbox?${params}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((result) => { if (isMounted) setData(result); })
+      .catch(() => { /* ignore for POC */ })
+      .finally(() => { if (isMounted) setLoading(false); });
+    return () => { isMounted = false; };
+  }, [channel, handoff, ticket, page, reloadKey]);
+
+  const handleFilterChange = useCallback((setter) => (value) => {
+    setter(value);
+    setPage(1);
+  }, []);
+
+  const handleReplySent = useCallback(() => {
+    setToastMessage("Reply sent");
+    setShowToast(true);
+    setReloadKey((key) => key + 1);
+  }, []);
+
+  const handleError = useCallback((message) => {
+    setToastMessage(message);
+    setShowToast(true);
+  }, []);
+
+  return (
+    <Page fullWidth>
+      <TitleBar title="Inbox" />
+      <Frame>
+        <Layout>
+          <Layout.Section variant="oneThird">
+            <Card>
+              <BlockStack gap="300">
+                <Select label="Channel" options={CHANNEL_OPTIONS} value={channel} onChange={handleFilterChange(setChannel)} />
+                <Select label="Support ticket" options={HANDOFF_OPTIONS} value={handoff} onChange={handleFilterChange(setHandoff)} />
+                <TextField
+                  label="Ticket reference"
+                  value={ticket}
+                  onChange={handleFilterChange(setTicket)}
+                  placeholder="#123"
+                  autoComplete="off"
+                />
+
+                {loading && !data ? (
+                  <Text as="p" variant="bodySm" tone="subdued">Loading…</Text>
+                ) : !data || data.total === 0 ? (
+                  <Text as="p" variant="bodySm" tone="subdued">No conversations match.</Text>
+                ) : (
+                  <BlockStack gap="200">
+                    {data.conversations.map((conversation) => (
+                      <Box
+                        key={conversation.id}
+                        padding="200"
+                        borderRadius="200"
+                        borderWidth="025"
+                        borderColor={conversation.id === selectedId ? "border-focus" : "border"}
+                      >
+                        <BlockStack gap="100">
+                          <InlineStack align="space-between" blockAlign="center">
+                            <Button variant="plain" onClick={() => setSelectedId(conversation.id)}>
+                              {customerLabel(conversation)}
+                            </Button>
+                            <InlineStack gap="100">
+                              <Badge>{conversation.channel === "whatsapp" ? "WhatsApp" : "Website"}</Badge>
+                              {conversation.ticket && conversation.ticket.status !== "resolved" && (
+                                <Badge tone={TICKET_STATUS_TONES[conversation.ticket.status]}>
+                                  {`#${conversation.ticket.reference}`}
+                                </Badge>
+                              )}
+                              {conversation.takeover.active && <Badge tone="info">Bot paused</Badge>}
+                            </InlineStack>
+                          </InlineStack>
+                          {conversation.preview && (
+                            <Text as="p" variant="bodySm" tone="subdued" truncate>
+                              {conversation.preview}
+                            </Text>
+                          )}
+                          <Text as="span" variant="bodySm" tone="subdued">
+                            {conversation.lastMessageAt ? new Date(conversation.lastMessageAt).toLocaleString() : "No messages"} · {conversation.messageCount} messages
+                          </Text>
+                        </BlockStack>
+                      </Box>
+                    ))}
+                    <InlineStack align="space-between" blockAlign="center">
+                      <Text as="span" variant="bodySm" tone="subdued">
+                        {(data.page - 1) * data.pageSize + 1}–{Math.min(data.page * data.pageSize, data.total)} of {data.total}
+                      </Text>
+                      <Pagination
+                        hasPrevious={data.hasPrevious}
+                        onPrevious={() => setPage((p) => Math.max(p - 1, 1))}
+                        hasNext={data.hasNext}
+                        onNext={() => setPage((p) => p + 1)}
+                      />
+                    </InlineStack>
+                  </BlockStack>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <BlockStack gap="400">
+              {selectedId ? (
+                <ConversationThread
+                  key={selectedId}
+                  conversationId={selectedId}
+                  agentName={data?.agentName || ""}
+                  onReplySent={handleReplySent}
+                  onError={handleError}
+                />
+              ) : (
+                <Card>
+                  <Text as="p" variant="bodySm" tone="subdued">Select a conversation to read it and reply.</Text>
+                </Card>
+              )}
+            </BlockStack>
+          </Layout.Section>
+        </Layout>
+
+        {showToast && (
+          <Toast
+            content={toastMessage}
+            onDismiss={() => setShowToast(false)}
+            duration={3000}
+          />
+        )}
+      </Frame>
+    </Page>
+  );
+}
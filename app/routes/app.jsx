@@ -22,9 +22,21 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/inbox">
+          Inbox
+        </Link>
         <Link to="/app/broadcast">
           Broadcast Center
         </Link>
+        <Link to="/app/segments">
+          Audience Segments
+        </Link>
+        <Link to="/app/consent">
+          Marketing Consent
+        </Link>
+        <Link to="/app/usage">
+          AI Usage
+        </Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
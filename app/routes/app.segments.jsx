@@ -0,0 +1,378 @@
+import { useState, useCallback, useEffect } from "react";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Badge,
+  Banner,
+} from "@shopify/polaris";
+
+const USER_TYPE_OPTIONS = [
+  { label: "Any channel", value: "" },
+  { label: "WhatsApp users", value: "whatsapp" },
+  { label: "Web chat users", value: "web" },
+];
+
+const YES_NO_OPTIONS = [
+  { label: "Don't filter", value: "" },
+  { label: "Yes", value: "yes" },
+  { label: "No", value: "no" },
+];
+
+const FIELD_OPTIONS = [
+  { label: "Email", value: "email" },
+  { label: "Name", value: "name" },
+  { label: "Phone number", value: "phoneNumber" },
+  { label: "Shopify customer ID", value: "shopifyCustomerId" },
+  { label: "Metadata key…", value: "metadata" },
+];
+
+const OPERATOR_OPTIONS = [
+  { label: "is set", value: "exists" },
+  { label: "is not set", value: "missing" },
+  { label: "equals", value: "equals" },
+  { label: "does not equal", value: "notEquals" },
+  { label: "contains", value: "contains" },
+];
+
+const EMPTY_FORM = {
+  id: null,
+  name: "",
+  description: "",
+  userType: "",
+  lastMessageWithinDays: "",
+  noMessageForDays: "",
+  hasAbandonedCart: "",
+  hasOpenHandoff: "",
+  shopifyTags: "",
+  fields: [],
+};
+
+// Convert between the editor's form state and the rules stored on a segment
+function formToRules(form) {
+  const toBoolean = (value) => (value === "" ? undefined : value === "yes");
+  return {
+    userType: form.userType || undefined,
+    lastMessageWithinDays: form.lastMessageWithinDays || undefined,
+    noMessageForDays: form.noMessageForDays || undefined,
+    hasAbandonedCart: toBoolean(form.hasAbandonedCart),
+    hasOpenHandoff: toBoolean(form.hasOpenHandoff),
+    shopifyTags: form.shopifyTags.split(",").map((tag) => tag.trim()).filter(Boolean),
+    fields: form.fields.map((condition) => ({
+      field: condition.field === "metadata" ? `metadata.${condition.metadataKey.trim()}` : condition.field,
+      operator: condition.operator,
+      value: condition.value,
+    })),
+  };
+}
+
+function segmentToForm(segment) {
+  const rules = segment.rules || {};
+  const fromBoolean = (value) => (typeof value === "boolean" ? (value ? "yes" : "no") : "");
+  return {
+    id: segment.id,
+    name: segment.name,
+    description: segment.description || "",
+    userType: rules.userType || "",
+    lastMessageWithinDays: rules.lastMessageWithinDays ? String(rules.lastMessageWithinDays) : "",
+    noMessageForDays: rules.noMessageForDays ? String(rules.noMessageForDays) : "",
+    hasAbandonedCart: fromBoolean(rules.hasAbandonedCart),
+    hasOpenHandoff: fromBoolean(rules.hasOpenHandoff),
+    shopifyTags: (rules.shopifyTags || []).join(", "),
+    fields: (rules.fields || []).map((condition) => {
+      const isMetadata = condition.field.startsWith("metadata.");
+      return {
+        field: isMetadata ? "metadata" : condition.field,
+        metadataKey: isMetadata ? condition.field.slice("metadata.".length) : "",
+        operator: condition.operator,
+        value: condition.value || "",
+      };
+    }),
+  };
+}
+
+// Human-readable summary of a segment's rules for the list
+function describeRules(rules = {}) {
+  const parts = [];
+  if (rules.userType) parts.push(rules.userType === "whatsapp" ? "WhatsApp users" : "Web chat users");
+  if (rules.lastMessageWithinDays) parts.push(`messaged in last ${rules.lastMessageWithinDays}d`);
+  if (rules.noMessageForDays) parts.push(`quiet for ${rules.noMessageForDays}d+`);
+  if (typeof rules.hasAbandonedCart === "boolean") parts.push(rules.hasAbandonedCart ? "abandoned cart" : "no abandoned cart");
+  if (typeof rules.hasOpenHandoff === "boolean") parts.push(rules.hasOpenHandoff ? "open support ticket" : "no open support ticket");
+  if (rules.shopifyTags?.length) parts.push(`tagged ${rules.shopifyTags.join(" or ")}`);
+  for (const condition of rules.fields || []) {
+    parts.push(`${condition.field} ${condition.operator}${condition.value !== undefined ? ` "${condition.value}"` : ""}`);
+  }
+  return parts.length > 0 ? parts.join(" · ") : "Everyone";
+}
+
+export default function AudienceSegments() {
+  const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSegments = useCallback(async () => {
+    try {
+      const res = await fetch("/api/segments");
+      if (res.ok) {
+        const data = await res.json();
+        setSegments(data.segments || []);
+      }
+    } catch (e) {
+      // ignore for POC
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSegments();
+  }, [loadSegments]);
+
+  const updateForm = useCallback((key) => (value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    setPreview(null);
+  }, []);
+
+  const updateCondition = useCallback((index, key, value) => {
+    setForm((prev) => ({
+      ...prev,
+      fields: prev.fields.map((condition, i) => (i === index ? { ...condition, [key]: value } : condition)),
+    }));
+    setPreview(null);
+  }, []);
+
+  const postSegments = useCallback(async (body) => {
+    const res = await fetch("/api/segments", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Request failed");
+    return data;
+  }, []);
+
+  const handlePreview = useCallback(async () => {
+    setPreviewing(true);
+    setError(null);
+    try {
+      const data = await postSegments({ intent: "preview", rules: formToRules(form) });
+      setPreview(data.counts);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setPreviewing(false);
+    }
+  }, [form, postSegments]);
+
+  const handleSave = useCallback(async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await postSegments({
+        intent: "save",
+        id: form.id,
+        name: form.name,
+        description: form.description,
+        rules: formToRules(form),
+      });
+      setForm(EMPTY_FORM);
+      setPreview(null);
+      await loadSegments();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSaving(false);
+    }
+  }, [form, postSegments, loadSegments]);
+
+  const handleDelete = useCallback(async (segmentId) => {
+    setError(null);
+    try {
+      await postSegments({ intent: "delete", id: segmentId });
+      setSegments((prev) => prev.filter((segment) => segment.id !== segmentId));
+      if (form.id === segmentId) setForm(EMPTY_FORM);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, [form.id, postSegments]);
+
+  return (
+    <Page>
+      <TitleBar title="Audience Segments" />
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">{form.id ? "Edit segment" : "New segment"}</Text>
+              {error && (
+                <Banner tone="critical" onDismiss={() => setError(null)}>
+                  {error}
+                </Banner>
+              )}
+              <TextField label="Name" value={form.name} onChange={updateForm("name")} autoComplete="off" />
+              <TextField label="Description (optional)" value={form.description} onChange={updateForm("description")} autoComplete="off" />
+              <Select label="Channel" options={USER_TYPE_OPTIONS} value={form.userType} onChange={updateForm("userType")} />
+              <InlineStack gap="400" wrap={false}>
+                <TextField
+                  label="Messaged within (days)"
+                  type="number"
+                  min={1}
+                  value={form.lastMessageWithinDays}
+                  onChange={updateForm("lastMessageWithinDays")}
+                  autoComplete="off"
+                />
+                <TextField
+                  label="No messages for (days)"
+                  type="number"
+                  min={1}
+                  value={form.noMessageForDays}
+                  onChange={updateForm("noMessageForDays")}
+                  autoComplete="off"
+                />
+              </InlineStack>
+              <InlineStack gap="400" wrap={false}>
+                <Select label="Has an abandoned cart" options={YES_NO_OPTIONS} value={form.hasAbandonedCart} onChange={updateForm("hasAbandonedCart")} />
+                <Select label="Has an open support ticket" options={YES_NO_OPTIONS} value={form.hasOpenHandoff} onChange={updateForm("hasOpenHandoff")} />
+              </InlineStack>
+              <TextField
+                label="Shopify customer tags"
+                value={form.shopifyTags}
+                onChange={updateForm("shopifyTags")}
+                autoComplete="off"
+                helpText="Comma separated; customers with any of these tags match"
+              />
+
+              <BlockStack gap="200">
+                <Text as="h3" variant="headingSm">Customer fields</Text>
+                {form.fields.map((condition, index) => (
+                  <InlineStack key={index} gap="200" blockAlign="end" wrap={false}>
+                    <Select
+                      label="Field"
+                      labelHidden
+                      options={FIELD_OPTIONS}
+                      value={condition.field}
+                      onChange={(value) => updateCondition(index, "field", value)}
+                    />
+                    {condition.field === "metadata" && (
+                      <TextField
+                        label="Metadata key"
+                        labelHidden
+                        placeholder="key"
+                        value={condition.metadataKey}
+                        onChange={(value) => updateCondition(index, "metadataKey", value)}
+                        autoComplete="off"
+                      />
+                    )}
+                    <Select
+                      label="Operator"
+                      labelHidden
+                      options={OPERATOR_OPTIONS}
+                      value={condition.operator}
+                      onChange={(value) => updateCondition(index, "operator", value)}
+                    />
+                    {condition.operator !== "exists" && condition.operator !== "missing" && (
+                      <TextField
+                        label="Value"
+                        labelHidden
+                        value={condition.value}
+                        onChange={(value) => updateCondition(index, "value", value)}
+                        autoComplete="off"
+                      />
+                    )}
+                    <Button
+                      variant="plain"
+                      tone="critical"
+                      onClick={() => setForm((prev) => ({ ...prev, fields: prev.fields.filter((_, i) => i !== index) }))}
+                    >
+                      Remove
+                    </Button>
+                  </InlineStack>
+                ))}
+                <InlineStack>
+                  <Button
+                    size="slim"
+                    onClick={() => setForm((prev) => ({
+                      ...prev,
+                      fields: [...prev.fields, { field: "email", metadataKey: "", operator: "exists", value: "" }],
+                    }))}
+                  >
+                    Add condition
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+
+              {preview && (
+                <Text as="p" variant="bodyMd">
+                  Matches <strong>{preview.total}</strong> customers: {preview.whatsapp} reachable on WhatsApp, {preview.website} on web chat
+                </Text>
+              )}
+
+              <InlineStack gap="300" align="end">
+                {form.id && (
+                  <Button variant="secondary" onClick={() => { setForm(EMPTY_FORM); setPreview(null); }}>
+                    Cancel
+                  </Button>
+                )}
+                <Button onClick={handlePreview} loading={previewing}>
+                  Preview recipients
+                </Button>
+                <Button variant="primary" onClick={handleSave} loading={saving} disabled={!form.name.trim()}>
+                  {form.id ? "Save changes" : "Save segment"}
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <Text as="h2" variant="headingMd">Saved segments</Text>
+              {loading ? (
+                <Text as="p" variant="bodySm" tone="subdued">Loading…</Text>
+              ) : segments.length === 0 ? (
+                <Text as="p" variant="bodySm" tone="subdued">No segments yet.</Text>
+              ) : (
+                segments.map((segment) => (
+                  <Card key={segment.id}>
+                    <BlockStack gap="200">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <Text as="h3" variant="headingSm">{segment.name}</Text>
+                        {form.id === segment.id && <Badge tone="info">Editing</Badge>}
+                      </InlineStack>
+                      {segment.description && (
+                        <Text as="p" variant="bodySm">{segment.description}</Text>
+                      )}
+                      <Text as="p" variant="bodySm" tone="subdued">{describeRules(segment.rules)}</Text>
+                      <InlineStack gap="200">
+                        <Button size="slim" onClick={() => { setForm(segmentToForm(segment)); setPreview(null); }}>
+                          Edit
+                        </Button>
+                        <Button size="slim" tone="critical" onClick={() => handleDelete(segment.id)}>
+                          Delete
+                        </Button>
+                      </InlineStack>
+                    </BlockStack>
+                  </Card>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,172 @@
+import { useState, useEffect } from "react";
+import { TitleBar } from "@shopify/app-bridge-react";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  Badge,
+  Banner,
+  DataTable,
+} from "@shopify/polaris";
+
+const DAY_OPTIONS = [
+  { label: "Last 7 days", value: "7" },
+  { label: "Last 30 days", value: "30" },
+  { label: "Last 90 days", value: "90" },
+];
+
+const numberFormat = new Intl.NumberFormat();
+
+function formatCost(value, currency) {
+  if (value === null || value === undefined) return "—";
+  return new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: currency || "USD",
+    maximumFractionDigits: value < 1 ? 4 : 2,
+  }).format(value);
+}
+
+function formatTokens(value) {
+  return value === null || value === undefined ? "—" : numberFormat.format(value);
+}
+
+// One headline figure
+function Stat({ label, value }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text as="span" variant="bodySm" tone="subdued">{label}</Text>
+        <Text as="span" variant="headingLg">{value}</Text>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function AiUsage() {
+  const [days, setDays] = useState("30");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    fetch(`/api/usage?days=${days}`)
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error("Failed to load usage"))))
+      .then((data) => { if (isMounted) { setReport(data); setError(null); } })
+      .catch((e) => { if (isMounted) setError(e.message); })
+      .finally(() => { if (isMounted) setLoading(false); });
+    return () => { isMounted = false; };
+  }, [days]);
+
+  const currency = report?.currency;
+  const dailyRows = (report?.daily || []).slice().reverse().map((day) => [
+    day.date,
+    numberFormat.format(day.requests),
+    formatTokens(day.inputTokens),
+    formatTokens(day.outputTokens),
+    formatTokens(day.cacheReadInputTokens),
+    formatCost(day.cost, currency),
+  ]);
+  const conversationRows = (report?.topConversations || []).map((conversation) => [
+    conversation.customer || conversation.conversationId,
+    conversation.channel || "—",
+    numberFormat.format(conversation.requests),
+    formatTokens(conversation.totalTokens),
+    formatCost(conversation.cost, currency),
+    conversation.resolved ? <Badge tone="success">Resolved</Badge> : <Badge>Open</Badge>,
+  ]);
+
+  return (
+    <Page>
+      <TitleBar title="AI Usage" />
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <InlineStack align="space-between" blockAlign="end">
+              <Text as="p" variant="bodySm" tone="subdued">
+                Token use and estimated cost of every Claude call: chat replies, summaries and memory updates.
+              </Text>
+              <Select label="Period" labelInline options={DAY_OPTIONS} value={days} onChange={setDays} />
+            </InlineStack>
+
+            {error && <Banner tone="critical">{error}</Banner>}
+            {report?.unpricedModels?.length > 0 && (
+              <Banner tone="warning">
+                No price is configured for {report.unpricedModels.join(", ")}, so its cost is not included.
+              </Banner>
+            )}
+
+            {loading && !report ? (
+              <Text as="p" variant="bodySm" tone="subdued">Loading…</Text>
+            ) : report && (
+              <>
+                <InlineStack gap="300" wrap>
+                  <Stat label="Estimated cost" value={formatCost(report.totals.cost, currency)} />
+                  <Stat label="Claude requests" value={numberFormat.format(report.totals.requests)} />
+                  <Stat
+                    label="Input / output tokens"
+                    value={`${formatTokens(report.totals.inputTokens)} / ${formatTokens(report.totals.outputTokens)}`}
+                  />
+                  <Stat label="Cache read tokens" value={formatTokens(report.totals.cacheReadInputTokens)} />
+                  <Stat
+                    label="Average latency"
+                    value={report.totals.averageLatencyMs === null ? "—" : `${numberFormat.format(report.totals.averageLatencyMs)} ms`}
+                  />
+                </InlineStack>
+
+                <Card>
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">Resolved conversations</Text>
+                    <Text as="p" variant="bodySm" tone="subdued">
+                      Conversations with no open ticket and no messages in the last {report.resolved.afterHours} hours.
+                    </Text>
+                    <InlineStack gap="600">
+                      <Text as="span" variant="bodyMd">Count: {numberFormat.format(report.resolved.count)}</Text>
+                      <Text as="span" variant="bodyMd">Average tokens: {formatTokens(report.resolved.averageTokens)}</Text>
+                      <Text as="span" variant="bodyMd">Average cost: {formatCost(report.resolved.averageCost, currency)}</Text>
+                    </InlineStack>
+                  </BlockStack>
+                </Card>
+
+                <Card>
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">Most expensive conversations</Text>
+                    {conversationRows.length > 0 ? (
+                      <DataTable
+                        columnContentTypes={["text", "text", "numeric", "numeric", "numeric", "text"]}
+                        headings={["Customer", "Channel", "Requests", "Tokens", "Cost", "Status"]}
+                        rows={conversationRows}
+                      />
+                    ) : (
+                      <Text as="p" variant="bodySm" tone="subdued">No conversations in this period.</Text>
+                    )}
+                  </BlockStack>
+                </Card>
+
+                <Card>
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">Daily cost</Text>
+                    {dailyRows.length > 0 ? (
+                      <DataTable
+                        columnContentTypes={["text", "numeric", "numeric", "numeric", "numeric", "numeric"]}
+                        headings={["Date", "Requests", "Input tokens", "Output tokens", "Cache read tokens", "Cost"]}
+                        rows={dailyRows}
+                      />
+                    ) : (
+                      <Text as="p" variant="bodySm" tone="subdued">No Claude usage recorded in this period.</Text>
+                    )}
+                  </BlockStack>
+                </Card>
+              </>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -1,6 +1,7 @@
 import { json } from "@remix-run/node";
 import { getCodeVerifier, storeCustomerToken } from "../db.server";
 import { sendWhatsAppMessage } from "../utils/whatsapp.server";
+import { getPhoneNumberFromConversationId } from "../utils/phone.server";
 
 /**
  * Handle OAuth callback from Shopify Customer API
@@ -41,10 +42,9 @@ export async function loader({ request }) {
       // Continue anyway to not disrupt user flow
     }
 
-    // Check if this is a WhatsApp conversation
-    if (conversationId && conversationId.startsWith('whatsapp_')) {
-      // Extract phone number from conversation ID (format: whatsapp_447891689332)
-      const phoneNumber = conversationId.replace('whatsapp_', '');
+    // Check if this is a WhatsApp conversation (format: whatsapp_447891689332)
+    const phoneNumber = getPhoneNumberFromConversationId(conversationId);
+    if (phoneNumber) {
       
       // Send success message via WhatsApp
       try {
@@ -6,46 +6,9 @@ import { json } from "@remix-run/node";
 import MCPClient from "../mcp-client";
 import AppConfig from "../services/config.server";
 import { createSseStream } from "../services/streaming.server";
-import { createClaudeService } from "../services/claude.server";
-import { createToolService } from "../services/tool.server";
-import {
-  sendEmail,
-  generateHandoffEmailHTML,
-  generateHandoffEmailText,
-  generateTicketReceiptEmailHTML,
-  generateTicketReceiptEmailText
-} from "../utils/email.server";
-
-
-/**
- * Helper to generate conversation summary for handoff emails
- */
-function generateConversationSummary(messages, reason) {
-  let summary = '';
-  
-  if (reason) {
-    summary += `Reason: ${reason}\n\n`;
-  }
-  
-  summary += 'Conversation Summary:\n';
-  
-  // Extract last few user messages to understand the issue
-  const userMessages = messages.filter(msg => msg.role === 'user').slice(-3);
-  if (userMessages.length > 0) {
-    summary += '\nCustomer\'s concerns:\n';
-    userMessages.forEach((msg, idx) => {
-      let content = '';
-      if (Array.isArray(msg.content)) {
-        content = msg.content.map(c => c.text || c.type).join(' ');
-      } else {
-        content = msg.content;
-      }
-      summary += `${idx + 1}. ${content.substring(0, 200)}${content.length > 200 ? '...' : ''}\n`;
-    });
-  }
-  
-  return summary;
-}
+import { createConversationEngine } from "../services/conversation.server";
+import { createSseChannel } from "../services/channels.server";
+import { isBotPaused, holdMessageForAgent } from "../services/takeover.server";
 
 /**
  * Remix loader function for handling GET requests
@@ -184,31 +147,23 @@ async function handleChatSession({
   promptType,
   stream
 }) {
-  // Import database functions inside to avoid client/server separation issues
-  const { 
-    saveMessage, 
-    getConversationHistory, 
-    createOrGetUser,
-    linkConversationToUser,
-    getUserByShopifyCustomerId,
-    updateConversationMetadata,
-    getUserById,
-    updateUser,
-    getConversation,
-    generateUniqueTicketReference
-  } = await import("../db.server");
   const {
     resolveCustomerMcpEndpoint,
     normalizeStorefrontDomain,
     getPreferredStoreDomain
   } = await import("../utils/mcp.server");
-  
-  // Initialize services
-  const claudeService = createClaudeService();
-  const toolService = createToolService();
 
   console.log(`[CHAT][IN] (${conversationId}) ${userMessage}`);
 
+  // Staff are handling this conversation: store the message for them and end the
+  // turn without a bot reply. Their answers reach the widget through polling.
+  if (await isBotPaused(conversationId)) {
+    stream.sendMessage({ type: 'id', conversation_id: conversationId });
+    await holdMessageForAgent(conversationId, 'web', userMessage);
+    stream.sendMessage({ type: 'end_turn' });
+    return;
+  }
+
   // Determine allowed checkout domain from Origin header
   const originHeader = request.headers.get("Origin");
   const normalizedOrigin = normalizeStorefrontDomain(originHeader);
@@ -218,28 +173,6 @@ async function handleChatSession({
     if (origin) allowedHost = new URL(origin).host;
   } catch {}
 
-  // Helper: sanitize streamed chunks to strip unauthorized checkout URLs
-  const urlRegex = /(https?:\/\/[^\s)]+)/gi;
-  function sanitizeChunk(chunk, isCheckoutAuthorized) {
-    if (!chunk || typeof chunk !== 'string') return chunk;
-    return chunk.replace(urlRegex, (url) => {
-      try {
-        const u = new URL(url);
-        const sameHost = !!(allowedHost && u.host === allowedHost);
-        const isCheckoutPath = u.pathname.startsWith('/checkout') || u.pathname.startsWith('/cart');
-        // Only block checkout/cart links when not yet authorized or pointing to a different host
-        if (isCheckoutPath && (!isCheckoutAuthorized || !sameHost)) {
-          return "[Generating secure checkout…]";
-        }
-        // Leave other links intact; no replacement here
-        return url;
-      } catch {
-        // If parsing fails, leave the text as-is
-        return url;
-      }
-    });
-  }
-
   // Initialize MCP client
   const shopId = request.headers.get("X-Shopify-Shop-Id");
   const resolvedStoreDomain =
@@ -276,418 +209,28 @@ async function handleChatSession({
     'web' // Web chat channel - don't include send_order_template tool
   );
 
-  try {
-    // Send conversation ID to client
-    stream.sendMessage({ type: 'id', conversation_id: conversationId });
-
-    // Connect to MCP servers and get available tools
-    let storefrontMcpTools = [], customerMcpTools = [];
-
-    try {
-      storefrontMcpTools = await mcpClient.connectToStorefrontServer();
-      customerMcpTools = await mcpClient.connectToCustomerServer();
-    } catch (error) {
-      console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
-    }
-
-    // Prepare conversation state
-    let conversationHistory = [];
-    let productsToDisplay = [];
-
-    // Save user message to the database
-    await saveMessage(conversationId, 'user', userMessage);
-
-    // Fetch recent messages from the database (limit to reduce token usage)
-    const MAX_HISTORY_MESSAGES = 10;
-    const dbMessages = await getConversationHistory(conversationId, MAX_HISTORY_MESSAGES);
-
-    // Format messages for Claude API
-    conversationHistory = dbMessages.map(dbMessage => {
-      let content;
-      try {
-        content = JSON.parse(dbMessage.content);
-        
-        // If the parsed content is not an array, wrap it in a text block
-        if (!Array.isArray(content)) {
-          content = [{
-            type: "text",
-            text: String(content)
-          }];
-        }
-      } catch (e) {
-        // If JSON parsing fails, wrap the content in a text block format
-        content = [{
-          type: "text",
-          text: dbMessage.content
-        }];
-      }
-      return {
-        role: dbMessage.role,
-        content
-      };
-    });
-
-    // Clean conversation history to remove corrupted tool_use/tool_result pairs
-    conversationHistory = cleanConversationHistory(conversationHistory);
-
-    // Execute the conversation stream
-    let finalMessage = { 
-      role: 'user', 
-      content: [{
-        type: "text",
-        text: userMessage
-      }]
-    };
+  // Send conversation ID to client
+  stream.sendMessage({ type: 'id', conversation_id: conversationId });
 
-    let handoffCompleted = false;
-    const MAX_CONVERSATION_MESSAGES = 20; // Keep a larger recent window to maintain context across turns
-
-    // Track whether a valid checkout link was generated this turn
-    let checkoutLinkAuthorized = false;
-
-    while (finalMessage.stop_reason !== "end_turn" && !handoffCompleted) {
-      // Truncate conversation history before each API call to prevent unbounded growth
-      const truncatedHistory = truncateConversationHistory(conversationHistory, MAX_CONVERSATION_MESSAGES);
-      const historyForClaude = ensureToolUsePairs(truncatedHistory);
-      
-      finalMessage = await claudeService.streamConversation(
-        {
-          messages: historyForClaude,
-          promptType,
-          tools: mcpClient.tools
-        },
-        {
-          // Handle text chunks
-          onText: (textDelta) => {
-            // Sanitize chunks to avoid fabricated/foreign checkout links unless authorized
-            const safeDelta = sanitizeChunk(textDelta, checkoutLinkAuthorized);
-            stream.sendMessage({
-              type: 'chunk',
-              chunk: safeDelta
-            });
-          },
-
-          // Handle complete messages
-          onMessage: (message) => {
-            conversationHistory.push({
-              role: message.role,
-              content: message.content
-            });
-
-            if (message.role === 'assistant') {
-              const textChunks = (message.content || [])
-                .filter((block) => block.type === 'text' && block.text)
-                .map((block) => block.text.trim())
-                .filter(Boolean);
-              if (textChunks.length > 0) {
-                console.log(`[CHAT][OUT] (${conversationId}) ${textChunks.join(' ')}`);
-              }
-            }
-
-            // Save message in background and send completion immediately
-            saveMessage(conversationId, message.role, JSON.stringify(message.content))
-              .catch(error => {
-                console.error("Error saving message to database:", error);
-              });
-
-            // Send completion message immediately - don't wait for save
-            stream.sendMessage({ 
-              type: 'message_complete',
-              timestamp: new Date().toISOString()
-            });
-          },
-
-          // Handle tool use requests
-          onToolUse: async (content) => {
-            const toolName = content.name;
-            const toolArgs = content.input;
-            const toolUseId = content.id;
-
-            const toolUseMessage = `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`;
-
-            stream.sendMessage({
-              type: 'tool_use',
-              tool_use_message: toolUseMessage
-            });
-
-            // Call the tool
-            const toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
-            
-            // If checkout URL was generated successfully this turn, authorize link streaming
-            if (!toolUseResponse.error && toolName === 'get_cart') {
-              checkoutLinkAuthorized = true;
-            }
-
-            // Handle escalate_to_customer_service custom tool
-            if (toolUseResponse.isCustomTool && toolName === 'escalate_to_customer_service') {
-              
-              // Check if a handoff has already been requested
-              const conversation = await getConversation(conversationId);
-              const handoffRequested = conversation?.metadata?.handoff_requested === true;
-              const handoffAt = conversation?.metadata?.handoff_at;
-              const existingTicketReference = conversation?.metadata?.handoff_ticket_reference;
-              
-              // Allow new ticket if 24 hours have passed since last handoff
-              const HANDOFF_COOLDOWN_HOURS = 24;
-              let allowNewTicket = false;
-              
-              if (handoffRequested && handoffAt) {
-                const handoffTime = new Date(handoffAt);
-                const hoursSinceHandoff = (Date.now() - handoffTime.getTime()) / (1000 * 60 * 60);
-                
-                if (hoursSinceHandoff >= HANDOFF_COOLDOWN_HOURS) {
-                  allowNewTicket = true;
-                  // Clear the old handoff flag
-                  await updateConversationMetadata(conversationId, {
-                    handoff_requested: false,
-                    handoff_at: null,
-                    handoff_ticket_reference: null
-                  });
-                }
-              }
-              
-              if (handoffRequested && !allowNewTicket) {
-                const handoffTime = handoffAt ? new Date(handoffAt) : null;
-                const hoursSinceHandoff = handoffTime ? (Date.now() - handoffTime.getTime()) / (1000 * 60 * 60) : 0;
-                const hoursRemaining = Math.ceil(HANDOFF_COOLDOWN_HOURS - hoursSinceHandoff);
-                const referenceNote = existingTicketReference ? ` Ticket reference: #${existingTicketReference}.` : '';
-                const cooldownMessage = hoursRemaining > 0 
-                  ? `Support ticket already exists.${referenceNote} Team ETA within ${hoursRemaining}h.`
-                  : `Support ticket already exists.${referenceNote} Awaiting team response.`;
-                
-                conversationHistory.push({
-                  role: 'assistant',
-                  content: [content]
-                });
-                conversationHistory.push({
-                  role: 'user',
-                  content: [{
-                    type: 'tool_result',
-                    tool_use_id: toolUseId,
-                    content: cooldownMessage
-                  }]
-                });
-                
-                // Let Claude continue replying to the user's actual request
-                return;
-              }
-              
-              const { customer_name, customer_email, customer_phone, reason } = toolArgs;
-              
-              try {
-                // Get conversation history for summary
-                const dbMessages = await getConversationHistory(conversationId, 20);
-                const lastMessages = dbMessages.slice(-10).map(msg => ({
-                  role: msg.role,
-                  content: msg.content
-                }));
-                
-                // Generate conversation summary from recent messages
-                const conversationSummary = generateConversationSummary(lastMessages, reason);
-                
-                // Send email to customer service
-                const supportEmail = process.env.SUPPORT_EMAIL || 'support@vapelocal.co.uk';
-                const ticketReference = await generateUniqueTicketReference();
-                await sendEmail({
-                  to: supportEmail,
-                  subject: `New Customer Service Handoff - Web Chat (#${ticketReference})`,
-                  html: generateHandoffEmailHTML({
-                    customerName: customer_name,
-                    customerEmail: customer_email,
-                    customerPhone: customer_phone,
-                    channel: 'web',
-                    conversationId,
-                    conversationSummary,
-                    lastMessages,
-                    ticketReference
-                  }),
-                  text: generateHandoffEmailText({
-                    customerName: customer_name,
-                    customerEmail: customer_email,
-                    customerPhone: customer_phone,
-                    channel: 'web',
-                    conversationId,
-                    conversationSummary,
-                    lastMessages,
-                    ticketReference
-                  })
-                });
-
-                if (customer_email) {
-                  try {
-                    await sendEmail({
-                      to: customer_email,
-                      subject: `We've received your support request (Ticket #${ticketReference})`,
-                      html: generateTicketReceiptEmailHTML({
-                        customerName: customer_name,
-                        ticketReference
-                      }),
-                      text: generateTicketReceiptEmailText({
-                        customerName: customer_name,
-                        ticketReference
-                      })
-                    });
-                  } catch (customerEmailError) {
-                    console.error('Web: Failed to send ticket receipt to customer:', customerEmailError);
-                  }
-                }
-                
-                // Get conversation to find user (already fetched above, but need it again for user update)
-                const conversationForUser = await getConversation(conversationId);
-                
-                // Update user info in database if user exists
-                if (conversationForUser?.userId) {
-                  await updateUser(conversationForUser.userId, {
-                    name: customer_name,
-                    email: customer_email,
-                    phoneNumber: customer_phone
-                  });
-                }
-                
-                // Mark conversation metadata
-                await updateConversationMetadata(conversationId, {
-                  handoff_requested: true,
-                  handoff_at: new Date().toISOString(),
-                  handoff_ticket_reference: ticketReference
-                });
-                
-                // Update conversation history
-                conversationHistory.push({
-                  role: 'assistant',
-                  content: [content]
-                });
-                conversationHistory.push({
-                  role: 'user',
-                  content: [{
-                    type: 'tool_result',
-                    tool_use_id: toolUseId,
-                      content: `Customer service handoff completed. Ticket #${ticketReference}. Email sent to ${supportEmail}.`
-                  }]
-                });
-                
-                // Stream response to user
-                stream.sendMessage({
-                  type: 'chunk',
-                  chunk: `Thank you for providing your details. I've notified our customer service team and they'll contact you shortly. Your reference is Ticket #${ticketReference}.`
-                });
-                
-                // Mark handoff as completed to stop the loop
-                handoffCompleted = true;
-                
-              } catch (handoffError) {
-                console.error('Web: Failed to process handoff:', handoffError);
-                stream.sendMessage({
-                  type: 'chunk',
-                  chunk: "I apologize, but I couldn't process your request to speak with our team. Please contact support directly or try again later."
-                });
-                // Mark handoff as completed even on error to stop the loop
-                handoffCompleted = true;
-              }
-            }
-            
-            // Skip normal tool handling if handoff was completed
-            if (handoffCompleted) {
-              return;
-            }
-
-            // Handle tool response based on success/error
-            if (toolUseResponse.error) {
-              const errorResult = await toolService.handleToolError(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                stream.sendMessage,
-                conversationId
-              );
-              
-              // If authentication is required, stop the conversation
-              if (errorResult && errorResult.stopConversation) {
-                // Signal end of turn immediately
-                stream.sendMessage({ type: 'end_turn' });
-                return;
-              }
-            } else if (!toolUseResponse.isCustomTool) {
-              // Only handle non-custom tools with handleToolSuccess
-              await toolService.handleToolSuccess(
-                toolUseResponse,
-                toolName,
-                toolUseId,
-                conversationHistory,
-                productsToDisplay,
-                conversationId
-              );
-
-              // After a successful cart update, automatically fetch and stream a checkout link
-              if (toolName === 'update_cart') {
-                try {
-                  const conversation = await getConversation(conversationId);
-                  const lastCartId = conversation?.metadata?.last_cart_id;
-                  const followupArgs = lastCartId ? { cart_id: lastCartId } : {};
-                  console.warn(`[CHECKOUT][AUTO][WEB] update_cart success; attempting get_cart with cart_id=${followupArgs.cart_id || 'none'}`);
-                  // Primary: use get_cart to retrieve checkout URL
-                  let url;
-                  try {
-                    const gr = await mcpClient.callTool('get_cart', followupArgs);
-                    if (!gr.error) {
-                      let gp = Array.isArray(gr.content) ? gr.content[0]?.text : gr;
-                      try { if (typeof gp === 'string') gp = JSON.parse(gp); } catch {}
-                      url = gp?.checkout_url || gp?.checkoutUrl || gp?.cart?.checkout_url || gp?.cart?.checkoutUrl;
-                      console.warn(`[CHECKOUT][AUTO][WEB] get_cart returned url=${url ? 'yes' : 'no'}`);
-                    }
-                  } catch (e2) {
-                    console.warn('Auto-checkout-link get_cart failed:', e2?.message || e2);
-                  }
-                  // Fallback: use persisted metadata
-                  if (!url) {
-                    url = conversation?.metadata?.last_checkout_url || null;
-                    if (url) {
-                      console.warn('[CHECKOUT][AUTO][WEB] Using cached checkout URL from conversation metadata');
-                    }
-                  }
-                  if (url) {
-                    checkoutLinkAuthorized = true;
-                    stream.sendMessage({ type: 'checkout_link', url });
-                  } else {
-                    console.warn('[CHECKOUT][AUTO][WEB] No checkout URL available after update_cart');
-                  }
-                } catch (autoErr) {
-                  console.warn('Auto-checkout-link fetch failed:', autoErr?.message || autoErr);
-                }
-              }
-            }
-
-            // Signal new message to client
-            stream.sendMessage({ type: 'new_message' });
-          },
-
-          // Handle content block completion
-          onContentBlock: (contentBlock) => {
-            if (contentBlock.type === 'text') {
-              stream.sendMessage({
-                type: 'content_block_complete',
-                content_block: contentBlock
-              });
-            }
-          }
-        }
-      );
-    }
-
-    // Signal end of turn
-    stream.sendMessage({ type: 'end_turn' });
-
-    // Send product results if available
-    if (productsToDisplay.length > 0) {
-      stream.sendMessage({
-        type: 'product_results',
-        products: productsToDisplay
-      });
-    }
+  // Connect to MCP servers and get available tools
+  try {
+    await mcpClient.connectToStorefrontServer();
+    await mcpClient.connectToCustomerServer();
   } catch (error) {
-    // The streaming handler takes care of error handling
-    throw error;
+    console.warn('Failed to connect to MCP servers, continuing without tools:', error.message);
   }
+
+  // Run the turn through the shared conversation engine
+  const engine = createConversationEngine();
+  await engine.runTurn(
+    {
+      conversationId,
+      userMessage,
+      promptType,
+      mcpClient
+    },
+    createSseChannel(stream, { allowedHost })
+  );
 }
 
 /**
@@ -727,63 +270,6 @@ function getSseHeaders(request) {
   };
 }
 
-/**
- * Truncate conversation history to reduce token usage
- * @param {Array} messages - The conversation history
- * @param {number} maxMessages - Maximum number of messages to keep (default: 20)
- * @returns {Array} Truncated conversation history
- */
-function truncateConversationHistory(messages, maxMessages = 20) {
-  if (messages.length <= maxMessages) {
-    return messages;
-  }
-  
-  // Keep the first message and the most recent messages
-  const firstMessage = messages[0];
-  const recentMessages = messages.slice(-maxMessages + 1);
-  
-  return [firstMessage, ...recentMessages];
-}
-
-/**
- * Clean conversation history to remove corrupted tool_use/tool_result pairs
- * @param {Array} conversationHistory - The conversation history
- * @returns {Array} Cleaned conversation history
- */
-function cleanConversationHistory(conversationHistory) {
-  if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
-    return conversationHistory;
-  }
-  
-  const cleaned = [];
-  
-  for (let i = 0; i < conversationHistory.length; i++) {
-    const message = conversationHistory[i];
-    
-    if (!Array.isArray(message.content)) {
-      cleaned.push(message);
-      continue;
-    }
-    
-    // If this is an assistant message with tool_use blocks, remove the tool_use markers only
-    // because we don't have their corresponding tool_result yet
-    if (message.role === 'assistant') {
-      const filteredContent = message.content.filter(block => {
-        return block.type !== 'tool_use';
-      });
-      
-      if (filteredContent.length > 0) {
-        cleaned.push({ ...message, content: filteredContent });
-      }
-    } else {
-      // For user or tool roles, keep content as-is (including tool_result blocks)
-      cleaned.push(message);
-    }
-  }
-  
-  return cleaned;
-}
-
 /**
  * Handle user creation and conversation linking
  * @param {string} conversationId - The conversation ID
@@ -827,52 +313,3 @@ async function handleUserCreationAndLinking(conversationId, shopifyCustomerId, r
     throw error;
   }
 }
-
-/**
- * Ensure tool_result blocks have matching tool_use messages immediately before them
- * @param {Array} messages - Conversation history intended for Claude
- * @returns {Array} Sanitized conversation history
- */
-function ensureToolUsePairs(messages) {
-  if (!Array.isArray(messages) || messages.length === 0) {
-    return messages;
-  }
-
-  const sanitized = [];
-
-  for (let i = 0; i < messages.length; i++) {
-    const message = messages[i];
-
-    if (!Array.isArray(message?.content)) {
-      sanitized.push(message);
-      continue;
-    }
-
-    if (message.role === 'user') {
-      const prevMessage = sanitized[sanitized.length - 1] || null;
-
-      const filteredContent = message.content.filter(block => {
-        if (block.type !== 'tool_result') {
-          return true;
-        }
-
-        if (!prevMessage || prevMessage.role !== 'assistant' || !Array.isArray(prevMessage.content)) {
-          return false;
-        }
-
-        return prevMessage.content.some(prevBlock => prevBlock.type === 'tool_use' && prevBlock.id === block.tool_use_id);
-      });
-
-      if (filteredContent.length > 0) {
-        sanitized.push({
-          ...message,
-          content: filteredContent
-        });
-      }
-    } else {
-      sanitized.push(message);
-    }
-  }
-
-  return sanitized;
-}
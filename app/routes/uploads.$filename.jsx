@@ -10,7 +10,7 @@ export const loader = async ({ params }) => {
   
   try {
     // Security check - only allow certain file extensions
-    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.xlsx'];
     const fileExtension = filename.toLowerCase().substring(filename.lastIndexOf('.'));
     
     if (!allowedExtensions.includes(fileExtension)) {
@@ -31,6 +31,17 @@ export const loader = async ({ params }) => {
     
     // Determine content type (use stored MIME type)
     const contentType = imageData.mimeType || 'image/jpeg';
+
+    // Generated spreadsheets (order forms) are downloads and are regenerated, so cache them briefly
+    if (fileExtension === '.xlsx') {
+      return new Response(imageData.buffer, {
+        headers: {
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'public, max-age=3600',
+        },
+      });
+    }
     
     return new Response(imageData.buffer, {
       headers: {
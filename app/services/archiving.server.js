@@ -6,13 +6,16 @@
 import { 
   archiveOldConversations, 
   deleteOldArchivedConversations,
+  deleteOldWhatsAppInboundJobs,
   getConversationStats
 } from "../db.server";
+import AppConfig from "./config.server";
 
 /**
  * Run the archiving process
  * Archives conversations inactive for 30+ days
  * Deletes archived conversations older than 90 days
+ * Deletes processed WhatsApp queue jobs past the retention window
  * @returns {Promise<Object>} - Archiving results
  */
 export async function runArchivingProcess() {
@@ -31,6 +34,10 @@ export async function runArchivingProcess() {
     const deletedCount = await deleteOldArchivedConversations(90);
     console.log(`Deleted ${deletedCount} old archived conversations`);
 
+    // Drop processed WhatsApp queue jobs once they are past the de-duplication window
+    const deletedJobCount = await deleteOldWhatsAppInboundJobs(AppConfig.whatsappQueue.retentionDays);
+    console.log(`Deleted ${deletedJobCount} processed WhatsApp queue jobs`);
+
     // Get stats after archiving
     const statsAfter = await getConversationStats();
     console.log('Stats after archiving:', statsAfter);
@@ -39,6 +46,7 @@ export async function runArchivingProcess() {
       success: true,
       archivedCount,
       deletedCount,
+      deletedJobCount,
       statsBefore,
       statsAfter
     };
@@ -0,0 +1,654 @@
+/**
+ * Broadcast Service
+ * Sends broadcasts from BroadcastRecipient rows, one recipient at a time, so an
+ * interrupted broadcast can be resumed and failed recipients retried.
+ * Scheduled broadcasts are held until their send time and started by the dispatcher.
+ */
+import prisma, {
+  getAllWhatsAppUsers,
+  getAllWebUsersWithConversations,
+  saveMessage,
+  setMessageWhatsAppId,
+  getBroadcastLog,
+  updateBroadcastLog,
+  createBroadcastRecipients,
+  getPendingBroadcastRecipients,
+  recordBroadcastRecipientOutcome,
+  failPendingBroadcastRecipients,
+  resetFailedBroadcastRecipients,
+  getBroadcastRecipientCounts,
+  getDueScheduledBroadcasts,
+  getNextScheduledBroadcastAt,
+  updateScheduledBroadcast,
+  getLastInboundMessageTimes
+} from "../db.server";
+import {
+  sendWhatsAppMessage,
+  sendWhatsAppImageWithUrl,
+  sendWhatsAppTemplate,
+  buildTemplateComponents,
+  uploadImageToHosting,
+  getWhatsAppMessageId
+} from "../utils/whatsapp.server";
+import { toWhatsAppId, getWhatsAppConversationId } from "../utils/phone.server";
+import { getSegmentUserIds } from "./segments.server";
+import { getMarketingBlockedUserIds } from "./consent.server";
+import AppConfig from "./config.server";
+
+// WhatsApp error codes for throughput / per-user rate limits
+const RATE_LIMIT_ERROR_CODES = new Set(['130429', '131056']);
+
+// WhatsApp error code for free-form messages outside the customer service window
+const WINDOW_EXPIRED_ERROR_CODE = '131047';
+
+const TEMPLATE_BUTTON_TYPES = ['url', 'quick_reply'];
+
+// Broadcasts currently being sent by this process
+const activeBroadcasts = new Set();
+
+// Timer that wakes the dispatcher for the next scheduled broadcast
+let dispatchTimer = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert Markdown links to plain URLs for WhatsApp
+ * WhatsApp auto-links URLs, so we convert [text](url) format to just the URL
+ * @param {string} text - Message text
+ * @returns {string} Text with plain URLs
+ */
+export function convertMarkdownLinksToUrls(text) {
+  return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$2');
+}
+
+/**
+ * Create a broadcast. Immediate broadcasts get a recipient row for every targeted
+ * user straight away; scheduled ones are held until the dispatcher picks them up,
+ * so the audience is resolved at send time.
+ * @param {Object} params - Broadcast content
+ * @param {string} params.message - Message body (Markdown links allowed)
+ * @param {string} [params.heading] - Optional heading
+ * @param {string} [params.image] - Base64 data URL of an image
+ * @param {string} [params.imageName] - Original image filename
+ * @param {string} [params.imageType] - Image MIME type
+ * @param {Object} params.channels - { website: boolean, whatsapp: boolean }
+ * @param {Date|null} [params.scheduledAt] - Send time; omit to send now
+ * @param {string|null} [params.segmentId] - Audience segment; omit to target everyone
+ * @param {Object|null} [params.template] - WhatsApp template for recipients outside the
+ *   24-hour window, as returned by normalizeBroadcastTemplate
+ * @returns {Promise<Object>} The created BroadcastLog entry
+ */
+export async function createBroadcast({ message, heading, image, imageName, imageType, channels, scheduledAt = null, segmentId = null, template = null }) {
+  const entry = await prisma.broadcastLog.create({
+    data: {
+      message,
+      heading: heading || null,
+      image: image || null,
+      imageName: imageName || null,
+      imageType: imageType || null,
+      channels: { website: !!channels.website, whatsapp: !!channels.whatsapp },
+      whatsappCount: 0,
+      status: scheduledAt ? 'scheduled' : 'processing',
+      scheduledAt,
+      segmentId,
+      template: template || undefined
+    }
+  });
+
+  if (scheduledAt) {
+    console.log(`Broadcast: ${entry.id} scheduled for ${scheduledAt.toISOString()}`);
+    await scheduleBroadcastDispatch();
+    return entry;
+  }
+
+  try {
+    const whatsappCount = await queueBroadcastRecipients(entry);
+    return updateBroadcastLog(entry.id, { whatsappCount });
+  } catch (error) {
+    // e.g. the segment's Shopify tag lookup failed - don't leave it looking like it's sending
+    await updateBroadcastLog(entry.id, { status: 'failed', completedAt: new Date() }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Parse a requested send time
+ * @param {string|number|Date|null|undefined} value - ISO string, timestamp or Date
+ * @returns {Date|null} The send time, or null if the value is not a valid date
+ */
+export function parseScheduledAt(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate the template chosen for recipients outside the 24-hour window
+ * @param {Object|null|undefined} template - Template settings from the broadcast form
+ * @param {string} template.name - Approved template name
+ * @param {string} template.language - Template language code
+ * @param {string} [template.headerType] - 'none', 'text' or 'image'
+ * @param {Array<string>} [template.headerParams] - Text header variables
+ * @param {string} [template.headerImageUrl] - Header image; defaults to the broadcast image
+ * @param {Array<string>} [template.bodyParams] - Body variables, in order
+ * @param {Array<Object>} [template.buttonParams] - { index, subType, value } per dynamic button
+ * @param {string} [template.text] - Rendered body, saved to conversation history
+ * @returns {{template: Object|null, error: string|null}} Cleaned template, or the validation error
+ */
+export function normalizeBroadcastTemplate(template) {
+  if (!template) {
+    return { template: null, error: null };
+  }
+
+  const name = typeof template.name === 'string' ? template.name.trim() : '';
+  const language = typeof template.language === 'string' ? template.language.trim() : '';
+  if (!name || !language) {
+    return { template: null, error: 'Template name and language are required' };
+  }
+
+  const toParams = (values) => (Array.isArray(values) ? values.map(value => String(value ?? '').trim()) : []);
+  const headerParams = toParams(template.headerParams);
+  const bodyParams = toParams(template.bodyParams);
+  if ([...headerParams, ...bodyParams].some(value => !value)) {
+    return { template: null, error: 'Every template variable needs a value' };
+  }
+
+  const headerType = ['text', 'image'].includes(template.headerType) ? template.headerType : 'none';
+  const headerImageUrl = typeof template.headerImageUrl === 'string' && template.headerImageUrl.trim()
+    ? template.headerImageUrl.trim()
+    : null;
+  if (headerImageUrl && !/^https:\/\//.test(headerImageUrl)) {
+    return { template: null, error: 'Template header image must be an https URL' };
+  }
+
+  const buttonParams = [];
+  for (const button of Array.isArray(template.buttonParams) ? template.buttonParams : []) {
+    const index = Number(button?.index);
+    const value = String(button?.value ?? '').trim();
+    if (!Number.isInteger(index) || index < 0 || !TEMPLATE_BUTTON_TYPES.includes(button?.subType) || !value) {
+      return { template: null, error: 'Every template button needs a type and a value' };
+    }
+    buttonParams.push({ index, subType: button.subType, value });
+  }
+
+  return {
+    template: {
+      name,
+      language,
+      headerType,
+      headerParams: headerType === 'text' ? headerParams : [],
+      headerImageUrl: headerType === 'image' ? headerImageUrl : null,
+      bodyParams,
+      buttonParams,
+      text: typeof template.text === 'string' ? template.text : null
+    },
+    error: null
+  };
+}
+
+/**
+ * Cancel a broadcast that has not started sending yet
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<boolean>} False if the broadcast was no longer scheduled
+ */
+export async function cancelScheduledBroadcast(broadcastId) {
+  const cancelled = await updateScheduledBroadcast(broadcastId, { status: 'cancelled' });
+  if (cancelled) {
+    console.log(`Broadcast: Cancelled scheduled broadcast ${broadcastId}`);
+    await scheduleBroadcastDispatch();
+  }
+  return cancelled;
+}
+
+/**
+ * Move a scheduled broadcast to a new send time
+ * @param {string} broadcastId - BroadcastLog ID
+ * @param {Date} scheduledAt - New send time
+ * @returns {Promise<boolean>} False if the broadcast was no longer scheduled
+ */
+export async function rescheduleBroadcast(broadcastId, scheduledAt) {
+  const rescheduled = await updateScheduledBroadcast(broadcastId, { scheduledAt });
+  if (rescheduled) {
+    console.log(`Broadcast: Rescheduled ${broadcastId} for ${scheduledAt.toISOString()}`);
+    await scheduleBroadcastDispatch();
+  }
+  return rescheduled;
+}
+
+/**
+ * Start every scheduled broadcast whose send time has passed
+ * @returns {Promise<{dispatched: number}>} Number of broadcasts started
+ */
+export async function dispatchDueBroadcasts() {
+  const due = await getDueScheduledBroadcasts();
+  let dispatched = 0;
+
+  for (const entry of due) {
+    // Claim the broadcast first so a cancel or another dispatcher can't act on it too
+    const claimed = await updateScheduledBroadcast(entry.id, { status: 'processing' });
+    if (!claimed) continue;
+
+    try {
+      const whatsappCount = await queueBroadcastRecipients(entry);
+      await updateBroadcastLog(entry.id, { whatsappCount });
+    } catch (error) {
+      console.error(`Broadcast: Failed to queue recipients for scheduled broadcast ${entry.id}:`, error);
+      await updateBroadcastLog(entry.id, { status: 'failed' }).catch(() => {});
+      continue;
+    }
+
+    dispatched++;
+    console.log(`Broadcast: Dispatching scheduled broadcast ${entry.id}`);
+    processBroadcast(entry.id).catch((error) => {
+      console.error(`Broadcast: Processing failed for ${entry.id}:`, error);
+    });
+  }
+
+  await scheduleBroadcastDispatch();
+  return { dispatched };
+}
+
+/**
+ * Arm the dispatcher timer for the next scheduled broadcast. The timer only
+ * lives in this process, so it is re-armed whenever schedules change and when
+ * the broadcast list is loaded; the dispatch API route covers restarts.
+ */
+export async function scheduleBroadcastDispatch() {
+  const nextAt = await getNextScheduledBroadcastAt();
+  if (dispatchTimer) {
+    clearTimeout(dispatchTimer);
+    dispatchTimer = null;
+  }
+  if (!nextAt) return;
+
+  // Cap the delay so far-off schedules are re-checked (and stay within setTimeout limits)
+  const maxDelayMs = AppConfig.broadcast.dispatchMaxDelayMinutes * 60 * 1000;
+  const delayMs = Math.min(Math.max(new Date(nextAt).getTime() - Date.now(), 1000), maxDelayMs);
+  dispatchTimer = setTimeout(() => {
+    dispatchTimer = null;
+    dispatchDueBroadcasts().catch((error) => {
+      console.error('Broadcast: Scheduled dispatch failed:', error);
+    });
+  }, delayMs);
+  dispatchTimer.unref?.();
+}
+
+/**
+ * Arm the dispatcher unless it is already waiting
+ */
+export async function ensureBroadcastDispatcher() {
+  if (!dispatchTimer) {
+    await scheduleBroadcastDispatch();
+  }
+}
+
+/**
+ * Create recipient rows for the broadcast's channels
+ * @param {Object} entry - BroadcastLog entry
+ * @returns {Promise<number>} Number of WhatsApp recipients queued
+ */
+async function queueBroadcastRecipients(entry) {
+  const recipients = [];
+  const segmentUserIds = entry.segmentId ? await getSegmentUserIds(entry.segmentId) : null;
+  const inAudience = (user) => !segmentUserIds || segmentUserIds.has(user.id);
+  if (segmentUserIds) {
+    console.log(`Broadcast: Segment ${entry.segmentId} matches ${segmentUserIds.size} users`);
+  }
+
+  if (entry.channels?.whatsapp) {
+    const audience = (await getAllWhatsAppUsers()).filter(inAudience);
+    const optedOut = await getMarketingBlockedUserIds(audience.map(user => user.id), 'whatsapp');
+    const whatsappUsers = audience.filter(user => !optedOut.has(user.id));
+    console.log(`Broadcast: Found ${whatsappUsers.length} WhatsApp users in database (${optedOut.size} opted out)`);
+    for (const user of whatsappUsers) {
+      recipients.push({ userId: user.id, channel: 'whatsapp', phoneNumber: user.phoneNumber });
+    }
+  }
+
+  if (entry.channels?.website) {
+    const audience = (await getAllWebUsersWithConversations()).filter(inAudience);
+    const optedOut = await getMarketingBlockedUserIds(audience.map(user => user.id), 'website');
+    const webUsers = audience.filter(user => !optedOut.has(user.id));
+    console.log(`Broadcast: Found ${webUsers.length} web chat users in database (${optedOut.size} opted out)`);
+    for (const user of webUsers) {
+      const conversations = user.conversations || [];
+      // For logged-in customers, prioritize customer-based conversations
+      const targetConversation =
+        (user.shopifyCustomerId && conversations.find(conv => conv.id.startsWith('web_customer_'))) ||
+        conversations[0];
+      if (targetConversation) {
+        recipients.push({ userId: user.id, channel: 'website', conversationId: targetConversation.id });
+      }
+    }
+  }
+
+  await createBroadcastRecipients(entry.id, recipients);
+  return recipients.filter(recipient => recipient.channel === 'whatsapp').length;
+}
+
+/**
+ * Whether this process is currently sending a broadcast
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {boolean} True while processBroadcast is running for it
+ */
+export function isBroadcastActive(broadcastId) {
+  return activeBroadcasts.has(broadcastId);
+}
+
+/**
+ * Send every pending recipient of a broadcast. Safe to call again to resume
+ * an interrupted broadcast; recipients already sent are not touched.
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<Object|null>} Final recipient counts, or null if it was already running
+ *   or has not been dispatched
+ */
+export async function processBroadcast(broadcastId) {
+  if (activeBroadcasts.has(broadcastId)) {
+    console.log(`Broadcast: ${broadcastId} is already being processed`);
+    return null;
+  }
+  activeBroadcasts.add(broadcastId);
+
+  try {
+    const entry = await getBroadcastLog(broadcastId);
+    if (!entry) {
+      throw new Error(`Broadcast ${broadcastId} not found`);
+    }
+    if (entry.status === 'scheduled' || entry.status === 'cancelled') {
+      // Scheduled broadcasts are started by the dispatcher; cancelled ones never send
+      console.log(`Broadcast: ${broadcastId} is ${entry.status}, not sending`);
+      return null;
+    }
+    await updateBroadcastLog(broadcastId, { status: 'processing', completedAt: null });
+
+    // Upload image to hosting service once; resumed broadcasts reuse the URL
+    let imageUrl = entry.imageUrl;
+    if (entry.image && !imageUrl) {
+      try {
+        imageUrl = await uploadImageToHosting(entry.image, 'image.jpg');
+        await updateBroadcastLog(broadcastId, { imageUrl });
+        console.log(`Broadcast: Uploaded image to hosting, URL: ${imageUrl}`);
+
+        // Give WhatsApp time to be able to fetch the image
+        await sleep(AppConfig.broadcast.imageReadyDelayMs);
+      } catch (error) {
+        console.error('Broadcast: Failed to upload image to hosting:', error);
+        await failPendingBroadcastRecipients(
+          broadcastId,
+          `Failed to upload image to hosting: ${error.message}`,
+          'image_upload_failed'
+        );
+        return finalizeBroadcast(broadcastId);
+      }
+    }
+
+    const { batchSize, whatsappSendDelayMs } = AppConfig.broadcast;
+    let cursor = null;
+    let batch = await getPendingBroadcastRecipients(broadcastId, batchSize, cursor);
+
+    while (batch.length > 0) {
+      // Re-check consent: customers may have opted out since the broadcast was queued
+      const optedOut = {
+        whatsapp: await getMarketingBlockedUserIds(
+          batch.filter(recipient => recipient.channel === 'whatsapp').map(recipient => recipient.userId),
+          'whatsapp'
+        ),
+        website: await getMarketingBlockedUserIds(
+          batch.filter(recipient => recipient.channel === 'website').map(recipient => recipient.userId),
+          'website'
+        )
+      };
+
+      // Free-form messages only reach customers who messaged us within the last 24 hours
+      const lastInboundTimes = await getLastInboundMessageTimes(
+        batch
+          .filter(recipient => recipient.channel === 'whatsapp')
+          .map(recipient => getWhatsAppConversationId(recipient.phoneNumber))
+          .filter(Boolean)
+      );
+
+      for (const recipient of batch) {
+        if (optedOut[recipient.channel]?.has(recipient.userId)) {
+          await recordBroadcastRecipientOutcome(recipient.id, {
+            status: 'failed',
+            error: 'Customer opted out of marketing messages',
+            errorCode: 'opted_out'
+          });
+        } else if (recipient.channel === 'whatsapp') {
+          const lastInboundAt = lastInboundTimes[getWhatsAppConversationId(recipient.phoneNumber)] || null;
+          await sendToWhatsAppRecipient(entry, recipient, imageUrl, lastInboundAt);
+          // Pace sends to stay inside WhatsApp throughput limits
+          await sleep(whatsappSendDelayMs);
+        } else {
+          await sendToWebsiteRecipient(entry, recipient, imageUrl);
+        }
+      }
+      cursor = batch[batch.length - 1].id;
+      batch = await getPendingBroadcastRecipients(broadcastId, batchSize, cursor);
+    }
+
+    return finalizeBroadcast(broadcastId);
+  } catch (error) {
+    console.error(`Broadcast: Failed to process broadcast ${broadcastId}:`, error);
+    await updateBroadcastLog(broadcastId, { status: 'failed' }).catch(() => {});
+    throw error;
+  } finally {
+    activeBroadcasts.delete(broadcastId);
+  }
+}
+
+/**
+ * Re-queue a broadcast's failed recipients and send to them again
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<number>} Number of recipients re-queued
+ */
+export async function retryFailedRecipients(broadcastId) {
+  const count = await resetFailedBroadcastRecipients(broadcastId);
+  console.log(`Broadcast: Re-queued ${count} failed recipients for ${broadcastId}`);
+  return count;
+}
+
+/**
+ * Whether a customer can still receive free-form messages
+ * @param {Date|null} lastInboundAt - When the customer last messaged us
+ * @returns {boolean} True inside the customer service window
+ */
+function isInsideCustomerServiceWindow(lastInboundAt) {
+  if (!lastInboundAt) {
+    return false;
+  }
+  const windowMs = AppConfig.broadcast.customerServiceWindowHours * 60 * 60 * 1000;
+  return Date.now() - new Date(lastInboundAt).getTime() < windowMs;
+}
+
+/**
+ * Run a WhatsApp send, backing off and retrying once when rate limited
+ * @param {Function} send - Performs the send
+ * @param {string} phoneNumber - Recipient, for logging
+ * @returns {Promise<Object>} WhatsApp API response
+ */
+async function sendWithRateLimitRetry(send, phoneNumber) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= 2 || !RATE_LIMIT_ERROR_CODES.has(error.code)) {
+        throw error;
+      }
+      console.warn(`Broadcast: Rate limited sending to ${phoneNumber}, backing off`);
+      await sleep(AppConfig.broadcast.rateLimitBackoffMs);
+    }
+  }
+}
+
+/**
+ * Send the broadcast to one WhatsApp recipient and record the outcome. Recipients
+ * outside the 24-hour window get the broadcast's template instead, when it has one.
+ * @param {Object} entry - BroadcastLog entry
+ * @param {Object} recipient - BroadcastRecipient row
+ * @param {string|null} imageUrl - Hosted image URL
+ * @param {Date|null} lastInboundAt - When the recipient last messaged us
+ */
+async function sendToWhatsAppRecipient(entry, recipient, imageUrl, lastInboundAt) {
+  const phoneNumber = toWhatsAppId(recipient.phoneNumber);
+  if (!phoneNumber) {
+    console.log(`Broadcast: Skipping invalid phone number ${recipient.phoneNumber}`);
+    await recordBroadcastRecipientOutcome(recipient.id, {
+      status: 'failed',
+      error: 'Phone number is not a valid international number',
+      errorCode: 'invalid_phone_number'
+    });
+    return;
+  }
+
+  // Format message with bold heading if provided
+  const plainMessage = convertMarkdownLinksToUrls(entry.message);
+  const formattedMessage = entry.heading
+    ? `*${entry.heading}*\n\n${plainMessage}`
+    : plainMessage;
+
+  const template = entry.template;
+  let sentAs = isInsideCustomerServiceWindow(lastInboundAt) ? 'message' : 'template';
+
+  if (sentAs === 'template' && !template) {
+    console.log(`Broadcast: ${recipient.phoneNumber} is outside the 24-hour window and no template was selected`);
+    await recordBroadcastRecipientOutcome(recipient.id, {
+      status: 'failed',
+      error: 'Outside the 24-hour customer service window and no template was selected',
+      errorCode: 'outside_window'
+    });
+    return;
+  }
+
+  const sendMessage = () => (imageUrl
+    ? sendWhatsAppImageWithUrl(phoneNumber, imageUrl, formattedMessage)
+    : sendWhatsAppMessage(phoneNumber, formattedMessage));
+  const sendTemplate = () => sendWhatsAppTemplate(
+    phoneNumber,
+    template.name,
+    template.language,
+    buildTemplateComponents({
+      headerParams: template.headerParams,
+      headerImageUrl: template.headerType === 'image' ? (template.headerImageUrl || imageUrl) : null,
+      bodyParams: template.bodyParams,
+      buttonParams: template.buttonParams
+    })
+  );
+
+  let sendResponse;
+  try {
+    try {
+      sendResponse = await sendWithRateLimitRetry(sentAs === 'template' ? sendTemplate : sendMessage, phoneNumber);
+    } catch (error) {
+      // Our window estimate can be off (e.g. history was archived); fall back to the template
+      if (sentAs !== 'message' || error.code !== WINDOW_EXPIRED_ERROR_CODE || !template) {
+        throw error;
+      }
+      console.log(`Broadcast: Window closed for ${recipient.phoneNumber}, sending template instead`);
+      sentAs = 'template';
+      sendResponse = await sendWithRateLimitRetry(sendTemplate, phoneNumber);
+    }
+  } catch (error) {
+    console.error(`Broadcast: Failed to send WhatsApp ${sentAs} to ${recipient.phoneNumber}:`, error.message);
+    await recordBroadcastRecipientOutcome(recipient.id, {
+      status: 'failed',
+      error: error.message,
+      errorCode: error.code || 'send_failed',
+      sentAs
+    });
+    return;
+  }
+
+  const whatsappMessageId = getWhatsAppMessageId(sendResponse);
+  await recordBroadcastRecipientOutcome(recipient.id, { status: 'sent', whatsappMessageId, sentAs });
+  console.log(`Broadcast: WhatsApp ${sentAs} sent to ${recipient.phoneNumber}`);
+
+  // Save the broadcast message to the user's conversation history
+  // so Claude AI knows about it when they respond
+  try {
+    const historyText = sentAs === 'template'
+      ? (template.text || `[Template: ${template.name}]`)
+      : formattedMessage;
+    const savedMessage = await saveMessage(getWhatsAppConversationId(phoneNumber), 'assistant', ` ${historyText}`);
+    if (whatsappMessageId) {
+      await setMessageWhatsAppId(savedMessage.id, whatsappMessageId);
+    }
+  } catch (saveError) {
+    // Don't fail the broadcast if we can't save to conversation
+    console.error(`Broadcast: Failed to save message to conversation for ${recipient.phoneNumber}:`, saveError);
+  }
+}
+
+/**
+ * Deliver the broadcast into a web chat conversation and record the outcome
+ * @param {Object} entry - BroadcastLog entry
+ * @param {Object} recipient - BroadcastRecipient row
+ * @param {string|null} imageUrl - Hosted image URL
+ */
+async function sendToWebsiteRecipient(entry, recipient, imageUrl) {
+  try {
+    let broadcastMessage = entry.heading
+      ? ` **${entry.heading}**\n\n${entry.message}`
+      : ` ${entry.message}`;
+
+    // Include image markdown if image was provided
+    if (imageUrl) {
+      broadcastMessage = `![Broadcast Image](${imageUrl})\n\n${broadcastMessage}`;
+    }
+
+    await saveMessage(recipient.conversationId, 'assistant', broadcastMessage);
+    await recordBroadcastRecipientOutcome(recipient.id, { status: 'sent' });
+  } catch (error) {
+    console.error(`Broadcast: Failed to save message for conversation ${recipient.conversationId}:`, error.message);
+    await recordBroadcastRecipientOutcome(recipient.id, {
+      status: 'failed',
+      error: error.message,
+      errorCode: 'save_failed'
+    });
+  }
+}
+
+/**
+ * Derive the broadcast status from its recipients and store it
+ * @param {string} broadcastId - BroadcastLog ID
+ * @returns {Promise<Object>} Recipient counts per channel
+ */
+async function finalizeBroadcast(broadcastId) {
+  const counts = (await getBroadcastRecipientCounts([broadcastId]))[broadcastId] || {};
+  const totals = Object.values(counts).reduce((acc, channelCounts) => ({
+    pending: acc.pending + channelCounts.pending,
+    sent: acc.sent + channelCounts.sent,
+    failed: acc.failed + channelCounts.failed
+  }), { pending: 0, sent: 0, failed: 0 });
+
+  let status = 'completed';
+  if (totals.pending > 0) {
+    status = 'processing';
+  } else if (totals.failed > 0) {
+    status = totals.sent === 0 ? 'failed' : 'partial';
+  }
+
+  await updateBroadcastLog(broadcastId, {
+    status,
+    completedAt: status === 'processing' ? null : new Date()
+  });
+  console.log(`Broadcast: ${broadcastId} ${status} - ${totals.sent} sent, ${totals.failed} failed`);
+  return counts;
+}
+
+export default {
+  createBroadcast,
+  normalizeBroadcastTemplate,
+  parseScheduledAt,
+  cancelScheduledBroadcast,
+  rescheduleBroadcast,
+  dispatchDueBroadcasts,
+  scheduleBroadcastDispatch,
+  ensureBroadcastDispatcher,
+  processBroadcast,
+  retryFailedRecipients,
+  isBroadcastActive,
+  convertMarkdownLinksToUrls
+};
@@ -0,0 +1,266 @@
+/**
+ * Channel Adapters
+ * Translate conversation engine output into SSE events (web) or WhatsApp messages
+ */
+import {
+  sendWhatsAppMessage,
+  sendWhatsAppButtons,
+  sendWhatsAppList,
+  sendWhatsAppDocumentFromUrl,
+  getWhatsAppMessageId
+} from "../utils/whatsapp.server";
+import { setMessageWhatsAppId } from "../db.server";
+import AppConfig from "./config.server";
+import { buildOptionsLayout, buildProductListRows } from "./interactive.server";
+
+/**
+ * Creates an adapter that streams a turn to the web chat widget over SSE
+ * @param {Object} stream - Stream manager from createSseStream
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.allowedHost] - Storefront host that checkout links may point to
+ * @returns {Object} Channel adapter for the conversation engine
+ */
+export function createSseChannel(stream, { allowedHost = '' } = {}) {
+  // Helper: sanitize streamed chunks to strip unauthorized checkout URLs
+  const urlRegex = /(https?:\/\/[^\s)]+)/gi;
+  const sanitizeChunk = (chunk, isCheckoutAuthorized) => {
+    if (!chunk || typeof chunk !== 'string') return chunk;
+    return chunk.replace(urlRegex, (url) => {
+      try {
+        const u = new URL(url);
+        const sameHost = !!(allowedHost && u.host === allowedHost);
+        const isCheckoutPath = u.pathname.startsWith('/checkout') || u.pathname.startsWith('/cart');
+        // Only block checkout/cart links when not yet authorized or pointing to a different host
+        if (isCheckoutPath && (!isCheckoutAuthorized || !sameHost)) {
+          return "[Generating secure checkout…]";
+        }
+        // Leave other links intact; no replacement here
+        return url;
+      } catch {
+        // If parsing fails, leave the text as-is
+        return url;
+      }
+    });
+  };
+
+  return {
+    channel: 'web',
+
+    onText: (textDelta, state) => {
+      stream.sendMessage({
+        type: 'chunk',
+        chunk: sanitizeChunk(textDelta, state.checkoutLinkAuthorized)
+      });
+    },
+
+    onMessageComplete: () => {
+      stream.sendMessage({
+        type: 'message_complete',
+        timestamp: new Date().toISOString()
+      });
+    },
+
+    onContentBlock: (contentBlock) => {
+      if (contentBlock.type === 'text') {
+        stream.sendMessage({
+          type: 'content_block_complete',
+          content_block: contentBlock
+        });
+      }
+    },
+
+    onToolUse: (toolName, toolArgs) => {
+      stream.sendMessage({
+        type: 'tool_use',
+        tool_use_message: `Calling tool: ${toolName} with arguments: ${JSON.stringify(toolArgs)}`
+      });
+    },
+
+    onToolResult: () => {
+      stream.sendMessage({ type: 'new_message' });
+    },
+
+    onAuthRequired: (authUrl) => {
+      stream.sendMessage({
+        type: 'auth_required',
+        authUrl
+      });
+      return null;
+    },
+
+    onCheckoutLink: ({ url }) => {
+      stream.sendMessage({ type: 'checkout_link', url });
+      return null;
+    },
+
+    onNotice: (text) => {
+      stream.sendMessage({
+        type: 'chunk',
+        chunk: text
+      });
+    },
+
+    onProducts: (products) => {
+      stream.sendMessage({
+        type: 'product_results',
+        products
+      });
+    },
+
+    onEndTurn: () => {
+      stream.sendMessage({ type: 'end_turn' });
+    }
+  };
+}
+
+/**
+ * Creates an adapter that replies to a WhatsApp user once the turn has finished
+ * @param {string} to - Customer phone number
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.allowedHost] - Storefront host that links may point to
+ * @returns {Object} Channel adapter for the conversation engine
+ */
+export function createWhatsAppChannel(to, { allowedHost = '' } = {}) {
+  const urlRegex = /(https?:\/\/[^\s)]+)\)?/gi;
+  const toStoreHost = (href) => {
+    try {
+      const u = new URL(href);
+      u.protocol = 'https:';
+      if (allowedHost) u.host = allowedHost;
+      return u.toString();
+    } catch {
+      return href;
+    }
+  };
+
+  // Options from offer_options, sent with the reply at the end of the turn
+  let pendingOptions = null;
+  // Set once the turn's reply carried options or a checkout link, so no product list follows it
+  let skipProductList = false;
+
+  /**
+   * Send options as reply buttons or a list picker
+   * @param {string} bodyText - Message text shown with the options
+   * @returns {Promise<Object>} Response from WhatsApp API
+   */
+  const sendOptions = (bodyText) => {
+    const { listButtonText } = AppConfig.whatsappInteractive;
+    return pendingOptions.type === 'button'
+      ? sendWhatsAppButtons(to, bodyText, pendingOptions.buttons)
+      : sendWhatsAppList(to, bodyText, listButtonText, [{ rows: pendingOptions.rows }]);
+  };
+
+  return {
+    channel: 'whatsapp',
+
+    offerOptions: (options) => {
+      pendingOptions = buildOptionsLayout(options);
+      return pendingOptions.type;
+    },
+
+    onAuthRequired: (authUrl) => {
+      return `To access your order information, please authorize the app by clicking this link: ${authUrl}\n\nAfter authorizing, please send me a message and I'll be able to help you with your orders.`;
+    },
+
+    onCheckoutLink: ({ url, cartSummary }) => {
+      // The checkout link ends the turn, so it replaces any options offered before it
+      pendingOptions = null;
+      skipProductList = true;
+      const summaryText = cartSummary
+        ? `*Cart updated:*\n${cartSummary}\n\n`
+        : '*Cart updated.*\n\n';
+      return `${summaryText}Here’s your checkout link: ${toStoreHost(url)}`;
+    },
+
+    sendDocumentFromUrl: (url, filename, caption) => {
+      return sendWhatsAppDocumentFromUrl(to, url, filename, caption);
+    },
+
+    onEndTurn: async ({ reply, replyMessage }) => {
+      let finalResponse = reply || "Sorry, I couldn't generate a response.";
+
+      // Sanitize unauthorized/foreign links before sending
+      finalResponse = finalResponse.replace(urlRegex, (match) => {
+        try {
+          const u = new URL(match);
+          const isAllowed = allowedHost && u.host === allowedHost;
+          return isAllowed ? match : '';
+        } catch {
+          return match;
+        }
+      });
+
+      // Check if response is incomplete (ends with colon or incomplete sentence)
+      if (finalResponse.trim().endsWith(':') || finalResponse.trim().endsWith('...')) {
+        finalResponse = finalResponse + '\n\nI apologize, but I need to complete that response. Let me provide you with the full information you requested.';
+      }
+      finalResponse = formatForWhatsApp(finalResponse);
+
+      // Truncate response if it's too long for WhatsApp (4096 character limit)
+      const maxWhatsAppLength = 4000; // Leave some buffer
+      if (finalResponse.length > maxWhatsAppLength) {
+        finalResponse = finalResponse.substring(0, maxWhatsAppLength) + '...\n\n[Message truncated due to length]';
+      }
+
+      let response;
+      if (pendingOptions) {
+        skipProductList = true;
+        try {
+          // Options go on the reply itself when it fits in an interactive message body
+          if (finalResponse.length > 1024) {
+            response = await sendWhatsAppMessage(to, finalResponse);
+            await sendOptions(AppConfig.whatsappInteractive.optionsText);
+          } else {
+            response = await sendOptions(finalResponse);
+          }
+        } catch (error) {
+          console.error('WhatsApp: Failed to send options, sending the reply as text:', error);
+          response = response || await sendWhatsAppMessage(to, finalResponse);
+        }
+      } else {
+        response = await sendWhatsAppMessage(to, finalResponse);
+      }
+
+      // Link the stored reply to its wamid so delivery/read receipts can be recorded
+      const whatsappMessageId = getWhatsAppMessageId(response);
+      if (replyMessage?.id && whatsappMessageId) {
+        await setMessageWhatsAppId(replyMessage.id, whatsappMessageId);
+      }
+    },
+
+    onProducts: async (products) => {
+      const { enabled, productList, productListText, productListButtonText } = AppConfig.whatsappInteractive;
+      const rows = buildProductListRows(products);
+      if (!enabled || !productList || skipProductList || rows.length === 0) {
+        return;
+      }
+      try {
+        await sendWhatsAppList(to, productListText, productListButtonText, [{ rows }]);
+      } catch (error) {
+        console.error('WhatsApp: Failed to send the product list:', error);
+      }
+    }
+  };
+}
+
+/**
+ * Normalize markdown-style formatting for WhatsApp (single asterisks, compact spacing)
+ * @param {string} text - Text to format
+ * @returns {string} WhatsApp-formatted text
+ */
+export function formatForWhatsApp(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+  let formatted = text.replace(/\r\n/g, '\n');
+  formatted = formatted.replace(/\*\*(.*?)\*\*/gs, '*$1*');
+  formatted = formatted.replace(/__(.*?)__/gs, '*$1*');
+  formatted = formatted.replace(/\n{3,}/g, '\n\n');
+  return formatted.trim();
+}
+
+export default {
+  createSseChannel,
+  createWhatsAppChannel,
+  formatForWhatsApp
+};
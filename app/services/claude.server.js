@@ -1,10 +1,13 @@
 /**
  * Claude Service
- * Manages interactions with the Claude API
+ * Manages interactions with the Claude API. Overloaded and rate-limited requests
+ * are retried with backoff, then sent to AppConfig.api.fallbackModel.
  */
 import { Anthropic } from "@anthropic-ai/sdk";
 import AppConfig from "./config.server";
 import systemPrompts from "../prompts/prompts.json";
+import { recordClaudeUsage } from "../db.server";
+import { estimateTokens, fitHistoryToBudget } from "./token-budget.server";
 
 /**
  * Creates a Claude service instance
@@ -12,8 +15,88 @@ import systemPrompts from "../prompts/prompts.json";
  * @returns {Object} Claude service with methods for interacting with Claude API
  */
 export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
-  // Initialize Claude client
-  const anthropic = new Anthropic({ apiKey });
+  // Initialize Claude client; retries are handled by requestWithFallback so they can switch model
+  const anthropic = new Anthropic({ apiKey, maxRetries: 0 });
+
+  /**
+   * Builds the request shared by the conversation methods: the system prompt and tools
+   * marked for prompt caching, and the history trimmed to the token budget
+   * @param {Object} params - Conversation parameters
+   * @param {Array} params.messages - Conversation history
+   * @param {string} params.promptType - The type of system prompt to use
+   * @param {Array} [params.tools] - Available tools for Claude
+   * @param {string} [params.context] - Extra system prompt text for this conversation (e.g. memory)
+   * @returns {Object} Request fields plus estimatedInputTokens and trimmedMessages
+   */
+  const prepareConversationRequest = ({ messages, promptType, tools, context }) => {
+    const { cachePrompt, maxInputTokens } = AppConfig.tokenBudget;
+    const prompt = getSystemPrompt(promptType);
+    const toolList = tools && tools.length > 0 ? tools : undefined;
+
+    // The conversation context changes between requests, so it goes after the cache breakpoint
+    const system = cachePrompt
+      ? [
+        { type: 'text', text: prompt, cache_control: { type: 'ephemeral' } },
+        ...(context ? [{ type: 'text', text: context }] : [])
+      ]
+      : withContext(prompt, context);
+    const cachedTools = cachePrompt && toolList
+      ? toolList.map((tool, index) => (
+        index === toolList.length - 1 ? { ...tool, cache_control: { type: 'ephemeral' } } : tool
+      ))
+      : toolList;
+
+    const fixedTokens = estimateTokens(withContext(prompt, context)) + estimateTokens(toolList);
+    const history = fitHistoryToBudget(messages, maxInputTokens - fixedTokens);
+    if (history.trimmed > 0) {
+      console.log(`Claude: Dropped ${history.trimmed} older messages to fit the ${maxInputTokens} token budget`);
+    }
+
+    return {
+      system,
+      tools: cachedTools,
+      messages: history.messages,
+      estimatedInputTokens: fixedTokens + history.tokens,
+      trimmedMessages: history.trimmed
+    };
+  };
+
+  /**
+   * Records the token usage of a response for reporting
+   * @param {Object} response - Claude response
+   * @param {Object} details - Request details
+   * @returns {void}
+   */
+  const recordUsage = (response, {
+    conversationId,
+    channel,
+    purpose,
+    model,
+    estimatedInputTokens,
+    trimmedMessages,
+    toolRound,
+    startedAt
+  }) => {
+    const usage = response?.usage;
+    if (!usage) {
+      return;
+    }
+    // Saved in the background; recordClaudeUsage never throws
+    recordClaudeUsage({
+      conversationId,
+      channel,
+      purpose,
+      model: response.model || model,
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens,
+      cacheCreationInputTokens: usage.cache_creation_input_tokens,
+      cacheReadInputTokens: usage.cache_read_input_tokens,
+      estimatedInputTokens,
+      trimmedMessages,
+      toolRound,
+      latencyMs: startedAt ? Date.now() - startedAt : null
+    });
+  };
 
   /**
    * Streams a conversation with Claude
@@ -21,6 +104,11 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string} [params.context] - Extra system prompt text for this conversation (e.g. memory)
+   * @param {string} [params.conversationId] - The conversation ID, for usage reporting
+   * @param {string} [params.channel] - "web" or "whatsapp", for usage reporting
+   * @param {number} [params.toolRound] - Claude call number within the turn, for usage reporting
+   * @param {string} [params.model] - Model to use instead of the default
    * @param {Object} streamHandlers - Stream event handlers
    * @param {Function} streamHandlers.onText - Handles text chunks
    * @param {Function} streamHandlers.onMessage - Handles complete messages
@@ -30,35 +118,60 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
   const streamConversation = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    tools,
+    context,
+    conversationId,
+    channel,
+    toolRound,
+    model = AppConfig.api.defaultModel
   }, streamHandlers) => {
-    // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    const request = prepareConversationRequest({ messages, promptType, tools, context });
+    const startedAt = Date.now();
+    // Once output has reached the customer a retry would repeat it, so only retry before that
+    let streamed = false;
 
-    // Create stream
-    const stream = await anthropic.messages.stream({
-      model: AppConfig.api.defaultModel,
-      max_tokens: AppConfig.api.maxTokens,
-      system: systemInstruction,
-      messages,
-      tools: tools && tools.length > 0 ? tools : undefined
-    });
+    const finalMessage = await requestWithFallback(model, async (attemptModel) => {
+      // Create stream
+      const stream = anthropic.messages.stream({
+        model: attemptModel,
+        max_tokens: AppConfig.api.maxTokens,
+        system: request.system,
+        messages: request.messages,
+        tools: request.tools
+      });
 
-    // Set up event handlers
-    if (streamHandlers.onText) {
-      stream.on('text', streamHandlers.onText);
-    }
+      // Set up event handlers
+      if (streamHandlers.onText) {
+        stream.on('text', (textDelta) => {
+          streamed = true;
+          streamHandlers.onText(textDelta);
+        });
+      }
 
-    if (streamHandlers.onMessage) {
-      stream.on('message', streamHandlers.onMessage);
-    }
+      if (streamHandlers.onMessage) {
+        stream.on('message', streamHandlers.onMessage);
+      }
 
-    if (streamHandlers.onContentBlock) {
-      stream.on('contentBlock', streamHandlers.onContentBlock);
-    }
+      if (streamHandlers.onContentBlock) {
+        stream.on('contentBlock', (contentBlock) => {
+          streamed = true;
+          streamHandlers.onContentBlock(contentBlock);
+        });
+      }
 
-    // Wait for final message
-    const finalMessage = await stream.finalMessage();
+      // Wait for final message
+      return stream.finalMessage();
+    }, () => !streamed);
+    recordUsage(finalMessage, {
+      conversationId,
+      channel,
+      purpose: 'chat',
+      model,
+      estimatedInputTokens: request.estimatedInputTokens,
+      trimmedMessages: request.trimmedMessages,
+      toolRound,
+      startedAt
+    });
 
     // Process tool use requests
     if (streamHandlers.onToolUse && finalMessage.content) {
@@ -78,28 +191,92 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
    * @param {Array} params.messages - Conversation history
    * @param {string} params.promptType - The type of system prompt to use
    * @param {Array} params.tools - Available tools for Claude
+   * @param {string} [params.context] - Extra system prompt text for this conversation (e.g. memory)
+   * @param {string} [params.conversationId] - The conversation ID, for usage reporting
+   * @param {string} [params.channel] - "web" or "whatsapp", for usage reporting
+   * @param {string} [params.model] - Model to use instead of the default
    * @returns {Promise<Object>} The complete response
    */
   const getConversationResponse = async ({
     messages,
     promptType = AppConfig.api.defaultPromptType,
-    tools
+    tools,
+    context,
+    conversationId,
+    channel,
+    model = AppConfig.api.defaultModel
   }) => {
-    // Get system prompt from configuration or use default
-    const systemInstruction = getSystemPrompt(promptType);
+    const request = prepareConversationRequest({ messages, promptType, tools, context });
+    const startedAt = Date.now();
 
     // Create non-streaming request
-    const response = await anthropic.messages.create({
-      model: AppConfig.api.defaultModel,
+    const response = await requestWithFallback(model, (attemptModel) => anthropic.messages.create({
+      model: attemptModel,
       max_tokens: AppConfig.api.maxTokens,
-      system: systemInstruction,
-      messages,
-      tools: tools && tools.length > 0 ? tools : undefined
+      system: request.system,
+      messages: request.messages,
+      tools: request.tools
+    }));
+    recordUsage(response, {
+      conversationId,
+      channel,
+      purpose: 'chat',
+      model,
+      estimatedInputTokens: request.estimatedInputTokens,
+      trimmedMessages: request.trimmedMessages,
+      startedAt
     });
 
     return response;
   };
 
+  /**
+   * Gets structured output by making Claude call a single tool (non-streaming)
+   * @param {Object} params - Request parameters
+   * @param {string} params.system - System instruction for the task
+   * @param {Array} params.messages - Messages to send
+   * @param {Object} params.tool - Tool definition whose input schema describes the output
+   * @param {string} [params.model] - Model to use instead of the default
+   * @param {number} [params.maxTokens] - Output token limit
+   * @param {number} [params.timeoutMs] - Request timeout
+   * @param {string} params.purpose - What the output is for (e.g. "summary"), for usage reporting
+   * @param {string} [params.conversationId] - The conversation ID, for usage reporting
+   * @returns {Promise<Object>} The tool input Claude produced
+   */
+  const getStructuredResponse = async ({
+    system,
+    messages,
+    tool,
+    model = AppConfig.api.defaultModel,
+    maxTokens = AppConfig.api.maxTokens,
+    timeoutMs,
+    purpose,
+    conversationId
+  }) => {
+    const startedAt = Date.now();
+    const response = await requestWithFallback(model, (attemptModel) => anthropic.messages.create({
+      model: attemptModel,
+      max_tokens: maxTokens,
+      system,
+      messages,
+      tools: [tool],
+      tool_choice: { type: 'tool', name: tool.name }
+    }, timeoutMs ? { timeout: timeoutMs } : undefined));
+    recordUsage(response, {
+      conversationId,
+      purpose,
+      model,
+      estimatedInputTokens: estimateTokens(system) + estimateTokens(messages) + estimateTokens(tool),
+      startedAt
+    });
+
+    const toolUse = response.content.find(content => content.type === 'tool_use');
+    if (!toolUse) {
+      throw new Error(`Claude did not return ${tool.name} output (stop reason: ${response.stop_reason})`);
+    }
+    return toolUse.input;
+  };
+
   /**
    * Gets the system prompt content for a given prompt type
    * @param {string} promptType - The prompt type to retrieve
@@ -142,23 +319,92 @@ export function createClaudeService(apiKey = process.env.CLAUDE_API_KEY) {
     if (policyGuidance) {
       prompt = `${prompt}\n\n${policyGuidance}`;
     }
-    
-    // Truncate system prompt to reduce token usage
-    const maxLength = AppConfig.conversation.maxSystemPromptLength;
-    if (prompt.length > maxLength) {
-      return prompt.substring(0, maxLength) + '...';
-    }
-    
+
     return prompt;
   };
 
+  /**
+   * Appends conversation-specific context after the system prompt
+   * @param {string} prompt - The system prompt
+   * @param {string} [context] - Extra context
+   * @returns {string} The system prompt with context
+   */
+  const withContext = (prompt, context) => (context ? `${prompt}\n\n${context}` : prompt);
+
   return {
     streamConversation,
     getConversationResponse,
+    getStructuredResponse,
     getSystemPrompt
   };
 }
 
+/**
+ * Check whether an error means Claude is overloaded or rate limited
+ * @param {Error} error - Error from the Anthropic client
+ * @returns {boolean} True if the request is worth retrying
+ */
+function isRetryableError(error) {
+  if (AppConfig.api.retry.retryStatuses.includes(error?.status)) {
+    return true;
+  }
+  // Errors sent mid-stream have no HTTP status
+  const type = error?.error?.error?.type || error?.error?.type;
+  return type === 'overloaded_error' || type === 'rate_limit_error' || /overloaded/i.test(error?.message || '');
+}
+
+/**
+ * Work out how long to wait before a retry, honouring retry-after when Claude sends one
+ * @param {Error} error - The failed request's error
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const { baseDelayMs, maxDelayMs } = AppConfig.api.retry;
+  const retryAfter = parseFloat(error?.headers?.['retry-after']);
+  const delay = Number.isFinite(retryAfter)
+    ? retryAfter * 1000
+    : baseDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+  return Math.min(delay, maxDelayMs);
+}
+
+/**
+ * Send a request, retrying with backoff while Claude is overloaded and then
+ * falling back to AppConfig.api.fallbackModel
+ * @param {string} model - Requested model
+ * @param {Function} send - Sends the request for a model and returns its response
+ * @param {Function} [canRetry] - Returns false once a retry is no longer safe
+ * @returns {Promise<Object>} The response
+ */
+async function requestWithFallback(model, send, canRetry = () => true) {
+  const { maxRetries } = AppConfig.api.retry;
+  const fallbackModel = AppConfig.api.fallbackModel;
+  const models = fallbackModel && fallbackModel !== model ? [model, fallbackModel] : [model];
+
+  let lastError;
+  for (const attemptModel of models) {
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = getRetryDelay(lastError, attempt);
+        console.warn(`Claude: ${attemptModel} unavailable (${lastError.status || lastError.message}), retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      try {
+        return await send(attemptModel);
+      } catch (error) {
+        if (!isRetryableError(error) || !canRetry()) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+    if (attemptModel !== models[models.length - 1]) {
+      console.warn(`Claude: ${attemptModel} still unavailable, falling back to ${fallbackModel}`);
+    }
+  }
+  throw lastError;
+}
+
 export default {
   createClaudeService
 };
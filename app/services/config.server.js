@@ -9,6 +9,28 @@ export const AppConfig = {
     defaultModel: 'claude-sonnet-4-20250514',
     maxTokens: 2000, // Reduced from 2000 to save tokens
     defaultPromptType: 'standardAssistant',
+    // Models for each kind of chat turn (see model-router.server.js); null uses defaultModel
+    modelTiers: {
+      simple: 'claude-3-5-haiku-20241022', // Greetings, thanks and short FAQ questions
+      standard: null,
+      cart: null // Product selection and cart building
+    },
+    // Tried once the requested model is still overloaded after its retries
+    fallbackModel: 'claude-3-7-sonnet-20250219',
+    retry: {
+      maxRetries: 2, // Per model, before falling back
+      baseDelayMs: 1000, // Doubled on each retry
+      maxDelayMs: 8000,
+      retryStatuses: [429, 500, 502, 503, 529]
+    }
+  },
+
+  // Chat Model Routing
+  modelRouting: {
+    enabled: true,
+    simpleMaxLength: 160, // Longer messages always get at least the standard model
+    activeCartHours: 24, // A cart created or changed this recently keeps short replies on the cart model
+    cartTools: ['update_cart', 'get_cart'] // Calling these moves the rest of the turn to the cart model
   },
 
   // Error Message Templates
@@ -31,7 +53,162 @@ export const AppConfig = {
   // Conversation Management
   conversation: {
     maxHistoryMessages: 8, // Limit conversation history
-    maxSystemPromptLength: 500 // Limit system prompt length
+    historyFetchLimit: 10, // Messages loaded from the database at the start of a turn
+    maxContextMessages: 20, // Messages sent to Claude on each tool round
+    maxToolRounds: 12, // Safety cap on Claude calls within a single turn
+    ticketResponseHours: 24 // Team response time quoted to customers while their ticket is open
+  },
+
+  // Token Budget (per Claude chat request)
+  tokenBudget: {
+    maxInputTokens: 20000, // System prompt, tools and history; the oldest turns are dropped beyond this
+    charsPerToken: 3.5, // Used to estimate token counts before sending
+    imageTokens: 1600, // Estimate for one image; Claude resizes large photos to about this size
+    cachePrompt: true // Cache the system prompt and tool definitions between requests
+  },
+
+  // Claude Usage Report
+  usage: {
+    currency: 'USD',
+    // Price per million tokens. Models are matched by prefix, so dated versions share a price.
+    pricing: {
+      'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+      'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+      'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+    },
+    defaultReportDays: 30,
+    topConversations: 10, // Most expensive conversations listed in the report
+    resolvedAfterHours: 24 // A conversation counts as resolved once it has been quiet this long with no open ticket
+  },
+
+  // Long-term Memory (older turns summarized per conversation and per customer)
+  memory: {
+    enabled: true,
+    minMessagesToFold: 6, // Older messages that must build up before the memory is updated
+    maxLength: 2000, // Characters kept for each of the conversation and customer memory
+    model: null, // null uses api.defaultModel
+    maxTokens: 1000, // Output limit for a memory update
+    timeoutMs: 30000 // Memory update request timeout
+  },
+
+  // Conversation Summaries (handoff emails and the agent inbox)
+  summary: {
+    model: null, // null uses api.defaultModel
+    maxTokens: 800, // Output limit for a summary
+    maxMessages: 30, // Most recent messages included in the transcript
+    maxToolResultLength: 600, // Tool output is cut to this many characters in the transcript
+    timeoutMs: 20000 // Fall back to the basic summary if Claude takes longer
+  },
+
+  // Human Takeover (bot paused while staff handle a conversation)
+  takeover: {
+    timeoutHours: 12, // Hand back to the bot after this long without a staff reply
+    releaseCheckMinutes: 5, // How often timed-out takeovers are looked for and handed back
+    startOnEscalation: true, // Pause the bot when a support ticket is created
+    forwardByEmail: true, // Email SUPPORT_EMAIL each customer message received while the bot is paused
+    handbackMessage: "Thanks for your patience! You're chatting with our assistant again, so just send a message if there's anything else we can help with."
+  },
+
+  // Helpdesk (where escalations are sent)
+  helpdesk: {
+    adapter: 'email', // 'email', 'webhook', 'zendesk', 'gorgias' or 'freshdesk'
+    fallbackToEmail: true, // Email SUPPORT_EMAIL when the helpdesk can't be reached, so no handoff is lost
+    sendCustomerReceipt: true, // Email the customer their ticket reference; turn off if the helpdesk sends its own
+    requestTimeoutMs: 10000, // Helpdesk API and webhook request timeout
+    tags: ['chat-handoff'] // Tags added to helpdesk tickets
+  },
+
+  // Inbound Email (support replies to ticket emails relayed into the customer's chat)
+  inboundEmail: {
+    allowedSenderDomains: [], // Staff domains allowed to reply; the SUPPORT_EMAIL domain is always allowed
+    maxReplyLength: 4096 // WhatsApp text message limit
+  },
+
+  // Broadcasts
+  broadcast: {
+    batchSize: 50, // Recipients loaded per batch
+    whatsappSendDelayMs: 250, // Pause between WhatsApp sends
+    rateLimitBackoffMs: 10000, // Pause before retrying a send rejected by WhatsApp rate limits
+    imageReadyDelayMs: 5000, // Wait after hosting the image so WhatsApp can fetch it
+    dispatchMaxDelayMinutes: 60, // Longest the dispatcher sleeps before re-checking scheduled broadcasts
+    customerServiceWindowHours: 24 // Free-form messages allowed this long after the customer's last message
+  },
+
+  // Audience Segments
+  segments: {
+    abandonedCartHours: 24 // A chat cart untouched this long counts as abandoned
+  },
+
+  // Marketing Consent
+  consent: {
+    requireOptIn: false // When true, only users who explicitly opted in receive broadcasts
+  },
+
+  // Phone Numbers
+  phone: {
+    defaultCountryCode: null // Calling code for numbers entered without one (e.g. '44' accepts 07700 900123); null rejects them
+  },
+
+  // WhatsApp Inbound Queue
+  whatsappQueue: {
+    concurrency: 4, // Jobs handled at once; messages from one phone number still go one at a time
+    maxAttempts: 5, // Attempts before a message is marked failed
+    retryBaseDelaySeconds: 15, // Doubled after every failed attempt
+    staleLockMinutes: 10, // Jobs locked longer than this are assumed abandoned
+    retentionDays: 7 // How long processed message ids are kept for de-duplication
+  },
+
+  // Spreadsheet Orders (order forms sent on WhatsApp)
+  spreadsheetOrders: {
+    enabled: true, // false emails every spreadsheet to support without building a cart
+    maxRows: 200, // Order lines read from one file
+    headerSearchRows: 30, // Rows searched for the product list header
+    // Header names recognised for each column, compared case-insensitively
+    columns: {
+      sku: ['sku', 'code', 'product code', 'item code'],
+      product: ['product', 'product name', 'item', 'item name', 'description', 'title', 'name'],
+      variant: ['variant', 'option', 'flavour', 'flavor', 'strength', 'size', 'colour', 'color'],
+      quantity: ['quantity', 'qty', 'order qty', 'order quantity', 'units'],
+      productId: ['product id'],
+      variantId: ['variant id']
+    }
+  },
+
+  // Generated Order Forms (sent by send_order_template)
+  orderForms: {
+    bestsellersCollection: 'best-sellers', // Collection handle used for the bestsellers form
+    maxProducts: 250, // Products listed on one form
+    cacheMinutes: 60 // A form is reused for this long before it is generated again
+  },
+
+  // Photo Messages (images customers send on WhatsApp)
+  imageMessages: {
+    enabled: true, // false replies that photos aren't supported, as before
+    maxBytes: 5 * 1024 * 1024, // Largest image Claude accepts
+    supportedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    recentImages: 1 // Latest photos sent to Claude as images; older ones are replaced with a note
+  },
+
+  // Voice Notes (WhatsApp audio transcribed and answered like a text message)
+  transcription: {
+    enabled: true, // false rejects audio messages as before
+    backend: 'openai', // 'openai' (needs OPENAI_API_KEY) or 'stub' (returns stubText, for local testing)
+    model: 'whisper-1', // OpenAI transcription model
+    language: null, // ISO-639-1 hint such as 'en'; null lets the model detect the language
+    maxBytes: 25 * 1024 * 1024, // Largest file the OpenAI API accepts
+    requestTimeoutMs: 30000, // Transcription request timeout
+    stubText: 'Hi, do you have any best sellers in stock?' // Transcript returned by the stub backend
+  },
+
+  // WhatsApp Interactive Messages (reply buttons and list pickers)
+  whatsappInteractive: {
+    enabled: true, // false sends every reply as plain text and ignores offer_options
+    productList: true, // Follow product search results with a list picker of the products
+    listButtonText: 'View options', // Button that opens a list of options
+    productListButtonText: 'View products', // Button that opens the product list
+    productListText: 'Tap a product to see its details and options.',
+    optionsText: 'Choose an option:' // Sent with the options when the reply is too long to carry them
   }
 };
 
@@ -0,0 +1,93 @@
+/**
+ * Marketing Consent Service
+ * Tracks whether each user may receive broadcasts on each channel, handles
+ * STOP/START keywords and keeps an audit trail of every change
+ */
+import {
+  setMarketingConsent,
+  getMarketingConsentStatuses
+} from "../db.server";
+import AppConfig from "./config.server";
+
+export const CONSENT_STATUS = {
+  OPTED_IN: 'opted_in',
+  OPTED_OUT: 'opted_out'
+};
+
+// Whole-message keywords; anything longer is treated as a normal chat message
+const OPT_OUT_KEYWORDS = ['stop', 'stop all', 'stopall', 'unsubscribe', 'opt out', 'opt-out', 'optout'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'subscribe', 'opt in', 'opt-in', 'optin'];
+
+export const CONSENT_REPLIES = {
+  [CONSENT_STATUS.OPTED_OUT]: "You've been unsubscribed and won't receive any more promotional messages from us. " +
+    "You can still message us any time for help. Reply START to subscribe again.",
+  [CONSENT_STATUS.OPTED_IN]: "You're subscribed to our news and offers. Reply STOP at any time to unsubscribe."
+};
+
+/**
+ * Recognise a consent keyword sent as the whole message
+ * @param {string} text - Inbound message text
+ * @returns {{status: string, keyword: string}|null} The requested consent status, or null
+ */
+export function detectConsentKeyword(text) {
+  const normalized = (text || '').trim().toLowerCase().replace(/[.!]+$/, '').replace(/\s+/g, ' ');
+  if (OPT_OUT_KEYWORDS.includes(normalized)) {
+    return { status: CONSENT_STATUS.OPTED_OUT, keyword: normalized.toUpperCase() };
+  }
+  if (OPT_IN_KEYWORDS.includes(normalized)) {
+    return { status: CONSENT_STATUS.OPTED_IN, keyword: normalized.toUpperCase() };
+  }
+  return null;
+}
+
+/**
+ * Change a user's consent on a channel
+ * @param {string} userId - User ID
+ * @param {string} channel - "whatsapp" or "website"
+ * @param {string} status - "opted_in" or "opted_out"
+ * @param {string} source - What changed it, e.g. "keyword", "admin"
+ * @param {string} [detail] - Extra context for the audit trail
+ * @returns {Promise<Object>} The current consent record
+ */
+export async function recordMarketingConsent(userId, channel, status, source, detail) {
+  if (status !== CONSENT_STATUS.OPTED_IN && status !== CONSENT_STATUS.OPTED_OUT) {
+    throw new Error(`Invalid consent status: ${status}`);
+  }
+  const consent = await setMarketingConsent(userId, channel, { status, source, detail });
+  console.log(`Consent: User ${userId} ${status} on ${channel} (${source}${detail ? `: ${detail}` : ''})`);
+  return consent;
+}
+
+/**
+ * Whether a consent status allows marketing messages. Without a record, users
+ * are included unless explicit opt-in is required.
+ * @param {string|undefined} status - Consent status, if recorded
+ * @returns {boolean} True if broadcasts may be sent
+ */
+export function allowsMarketing(status) {
+  if (status === CONSENT_STATUS.OPTED_OUT) {
+    return false;
+  }
+  return status === CONSENT_STATUS.OPTED_IN || !AppConfig.consent.requireOptIn;
+}
+
+/**
+ * Find which users must not receive marketing on a channel
+ * @param {Array<string>} userIds - User IDs
+ * @param {string} channel - "whatsapp" or "website"
+ * @returns {Promise<Set<string>>} IDs of users to skip
+ */
+export async function getMarketingBlockedUserIds(userIds, channel) {
+  const ids = userIds.filter(Boolean);
+  const statuses = await getMarketingConsentStatuses(ids, channel);
+  return new Set(ids.filter(userId => !allowsMarketing(statuses[userId])));
+}
+
+export default {
+  CONSENT_STATUS,
+  CONSENT_REPLIES,
+  detectConsentKeyword,
+  recordMarketingConsent,
+  allowsMarketing,
+  getMarketingBlockedUserIds
+};
@@ -0,0 +1,593 @@
+/**
+ * Conversation Engine
+ * Runs a complete Claude/MCP turn for any channel. Channel specifics (SSE events,
+ * WhatsApp replies) are delegated to a channel adapter from channels.server.js.
+ */
+import { saveMessage, getConversationHistory, getConversation } from "../db.server";
+import AppConfig from "./config.server";
+import { createClaudeService } from "./claude.server";
+import { createToolService } from "./tool.server";
+import { getCustomTool, runCustomTool } from "./custom-tools.server";
+import { getMemoryPrompt, updateConversationMemory } from "./memory.server";
+import { chooseModelTier, escalateModelTier, getModelForTier } from "./model-router.server";
+import { isStoredImageBlock, resolveStoredImages } from "./image-message.server";
+
+/**
+ * @typedef {Object} ChannelAdapter
+ * @property {string} channel - Channel name ("web" or "whatsapp")
+ * @property {Function} [onText] - Receives streamed text deltas and the turn state
+ * @property {Function} [onContentBlock] - Receives completed content blocks
+ * @property {Function} [onMessageComplete] - Called after each Claude message is recorded
+ * @property {Function} [onToolUse] - Called with (toolName, toolArgs) before a tool runs
+ * @property {Function} [onToolResult] - Called once a tool result has been added to history
+ * @property {Function} [onAuthRequired] - Receives the auth URL; may return a reply for the customer
+ * @property {Function} [onCheckoutLink] - Receives { url, cartSummary }; returning a reply ends the turn
+ * @property {Function} [onNotice] - Receives customer-facing text produced by the engine itself
+ * @property {Function} [onProducts] - Receives product cards collected during the turn
+ * @property {Function} [onEndTurn] - Receives { reply, replyMessage, state } once the turn has finished;
+ *   replyMessage is the saved Message row for the reply, if any
+ * @property {Function} [sendDocumentFromUrl] - (url, filename, caption) for channels that can send files
+ * @property {Function} [offerOptions] - Receives options to show as tappable choices with the reply;
+ *   returns the layout used ("button" or "list")
+ */
+
+/**
+ * Creates a conversation engine instance
+ * @param {Object} [services] - Optional service overrides
+ * @param {Object} [services.claudeService] - Claude service instance
+ * @param {Object} [services.toolService] - Tool service instance
+ * @returns {Object} Conversation engine with methods for running turns
+ */
+export function createConversationEngine({
+  claudeService = createClaudeService(),
+  toolService = createToolService()
+} = {}) {
+  /**
+   * Runs a single inbound message through Claude, executing tools until the turn ends
+   * @param {Object} inbound - Normalized inbound message
+   * @param {string} inbound.conversationId - The conversation ID
+   * @param {string} inbound.userMessage - The customer's message text
+   * @param {Array} [inbound.userContent] - Content blocks to save instead of the text (e.g. a photo and its caption)
+   * @param {string} [inbound.origin] - How the message was sent, e.g. 'voice' for a transcribed voice note
+   * @param {string} [inbound.promptType] - The system prompt type
+   * @param {Object} inbound.mcpClient - Connected MCP client for the conversation
+   * @param {boolean} [inbound.userMessageSaved] - An earlier attempt at this turn already saved the message
+   * @param {Function} [inbound.onProgress] - Awaited with 'userMessageSaved' once the message is saved and
+   *   'toolsStarted' before the first tool runs, so a caller retrying the turn knows what already happened
+   * @param {ChannelAdapter} adapter - Channel adapter that delivers output
+   * @returns {Promise<{reply: string|null, stopped: boolean}>} The last customer-facing reply
+   */
+  const runTurn = async ({
+    conversationId,
+    userMessage,
+    userContent = null,
+    origin = null,
+    promptType = AppConfig.api.defaultPromptType,
+    mcpClient,
+    userMessageSaved = false,
+    onProgress
+  }, adapter) => {
+    const logTag = adapter.channel === 'whatsapp' ? 'WHATSAPP' : 'CHAT';
+    const state = {
+      checkoutLinkAuthorized: false,
+      reply: null,
+      stopped: false
+    };
+    const productsToDisplay = [];
+    let toolsStarted = false;
+    // Pending save of the message row holding the latest customer-facing reply
+    const replyRecord = { save: null };
+
+    // Save user message and load recent history
+    if (!userMessageSaved) {
+      await saveMessage(conversationId, 'user', userContent ? JSON.stringify(userContent) : userMessage, { origin });
+      await onProgress?.('userMessageSaved');
+    }
+    const conversationHistory = await loadConversationHistory(conversationId);
+    // Older turns aren't in the history; the memory stands in for them
+    const memoryPrompt = await getMemoryPrompt(conversationId).catch(error => {
+      console.error(`[${logTag}] Failed to load memory:`, error);
+      return null;
+    });
+    // Cheaper model for simple turns, stronger one once a cart is involved
+    const conversation = await getConversation(conversationId);
+    let modelTier = chooseModelTier({
+      userMessage,
+      conversationMetadata: conversation?.metadata,
+      hasImage: !!userContent?.some(isStoredImageBlock)
+    });
+
+    /**
+     * Deliver text generated by the engine (not Claude) and persist it
+     * @param {string} text - Customer-facing text
+     */
+    const deliverNotice = async (text) => {
+      state.reply = text;
+      adapter.onNotice?.(text);
+      replyRecord.save = saveMessage(conversationId, 'assistant', JSON.stringify([{ type: 'text', text }]))
+        .catch(error => {
+          console.error("Error saving message to database:", error);
+          return null;
+        });
+      await replyRecord.save;
+    };
+
+    const handleToolUse = async (content) => {
+      const toolName = content.name;
+      const toolArgs = content.input;
+      const toolUseId = content.id;
+
+      if (!toolsStarted) {
+        toolsStarted = true;
+        await onProgress?.('toolsStarted');
+      }
+      adapter.onToolUse?.(toolName, toolArgs);
+      modelTier = escalateModelTier(modelTier, toolName);
+
+      // Custom tools run in-process with access to the channel adapter
+      const customTool = getCustomTool(toolName, adapter.channel);
+      if (customTool) {
+        await handleCustomTool(customTool, toolArgs, toolUseId);
+        return;
+      }
+
+      let toolUseResponse;
+      try {
+        toolUseResponse = await mcpClient.callTool(toolName, toolArgs);
+      } catch (toolError) {
+        console.error(`[${logTag}] Tool execution error:`, toolError);
+        await toolService.addToolResultToHistory(
+          conversationHistory,
+          toolUseId,
+          `Error: ${toolError.message || 'Tool execution failed'}`,
+          conversationId
+        );
+        adapter.onToolResult?.();
+        return;
+      }
+
+      // If checkout URL was generated successfully this turn, authorize checkout links
+      if (!toolUseResponse.error && toolName === 'get_cart') {
+        state.checkoutLinkAuthorized = true;
+      }
+
+      if (toolUseResponse.error) {
+        // Auth prompts are delivered through the channel adapter below
+        const errorResult = await toolService.handleToolError(
+          toolUseResponse,
+          toolName,
+          toolUseId,
+          conversationHistory,
+          () => {},
+          conversationId
+        );
+
+        if (errorResult?.stopConversation) {
+          const authReply = await adapter.onAuthRequired?.(toolUseResponse.error.data);
+          if (authReply) {
+            await deliverNotice(authReply);
+          }
+          state.stopped = true;
+          return;
+        }
+      } else {
+        await toolService.handleToolSuccess(
+          toolUseResponse,
+          toolName,
+          toolUseId,
+          conversationHistory,
+          productsToDisplay,
+          conversationId
+        );
+
+        // After a successful cart update, automatically fetch a checkout link
+        if (toolName === 'update_cart') {
+          const cartSummary = summarizeCartLines(parseCartPayload(toolUseResponse)?.cart);
+          const url = await resolveCheckoutUrl(mcpClient, conversationId, adapter.channel);
+          if (url) {
+            state.checkoutLinkAuthorized = true;
+            const checkoutReply = await adapter.onCheckoutLink?.({ url, cartSummary });
+            if (checkoutReply) {
+              await deliverNotice(checkoutReply);
+              state.stopped = true;
+              return;
+            }
+          }
+        }
+      }
+
+      adapter.onToolResult?.();
+    };
+
+    const handleCustomTool = async (customTool, toolArgs, toolUseId) => {
+      let outcome;
+      try {
+        outcome = await runCustomTool(customTool, toolArgs, {
+          conversationId,
+          channel: adapter.channel,
+          mcpClient,
+          adapter
+        });
+      } catch (toolError) {
+        console.error(`[${logTag}] Custom tool ${customTool.name} failed:`, toolError);
+        outcome = { content: `Error: ${toolError.message || 'Tool execution failed'}` };
+      }
+
+      await toolService.addToolResultToHistory(conversationHistory, toolUseId, outcome.content, conversationId);
+
+      if (outcome.notice) {
+        await deliverNotice(outcome.notice);
+      }
+      if (outcome.stop) {
+        state.stopped = true;
+        return;
+      }
+      adapter.onToolResult?.();
+    };
+
+    let finalMessage = null;
+    let rounds = 0;
+
+    do {
+      rounds++;
+
+      // Truncate conversation history before each API call to prevent unbounded growth
+      const truncatedHistory = truncateConversationHistory(
+        conversationHistory,
+        AppConfig.conversation.maxContextMessages
+      );
+      const historyForClaude = ensureToolUsePairs(truncatedHistory);
+      const model = getModelForTier(modelTier);
+      if (rounds === 1) {
+        console.log(`[${logTag}] Using ${modelTier} model ${model} for ${conversationId}`);
+      }
+
+      finalMessage = await claudeService.streamConversation(
+        {
+          messages: historyForClaude,
+          promptType,
+          tools: mcpClient.tools,
+          context: memoryPrompt,
+          conversationId,
+          channel: adapter.channel,
+          toolRound: rounds,
+          model
+        },
+        {
+          // Only passed when the channel shows partial output, so channels that don't
+          // (WhatsApp) can still be retried after an overload mid-stream
+          onText: adapter.onText && ((textDelta) => adapter.onText(textDelta, state)),
+
+          onMessage: (message) => {
+            conversationHistory.push({
+              role: message.role,
+              content: message.content
+            });
+
+            // Save message in background - don't hold up the stream
+            const saved = saveMessage(conversationId, message.role, JSON.stringify(message.content))
+              .catch(error => {
+                console.error("Error saving message to database:", error);
+                return null;
+              });
+
+            if (message.role === 'assistant') {
+              const text = extractText(message.content);
+              if (text) {
+                state.reply = text;
+                replyRecord.save = saved;
+                console.log(`[${logTag}][OUT] (${conversationId}) ${text}`);
+              }
+            }
+
+            adapter.onMessageComplete?.(message);
+          },
+
+          onToolUse: async (content) => {
+            // Skip remaining tool calls once the turn has been stopped
+            if (state.stopped) {
+              return;
+            }
+            await handleToolUse(content);
+          },
+
+          onContentBlock: adapter.onContentBlock && ((contentBlock) => adapter.onContentBlock(contentBlock))
+        }
+      );
+    } while (
+      finalMessage?.stop_reason === 'tool_use' &&
+      !state.stopped &&
+      rounds < AppConfig.conversation.maxToolRounds
+    );
+
+    await adapter.onEndTurn?.({
+      reply: state.reply,
+      replyMessage: await replyRecord.save,
+      state
+    });
+
+    if (productsToDisplay.length > 0) {
+      adapter.onProducts?.(productsToDisplay);
+    }
+
+    // Fold messages that have left the history into memory; the reply is already out,
+    // so don't hold the turn up for it
+    updateConversationMemory(conversationId).catch(error => {
+      console.error(`[${logTag}] Failed to update memory for ${conversationId}:`, error.message);
+    });
+
+    return { reply: state.reply, stopped: state.stopped };
+  };
+
+  return {
+    runTurn
+  };
+}
+
+/**
+ * Load recent conversation history from the database in Claude message format,
+ * with the latest customer photos inlined
+ * @param {string} conversationId - The conversation ID
+ * @param {number} [limit] - Maximum number of messages to load
+ * @returns {Promise<Array>} Conversation history ready for Claude
+ */
+export async function loadConversationHistory(conversationId, limit = AppConfig.conversation.historyFetchLimit) {
+  const dbMessages = await getConversationHistory(conversationId, limit);
+  return resolveStoredImages(cleanConversationHistory(dbMessages.map(formatDbMessage)));
+}
+
+/**
+ * Convert a stored message into Claude's content block format
+ * @param {Object} dbMessage - Message row from the database
+ * @returns {Object} Message with role and content blocks
+ */
+export function formatDbMessage(dbMessage) {
+  let content;
+  try {
+    content = JSON.parse(dbMessage.content);
+
+    // If the parsed content is not an array, wrap it in a text block
+    if (!Array.isArray(content)) {
+      content = [{
+        type: "text",
+        text: String(content)
+      }];
+    }
+  } catch (e) {
+    // If JSON parsing fails, wrap the content in a text block format
+    content = [{
+      type: "text",
+      text: dbMessage.content
+    }];
+  }
+  // Transcripts can mishear product names, so Claude is told the customer spoke
+  if (dbMessage.origin === 'voice') {
+    content = content.map(block => (
+      block.type === 'text' ? { ...block, text: `[Voice note] ${block.text}` } : block
+    ));
+  }
+  return {
+    role: dbMessage.role,
+    content
+  };
+}
+
+/**
+ * Truncate conversation history to reduce token usage
+ * @param {Array} messages - The conversation history
+ * @param {number} maxMessages - Maximum number of messages to keep (default: 20)
+ * @returns {Array} Truncated conversation history
+ */
+export function truncateConversationHistory(messages, maxMessages = 20) {
+  if (messages.length <= maxMessages) {
+    return messages;
+  }
+
+  // Keep the first message and the most recent messages
+  const firstMessage = messages[0];
+  const recentMessages = messages.slice(-maxMessages + 1);
+
+  return [firstMessage, ...recentMessages];
+}
+
+/**
+ * Clean conversation history to remove corrupted tool_use/tool_result pairs
+ * @param {Array} conversationHistory - The conversation history
+ * @returns {Array} Cleaned conversation history
+ */
+export function cleanConversationHistory(conversationHistory) {
+  if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
+    return conversationHistory;
+  }
+
+  const cleaned = [];
+
+  for (let i = 0; i < conversationHistory.length; i++) {
+    const message = conversationHistory[i];
+
+    if (!Array.isArray(message.content)) {
+      cleaned.push(message);
+      continue;
+    }
+
+    // If this is an assistant message with tool_use blocks, remove the tool_use markers only
+    // because we don't have their corresponding tool_result yet
+    if (message.role === 'assistant') {
+      const filteredContent = message.content.filter(block => {
+        return block.type !== 'tool_use';
+      });
+
+      if (filteredContent.length > 0) {
+        cleaned.push({ ...message, content: filteredContent });
+      }
+    } else {
+      // For user or tool roles, keep content as-is (including tool_result blocks)
+      cleaned.push(message);
+    }
+  }
+
+  return cleaned;
+}
+
+/**
+ * Ensure tool_result blocks have matching tool_use messages immediately before them
+ * @param {Array} messages - Conversation history intended for Claude
+ * @returns {Array} Sanitized conversation history
+ */
+export function ensureToolUsePairs(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return messages;
+  }
+
+  const sanitized = [];
+
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+
+    if (!Array.isArray(message?.content)) {
+      sanitized.push(message);
+      continue;
+    }
+
+    if (message.role === 'user') {
+      const prevMessage = sanitized[sanitized.length - 1] || null;
+
+      const filteredContent = message.content.filter(block => {
+        if (block.type !== 'tool_result') {
+          return true;
+        }
+
+        if (!prevMessage || prevMessage.role !== 'assistant' || !Array.isArray(prevMessage.content)) {
+          return false;
+        }
+
+        return prevMessage.content.some(prevBlock => prevBlock.type === 'tool_use' && prevBlock.id === block.tool_use_id);
+      });
+
+      if (filteredContent.length > 0) {
+        sanitized.push({
+          ...message,
+          content: filteredContent
+        });
+      }
+    } else {
+      sanitized.push(message);
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Join the text blocks of a message
+ * @param {Array|string} content - Message content
+ * @returns {string} Trimmed text
+ */
+function extractText(content) {
+  if (typeof content === 'string') {
+    return content.trim();
+  }
+  return (content || [])
+    .filter((block) => block.type === 'text' && block.text)
+    .map((block) => block.text.trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Fetch a checkout URL after a cart update, falling back to cached metadata
+ * @param {Object} mcpClient - The MCP client
+ * @param {string} conversationId - The conversation ID
+ * @param {string} channel - The channel name (for logging)
+ * @returns {Promise<string|null>} Checkout URL
+ */
+export async function resolveCheckoutUrl(mcpClient, conversationId, channel) {
+  const tag = channel === 'whatsapp' ? 'WA' : 'WEB';
+  try {
+    const conversation = await getConversation(conversationId);
+    const lastCartId = conversation?.metadata?.last_cart_id;
+    const followupArgs = lastCartId ? { cart_id: lastCartId } : {};
+    console.warn(`[CHECKOUT][AUTO][${tag}] update_cart success; attempting get_cart with cart_id=${followupArgs.cart_id || 'none'}`);
+
+    // Primary: use get_cart to retrieve checkout URL
+    let url;
+    try {
+      const gr = await mcpClient.callTool('get_cart', followupArgs);
+      if (!gr.error) {
+        let gp = Array.isArray(gr.content) ? gr.content[0]?.text : gr;
+        try { if (typeof gp === 'string') gp = JSON.parse(gp); } catch {}
+        url = gp?.checkout_url || gp?.checkoutUrl || gp?.cart?.checkout_url || gp?.cart?.checkoutUrl;
+        console.warn(`[CHECKOUT][AUTO][${tag}] get_cart returned url=${url ? 'yes' : 'no'}`);
+      }
+    } catch (e2) {
+      console.warn('Auto-checkout-link get_cart failed:', e2?.message || e2);
+    }
+
+    // Fallback: use persisted metadata
+    if (!url) {
+      url = conversation?.metadata?.last_checkout_url || null;
+      if (url) {
+        console.warn(`[CHECKOUT][AUTO][${tag}] Using cached checkout URL from conversation metadata`);
+      } else {
+        console.warn(`[CHECKOUT][AUTO][${tag}] No checkout URL available after update_cart`);
+      }
+    }
+    return url;
+  } catch (autoErr) {
+    console.warn('Auto-checkout-link fetch failed:', autoErr?.message || autoErr);
+    return null;
+  }
+}
+
+/**
+ * Parse cart payloads from MCP responses
+ * @param {Object} toolResponse - The MCP tool response
+ * @returns {Object|null} Parsed payload
+ */
+function parseCartPayload(toolResponse) {
+  if (!toolResponse) return null;
+  let payload = toolResponse;
+  if (Array.isArray(toolResponse.content) && toolResponse.content[0]) {
+    const block = toolResponse.content[0];
+    if (typeof block.text !== 'undefined') {
+      payload = block.text;
+    } else {
+      payload = block;
+    }
+  }
+  if (typeof payload === 'string') {
+    try {
+      return JSON.parse(payload);
+    } catch {
+      return null;
+    }
+  }
+  return payload;
+}
+
+/**
+ * Summarize cart lines for user-facing confirmations
+ * @param {Object} cart - Cart object from an MCP response
+ * @returns {string} One line per cart item
+ */
+function summarizeCartLines(cart) {
+  if (!cart || !Array.isArray(cart.lines)) {
+    return '';
+  }
+  const summaries = cart.lines.map((line) => {
+    const qty = line.quantity ?? line.merchandise?.quantity ?? null;
+    const title = line.merchandise?.product?.title || line.merchandise?.title || 'item';
+    if (qty && title) {
+      return `- ${qty} × ${title}`;
+    }
+    if (title) {
+      return `- ${title}`;
+    }
+    return null;
+  }).filter(Boolean);
+  return summaries.length ? summaries.join('\n') : '';
+}
+
+export default {
+  createConversationEngine
+};
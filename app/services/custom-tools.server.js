@@ -0,0 +1,87 @@
+/**
+ * Custom Tool Registry
+ * Tools that run inside the app rather than on an MCP server. Each tool is a module
+ * in app/tools exporting { name, description, input_schema, channels, handler }.
+ *
+ * A handler receives (toolArgs, context) where context is
+ * { conversationId, channel, mcpClient, adapter } and resolves to
+ * { content, notice?, stop? }: `content` becomes the tool_result for Claude,
+ * `notice` is sent to the customer and `stop` ends the turn.
+ */
+import sendOrderTemplate from "../tools/send-order-template.server";
+import validateProductQuantity from "../tools/validate-product-quantity.server";
+import escalateToCustomerService from "../tools/escalate-to-customer-service.server";
+import offerOptions from "../tools/offer-options.server";
+
+const registry = new Map();
+
+/**
+ * Register a custom tool, replacing any tool with the same name
+ * @param {Object} tool - Tool module
+ * @param {string} tool.name - Tool name exposed to Claude
+ * @param {string} tool.description - Tool description exposed to Claude
+ * @param {Object} tool.input_schema - JSON schema for the tool arguments
+ * @param {Array<string>} [tool.channels] - Channels the tool is offered on (defaults to all)
+ * @param {Function} tool.handler - Async (toolArgs, context) => outcome
+ */
+export function registerCustomTool(tool) {
+  if (!tool?.name || typeof tool.handler !== 'function') {
+    throw new Error('Custom tools require a name and a handler');
+  }
+  registry.set(tool.name, tool);
+}
+
+/**
+ * Get a registered custom tool
+ * @param {string} name - Tool name
+ * @param {string} [channel] - Only return the tool if it is offered on this channel
+ * @returns {Object|null} Tool module
+ */
+export function getCustomTool(name, channel) {
+  const tool = registry.get(name);
+  if (!tool) return null;
+  if (channel && !isAvailableOn(tool, channel)) return null;
+  return tool;
+}
+
+/**
+ * Get the Claude tool definitions for every custom tool offered on a channel
+ * @param {string} channel - Channel name ("web" or "whatsapp")
+ * @returns {Array<Object>} Tool definitions ({ name, description, input_schema })
+ */
+export function getCustomToolDefinitions(channel) {
+  return Array.from(registry.values())
+    .filter((tool) => isAvailableOn(tool, channel))
+    .map(({ name, description, input_schema }) => ({ name, description, input_schema }));
+}
+
+/**
+ * Run a custom tool handler
+ * @param {Object} tool - Tool module
+ * @param {Object} toolArgs - Arguments passed by Claude
+ * @param {Object} context - Tool call context
+ * @returns {Promise<Object>} Tool outcome ({ content, notice?, stop? })
+ */
+export async function runCustomTool(tool, toolArgs, context) {
+  const outcome = await tool.handler(toolArgs || {}, context);
+  return {
+    ...outcome,
+    content: typeof outcome?.content === 'string'
+      ? outcome.content
+      : JSON.stringify(outcome?.content ?? null)
+  };
+}
+
+function isAvailableOn(tool, channel) {
+  return !Array.isArray(tool.channels) || tool.channels.includes(channel);
+}
+
+// Built-in tools
+[sendOrderTemplate, validateProductQuantity, escalateToCustomerService, offerOptions].forEach(registerCustomTool);
+
+export default {
+  registerCustomTool,
+  getCustomTool,
+  getCustomToolDefinitions,
+  runCustomTool
+};
@@ -0,0 +1,247 @@
+/**
+ * Escalation Service
+ * Handles customer service handoffs requested through the escalate_to_customer_service tool
+ */
+import {
+  getConversation,
+  getConversationHistory,
+  getUserById,
+  updateUser,
+  createSupportTicket,
+  deleteSupportTicket,
+  getActiveSupportTicket,
+  getSupportTicket,
+  updateSupportTicket
+} from "../db.server";
+import {
+  sendEmail,
+  generateTicketReceiptEmailHTML,
+  generateTicketReceiptEmailText
+} from "../utils/email.server";
+import { normalizePhoneNumber } from "../utils/phone.server";
+import { startTakeover } from "./takeover.server";
+import { deliverHandoff } from "./helpdesk.server";
+import { summarizeConversation, formatSummaryText } from "./summary.server";
+import AppConfig from "./config.server";
+
+export const TICKET_STATUSES = ['open', 'pending', 'resolved'];
+
+/**
+ * Check whether a conversation already has a ticket waiting on the team
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<{active: boolean, ticketReference?: number, hoursRemaining?: number}>}
+ */
+export async function getActiveTicketStatus(conversationId) {
+  const ticket = await getActiveSupportTicket(conversationId);
+  if (!ticket) {
+    return { active: false };
+  }
+
+  const responseHours = AppConfig.conversation.ticketResponseHours;
+  const hoursSinceTicket = (Date.now() - new Date(ticket.createdAt).getTime()) / (1000 * 60 * 60);
+  return {
+    active: true,
+    ticketReference: ticket.reference,
+    hoursRemaining: Math.max(Math.ceil(responseHours - hoursSinceTicket), 0)
+  };
+}
+
+/**
+ * Tool result for a conversation that already has a ticket waiting on the team
+ * @param {Object} status - Result of getActiveTicketStatus
+ * @returns {Object} Escalation outcome
+ */
+function existingTicketOutcome(status) {
+  const referenceNote = ` Ticket reference: #${status.ticketReference}.`;
+  const toolResult = status.hoursRemaining > 0
+    ? `Support ticket already exists.${referenceNote} Team ETA within ${status.hoursRemaining}h.`
+    : `Support ticket already exists.${referenceNote} Awaiting team response.`;
+
+  // Let Claude continue replying to the user's actual request
+  return { status: 'existing', toolResult };
+}
+
+/**
+ * Escalate a conversation to customer service
+ * @param {Object} params - Escalation parameters
+ * @param {string} params.conversationId - The conversation ID
+ * @param {string} params.channel - The channel ("web" or "whatsapp")
+ * @param {Object} params.toolArgs - Arguments passed to escalate_to_customer_service
+ * @returns {Promise<Object>} Escalation outcome with the tool result for Claude and,
+ *   when a ticket was created, the confirmation to show the customer
+ */
+export async function escalateConversation({ conversationId, channel, toolArgs }) {
+  const existing = await getActiveTicketStatus(conversationId);
+
+  if (existing.active) {
+    return existingTicketOutcome(existing);
+  }
+
+  const { customer_name, customer_email, customer_phone, reason } = toolArgs || {};
+
+  // Get conversation history for summary
+  const dbMessages = await getConversationHistory(conversationId, 20);
+  const lastMessages = dbMessages.slice(-10).map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
+
+  // Summarize the conversation for the team; falls back to a basic summary if Claude is unavailable
+  let summary = null;
+  try {
+    summary = await summarizeConversation(conversationId, { reason });
+  } catch (summaryError) {
+    console.error(`Escalation (${channel}): Failed to summarize conversation:`, summaryError);
+  }
+  const conversationSummary = formatSummaryText(summary, reason);
+
+  const conversation = await getConversation(conversationId);
+  const ticket = await createSupportTicket({
+    conversationId,
+    userId: conversation?.userId,
+    channel,
+    reason,
+    customerName: customer_name,
+    customerEmail: customer_email,
+    customerPhone: customer_phone
+  });
+  if (!ticket) {
+    // Another escalation for this conversation created its ticket in the meantime
+    const concurrent = await getActiveTicketStatus(conversationId);
+    if (concurrent.active) {
+      return existingTicketOutcome(concurrent);
+    }
+    throw new Error('Support ticket could not be created');
+  }
+  const ticketReference = ticket.reference;
+  console.log(`Escalation (${channel}): Created ticket #${ticketReference} for ${conversationId}`);
+
+  // Send the ticket to the team's helpdesk
+  let delivery;
+  try {
+    delivery = await deliverHandoff({
+      customerName: customer_name,
+      customerEmail: customer_email,
+      customerPhone: customer_phone,
+      channel,
+      conversationId,
+      reason,
+      conversationSummary,
+      summaryDetails: summary,
+      lastMessages,
+      ticketReference
+    });
+  } catch (deliveryError) {
+    // The team never saw it, so don't let it block the customer from trying again
+    try {
+      await deleteSupportTicket(ticket.id);
+    } catch (deleteError) {
+      console.error(`Escalation (${channel}): Failed to remove undelivered ticket #${ticketReference}:`, deleteError);
+    }
+    throw deliveryError;
+  }
+  try {
+    await updateSupportTicket(ticket.id, {
+      helpdesk: delivery.helpdesk,
+      externalId: delivery.externalId,
+      externalUrl: delivery.externalUrl
+    });
+  } catch (linkError) {
+    console.error(`Escalation (${channel}): Failed to link ticket #${ticketReference} to the helpdesk:`, linkError);
+  }
+
+  if (customer_email && AppConfig.helpdesk.sendCustomerReceipt) {
+    try {
+      await sendEmail({
+        to: customer_email,
+        subject: `We've received your support request (Ticket #${ticketReference})`,
+        html: generateTicketReceiptEmailHTML({
+          customerName: customer_name,
+          ticketReference
+        }),
+        text: generateTicketReceiptEmailText({
+          customerName: customer_name,
+          ticketReference
+        })
+      });
+    } catch (customerEmailError) {
+      console.error(`Escalation (${channel}): Failed to send ticket receipt to customer:`, customerEmailError);
+    }
+  }
+
+  // Update user info in database if the conversation is linked to a user
+  try {
+    const user = conversation?.userId ? await getUserById(conversation.userId) : null;
+    if (user) {
+      const userUpdate = {
+        name: customer_name || user.name,
+        email: customer_email || user.email
+      };
+      // WhatsApp users are keyed by phone number, so only fill it in when missing
+      const customerPhoneNumber = normalizePhoneNumber(customer_phone);
+      if (!user.phoneNumber && customerPhoneNumber) {
+        userUpdate.phoneNumber = customerPhoneNumber;
+      }
+      await updateUser(user.id, userUpdate);
+    }
+  } catch (userError) {
+    console.error(`Escalation (${channel}): Failed to update user details:`, userError);
+  }
+
+  // Let staff pick the conversation up without the bot talking over them
+  if (AppConfig.takeover.startOnEscalation) {
+    try {
+      await startTakeover(conversationId, 'escalation');
+    } catch (takeoverError) {
+      console.error(`Escalation (${channel}): Failed to pause the bot:`, takeoverError);
+    }
+  }
+
+  return {
+    status: 'created',
+    ticketReference,
+    toolResult: `Customer service handoff completed. Ticket #${ticketReference}. ${delivery.description}.`,
+    notice: `Thank you for providing your details. I've notified our customer service team and they'll contact you shortly. Your reference is Ticket #${ticketReference}.`
+  };
+}
+
+/**
+ * Change a ticket's status or assignee
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.status] - "open", "pending" or "resolved"
+ * @param {string|null} [changes.assignee] - Staff member, or null to unassign
+ * @returns {Promise<Object|null>} The updated ticket, or null if it doesn't exist
+ */
+export async function updateTicket(ticketId, { status, assignee }) {
+  const ticket = await getSupportTicket(ticketId);
+  if (!ticket) {
+    return null;
+  }
+  if (status !== undefined && !TICKET_STATUSES.includes(status)) {
+    throw new Error(`Invalid ticket status: ${status}`);
+  }
+
+  const data = {};
+  if (status !== undefined && status !== ticket.status) {
+    data.status = status;
+    data.resolvedAt = status === 'resolved' ? new Date() : null;
+  }
+  if (assignee !== undefined) {
+    data.assignee = assignee ? String(assignee).trim() || null : null;
+  }
+  if (Object.keys(data).length === 0) {
+    return ticket;
+  }
+
+  const updated = await updateSupportTicket(ticketId, data);
+  console.log(`Escalation: Ticket #${updated.reference} is ${updated.status}${updated.assignee ? `, assigned to ${updated.assignee}` : ''}`);
+  return updated;
+}
+
+export default {
+  TICKET_STATUSES,
+  escalateConversation,
+  getActiveTicketStatus,
+  updateTicket
+};
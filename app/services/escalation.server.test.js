@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+// In-memory tickets, with the database's one-active-ticket-per-conversation index
+const store = vi.hoisted(() => ({ tickets: [], nextReference: 1000 }));
+
+vi.mock("../db.server", () => {
+  const isActive = (ticket) => ["open", "pending"].includes(ticket.status);
+  return {
+    default: {},
+    getConversation: vi.fn(async (id) => ({ id, userId: null })),
+    getConversationHistory: vi.fn(async () => []),
+    getUserById: vi.fn(async () => null),
+    updateUser: vi.fn(),
+    createSupportTicket: vi.fn(async (data) => {
+      // Let both escalations read "no ticket" before either writes, as concurrent requests would
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (store.tickets.some((ticket) => ticket.conversationId === data.conversationId && isActive(ticket))) {
+        return null;
+      }
+      const ticket = { ...data, id: `ticket-${store.nextReference}`, reference: store.nextReference++, status: "open", createdAt: new Date() };
+      store.tickets.push(ticket);
+      return ticket;
+    }),
+    deleteSupportTicket: vi.fn(async (id) => {
+      store.tickets = store.tickets.filter((ticket) => ticket.id !== id);
+    }),
+    getActiveSupportTicket: vi.fn(async (conversationId) =>
+      store.tickets.find((ticket) => ticket.conversationId === conversationId && isActive(ticket)) || null
+    ),
+    getSupportTicket: vi.fn(),
+    updateSupportTicket: vi.fn(async (id, data) => ({ id, ...data }))
+  };
+});
+vi.mock("./helpdesk.server", () => ({
+  deliverHandoff: vi.fn(async () => ({ helpdesk: "email", description: "Emailed to the team" }))
+}));
+vi.mock("./summary.server", () => ({
+  summarizeConversation: vi.fn(async () => null),
+  formatSummaryText: vi.fn(() => "Customer needs help")
+}));
+vi.mock("./takeover.server", () => ({
+  startTakeover: vi.fn(async () => {})
+}));
+
+const { deleteSupportTicket } = await import("../db.server");
+const { deliverHandoff } = await import("./helpdesk.server");
+const { escalateConversation } = await import("./escalation.server");
+
+const toolArgs = { customer_name: "Sam", customer_email: "sam@example.com", customer_phone: "+447700900123" };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  store.tickets = [];
+  store.nextReference = 1000;
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("escalateConversation", () => {
+  it("removes the ticket when the helpdesk can't be reached, so the customer can try again", async () => {
+    deliverHandoff.mockRejectedValueOnce(new Error("Helpdesk unavailable"));
+
+    await expect(escalateConversation({ conversationId: "conv-1", channel: "web", toolArgs }))
+      .rejects.toThrow("Helpdesk unavailable");
+    expect(deleteSupportTicket).toHaveBeenCalledWith("ticket-1000");
+    expect(store.tickets).toEqual([]);
+
+    const retry = await escalateConversation({ conversationId: "conv-1", channel: "web", toolArgs });
+
+    expect(retry).toMatchObject({ status: "created", ticketReference: 1001 });
+  });
+
+  it("opens one ticket when two escalations for a conversation run at once", async () => {
+    const outcomes = await Promise.all([
+      escalateConversation({ conversationId: "conv-1", channel: "whatsapp", toolArgs }),
+      escalateConversation({ conversationId: "conv-1", channel: "whatsapp", toolArgs })
+    ]);
+
+    expect(outcomes.map((outcome) => outcome.status).sort()).toEqual(["created", "existing"]);
+    expect(outcomes.find((outcome) => outcome.status === "existing").toolResult).toContain("Ticket reference: #1000.");
+    expect(store.tickets).toHaveLength(1);
+    expect(deliverHandoff).toHaveBeenCalledTimes(1);
+  });
+});
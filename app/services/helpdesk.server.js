@@ -0,0 +1,379 @@
+/**
+ * Helpdesk Adapters
+ * Deliver escalations to the support team's helpdesk. Each adapter takes the
+ * handoff (ticket reference, customer details, summary and recent messages) and
+ * reports where the ticket ended up. The adapter is chosen by AppConfig.helpdesk.adapter.
+ * REST adapters read HELPDESK_BASE_URL, HELPDESK_API_USER and HELPDESK_API_TOKEN;
+ * the webhook adapter reads HELPDESK_WEBHOOK_URL and HELPDESK_WEBHOOK_SECRET.
+ * Pointing HELPDESK_BASE_URL or HELPDESK_WEBHOOK_URL at a local HTTP server is
+ * enough to try an adapter out without a real helpdesk account.
+ */
+import { createHmac } from "node:crypto";
+import {
+  sendEmail,
+  generateHandoffEmailHTML,
+  generateHandoffEmailText,
+  extractMessageText
+} from "../utils/email.server";
+import AppConfig from "./config.server";
+
+export const HELPDESK_ADAPTERS = ['email', 'webhook', 'zendesk', 'gorgias', 'freshdesk'];
+
+/**
+ * Build an Error carrying the helpdesk's HTTP status
+ * @param {string} message - Error message
+ * @param {number} [status] - HTTP status from the helpdesk
+ * @returns {Error} Error with a `status` property when there was a response
+ */
+function createHelpdeskError(message, status) {
+  const error = new Error(message);
+  if (status) {
+    error.status = status;
+  }
+  return error;
+}
+
+/**
+ * POST JSON to a helpdesk and return the parsed response
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - Request options
+ * @param {string} options.body - JSON request body
+ * @param {Object} [options.headers] - Extra headers
+ * @returns {Promise<Object>} Response body, or {} when it isn't JSON
+ */
+async function postJson(url, { body, headers = {} }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...headers },
+      body,
+      signal: AbortSignal.timeout(AppConfig.helpdesk.requestTimeoutMs)
+    });
+  } catch (error) {
+    throw createHelpdeskError(`Helpdesk request to ${url} failed: ${error.message}`);
+  }
+
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw createHelpdeskError(`Helpdesk API error: ${response.status} - ${responseText.slice(0, 300) || response.statusText}`, response.status);
+  }
+  try {
+    return responseText ? JSON.parse(responseText) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Build a Basic authorization header
+ * @param {string} user - Username
+ * @param {string} password - Password or API token
+ * @returns {string} Header value
+ */
+function basicAuth(user, password) {
+  return `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Read the REST adapter settings from the environment
+ * @param {string} name - Adapter name, for error messages
+ * @returns {{baseUrl: string, user: string, token: string}} Settings
+ */
+function getRestSettings(name) {
+  const baseUrl = (process.env.HELPDESK_BASE_URL || '').replace(/\/+$/, '');
+  const user = process.env.HELPDESK_API_USER || '';
+  const token = process.env.HELPDESK_API_TOKEN || '';
+  if (!baseUrl || !token) {
+    throw new Error(`The ${name} helpdesk needs HELPDESK_BASE_URL and HELPDESK_API_TOKEN`);
+  }
+  return { baseUrl, user, token };
+}
+
+/**
+ * Subject line used for the ticket in every helpdesk
+ * @param {Object} handoff - Handoff data
+ * @returns {string} Ticket subject, ending with the reference so email replies can be matched
+ */
+function getTicketSubject(handoff) {
+  const channelLabel = handoff.channel === 'whatsapp' ? 'WhatsApp Chat' : 'Web Chat';
+  return `New Customer Service Handoff - ${channelLabel} (#${handoff.ticketReference})`;
+}
+
+/**
+ * Plain text ticket description: details, summary and recent messages
+ * @param {Object} handoff - Handoff data
+ * @returns {string} Description
+ */
+function getTicketDescription(handoff) {
+  return generateHandoffEmailText({ ...handoff, replyByEmail: false });
+}
+
+/**
+ * Creates the email adapter: sends the handoff email to SUPPORT_EMAIL
+ * @returns {Object} Helpdesk adapter
+ */
+export function createEmailHelpdesk() {
+  return {
+    name: 'email',
+
+    createTicket: async (handoff) => {
+      const supportEmail = process.env.SUPPORT_EMAIL || 'support@vapelocal.co.uk';
+      const inboundAddress = process.env.INBOUND_EMAIL_ADDRESS;
+      // Replies to INBOUND_EMAIL_ADDRESS are relayed to the customer's chat
+      const emailData = { ...handoff, replyByEmail: !!inboundAddress };
+      await sendEmail({
+        to: supportEmail,
+        subject: getTicketSubject(handoff),
+        html: generateHandoffEmailHTML(emailData),
+        text: generateHandoffEmailText(emailData),
+        replyTo: inboundAddress || undefined
+      });
+      return { description: `Email sent to ${supportEmail}` };
+    }
+  };
+}
+
+/**
+ * Sign a webhook body so the receiver can check it came from this app.
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>", hex encoded.
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Helpdesk-Timestamp
+ * @returns {string} Value for the X-Helpdesk-Signature header
+ */
+export function signWebhookPayload(body, secret, timestamp) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Creates the webhook adapter: POSTs a signed "ticket.created" event.
+ * The receiver may answer with { id, url } to link the ticket.
+ * @returns {Object} Helpdesk adapter
+ */
+export function createWebhookHelpdesk() {
+  return {
+    name: 'webhook',
+
+    createTicket: async (handoff) => {
+      const url = process.env.HELPDESK_WEBHOOK_URL;
+      const secret = process.env.HELPDESK_WEBHOOK_SECRET;
+      if (!url || !secret) {
+        throw new Error('The webhook helpdesk needs HELPDESK_WEBHOOK_URL and HELPDESK_WEBHOOK_SECRET');
+      }
+
+      const body = JSON.stringify({
+        event: 'ticket.created',
+        ticket: {
+          reference: handoff.ticketReference,
+          subject: getTicketSubject(handoff),
+          channel: handoff.channel,
+          conversationId: handoff.conversationId,
+          reason: handoff.reason || null,
+          summary: handoff.conversationSummary || null,
+          summaryDetails: handoff.summaryDetails || null,
+          customer: {
+            name: handoff.customerName || null,
+            email: handoff.customerEmail || null,
+            phone: handoff.customerPhone || null
+          },
+          messages: (handoff.lastMessages || []).map(msg => ({
+            role: msg.role,
+            text: extractMessageText(msg.content)
+          })),
+          tags: AppConfig.helpdesk.tags
+        }
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+      const data = await postJson(url, {
+        body,
+        headers: {
+          'X-Helpdesk-Timestamp': String(timestamp),
+          'X-Helpdesk-Signature': signWebhookPayload(body, secret, timestamp)
+        }
+      });
+
+      return {
+        externalId: data.id != null ? String(data.id) : null,
+        externalUrl: data.url || null,
+        description: 'Sent to the helpdesk webhook'
+      };
+    }
+  };
+}
+
+/**
+ * Creates the Zendesk adapter (Tickets API, API token auth)
+ * HELPDESK_BASE_URL is e.g. https://yourshop.zendesk.com and HELPDESK_API_USER the agent email.
+ * @returns {Object} Helpdesk adapter
+ */
+export function createZendeskHelpdesk() {
+  return {
+    name: 'zendesk',
+
+    createTicket: async (handoff) => {
+      const { baseUrl, user, token } = getRestSettings('Zendesk');
+      const ticket = {
+        subject: getTicketSubject(handoff),
+        comment: { body: getTicketDescription(handoff) },
+        external_id: String(handoff.ticketReference),
+        tags: AppConfig.helpdesk.tags
+      };
+      // Without a requester the ticket is raised as the API user
+      if (handoff.customerEmail) {
+        ticket.requester = { name: handoff.customerName || handoff.customerEmail, email: handoff.customerEmail };
+      }
+
+      const data = await postJson(`${baseUrl}/api/v2/tickets.json`, {
+        body: JSON.stringify({ ticket }),
+        headers: { 'Authorization': basicAuth(`${user}/token`, token) }
+      });
+      const id = data.ticket?.id;
+      return {
+        externalId: id != null ? String(id) : null,
+        externalUrl: id != null ? `${baseUrl}/agent/tickets/${id}` : null,
+        description: id != null ? `Created Zendesk ticket ${id}` : 'Created Zendesk ticket'
+      };
+    }
+  };
+}
+
+/**
+ * Creates the Gorgias adapter (REST API, basic auth with the account email and API key)
+ * HELPDESK_BASE_URL is e.g. https://yourshop.gorgias.com. Gorgias needs a customer email.
+ * @returns {Object} Helpdesk adapter
+ */
+export function createGorgiasHelpdesk() {
+  return {
+    name: 'gorgias',
+
+    createTicket: async (handoff) => {
+      const { baseUrl, user, token } = getRestSettings('Gorgias');
+      if (!handoff.customerEmail) {
+        throw new Error('Gorgias tickets need a customer email');
+      }
+      const subject = getTicketSubject(handoff);
+      const customer = { email: handoff.customerEmail, name: handoff.customerName || undefined };
+
+      const data = await postJson(`${baseUrl}/api/tickets`, {
+        body: JSON.stringify({
+          channel: 'api',
+          via: 'api',
+          subject,
+          customer,
+          tags: AppConfig.helpdesk.tags.map(name => ({ name })),
+          messages: [{
+            channel: 'api',
+            via: 'api',
+            from_agent: false,
+            sender: { email: handoff.customerEmail },
+            subject,
+            body_text: getTicketDescription(handoff)
+          }]
+        }),
+        headers: { 'Authorization': basicAuth(user, token) }
+      });
+      const id = data.id;
+      return {
+        externalId: id != null ? String(id) : null,
+        externalUrl: id != null ? `${baseUrl}/app/ticket/${id}` : null,
+        description: id != null ? `Created Gorgias ticket ${id}` : 'Created Gorgias ticket'
+      };
+    }
+  };
+}
+
+/**
+ * Creates the Freshdesk adapter (API v2, the API key as basic auth username)
+ * HELPDESK_BASE_URL is e.g. https://yourshop.freshdesk.com. Freshdesk needs a customer email or phone.
+ * @returns {Object} Helpdesk adapter
+ */
+export function createFreshdeskHelpdesk() {
+  return {
+    name: 'freshdesk',
+
+    createTicket: async (handoff) => {
+      const { baseUrl, token } = getRestSettings('Freshdesk');
+      if (!handoff.customerEmail && !handoff.customerPhone) {
+        throw new Error('Freshdesk tickets need a customer email or phone number');
+      }
+      const description = getTicketDescription(handoff)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/\n/g, '<br>');
+
+      const data = await postJson(`${baseUrl}/api/v2/tickets`, {
+        body: JSON.stringify({
+          subject: getTicketSubject(handoff),
+          description,
+          email: handoff.customerEmail || undefined,
+          phone: handoff.customerEmail ? undefined : handoff.customerPhone,
+          // Freshdesk requires a name when the contact is identified by phone
+          name: handoff.customerName || handoff.customerEmail || handoff.customerPhone,
+          status: 2, // Open
+          priority: 1, // Low
+          tags: AppConfig.helpdesk.tags
+        }),
+        headers: { 'Authorization': basicAuth(token, 'X') }
+      });
+      const id = data.id;
+      return {
+        externalId: id != null ? String(id) : null,
+        externalUrl: id != null ? `${baseUrl}/a/tickets/${id}` : null,
+        description: id != null ? `Created Freshdesk ticket ${id}` : 'Created Freshdesk ticket'
+      };
+    }
+  };
+}
+
+/**
+ * Get a helpdesk adapter by name
+ * @param {string} [name] - Adapter name; defaults to AppConfig.helpdesk.adapter
+ * @returns {Object} Helpdesk adapter
+ */
+export function getHelpdeskAdapter(name = AppConfig.helpdesk.adapter) {
+  switch (name) {
+    case 'email':
+      return createEmailHelpdesk();
+    case 'webhook':
+      return createWebhookHelpdesk();
+    case 'zendesk':
+      return createZendeskHelpdesk();
+    case 'gorgias':
+      return createGorgiasHelpdesk();
+    case 'freshdesk':
+      return createFreshdeskHelpdesk();
+    default:
+      throw new Error(`Unknown helpdesk adapter: ${name}`);
+  }
+}
+
+/**
+ * Send a handoff to the configured helpdesk, falling back to email if it fails
+ * @param {Object} handoff - Handoff data (ticketReference, channel, conversationId, customer details,
+ *   reason, conversationSummary, summaryDetails, lastMessages)
+ * @returns {Promise<{helpdesk: string, externalId: string|null, externalUrl: string|null, description: string}>}
+ *   Where the ticket was delivered
+ */
+export async function deliverHandoff(handoff) {
+  const adapter = getHelpdeskAdapter();
+  try {
+    const result = await adapter.createTicket(handoff);
+    console.log(`Helpdesk (${adapter.name}): Delivered ticket #${handoff.ticketReference}`);
+    return { helpdesk: adapter.name, externalId: null, externalUrl: null, ...result };
+  } catch (error) {
+    if (adapter.name === 'email' || !AppConfig.helpdesk.fallbackToEmail) {
+      throw error;
+    }
+    console.error(`Helpdesk (${adapter.name}): Failed to deliver ticket #${handoff.ticketReference}, emailing support instead:`, error);
+    const result = await createEmailHelpdesk().createTicket(handoff);
+    return { helpdesk: 'email', externalId: null, externalUrl: null, ...result };
+  }
+}
+
+export default {
+  HELPDESK_ADAPTERS,
+  getHelpdeskAdapter,
+  deliverHandoff,
+  signWebhookPayload
+};
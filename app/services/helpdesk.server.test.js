@@ -0,0 +1,201 @@
+import { createServer } from "node:http";
+import { createHmac } from "node:crypto";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../utils/email.server", async (importOriginal) => ({
+  ...(await importOriginal()),
+  sendEmail: vi.fn(async () => ({ id: "email-1" }))
+}));
+
+const { sendEmail } = await import("../utils/email.server");
+const { default: AppConfig } = await import("./config.server");
+const {
+  signWebhookPayload,
+  createWebhookHelpdesk,
+  createZendeskHelpdesk,
+  createGorgiasHelpdesk,
+  createFreshdeskHelpdesk,
+  deliverHandoff
+} = await import("./helpdesk.server");
+
+// Local stand-in for a helpdesk: records each request and answers with `reply`
+const requests = [];
+let reply = () => ({ status: 201, body: { id: 42 } });
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => { raw += chunk; });
+    req.on("end", async () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, raw, body: JSON.parse(raw || "{}") });
+      const { status, body, delayMs } = reply(req);
+      if (delayMs) await new Promise((resolve) => setTimeout(resolve, delayMs));
+      if (res.destroyed) return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const originalHelpdesk = { ...AppConfig.helpdesk };
+
+beforeEach(() => {
+  requests.length = 0;
+  reply = () => ({ status: 201, body: { id: 42 } });
+  sendEmail.mockClear();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.stubEnv("HELPDESK_WEBHOOK_URL", `${baseUrl}/hooks/tickets`);
+  vi.stubEnv("HELPDESK_WEBHOOK_SECRET", "test-secret");
+  vi.stubEnv("HELPDESK_BASE_URL", baseUrl);
+  vi.stubEnv("HELPDESK_API_USER", "agent@example.com");
+  vi.stubEnv("HELPDESK_API_TOKEN", "token-123");
+});
+
+afterEach(() => {
+  Object.assign(AppConfig.helpdesk, originalHelpdesk);
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const handoff = {
+  ticketReference: "1042",
+  channel: "whatsapp",
+  conversationId: "whatsapp_447700900123",
+  customerName: "Sam Taylor",
+  customerEmail: "sam@example.com",
+  customerPhone: "+447700900123",
+  reason: "Order arrived damaged",
+  conversationSummary: "Customer wants a replacement",
+  lastMessages: [{ role: "user", content: JSON.stringify([{ type: "text", text: "My order is damaged" }]) }]
+};
+
+describe("signWebhookPayload", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ event: "ticket.created" });
+    const expected = createHmac("sha256", "test-secret").update(`1700000000.${body}`).digest("hex");
+
+    expect(signWebhookPayload(body, "test-secret", 1700000000)).toBe(`sha256=${expected}`);
+    expect(signWebhookPayload(body, "other-secret", 1700000000)).not.toBe(`sha256=${expected}`);
+  });
+});
+
+describe("webhook adapter", () => {
+  it("posts a signed ticket.created event the receiver can verify", async () => {
+    reply = () => ({ status: 200, body: { id: "T-9", url: "https://help.example.com/T-9" } });
+
+    const result = await createWebhookHelpdesk().createTicket(handoff);
+
+    expect(result).toMatchObject({ externalId: "T-9", externalUrl: "https://help.example.com/T-9" });
+    const [request] = requests;
+    expect(request.url).toBe("/hooks/tickets");
+    const timestamp = request.headers["x-helpdesk-timestamp"];
+    expect(request.headers["x-helpdesk-signature"]).toBe(signWebhookPayload(request.raw, "test-secret", timestamp));
+    expect(request.body).toMatchObject({
+      event: "ticket.created",
+      ticket: {
+        reference: "1042",
+        channel: "whatsapp",
+        reason: "Order arrived damaged",
+        summary: "Customer wants a replacement",
+        customer: { name: "Sam Taylor", email: "sam@example.com", phone: "+447700900123" },
+        messages: [{ role: "user", text: "My order is damaged" }],
+        tags: AppConfig.helpdesk.tags
+      }
+    });
+  });
+});
+
+describe("REST adapters", () => {
+  it("creates a Zendesk ticket with token auth and the customer as requester", async () => {
+    reply = () => ({ status: 201, body: { ticket: { id: 7 } } });
+
+    const result = await createZendeskHelpdesk().createTicket(handoff);
+
+    expect(result).toMatchObject({ externalId: "7", externalUrl: `${baseUrl}/agent/tickets/7` });
+    const [request] = requests;
+    expect(request.url).toBe("/api/v2/tickets.json");
+    expect(request.headers.authorization).toBe(
+      `Basic ${Buffer.from("agent@example.com/token:token-123").toString("base64")}`
+    );
+    expect(request.body.ticket).toMatchObject({
+      external_id: "1042",
+      requester: { name: "Sam Taylor", email: "sam@example.com" },
+      tags: AppConfig.helpdesk.tags
+    });
+    expect(request.body.ticket.subject).toContain("(#1042)");
+    expect(request.body.ticket.comment.body).toContain("Customer wants a replacement");
+  });
+
+  it("creates a Gorgias ticket with the customer's message", async () => {
+    const result = await createGorgiasHelpdesk().createTicket(handoff);
+
+    expect(result).toMatchObject({ externalId: "42", externalUrl: `${baseUrl}/app/ticket/42` });
+    const [request] = requests;
+    expect(request.url).toBe("/api/tickets");
+    expect(request.headers.authorization).toBe(
+      `Basic ${Buffer.from("agent@example.com:token-123").toString("base64")}`
+    );
+    expect(request.body).toMatchObject({
+      channel: "api",
+      customer: { email: "sam@example.com", name: "Sam Taylor" },
+      tags: AppConfig.helpdesk.tags.map((name) => ({ name })),
+      messages: [{ from_agent: false, sender: { email: "sam@example.com" } }]
+    });
+  });
+
+  it("creates a Freshdesk ticket identified by phone when there is no email", async () => {
+    const result = await createFreshdeskHelpdesk().createTicket({ ...handoff, customerEmail: null });
+
+    expect(result).toMatchObject({ externalId: "42", externalUrl: `${baseUrl}/a/tickets/42` });
+    const [request] = requests;
+    expect(request.url).toBe("/api/v2/tickets");
+    expect(request.headers.authorization).toBe(`Basic ${Buffer.from("token-123:X").toString("base64")}`);
+    expect(request.body).toMatchObject({ phone: "+447700900123", name: "Sam Taylor", status: 2, priority: 1 });
+    expect(request.body.email).toBeUndefined();
+    expect(request.body.description).toContain("<br>");
+  });
+});
+
+describe("deliverHandoff", () => {
+  it("falls back to email when the helpdesk answers with a 5xx", async () => {
+    AppConfig.helpdesk.adapter = "zendesk";
+    reply = () => ({ status: 503, body: { error: "Service unavailable" } });
+
+    const result = await deliverHandoff(handoff);
+
+    expect(requests).toHaveLength(1);
+    expect(result.helpdesk).toBe("email");
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].subject).toContain("(#1042)");
+  });
+
+  it("falls back to email when the helpdesk times out", async () => {
+    AppConfig.helpdesk.adapter = "webhook";
+    AppConfig.helpdesk.requestTimeoutMs = 50;
+    reply = () => ({ status: 200, body: { id: 1 }, delayMs: 500 });
+
+    const result = await deliverHandoff(handoff);
+
+    expect(result.helpdesk).toBe("email");
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports the error instead of emailing when the fallback is off", async () => {
+    AppConfig.helpdesk.adapter = "zendesk";
+    AppConfig.helpdesk.fallbackToEmail = false;
+    reply = () => ({ status: 500, body: {} });
+
+    await expect(deliverHandoff(handoff)).rejects.toMatchObject({ status: 500 });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Image Message Service
+ * Stores photos customers send on WhatsApp and turns them into Claude content
+ * blocks, so the assistant can identify the product and search the catalog.
+ * Saved messages refer to the stored file instead of carrying the image data;
+ * when history is loaded the latest photos are inlined and older ones are
+ * replaced with a short note to keep requests small.
+ */
+import { randomUUID } from "crypto";
+import AppConfig from "./config.server";
+import { getImageFromStore, getUploadUrl, storeUploadedFile } from "../utils/whatsapp.server";
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// Stands in for photos that are no longer sent to Claude as images
+const EARLIER_PHOTO_NOTE = '[The customer sent a photo here]';
+
+/**
+ * Get the media type of an image, without parameters (e.g. "image/jpeg; charset=binary")
+ * @param {string} mimeType - MIME type reported by WhatsApp
+ * @returns {string} Bare media type
+ */
+function getMediaType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check whether an image can be passed to Claude
+ * @param {Object} file - Downloaded image
+ * @param {string} file.mimeType - MIME type
+ * @param {number} file.size - Size in bytes
+ * @returns {boolean} True if the type is supported and it is within AppConfig.imageMessages.maxBytes
+ */
+export function isSupportedImage({ mimeType, size }) {
+  const { supportedTypes, maxBytes } = AppConfig.imageMessages;
+  return supportedTypes.includes(getMediaType(mimeType)) && size > 0 && size <= maxBytes;
+}
+
+/**
+ * Store a photo sent by a customer and link it to the conversation
+ * @param {Object} params - Image details
+ * @param {string} params.conversationId - The conversation ID
+ * @param {Buffer} params.buffer - Image data
+ * @param {string} params.mimeType - MIME type
+ * @returns {Promise<{filename: string, url: string, mediaType: string}>} Stored filename, public URL and media type
+ */
+export async function storeImageMessage({ conversationId, buffer, mimeType }) {
+  const mediaType = getMediaType(mimeType);
+  const filename = `wa-${randomUUID()}.${FILE_EXTENSIONS[mediaType] || 'jpg'}`;
+  const url = await storeUploadedFile(filename, buffer, mediaType, { conversationId });
+  return { filename, url, mediaType };
+}
+
+/**
+ * Build the content of a customer message with a photo
+ * @param {Object} params - Message details
+ * @param {string} params.filename - Stored filename
+ * @param {string} params.mediaType - Image media type
+ * @param {string} [params.caption] - Caption the customer added
+ * @returns {Array} Content blocks: the stored image reference, then the caption
+ */
+export function buildImageMessageContent({ filename, mediaType, caption }) {
+  return [
+    { type: 'image', source: { type: 'stored', filename, media_type: mediaType } },
+    { type: 'text', text: caption?.trim() || 'The customer sent this photo.' }
+  ];
+}
+
+/**
+ * Check whether a content block refers to a stored photo
+ * @param {Object} block - Content block
+ * @returns {boolean} True for stored image references
+ */
+export function isStoredImageBlock(block) {
+  return block?.type === 'image' && block.source?.type === 'stored' && !!block.source.filename;
+}
+
+/**
+ * Get the public URL of a stored photo block
+ * @param {Object} block - Stored image block
+ * @returns {string} URL served by the uploads route
+ */
+export function getStoredImageUrl(block) {
+  return getUploadUrl(block.source.filename);
+}
+
+/**
+ * Replace stored photo references with image data Claude can read. The latest
+ * AppConfig.imageMessages.recentImages photos are inlined; older ones, and any
+ * that can no longer be loaded, become a text note.
+ * @param {Array} messages - Claude messages, oldest first
+ * @returns {Promise<Array>} Messages ready to send
+ */
+export async function resolveStoredImages(messages) {
+  if (!Array.isArray(messages)) {
+    return messages;
+  }
+
+  let remaining = AppConfig.imageMessages.recentImages;
+  const resolved = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const message = messages[i];
+    if (!Array.isArray(message.content) || !message.content.some(isStoredImageBlock)) {
+      resolved.unshift(message);
+      continue;
+    }
+
+    const content = [];
+    for (const block of message.content) {
+      if (!isStoredImageBlock(block)) {
+        content.push(block);
+        continue;
+      }
+      const image = remaining > 0 ? await getImageFromStore(block.source.filename) : null;
+      if (!image) {
+        content.push({ type: 'text', text: EARLIER_PHOTO_NOTE });
+        continue;
+      }
+      remaining -= 1;
+      content.push({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: block.source.media_type || getMediaType(image.mimeType),
+          data: Buffer.from(image.buffer).toString('base64')
+        }
+      });
+    }
+    resolved.unshift({ ...message, content });
+  }
+  return resolved;
+}
+
+export default {
+  isSupportedImage,
+  storeImageMessage,
+  buildImageMessageContent,
+  isStoredImageBlock,
+  getStoredImageUrl,
+  resolveStoredImages
+};
@@ -0,0 +1,238 @@
+/**
+ * Inbound Email Service
+ * Relays support's email replies to ticket emails into the customer's chat. The
+ * ticket is found from the "#<reference>" in the subject, quoted history is cut
+ * from the body, and the reply is sent as a staff message on WhatsApp or the web
+ * widget. Payloads from the mail provider's inbound webhook are normalized first,
+ * so a plain JSON { from, subject, text } works just as well for local testing.
+ */
+import { getSupportTicketByReference } from "../db.server";
+import { sendAgentReply } from "./inbox.server";
+import { recordTakeoverActivity } from "./takeover.server";
+import { updateTicket } from "./escalation.server";
+import { sendEmail } from "../utils/email.server";
+import AppConfig from "./config.server";
+
+// Lines that start the quoted part of a reply in common mail clients
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+wrote:\s*$/i, // Gmail, Apple Mail
+  /^-{2,}\s*Original Message\s*-{2,}/i, // Outlook (older)
+  /^_{10,}\s*$/, // Outlook separator line
+  /^-- ?$/ // Signature delimiter
+];
+
+/**
+ * Split a "Name <email>" address into its parts
+ * @param {string|Object} value - Address string, or { email|address, name }
+ * @returns {{email: string, name: string|null}|null} Parsed address, or null if there is no email
+ */
+export function parseEmailAddress(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'object') {
+    const email = value.email || value.address || value.Email;
+    return email ? { email: String(email).trim().toLowerCase(), name: value.name || value.Name || null } : null;
+  }
+
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (match) {
+    return { email: match[2].trim().toLowerCase(), name: match[1].trim() || null };
+  }
+  const email = String(value).trim().toLowerCase();
+  return email.includes('@') ? { email, name: null } : null;
+}
+
+/**
+ * Turn an inbound webhook payload into { from, subject, text, messageId }
+ * Accepts the generic shape ({ from, subject, text, html }), Postmark's
+ * (From, Subject, TextBody, HtmlBody) and payloads wrapped in { type, data }.
+ * @param {Object} payload - Parsed email payload
+ * @returns {{from: Object|null, subject: string, text: string, messageId: string|null}} Normalized email
+ */
+export function normalizeInboundEmail(payload) {
+  const email = payload?.data && typeof payload.data === 'object' ? payload.data : (payload || {});
+  const from = parseEmailAddress(email.FromFull || email.from || email.From);
+  // Postmark gives us the reply with quoted history already removed
+  const text = email.StrippedTextReply || email.text || email.TextBody || '';
+  const html = email.html || email.HtmlBody || '';
+
+  return {
+    from,
+    subject: String(email.subject || email.Subject || ''),
+    text: text ? String(text) : htmlToText(String(html)),
+    messageId: email.messageId || email.message_id || email.MessageID || null
+  };
+}
+
+/**
+ * Convert an HTML email body to plain text, dropping quoted blocks
+ * @param {string} html - HTML body
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the ticket reference from an email subject, e.g. "Re: New Customer Service Handoff - Web Chat (#1042)"
+ * @param {string} subject - Email subject
+ * @returns {number|null} Ticket reference, or null if there isn't one
+ */
+export function extractTicketReference(subject) {
+  const matches = [...String(subject || '').matchAll(/#(\d+)/g)];
+  if (matches.length === 0) {
+    return null;
+  }
+  // Use the last one; forwarded subjects can carry other numbers first
+  return parseInt(matches[matches.length - 1][1], 10);
+}
+
+/**
+ * Keep only the new part of an email reply, cutting quoted history and signatures
+ * @param {string} text - Plain text email body
+ * @returns {string} The reply text
+ */
+export function extractReplyText(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const reply = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Gmail wraps long "On ... wrote:" lines, so check the next line too
+    const wrappedHeader = /^On\s/i.test(line) && /wrote:\s*$/i.test(lines[i + 1] || '');
+    // Outlook puts the quoted message under a From:/Sent: header block
+    const outlookHeader = /^From:\s/i.test(line) && /^(Sent|Date|To):\s/i.test((lines[i + 1] || '').trim());
+    if (wrappedHeader || outlookHeader || QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line))) {
+      break;
+    }
+    if (line.startsWith('>')) {
+      continue;
+    }
+    reply.push(lines[i].trimEnd());
+  }
+
+  return reply.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Check that an email came from staff, so customers or strangers can't post as the team
+ * @param {string} email - Sender address
+ * @returns {boolean} True if the sender's domain is allowed
+ */
+export function isAllowedSender(email) {
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  if (!domain) {
+    return false;
+  }
+  const supportEmail = process.env.SUPPORT_EMAIL || 'support@vapelocal.co.uk';
+  const allowedDomains = [
+    supportEmail.split('@')[1],
+    ...AppConfig.inboundEmail.allowedSenderDomains
+  ].filter(Boolean).map(allowed => allowed.toLowerCase());
+  return allowedDomains.includes(domain);
+}
+
+/**
+ * Relay an inbound email reply into the conversation of the ticket it answers
+ * @param {Object} payload - Parsed email payload (see normalizeInboundEmail)
+ * @returns {Promise<Object>} Outcome: { status: 'relayed', ticketReference, conversationId, message },
+ *   or { status: 'ignored' | 'rejected' | 'not_found', reason } when nothing was sent
+ */
+export async function relayInboundEmail(payload) {
+  const email = normalizeInboundEmail(payload);
+  if (!email.from) {
+    return { status: 'rejected', reason: 'Missing sender address' };
+  }
+
+  // Our own notifications can land in the inbound mailbox when support forwards them
+  const mailFrom = parseEmailAddress(process.env.MAIL_FROM || 'noreply@vapelocal.co.uk');
+  if (email.from.email === mailFrom?.email) {
+    return { status: 'ignored', reason: 'Sent by this app' };
+  }
+  if (!isAllowedSender(email.from.email)) {
+    console.warn(`Inbound email: Ignoring reply from ${email.from.email}, not a staff address`);
+    return { status: 'rejected', reason: 'Sender is not allowed to reply to tickets' };
+  }
+
+  const ticketReference = extractTicketReference(email.subject);
+  if (!ticketReference) {
+    return { status: 'not_found', reason: 'No ticket reference in the subject' };
+  }
+  const ticket = await getSupportTicketByReference(ticketReference);
+  if (!ticket) {
+    return { status: 'not_found', reason: `Ticket #${ticketReference} not found` };
+  }
+  if (!ticket.conversationId) {
+    return { status: 'not_found', reason: `Ticket #${ticketReference} has no conversation` };
+  }
+
+  const text = extractReplyText(email.text);
+  if (!text) {
+    return { status: 'ignored', reason: 'Reply is empty' };
+  }
+  if (text.length > AppConfig.inboundEmail.maxReplyLength) {
+    return { status: 'rejected', reason: `Replies are limited to ${AppConfig.inboundEmail.maxReplyLength} characters` };
+  }
+
+  const agentName = email.from.name || email.from.email;
+  let message;
+  try {
+    message = await sendAgentReply(ticket.conversationId, text, agentName);
+  } catch (error) {
+    await notifyUndeliveredReply(email, ticketReference, error);
+    throw error;
+  }
+  console.log(`Inbound email: Relayed ${agentName}'s reply to ticket #${ticketReference}${email.messageId ? ` (${email.messageId})` : ''}`);
+
+  await recordTakeoverActivity(ticket.conversationId, agentName);
+  if (!ticket.assignee) {
+    await updateTicket(ticket.id, { assignee: agentName });
+  }
+
+  return { status: 'relayed', ticketReference, conversationId: ticket.conversationId, message };
+}
+
+/**
+ * Tell the staff member their emailed reply didn't reach the customer
+ * @param {Object} email - Normalized inbound email
+ * @param {number} ticketReference - Ticket reference
+ * @param {Error} error - Why sending failed
+ * @returns {Promise<void>}
+ */
+async function notifyUndeliveredReply(email, ticketReference, error) {
+  const windowClosed = error.code === '131047' || error.message?.includes('MESSAGING_WINDOW_EXPIRED');
+  const reason = windowClosed
+    ? "The customer hasn't messaged on WhatsApp in the last 24 hours, so WhatsApp won't deliver a free-form reply."
+    : 'The message could not be sent to the customer.';
+  try {
+    await sendEmail({
+      to: email.from.email,
+      subject: `Reply not delivered (#${ticketReference})`,
+      html: `<p>Your reply to ticket <b>#${ticketReference}</b> was not delivered.</p><p>${reason}</p>`,
+      text: `Your reply to ticket #${ticketReference} was not delivered.\n\n${reason}`
+    });
+  } catch (notifyError) {
+    console.error(`Inbound email: Failed to report undelivered reply for ticket #${ticketReference}:`, notifyError);
+  }
+}
+
+export default {
+  parseEmailAddress,
+  normalizeInboundEmail,
+  extractTicketReference,
+  extractReplyText,
+  isAllowedSender,
+  relayInboundEmail
+};
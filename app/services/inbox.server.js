@@ -0,0 +1,143 @@
+/**
+ * Agent Inbox Service
+ * Lets staff read conversations and reply to customers from the admin. WhatsApp
+ * replies are sent straight away; web replies are picked up by the chat widget's
+ * recent-messages polling.
+ */
+import {
+  getConversationThread,
+  saveMessage,
+  setMessageWhatsAppId
+} from "../db.server";
+import { formatDbMessage } from "./conversation.server";
+import { isStoredImageBlock, getStoredImageUrl } from "./image-message.server";
+import { sendWhatsAppMessage, getWhatsAppMessageId } from "../utils/whatsapp.server";
+import { getPhoneNumberFromConversationId } from "../utils/phone.server";
+
+/**
+ * Name recorded against staff actions, taken from the authenticated admin session
+ * @param {Object} adminContext - Result of authenticate.admin
+ * @param {Object} [adminContext.session] - Shopify session; online sessions carry the staff member
+ * @param {Object} [adminContext.sessionToken] - Decoded session token; `sub` is the staff member's user ID
+ * @returns {string} Staff member's name or email, falling back to their user ID or "Support team"
+ */
+export function getAgentName({ session, sessionToken } = {}) {
+  const user = session?.onlineAccessInfo?.associated_user;
+  const name = [user?.first_name, user?.last_name].filter(Boolean).join(' ').trim();
+  if (name) {
+    return name;
+  }
+  if (user?.email) {
+    return user.email;
+  }
+  return sessionToken?.sub ? `Staff member ${sessionToken.sub}` : 'Support team';
+}
+
+/**
+ * Turn a stored message into a readable entry for the inbox thread
+ * @param {Object} dbMessage - Message row from the database
+ * @returns {Object|null} Display entry, or null for messages with nothing to show (e.g. bare tool results)
+ */
+export function formatInboxMessage(dbMessage) {
+  const { content } = formatDbMessage(dbMessage);
+  const parts = [];
+  for (const block of content) {
+    if (block.type === 'text' && block.text?.trim()) {
+      parts.push(block.text.trim());
+    } else if (isStoredImageBlock(block)) {
+      parts.push(`[Photo] ${getStoredImageUrl(block)}`);
+    } else if (block.type === 'tool_use') {
+      parts.push(`[Used ${block.name}]`);
+    }
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+
+  return {
+    id: dbMessage.id,
+    author: dbMessage.role === 'user' ? 'customer' : (dbMessage.sentBy ? 'agent' : 'bot'),
+    sentBy: dbMessage.sentBy || null,
+    text: parts.join('\n'),
+    createdAt: dbMessage.createdAt,
+    whatsappStatus: dbMessage.whatsappStatus || null,
+    whatsappError: dbMessage.whatsappError || null
+  };
+}
+
+/**
+ * Load a conversation thread for the inbox
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Object|null>} Conversation with formatted messages, or null if not found
+ */
+export async function getInboxThread(conversationId) {
+  const conversation = await getConversationThread(conversationId);
+  if (!conversation) {
+    return null;
+  }
+  return {
+    ...conversation,
+    messages: conversation.messages.map(formatInboxMessage).filter(Boolean)
+  };
+}
+
+/**
+ * Send an assistant message to the customer outside of a bot turn and add it to the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} text - Message text
+ * @param {Object} [options] - Message options
+ * @param {string} [options.sentBy] - Staff member sending it; omit for bot messages
+ * @returns {Promise<Object>} The saved message, formatted for the inbox
+ */
+export async function sendConversationMessage(conversationId, text, { sentBy } = {}) {
+  const conversation = await getConversationThread(conversationId, 1);
+  if (!conversation) {
+    throw new Error(`Conversation ${conversationId} not found`);
+  }
+
+  // WhatsApp messages are sent before saving so a rejected send (e.g. outside the
+  // 24-hour window) doesn't show up in the thread as delivered. Web messages are
+  // picked up by the widget's recent-messages polling.
+  let whatsappMessageId = null;
+  if (conversation.channel === 'whatsapp') {
+    const phoneNumber = conversation.user?.phoneNumber || getPhoneNumberFromConversationId(conversationId);
+    if (!phoneNumber) {
+      throw new Error(`No phone number for WhatsApp conversation ${conversationId}`);
+    }
+    const sendResponse = await sendWhatsAppMessage(phoneNumber, text);
+    whatsappMessageId = getWhatsAppMessageId(sendResponse);
+  }
+
+  const message = await saveMessage(
+    conversationId,
+    'assistant',
+    JSON.stringify([{ type: 'text', text }]),
+    { sentBy }
+  );
+  if (whatsappMessageId) {
+    await setMessageWhatsAppId(message.id, whatsappMessageId);
+  }
+
+  return formatInboxMessage({ ...message, whatsappStatus: whatsappMessageId ? 'sent' : null });
+}
+
+/**
+ * Send a staff reply to the customer and add it to the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} text - Reply text
+ * @param {string} agentName - Staff member sending the reply
+ * @returns {Promise<Object>} The saved message, formatted for the inbox
+ */
+export async function sendAgentReply(conversationId, text, agentName) {
+  const message = await sendConversationMessage(conversationId, text, { sentBy: agentName });
+  console.log(`Inbox: ${agentName} replied to ${conversationId}`);
+  return message;
+}
+
+export default {
+  getAgentName,
+  formatInboxMessage,
+  getInboxThread,
+  sendConversationMessage,
+  sendAgentReply
+};
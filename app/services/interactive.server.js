@@ -0,0 +1,234 @@
+/**
+ * Interactive Message Service
+ * Reply buttons and list pickers for WhatsApp. Each option's reply ID carries an
+ * action and the product or variant it applies to, so when the customer taps it
+ * the reply can be turned back into a message that tells Claude exactly what to
+ * do (e.g. add that variant with update_cart) instead of a bare button label.
+ */
+import AppConfig from "./config.server";
+
+export const OPTION_ACTIONS = ['add_to_cart', 'see_more', 'choose_variant', 'view_product', 'reply'];
+
+// Reply IDs are "<action>|<product id>|<variant id>|<index>"; Shopify GIDs never contain "|"
+const ID_SEPARATOR = '|';
+
+// Longest titles WhatsApp accepts; the send helpers cut anything longer
+const BUTTON_TITLE_MAX = 20;
+const ROW_TITLE_MAX = 24;
+
+/**
+ * Encode an option as a WhatsApp reply ID
+ * @param {Object} option - Option
+ * @param {string} option.action - One of OPTION_ACTIONS
+ * @param {string} [option.productId] - Product GID
+ * @param {string} [option.variantId] - Variant GID
+ * @param {number} index - Position of the option, so every ID in a message is unique
+ * @returns {string} Reply ID
+ */
+export function encodeOptionId({ action, productId, variantId }, index) {
+  return [action, productId || '', variantId || '', index].join(ID_SEPARATOR);
+}
+
+/**
+ * Decode a reply ID made by encodeOptionId
+ * @param {string} id - Reply ID from the webhook
+ * @returns {{action: string, productId: string|null, variantId: string|null}} The option; unknown IDs are plain replies
+ */
+export function parseOptionId(id) {
+  const [action, productId, variantId] = String(id || '').split(ID_SEPARATOR);
+  if (!OPTION_ACTIONS.includes(action)) {
+    return { action: 'reply', productId: null, variantId: null };
+  }
+  return { action, productId: productId || null, variantId: variantId || null };
+}
+
+/**
+ * Get the button or list row the customer tapped
+ * @param {Object} message - Message object from the webhook payload
+ * @returns {{id: string, title: string, description: string|null}|null} The reply, or null for other messages
+ */
+export function parseInteractiveReply(message) {
+  const reply = message?.interactive?.button_reply || message?.interactive?.list_reply;
+  if (!reply?.id) {
+    return null;
+  }
+  return { id: reply.id, title: reply.title || '', description: reply.description || null };
+}
+
+/**
+ * Turn a tapped option into the customer message Claude sees
+ * @param {Object} reply - Reply from parseInteractiveReply
+ * @returns {string} Message text naming the action and the product and variant IDs
+ */
+export function describeInteractiveReply(reply) {
+  const { action, productId, variantId } = parseOptionId(reply.id);
+  const ids = [
+    productId && `product_id: ${productId}`,
+    variantId && `variant_id: ${variantId}`
+  ].filter(Boolean).join(', ');
+  const tapped = `[Tapped "${reply.title}"]`;
+
+  switch (action) {
+    case 'add_to_cart':
+      return `${tapped} Please add this to my cart (${ids}).`;
+    case 'see_more':
+      return `${tapped} Show me more about this product and its options (${ids}).`;
+    case 'choose_variant':
+      return `${tapped} I'd like this option (${ids}).`;
+    case 'view_product':
+      return `${tapped} Tell me about this product (${ids}).`;
+    default:
+      return reply.title;
+  }
+}
+
+/**
+ * Check that an option names the product or variant its action needs
+ * @param {Object} option - Option from offer_options
+ * @returns {boolean} True if the option can be sent
+ */
+export function isValidOption(option) {
+  if (!option?.label?.trim() || !OPTION_ACTIONS.includes(option.action)) {
+    return false;
+  }
+  switch (option.action) {
+    case 'add_to_cart':
+    case 'choose_variant':
+      return !!option.product_id && !!option.variant_id;
+    case 'see_more':
+    case 'view_product':
+      return !!option.product_id;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Cut a title to a length, ending it in an ellipsis
+ * @param {string} title - Title
+ * @param {number} max - Maximum length
+ * @returns {string} The title, cut if it was too long
+ */
+function shortenTitle(title, max) {
+  return title.length > max ? `${title.slice(0, max - 1).trimEnd()}…` : title;
+}
+
+/**
+ * Get the words where a title starts to differ from the others it clashes with
+ * @param {string} title - Full title
+ * @param {Array<string>} group - Full titles that are cut to the same text, including this one
+ * @returns {string} The differing end of the title; the whole title if the others are the same
+ */
+function getDistinctEnding(title, group) {
+  const sharedLength = (other) => {
+    let length = 0;
+    while (length < title.length && title[length] === other[length]) {
+      length++;
+    }
+    return length;
+  };
+  // Start from the word where the title parts from the one closest to it
+  const common = Math.max(0, ...group.filter(other => other !== title).map(sharedLength));
+  return title.slice(title.lastIndexOf(' ', common) + 1).trim();
+}
+
+/**
+ * Fit titles to a WhatsApp limit without two of them ending up the same, as when
+ * "Elf Bar 600 Mango Ice 10mg" and "Elf Bar 600 Mango Ice 20mg" are both cut to
+ * "Elf Bar 600 Mango I…". Clashing titles keep the end where they differ
+ * ("Elf Bar 600 Ma… 10mg"), and are numbered if that doesn't tell them apart.
+ * @param {Array<string>} titles - Full titles
+ * @param {number} max - Maximum title length
+ * @returns {Array<string>} Titles within the limit, all different
+ */
+export function fitUniqueTitles(titles, max) {
+  const isClash = (title, index, list) => list.some((other, i) => i !== index && other === title);
+
+  const fitted = titles.map(title => shortenTitle(title, max));
+  const withEndings = fitted.map((title, index) => {
+    if (!isClash(title, index, fitted)) {
+      return title;
+    }
+    const group = titles.filter((_, i) => fitted[i] === title);
+    const ending = getDistinctEnding(titles[index], group);
+    if (!ending || ending.length > max - 3) {
+      return title;
+    }
+    return `${titles[index].slice(0, max - 2 - ending.length).trimEnd()}… ${ending}`;
+  });
+
+  const numbers = {};
+  return withEndings.map((title, index) => {
+    if (!isClash(title, index, withEndings)) {
+      return title;
+    }
+    numbers[title] = (numbers[title] || 0) + 1;
+    const suffix = ` ${numbers[title]}`;
+    return `${shortenTitle(titles[index], max - suffix.length)}${suffix}`;
+  });
+}
+
+/**
+ * Lay out options as reply buttons (three or fewer) or a list picker
+ * @param {Array} options - Valid options from offer_options ({ label, action, product_id?, variant_id?, description? })
+ * @returns {{type: string, buttons?: Array, rows?: Array}} Buttons or list rows with encoded reply IDs
+ */
+export function buildOptionsLayout(options) {
+  const chosen = options.slice(0, 10);
+  // Buttons have no room for descriptions, so those need a list
+  const type = chosen.length <= 3 && !chosen.some(option => option.description) ? 'button' : 'list';
+  const titles = fitUniqueTitles(
+    chosen.map(option => option.label.trim()),
+    type === 'button' ? BUTTON_TITLE_MAX : ROW_TITLE_MAX
+  );
+
+  const items = chosen.map((option, index) => ({
+    id: encodeOptionId({ action: option.action, productId: option.product_id, variantId: option.variant_id }, index),
+    title: titles[index],
+    description: option.description || null
+  }));
+
+  if (type === 'button') {
+    return { type, buttons: items.map(({ id, title }) => ({ id, title })) };
+  }
+  return { type, rows: items };
+}
+
+/**
+ * Build list picker rows for product search results
+ * @param {Array} products - Product cards from the tool service ({ id, title, price })
+ * @returns {Array} List rows; products without a Shopify ID are left out
+ */
+export function buildProductListRows(products) {
+  const listed = products
+    .filter(product => String(product.id).startsWith('gid://'))
+    .slice(0, 10);
+  const titles = fitUniqueTitles(listed.map(product => String(product.title || '').trim()), ROW_TITLE_MAX);
+
+  return listed.map((product, index) => ({
+    id: encodeOptionId({ action: 'view_product', productId: product.id }, index),
+    title: titles[index],
+    description: product.price
+  }));
+}
+
+/**
+ * Check whether interactive messages are turned on
+ * @returns {boolean} True if replies may carry buttons and list pickers
+ */
+export function isInteractiveEnabled() {
+  return AppConfig.whatsappInteractive.enabled;
+}
+
+export default {
+  OPTION_ACTIONS,
+  encodeOptionId,
+  parseOptionId,
+  parseInteractiveReply,
+  describeInteractiveReply,
+  isValidOption,
+  fitUniqueTitles,
+  buildOptionsLayout,
+  buildProductListRows,
+  isInteractiveEnabled
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { buildOptionsLayout, buildProductListRows, fitUniqueTitles, parseOptionId } from "./interactive.server";
+
+describe("fitUniqueTitles", () => {
+  it("leaves titles that fit alone", () => {
+    expect(fitUniqueTitles(["Mango Ice 10mg", "Mango Ice 20mg"], 20)).toEqual(["Mango Ice 10mg", "Mango Ice 20mg"]);
+  });
+
+  it("keeps the differing end of titles that would be cut to the same text", () => {
+    const titles = fitUniqueTitles(["Elf Bar 600 Mango Ice 10mg", "Elf Bar 600 Mango Ice 20mg", "Blue Razz Lemonade"], 20);
+
+    expect(titles).toEqual(["Elf Bar 600 Ma… 10mg", "Elf Bar 600 Ma… 20mg", "Blue Razz Lemonade"]);
+  });
+
+  it("numbers titles that can't be told apart by their ending", () => {
+    const titles = fitUniqueTitles(["Lost Mary BM600 Triple Mango", "Lost Mary BM600 Triple Mango"], 20);
+
+    expect(titles).toEqual(["Lost Mary BM600 T… 1", "Lost Mary BM600 T… 2"]);
+  });
+
+  it("keeps every title within the limit", () => {
+    const titles = fitUniqueTitles([
+      "SKE Crystal Bar 600 Rainbow Blast 20mg",
+      "SKE Crystal Bar 600 Rainbow Blast Nic Salt 10mg"
+    ], 24);
+
+    expect(new Set(titles).size).toBe(2);
+    titles.forEach(title => expect(title.length).toBeLessThanOrEqual(24));
+  });
+});
+
+describe("buildOptionsLayout", () => {
+  const variant = (label, n) => ({
+    label,
+    action: "choose_variant",
+    product_id: "gid://shopify/Product/1",
+    variant_id: `gid://shopify/ProductVariant/${n}`
+  });
+
+  it("gives variants with long shared names distinct button titles", () => {
+    const layout = buildOptionsLayout([
+      variant("Elf Bar 600 Mango Ice 10mg", 1),
+      variant("Elf Bar 600 Mango Ice 20mg", 2)
+    ]);
+
+    expect(layout.type).toBe("button");
+    expect(layout.buttons.map(button => button.title)).toEqual(["Elf Bar 600 Ma… 10mg", "Elf Bar 600 Ma… 20mg"]);
+    expect(parseOptionId(layout.buttons[1].id)).toEqual({
+      action: "choose_variant",
+      productId: "gid://shopify/Product/1",
+      variantId: "gid://shopify/ProductVariant/2"
+    });
+  });
+
+  it("fits list rows to the longer row limit", () => {
+    const layout = buildOptionsLayout([
+      { ...variant("Elf Bar 600 Mango Ice Nic Salt 10mg", 1), description: "£4.99" },
+      { ...variant("Elf Bar 600 Mango Ice Nic Salt 20mg", 2), description: "£4.99" }
+    ]);
+
+    expect(layout.type).toBe("list");
+    expect(layout.rows.map(row => row.title)).toEqual(["Elf Bar 600 Mango… 10mg", "Elf Bar 600 Mango… 20mg"]);
+  });
+});
+
+describe("buildProductListRows", () => {
+  it("gives products with long shared names distinct row titles", () => {
+    const rows = buildProductListRows([
+      { id: "gid://shopify/Product/1", title: "Elux Legend 3500 Blue Razz Lemonade", price: "£7.99" },
+      { id: "gid://shopify/Product/2", title: "Elux Legend 3500 Blue Razz Cherry", price: "£7.99" },
+      { id: "local-3", title: "Not from Shopify", price: "£1.00" }
+    ]);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0].title).not.toBe(rows[1].title);
+    rows.forEach(row => expect(row.title.length).toBeLessThanOrEqual(24));
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Conversation Memory Service
+ * Keeps what the assistant needs to know once messages drop out of the recent
+ * history sent to Claude. Older turns are folded into a rolling summary on the
+ * conversation, and lasting facts about the customer (preferences, business
+ * details, orders discussed) into User.memory so they carry over to later
+ * conversations. Both are added to the system prompt on every turn.
+ */
+import {
+  getConversationMemory,
+  getMessagesToRemember,
+  saveConversationMemory,
+  cleanupOldMessages
+} from "../db.server";
+import { createClaudeService } from "./claude.server";
+import { buildTranscript } from "./summary.server";
+import AppConfig from "./config.server";
+
+const MEMORY_TOOL = {
+  name: 'update_memory',
+  description: 'Save the updated memory for this conversation and customer',
+  input_schema: {
+    type: 'object',
+    properties: {
+      conversationSummary: {
+        type: 'string',
+        description: 'What has happened in this conversation so far: requests, answers given, products and carts, anything still open'
+      },
+      customerProfile: {
+        type: 'string',
+        description: 'Lasting facts about the customer worth knowing next time: name, preferences, business details, orders discussed. Empty if there are none.'
+      }
+    },
+    required: ['conversationSummary', 'customerProfile']
+  }
+};
+
+const MEMORY_INSTRUCTION = [
+  "You maintain the memory of an online store's chat assistant.",
+  'You are given the current memory and older messages that will no longer be shown to the assistant.',
+  'Merge the messages into the memory. Keep it factual and compact, written as short notes.',
+  'Only keep customer facts that stay true between conversations; never store payment details,',
+  'passwords, one-time codes or checkout links.'
+].join(' ');
+
+/**
+ * Build the memory section of the system prompt
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<string|null>} Prompt text, or null if there is nothing remembered
+ */
+export async function getMemoryPrompt(conversationId) {
+  if (!AppConfig.memory.enabled) {
+    return null;
+  }
+  const stored = await getConversationMemory(conversationId);
+  if (!stored?.memory && !stored?.userMemory) {
+    return null;
+  }
+
+  const sections = ['**WHAT YOU REMEMBER**'];
+  if (stored.userMemory) {
+    sections.push(`About this customer, from earlier conversations:\n${stored.userMemory}`);
+  }
+  if (stored.memory) {
+    sections.push(`Earlier in this conversation (older messages are not shown):\n${stored.memory}`);
+  }
+  sections.push("Use this to keep continuity and personalise replies. Don't repeat it back unless it helps the customer.");
+  return sections.join('\n\n');
+}
+
+/**
+ * Fold messages that have left Claude's recent history into the conversation and customer memory.
+ * Does nothing until enough of them have built up.
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<boolean>} True if the memory was updated
+ */
+export async function updateConversationMemory(conversationId) {
+  if (!AppConfig.memory.enabled) {
+    return false;
+  }
+  const stored = await getConversationMemory(conversationId);
+  if (!stored) {
+    return false;
+  }
+
+  const messages = await getMessagesToRemember(conversationId, {
+    keepRecent: AppConfig.conversation.historyFetchLimit,
+    after: stored.memoryThrough
+  });
+  if (messages.length < AppConfig.memory.minMessagesToFold) {
+    return false;
+  }
+
+  const claudeService = createClaudeService();
+  const input = await claudeService.getStructuredResponse({
+    system: MEMORY_INSTRUCTION,
+    messages: [{
+      role: 'user',
+      content: [
+        `<conversation_memory>\n${stored.memory || '(empty)'}\n</conversation_memory>`,
+        stored.userId ? `<customer_memory>\n${stored.userMemory || '(empty)'}\n</customer_memory>` : '',
+        `<older_messages>\n${buildTranscript(messages)}\n</older_messages>`
+      ].filter(Boolean).join('\n\n')
+    }],
+    tool: MEMORY_TOOL,
+    model: AppConfig.memory.model || AppConfig.api.defaultModel,
+    maxTokens: AppConfig.memory.maxTokens,
+    timeoutMs: AppConfig.memory.timeoutMs,
+    purpose: 'memory',
+    conversationId
+  });
+
+  const limit = AppConfig.memory.maxLength;
+  const memory = String(input?.conversationSummary || '').trim().slice(0, limit);
+  const userMemory = String(input?.customerProfile || '').trim().slice(0, limit);
+  await saveConversationMemory(conversationId, {
+    memory: memory || stored.memory,
+    memoryThrough: messages[messages.length - 1].createdAt,
+    userId: stored.userId,
+    // An empty profile means nothing new; keep what we had
+    userMemory: stored.userId ? (userMemory || stored.userMemory) : undefined
+  });
+
+  console.log(`Memory: Folded ${messages.length} older messages into the memory for ${conversationId}`);
+  return true;
+}
+
+/**
+ * Delete old messages that are already covered by the conversation memory
+ * @param {string} conversationId - The conversation ID
+ * @param {number} keepCount - Number of recent messages to keep regardless
+ * @returns {Promise<number>} Number of messages deleted
+ */
+export async function pruneRememberedMessages(conversationId, keepCount) {
+  if (!AppConfig.memory.enabled) {
+    return cleanupOldMessages(conversationId, keepCount);
+  }
+  const stored = await getConversationMemory(conversationId);
+  return cleanupOldMessages(conversationId, keepCount, { through: stored?.memoryThrough || null });
+}
+
+export default {
+  getMemoryPrompt,
+  updateConversationMemory,
+  pruneRememberedMessages
+};
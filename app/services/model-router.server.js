@@ -0,0 +1,88 @@
+/**
+ * Model Router Service
+ * Picks the Claude model for a chat turn. Greetings, thanks and short FAQ
+ * questions go to the cheaper "simple" model, product selection and cart
+ * building to the "cart" model, and everything else to the standard model.
+ * The models for each tier are set in AppConfig.api.modelTiers.
+ */
+import AppConfig from "./config.server";
+
+export const MODEL_TIERS = ['simple', 'standard', 'cart'];
+
+// Short replies that need no lookup
+const GREETING_PATTERN = /^(hi|hello|hey|hiya|good (morning|afternoon|evening)|thanks|thank you|thx|cheers|ok|okay|great|perfect|bye|goodbye)\b/i;
+
+// Store questions answered from the prompt and policy pages
+const FAQ_PATTERN = /\b(shipping|delivery|deliver|returns?|refund policy|exchange|opening hours|open|contact|phone number|email address|location|where are you|how long|faq|payment methods?)\b/i;
+
+// Words that mean the customer is choosing products or working on an order
+const CART_PATTERN = /\b(cart|basket|checkout|check out|order|buy|purchase|add|remove|quantity|qty|units?|cases?|boxes?|packs?)\b|\d+\s*x\b/i;
+
+/**
+ * Get the model for a tier
+ * @param {string} tier - One of MODEL_TIERS
+ * @returns {string} Model name
+ */
+export function getModelForTier(tier) {
+  return AppConfig.api.modelTiers?.[tier] || AppConfig.api.defaultModel;
+}
+
+/**
+ * Check whether the conversation has a cart being built. Tool calls are cleaned
+ * out of the loaded history, so this reads the cart the MCP client stored on
+ * the conversation instead.
+ * @param {Object} [metadata] - Conversation metadata (last_cart_id, last_cart_updated_at)
+ * @returns {boolean} True if a cart was created or changed within AppConfig.modelRouting.activeCartHours
+ */
+function hasCartInProgress(metadata) {
+  const { last_cart_id: cartId, last_cart_updated_at: updatedAt } = metadata || {};
+  if (!cartId || !updatedAt) {
+    return false;
+  }
+  const ageMs = Date.now() - new Date(updatedAt).getTime();
+  return ageMs < AppConfig.modelRouting.activeCartHours * 60 * 60 * 1000;
+}
+
+/**
+ * Choose the model tier for a turn from the customer's message and cart state
+ * @param {Object} params - Turn details
+ * @param {string} params.userMessage - The customer's message text
+ * @param {Object} [params.conversationMetadata] - Metadata of the conversation, holding its cart
+ * @param {boolean} [params.hasImage] - The message includes a photo
+ * @returns {string} One of MODEL_TIERS
+ */
+export function chooseModelTier({ userMessage, conversationMetadata, hasImage = false }) {
+  if (!AppConfig.modelRouting.enabled) {
+    return 'standard';
+  }
+  const text = String(userMessage || '').trim();
+
+  if (CART_PATTERN.test(text) || hasCartInProgress(conversationMetadata)) {
+    return 'cart';
+  }
+  // Photos need the product knowledge of the standard model, whatever the caption says
+  if (!hasImage && text.length <= AppConfig.modelRouting.simpleMaxLength && (GREETING_PATTERN.test(text) || FAQ_PATTERN.test(text))) {
+    return 'simple';
+  }
+  return 'standard';
+}
+
+/**
+ * Move a turn to the cart tier once Claude starts working on the cart
+ * @param {string} tier - Current tier
+ * @param {string} toolName - Tool Claude called
+ * @returns {string} Tier for the rest of the turn
+ */
+export function escalateModelTier(tier, toolName) {
+  if (AppConfig.modelRouting.enabled && AppConfig.modelRouting.cartTools.includes(toolName)) {
+    return 'cart';
+  }
+  return tier;
+}
+
+export default {
+  MODEL_TIERS,
+  getModelForTier,
+  chooseModelTier,
+  escalateModelTier
+};
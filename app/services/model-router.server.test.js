@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it } from "vitest";
+import AppConfig from "./config.server";
+import { chooseModelTier, escalateModelTier } from "./model-router.server";
+
+const originalRouting = { ...AppConfig.modelRouting };
+
+afterEach(() => {
+  Object.assign(AppConfig.modelRouting, originalRouting);
+});
+
+/**
+ * Metadata as the MCP client stores it after a cart update
+ * @param {number} hoursAgo - When the cart was last changed
+ * @returns {Object} Conversation metadata
+ */
+function cartMetadata(hoursAgo) {
+  return {
+    last_cart_id: "gid://shopify/Cart/abc123",
+    last_checkout_url: "https://shop.example.com/cart/c/abc123",
+    last_cart_updated_at: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString()
+  };
+}
+
+describe("chooseModelTier", () => {
+  it("keeps a short reply on the cart model while a cart is being built", () => {
+    expect(chooseModelTier({ userMessage: "ok", conversationMetadata: cartMetadata(0.1) })).toBe("cart");
+  });
+
+  it("sends the same reply to the simple model when there is no cart", () => {
+    expect(chooseModelTier({ userMessage: "ok" })).toBe("simple");
+    expect(chooseModelTier({ userMessage: "ok", conversationMetadata: { last_cart_id: null } })).toBe("simple");
+  });
+
+  it("stops treating a cart as in progress once it is older than activeCartHours", () => {
+    const metadata = cartMetadata(AppConfig.modelRouting.activeCartHours + 1);
+
+    expect(chooseModelTier({ userMessage: "ok", conversationMetadata: metadata })).toBe("simple");
+  });
+
+  it("routes cart wording to the cart model without a cart", () => {
+    expect(chooseModelTier({ userMessage: "Add 2 boxes of the mint please" })).toBe("cart");
+  });
+
+  it("sends photos to the standard model even with a greeting caption", () => {
+    expect(chooseModelTier({ userMessage: "hi", hasImage: true })).toBe("standard");
+  });
+
+  it("uses the standard model for everything when routing is off", () => {
+    AppConfig.modelRouting.enabled = false;
+
+    expect(chooseModelTier({ userMessage: "ok", conversationMetadata: cartMetadata(0.1) })).toBe("standard");
+  });
+});
+
+describe("escalateModelTier", () => {
+  it("moves the turn to the cart model when a cart tool is called", () => {
+    expect(escalateModelTier("simple", "update_cart")).toBe("cart");
+    expect(escalateModelTier("simple", "search_shop_catalog")).toBe("simple");
+  });
+});
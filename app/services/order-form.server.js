@@ -0,0 +1,209 @@
+/**
+ * Order Form Service
+ * Generates the .xlsx order forms send_order_template sends to customers, from
+ * the live catalog: a collection (best sellers by default) or every active
+ * product. Each line carries the product and variant IDs, price and quantity
+ * increment, and the layout is the one spreadsheet-order.server.js reads back
+ * when the customer returns the form. Files are stored in UploadedImage and
+ * served by the uploads route.
+ */
+import ExcelJS from "exceljs";
+import { getOfflineSessionShop, getQuantityIncrements } from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getUploadUrl, hasStoredUpload, storeUploadedFile } from "../utils/whatsapp.server";
+import AppConfig from "./config.server";
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Filled in by the customer; read back as business details
+const BUSINESS_DETAIL_LABELS = [
+  'Business name',
+  'Contact name',
+  'Phone',
+  'Email',
+  'Delivery address',
+  'Order notes'
+];
+
+const PRODUCT_FIELDS = `#graphql
+  fragment OrderFormProduct on Product {
+    id
+    title
+    status
+    variants(first: 100) {
+      nodes { id title sku price }
+    }
+  }
+`;
+
+const COLLECTION_QUERY = `#graphql
+  ${PRODUCT_FIELDS}
+  query orderFormCollection($query: String!, $first: Int!) {
+    shop { currencyCode }
+    collections(first: 1, query: $query) {
+      nodes {
+        title
+        products(first: $first) {
+          nodes { ...OrderFormProduct }
+        }
+      }
+    }
+  }
+`;
+
+const CATALOG_QUERY = `#graphql
+  ${PRODUCT_FIELDS}
+  query orderFormCatalog($first: Int!) {
+    shop { currencyCode }
+    products(first: $first, query: "status:active", sortKey: TITLE) {
+      nodes { ...OrderFormProduct }
+    }
+  }
+`;
+
+/**
+ * Load the products for an order form from the Admin API
+ * @param {string|null} handle - Collection handle, or null for every active product
+ * @returns {Promise<{title: string, currencyCode: string, products: Array}>} Form title, store currency and products
+ */
+async function fetchOrderFormProducts(handle) {
+  const shop = await getOfflineSessionShop();
+  if (!shop) {
+    throw new Error('Cannot generate an order form: no offline session for the store');
+  }
+  const { admin } = await unauthenticated.admin(shop);
+  const first = Math.min(AppConfig.orderForms.maxProducts, 250);
+
+  const response = handle
+    ? await admin.graphql(COLLECTION_QUERY, { variables: { query: `handle:${handle}`, first } })
+    : await admin.graphql(CATALOG_QUERY, { variables: { first } });
+  const data = await response.json();
+  if (data?.errors?.length) {
+    throw new Error(`Order form product lookup failed: ${data.errors[0].message}`);
+  }
+
+  let title = 'All products';
+  let products = data?.data?.products?.nodes;
+  if (handle) {
+    const found = data?.data?.collections?.nodes?.[0];
+    if (!found) {
+      throw new Error(`Collection "${handle}" not found`);
+    }
+    title = found.title;
+    products = found.products.nodes;
+  }
+
+  return {
+    title,
+    currencyCode: data?.data?.shop?.currencyCode || '',
+    products: (products || []).filter(product => product.status === 'ACTIVE')
+  };
+}
+
+/**
+ * Build the order form workbook
+ * @param {Object} params - Form contents
+ * @param {string} params.title - Form title (collection name)
+ * @param {string} params.currencyCode - Store currency
+ * @param {Array} params.products - Admin API products with variants
+ * @param {Map<string, number>} params.increments - Quantity increment per product or variant ID
+ * @returns {Promise<Buffer>} The .xlsx file
+ */
+export async function buildOrderFormWorkbook({ title, currencyCode, products, increments }) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Order form');
+
+  sheet.addRow([`Order form: ${title}`]).font = { bold: true, size: 14 };
+  sheet.addRow([`Generated ${new Date().toISOString().slice(0, 10)}. Prices may change; your checkout shows the final total.`]);
+  sheet.addRow([]);
+  for (const label of BUSINESS_DETAIL_LABELS) {
+    sheet.addRow([`${label}:`]).getCell(1).font = { bold: true };
+  }
+  sheet.addRow([]);
+  sheet.addRow(['Enter the quantity you want for each product, then send this file back to us on WhatsApp.']);
+
+  // The header names are the ones AppConfig.spreadsheetOrders.columns recognises
+  const header = sheet.addRow([
+    'Product',
+    'Variant',
+    'SKU',
+    currencyCode ? `Price (${currencyCode})` : 'Price',
+    'Sold in multiples of',
+    'Quantity',
+    'Product ID',
+    'Variant ID'
+  ]);
+  header.font = { bold: true };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFD203' } };
+
+  for (const product of products) {
+    for (const variant of product.variants.nodes) {
+      const increment = increments.get(variant.id) || increments.get(product.id) || null;
+      const row = sheet.addRow([
+        product.title,
+        variant.title === 'Default Title' ? '' : variant.title,
+        variant.sku || '',
+        Number(variant.price),
+        increment,
+        null,
+        product.id,
+        variant.id
+      ]);
+      row.getCell(4).numFmt = '#,##0.00';
+      row.getCell(6).dataValidation = {
+        type: 'whole',
+        operator: 'greaterThanOrEqual',
+        formulae: [0],
+        allowBlank: true,
+        showErrorMessage: true,
+        error: 'Enter a whole number'
+      };
+    }
+  }
+
+  [36, 24, 16, 12, 20, 12].forEach((width, index) => {
+    sheet.getColumn(index + 1).width = width;
+  });
+  // IDs are for matching the form back to the catalog, not for the customer
+  sheet.getColumn(7).hidden = true;
+  sheet.getColumn(8).hidden = true;
+  sheet.views = [{ state: 'frozen', ySplit: header.number }];
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Generate an order form, reusing one generated in the last AppConfig.orderForms.cacheMinutes
+ * @param {Object} [options] - Form options
+ * @param {string|null} [options.collection] - Collection handle, or null for every active product
+ * @returns {Promise<{url: string, filename: string}>} Public URL of the form and its filename
+ */
+export async function generateOrderForm({ collection = null } = {}) {
+  // Handles are lowercase and hyphenated, so "Best Sellers" finds best-sellers
+  const handle = collection ? collection.trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-') : null;
+  const slug = handle || 'all-products';
+  const period = Math.floor(Date.now() / (AppConfig.orderForms.cacheMinutes * 60 * 1000));
+  const storedFilename = `order-form-${slug}-${period}.xlsx`;
+  const filename = `${slug}-order-form.xlsx`;
+
+  if (await hasStoredUpload(storedFilename)) {
+    return { url: getUploadUrl(storedFilename), filename };
+  }
+
+  const { title, currencyCode, products } = await fetchOrderFormProducts(handle);
+  if (products.length === 0) {
+    throw new Error(`No active products for the ${handle || 'catalog'} order form`);
+  }
+  const entityIds = products.flatMap(product => [product.id, ...product.variants.nodes.map(variant => variant.id)]);
+  const increments = await getQuantityIncrements(entityIds);
+
+  const buffer = await buildOrderFormWorkbook({ title, currencyCode, products, increments });
+  const url = await storeUploadedFile(storedFilename, buffer, XLSX_MIME_TYPE);
+  console.log(`Order form: Generated ${storedFilename} with ${products.length} products`);
+  return { url, filename };
+}
+
+export default {
+  buildOrderFormWorkbook,
+  generateOrderForm
+};
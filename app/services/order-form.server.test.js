@@ -0,0 +1,143 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import ExcelJS from "exceljs";
+
+const uploads = vi.hoisted(() => ({ files: new Map() }));
+
+vi.mock("../db.server", () => ({
+  default: {},
+  getOfflineSessionShop: vi.fn(async () => "cloud-nine.myshopify.com"),
+  getQuantityIncrements: vi.fn(async () => new Map([["gid://shopify/Product/1", 5]]))
+}));
+vi.mock("../shopify.server", () => ({
+  unauthenticated: { admin: vi.fn() }
+}));
+vi.mock("../utils/whatsapp.server", () => ({
+  getUploadUrl: (filename) => `https://app.example.com/uploads/${filename}`,
+  hasStoredUpload: vi.fn(async (filename) => uploads.files.has(filename)),
+  storeUploadedFile: vi.fn(async (filename, buffer) => {
+    uploads.files.set(filename, buffer);
+    return `https://app.example.com/uploads/${filename}`;
+  })
+}));
+vi.mock("./conversation.server", () => ({
+  resolveCheckoutUrl: vi.fn(async () => null)
+}));
+
+const { unauthenticated } = await import("../shopify.server");
+const { buildOrderFormWorkbook, generateOrderForm } = await import("./order-form.server");
+const { buildCartFromOrderForm, parseOrderForm, readSpreadsheet } = await import("./spreadsheet-order.server");
+
+const products = [
+  {
+    id: "gid://shopify/Product/1",
+    title: "Elf Bar 600",
+    status: "ACTIVE",
+    variants: {
+      nodes: [
+        { id: "gid://shopify/ProductVariant/11", title: "Mango Ice", sku: "EB-MI-20", price: "4.99" },
+        { id: "gid://shopify/ProductVariant/12", title: "Blueberry", sku: "EB-BB-20", price: "4.99" }
+      ]
+    }
+  },
+  {
+    id: "gid://shopify/Product/2",
+    title: "Elux Legend 3500",
+    status: "ACTIVE",
+    variants: { nodes: [{ id: "gid://shopify/ProductVariant/21", title: "Default Title", sku: "", price: "7.99" }] }
+  }
+];
+
+/**
+ * Fill in a generated form the way a customer would
+ * @param {Buffer} buffer - Generated .xlsx file
+ * @param {Object} answers - Business detail values by label, and quantities by variant ID
+ * @returns {Promise<Buffer>} The completed .xlsx file
+ */
+async function fillInForm(buffer, { details, quantities }) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  workbook.worksheets[0].eachRow((row) => {
+    const label = String(row.getCell(1).value || "").replace(/:$/, "");
+    if (details[label]) {
+      row.getCell(2).value = details[label];
+    }
+    const quantity = quantities[row.getCell(8).value];
+    if (quantity) {
+      row.getCell(6).value = quantity;
+    }
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const xlsx = { filename: "order-form.xlsx", mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" };
+const answers = {
+  details: { "Business name": "Cloud Nine Vapes", "Phone": "+44 7700 900123" },
+  quantities: { "gid://shopify/ProductVariant/12": 8, "gid://shopify/ProductVariant/21": 3 }
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  uploads.files.clear();
+});
+
+describe("order form round trip", () => {
+  it("reads a completed form back as the lines and details the customer filled in", async () => {
+    const buffer = await buildOrderFormWorkbook({ title: "Best Sellers", currencyCode: "GBP", products, increments: new Map() });
+
+    const order = parseOrderForm(await readSpreadsheet(await fillInForm(buffer, answers), xlsx));
+
+    expect(order.details).toEqual([
+      { label: "Business name", value: "Cloud Nine Vapes" },
+      { label: "Phone", value: "+44 7700 900123" }
+    ]);
+    expect(order.lines).toEqual([
+      expect.objectContaining({ sku: "EB-BB-20", product: "Elf Bar 600", variant: "Blueberry", productId: "gid://shopify/Product/1", variantId: "gid://shopify/ProductVariant/12", quantity: 8 }),
+      expect.objectContaining({ product: "Elux Legend 3500", variant: "", productId: "gid://shopify/Product/2", variantId: "gid://shopify/ProductVariant/21", quantity: 3 })
+    ]);
+    expect(order.invalid).toEqual([]);
+  });
+
+  it("turns a returned generated form into a cart through its product IDs", async () => {
+    unauthenticated.admin.mockResolvedValue({
+      admin: {
+        graphql: vi.fn(async () => ({
+          json: async () => ({
+            data: { shop: { currencyCode: "GBP" }, collections: { nodes: [{ title: "Best Sellers", products: { nodes: products } }] } }
+          })
+        }))
+      }
+    });
+    const mcpClient = {
+      callStorefrontTool: vi.fn(async (name, { product_id }) => {
+        const product = products.find((candidate) => candidate.id === product_id);
+        const variants = product.variants.nodes.map((variant) => ({ variant_id: variant.id, title: variant.title, sku: variant.sku }));
+        return { content: [{ text: JSON.stringify({ product: { product_id, title: product.title, variants } }) }] };
+      }),
+      callCustomTool: vi.fn(async (name, { product_id }) => ({
+        content: [{ text: JSON.stringify({ quantity_increment: product_id === "gid://shopify/Product/1" ? 5 : null }) }]
+      })),
+      callTool: vi.fn(async () => ({ content: [{ text: "{}" }] }))
+    };
+
+    const { filename } = await generateOrderForm({ collection: "Best Sellers" });
+    const [generated] = uploads.files.values();
+    const result = await buildCartFromOrderForm({
+      buffer: await fillInForm(generated, answers),
+      filename,
+      mimeType: xlsx.mimeType,
+      mcpClient,
+      conversationId: "whatsapp_447700900123"
+    });
+
+    expect(filename).toBe("best-sellers-order-form.xlsx");
+    expect(mcpClient.callStorefrontTool).not.toHaveBeenCalledWith("search_shop_catalog", expect.anything());
+    expect(result.unmatched).toEqual([]);
+    expect(mcpClient.callTool).toHaveBeenCalledWith("update_cart", {
+      add_items: [
+        { product_variant_id: "gid://shopify/ProductVariant/12", product_id: "gid://shopify/Product/1", quantity: 10 },
+        { product_variant_id: "gid://shopify/ProductVariant/21", product_id: "gid://shopify/Product/2", quantity: 3 }
+      ]
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Audience Segment Service
+ * Evaluates saved segments against users so broadcasts and follow-ups can target
+ * part of the audience instead of everyone.
+ *
+ * Segment rules (all conditions must match):
+ * {
+ *   userType: 'web' | 'whatsapp',
+ *   fields: [{ field: 'email' | 'name' | 'phoneNumber' | 'shopifyCustomerId' | 'metadata.<key>',
+ *              operator: 'exists' | 'missing' | 'equals' | 'notEquals' | 'contains', value }],
+ *   lastMessageWithinDays: number,   // messaged us in the last N days
+ *   noMessageForDays: number,        // quiet for at least N days
+ *   hasAbandonedCart: boolean,       // a cart was built in chat and left untouched
+ *   hasOpenHandoff: boolean,         // a support ticket is still open or pending
+ *   shopifyTags: string[]            // Shopify customer has any of these tags
+ * }
+ */
+import {
+  getAudienceSegment,
+  getUsersForSegmentEvaluation,
+  getOfflineSessionShop,
+  getConversationIdsWithActiveTickets
+} from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getMarketingBlockedUserIds } from "./consent.server";
+import AppConfig from "./config.server";
+
+const USER_FIELDS = ['email', 'name', 'phoneNumber', 'shopifyCustomerId'];
+const FIELD_OPERATORS = ['exists', 'missing', 'equals', 'notEquals', 'contains'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check segment rules and return a cleaned copy
+ * @param {Object} rules - Rules as submitted by the admin UI
+ * @returns {{rules: Object, errors: Array<string>}} Normalized rules and any validation errors
+ */
+export function normalizeSegmentRules(rules) {
+  const errors = [];
+  const normalized = {};
+
+  if (!rules || typeof rules !== 'object') {
+    return { rules: normalized, errors: ['Rules must be an object'] };
+  }
+
+  if (rules.userType) {
+    if (rules.userType === 'web' || rules.userType === 'whatsapp') {
+      normalized.userType = rules.userType;
+    } else {
+      errors.push(`Unknown user type: ${rules.userType}`);
+    }
+  }
+
+  if (Array.isArray(rules.fields) && rules.fields.length > 0) {
+    normalized.fields = [];
+    for (const condition of rules.fields) {
+      const field = String(condition?.field || '').trim();
+      const operator = condition?.operator;
+      const isMetadataField = field.startsWith('metadata.') && field.length > 'metadata.'.length;
+      if (!USER_FIELDS.includes(field) && !isMetadataField) {
+        errors.push(`Unknown field: ${field || '(empty)'}`);
+        continue;
+      }
+      if (!FIELD_OPERATORS.includes(operator)) {
+        errors.push(`Unknown operator for ${field}: ${operator}`);
+        continue;
+      }
+      const needsValue = operator !== 'exists' && operator !== 'missing';
+      if (needsValue && (condition.value === undefined || condition.value === '')) {
+        errors.push(`A value is required for ${field} ${operator}`);
+        continue;
+      }
+      normalized.fields.push(needsValue ? { field, operator, value: String(condition.value) } : { field, operator });
+    }
+  }
+
+  for (const key of ['lastMessageWithinDays', 'noMessageForDays']) {
+    if (rules[key] !== undefined && rules[key] !== null && rules[key] !== '') {
+      const days = Number(rules[key]);
+      if (!Number.isFinite(days) || days <= 0) {
+        errors.push(`${key} must be a positive number of days`);
+      } else {
+        normalized[key] = days;
+      }
+    }
+  }
+
+  for (const key of ['hasAbandonedCart', 'hasOpenHandoff']) {
+    if (typeof rules[key] === 'boolean') {
+      normalized[key] = rules[key];
+    }
+  }
+
+  if (Array.isArray(rules.shopifyTags)) {
+    const tags = rules.shopifyTags.map(tag => String(tag).trim()).filter(Boolean);
+    if (tags.length > 0) {
+      normalized.shopifyTags = [...new Set(tags)];
+    }
+  }
+
+  return { rules: normalized, errors };
+}
+
+/**
+ * Resolve the users in a saved segment
+ * @param {string} segmentId - AudienceSegment ID
+ * @returns {Promise<Set<string>>} IDs of the matching users
+ */
+export async function getSegmentUserIds(segmentId) {
+  const segment = await getAudienceSegment(segmentId);
+  if (!segment) {
+    throw new Error(`Audience segment ${segmentId} not found`);
+  }
+  const users = await findSegmentUsers(segment.rules);
+  return new Set(users.map(user => user.id));
+}
+
+/**
+ * Count the broadcast recipients a set of rules would reach on each channel
+ * @param {Object} rules - Segment rules
+ * @returns {Promise<{total: number, whatsapp: number, website: number}>} Recipient counts
+ */
+export async function previewSegment(rules) {
+  const users = await findSegmentUsers(rules);
+  // Same reachability and consent rules broadcasts use when queueing recipients
+  const whatsappUsers = users.filter(user => user.type === 'whatsapp' && user.phoneNumber);
+  const websiteUsers = users.filter(user =>
+    user.type === 'web' && user.conversations.some(conv => conv.channel === 'web')
+  );
+  const whatsappOptedOut = await getMarketingBlockedUserIds(whatsappUsers.map(user => user.id), 'whatsapp');
+  const websiteOptedOut = await getMarketingBlockedUserIds(websiteUsers.map(user => user.id), 'website');
+  return {
+    total: users.length,
+    whatsapp: whatsappUsers.length - whatsappOptedOut.size,
+    website: websiteUsers.length - websiteOptedOut.size
+  };
+}
+
+/**
+ * Find every user matching the rules
+ * @param {Object} rules - Segment rules
+ * @returns {Promise<Array>} Matching users with their conversations
+ */
+async function findSegmentUsers(rules) {
+  const users = await getUsersForSegmentEvaluation();
+  const taggedCustomerIds = rules?.shopifyTags?.length
+    ? await getTaggedCustomerIds(rules.shopifyTags)
+    : null;
+  const ticketConversationIds = typeof rules?.hasOpenHandoff === 'boolean'
+    ? await getConversationIdsWithActiveTickets()
+    : null;
+  const now = Date.now();
+  return users.filter(user => matchesSegmentRules(user, rules || {}, { taggedCustomerIds, ticketConversationIds, now }));
+}
+
+/**
+ * Check one user against segment rules
+ * @param {Object} user - User with conversations
+ * @param {Object} rules - Segment rules
+ * @param {Object} context - Shared evaluation data
+ * @param {Set<string>|null} context.taggedCustomerIds - Shopify customer IDs with a matching tag
+ * @param {Set<string>|null} context.ticketConversationIds - Conversations with an open or pending ticket
+ * @param {number} context.now - Evaluation time in ms
+ * @returns {boolean} True if the user is in the segment
+ */
+function matchesSegmentRules(user, rules, { taggedCustomerIds, ticketConversationIds, now }) {
+  if (rules.userType && user.type !== rules.userType) {
+    return false;
+  }
+
+  for (const condition of rules.fields || []) {
+    if (!matchesFieldCondition(user, condition)) {
+      return false;
+    }
+  }
+
+  const conversations = user.conversations || [];
+
+  if (rules.lastMessageWithinDays || rules.noMessageForDays) {
+    const lastMessageAt = conversations.reduce((latest, conv) => {
+      const time = conv.lastMessageAt ? new Date(conv.lastMessageAt).getTime() : 0;
+      return Math.max(latest, time);
+    }, 0);
+    if (rules.lastMessageWithinDays && (!lastMessageAt || now - lastMessageAt > rules.lastMessageWithinDays * DAY_MS)) {
+      return false;
+    }
+    if (rules.noMessageForDays && lastMessageAt && now - lastMessageAt < rules.noMessageForDays * DAY_MS) {
+      return false;
+    }
+  }
+
+  if (typeof rules.hasAbandonedCart === 'boolean') {
+    const abandonedAfterMs = AppConfig.segments.abandonedCartHours * HOUR_MS;
+    // Carts are cleared from the conversation when they are rejected or the chat is reset,
+    // so a cart id that hasn't changed in a while is treated as abandoned
+    const hasAbandonedCart = conversations.some(conv => {
+      const { last_cart_id: cartId, last_cart_updated_at: updatedAt } = conv.metadata || {};
+      return !!cartId && !!updatedAt && now - new Date(updatedAt).getTime() >= abandonedAfterMs;
+    });
+    if (hasAbandonedCart !== rules.hasAbandonedCart) {
+      return false;
+    }
+  }
+
+  if (typeof rules.hasOpenHandoff === 'boolean') {
+    const hasOpenHandoff = conversations.some(conv => ticketConversationIds.has(conv.id));
+    if (hasOpenHandoff !== rules.hasOpenHandoff) {
+      return false;
+    }
+  }
+
+  if (taggedCustomerIds && !taggedCustomerIds.has(String(user.shopifyCustomerId || ''))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check a single field condition, reading metadata.<key> from User.metadata
+ * @param {Object} user - User row
+ * @param {Object} condition - { field, operator, value }
+ * @returns {boolean} True if the condition holds
+ */
+function matchesFieldCondition(user, { field, operator, value }) {
+  const raw = field.startsWith('metadata.')
+    ? user.metadata?.[field.slice('metadata.'.length)]
+    : user[field];
+  const hasValue = raw !== null && raw !== undefined && raw !== '';
+  const actual = hasValue ? String(raw).toLowerCase() : '';
+  const expected = String(value ?? '').toLowerCase();
+
+  switch (operator) {
+    case 'exists':
+      return hasValue;
+    case 'missing':
+      return !hasValue;
+    case 'equals':
+      return hasValue && actual === expected;
+    case 'notEquals':
+      return actual !== expected;
+    case 'contains':
+      return hasValue && actual.includes(expected);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Look up the Shopify customers carrying any of the tags
+ * @param {Array<string>} tags - Customer tags
+ * @returns {Promise<Set<string>>} Numeric Shopify customer IDs, as stored on User.shopifyCustomerId
+ */
+async function getTaggedCustomerIds(tags) {
+  const shop = await getOfflineSessionShop();
+  if (!shop) {
+    throw new Error('Cannot filter by Shopify customer tags: no offline session for the store');
+  }
+  const { admin } = await unauthenticated.admin(shop);
+
+  const query = `#graphql
+    query getTaggedCustomers($cursor: String, $query: String!) {
+      customers(first: 250, after: $cursor, query: $query) {
+        pageInfo { hasNextPage endCursor }
+        nodes { legacyResourceId }
+      }
+    }
+  `;
+  const searchQuery = tags.map(tag => `tag:'${tag.replace(/'/g, "\\'")}'`).join(' OR ');
+
+  const customerIds = new Set();
+  let cursor = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const response = await admin.graphql(query, { variables: { cursor, query: searchQuery } });
+    const data = await response.json();
+    if (data?.errors?.length) {
+      throw new Error(`Shopify customer tag lookup failed: ${data.errors[0].message}`);
+    }
+    const connection = data?.data?.customers;
+    for (const customer of connection?.nodes || []) {
+      customerIds.add(String(customer.legacyResourceId));
+    }
+    hasNextPage = !!connection?.pageInfo?.hasNextPage;
+    cursor = connection?.pageInfo?.endCursor || null;
+  }
+
+  console.log(`Segments: ${customerIds.size} Shopify customers tagged ${tags.join(', ')}`);
+  return customerIds;
+}
+
+export default {
+  normalizeSegmentRules,
+  getSegmentUserIds,
+  previewSegment
+};
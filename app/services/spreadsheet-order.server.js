@@ -0,0 +1,455 @@
+/**
+ * Spreadsheet Order Service
+ * Turns an order form sent on WhatsApp into a cart. The form is the one
+ * send_order_template sends out (see order-form.server.js): business details
+ * at the top, then a product list with a quantity column. Each line with a
+ * quantity is matched to a product variant through the storefront MCP,
+ * rounded up to the product's quantity increment and added to the cart with
+ * update_cart.
+ */
+import { Readable } from "node:stream";
+import ExcelJS from "exceljs";
+import * as XLSX from "@e965/xlsx";
+import AppConfig from "./config.server";
+import { resolveCheckoutUrl } from "./conversation.server";
+
+/**
+ * Check whether a file is a legacy .xls workbook, which ExcelJS can't read
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} True for .xls files
+ */
+export function isLegacyExcelFile(filename, mimeType) {
+  return mimeType === 'application/vnd.ms-excel' || /\.xls$/i.test(filename || '');
+}
+
+/**
+ * Read every worksheet of a legacy .xls workbook as rows of cell text
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Array<{rowNumber: number, cells: Array<string>}>>} Rows per worksheet
+ */
+function readLegacyExcelFile(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellFormula: false, cellHTML: false });
+
+  return workbook.SheetNames.map(name => {
+    const worksheet = workbook.Sheets[name];
+    if (!worksheet?.['!ref']) {
+      return [];
+    }
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    const rows = [];
+    for (let row = range.s.r; row <= range.e.r; row++) {
+      const cells = [];
+      for (let column = 0; column <= range.e.c; column++) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r: row, c: column })];
+        cells.push(String(cell?.w ?? cell?.v ?? '').trim());
+      }
+      if (cells.some(Boolean)) {
+        rows.push({ rowNumber: row + 1, cells });
+      }
+    }
+    return rows;
+  });
+}
+
+/**
+ * Read every worksheet of an .xlsx, .xls or .csv file as rows of cell text
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - File details
+ * @param {string} file.filename - File name
+ * @param {string} file.mimeType - MIME type
+ * @returns {Promise<Array<Array<{rowNumber: number, cells: Array<string>}>>>} Rows per worksheet
+ */
+export async function readSpreadsheet(buffer, { filename, mimeType }) {
+  if (isLegacyExcelFile(filename, mimeType)) {
+    return readLegacyExcelFile(buffer);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const isCsv = /csv|comma-separated/i.test(mimeType || '') || /\.csv$/i.test(filename || '');
+  if (isCsv) {
+    await workbook.csv.read(Readable.from(buffer));
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+
+  return workbook.worksheets.map(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = String(cell.text ?? '').trim();
+      });
+      rows.push({ rowNumber, cells: Array.from(cells, cell => cell || '') });
+    });
+    return rows;
+  });
+}
+
+/**
+ * Normalize a header or product name for comparison
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercase text without punctuation or notes in brackets
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the columns of the product list in a header row
+ * @param {Array<string>} cells - Header row cells
+ * @returns {Object|null} Column index per field, or null if this isn't the header
+ */
+function findColumns(cells) {
+  const columns = {};
+  for (const [field, names] of Object.entries(AppConfig.spreadsheetOrders.columns)) {
+    const index = cells.findIndex(cell => names.includes(normalizeText(cell)));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+  const hasProduct = columns.product !== undefined || columns.sku !== undefined;
+  return columns.quantity !== undefined && hasProduct ? columns : null;
+}
+
+/**
+ * Pull the order lines and business details out of an order form
+ * @param {Array<Array<Object>>} worksheets - Rows per worksheet from readSpreadsheet
+ * @returns {{details: Array, lines: Array, invalid: Array, truncated: boolean}|null} The order,
+ *   or null if no worksheet has a product list
+ */
+export function parseOrderForm(worksheets) {
+  const { headerSearchRows, maxRows } = AppConfig.spreadsheetOrders;
+
+  for (const rows of worksheets) {
+    const headerIndex = rows
+      .slice(0, headerSearchRows)
+      .findIndex(row => findColumns(row.cells));
+    if (headerIndex === -1) {
+      continue;
+    }
+    const columns = findColumns(rows[headerIndex].cells);
+
+    // Business details sit above the product list as "Label | Value" rows
+    const details = rows.slice(0, headerIndex)
+      .map(row => row.cells.filter(Boolean))
+      .filter(cells => cells.length >= 2)
+      .map(([label, ...values]) => ({ label: label.replace(/:\s*$/, ''), value: values.join(' ') }));
+
+    const lines = [];
+    const invalid = [];
+    let truncated = false;
+    for (const row of rows.slice(headerIndex + 1)) {
+      const cell = (field) => (columns[field] === undefined ? '' : row.cells[columns[field]] || '');
+      const quantityText = cell('quantity');
+      if (!quantityText) {
+        continue;
+      }
+      const line = {
+        rowNumber: row.rowNumber,
+        sku: cell('sku'),
+        product: cell('product'),
+        variant: cell('variant'),
+        productId: cell('productId'),
+        variantId: cell('variantId')
+      };
+      const label = line.product || line.sku || `row ${row.rowNumber}`;
+      const quantity = Number(quantityText.replace(/,/g, ''));
+
+      if (!Number.isFinite(quantity) || quantity < 0 || !Number.isInteger(quantity)) {
+        invalid.push({ rowNumber: row.rowNumber, label, reason: `quantity "${quantityText}" is not a whole number` });
+      } else if (quantity === 0) {
+        continue;
+      } else if (!line.product && !line.sku && !line.variantId) {
+        invalid.push({ rowNumber: row.rowNumber, label, reason: 'no product given' });
+      } else if (lines.length >= maxRows) {
+        truncated = true;
+        break;
+      } else {
+        lines.push({ ...line, quantity });
+      }
+    }
+
+    return { details, lines, invalid, truncated };
+  }
+  return null;
+}
+
+/**
+ * Get the products from a storefront search or product details response
+ * @param {Object} response - MCP tool response
+ * @returns {Array} Products
+ */
+function parseProducts(response) {
+  const text = response?.content?.[0]?.text;
+  try {
+    const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+    if (Array.isArray(parsed?.products)) {
+      return parsed.products;
+    }
+    return parsed?.product ? [parsed.product] : [];
+  } catch (error) {
+    console.error('Spreadsheet order: Failed parsing storefront response:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Get a product's variants as { id, title, sku }
+ * @param {Object} product - Storefront product
+ * @returns {Array} Variants
+ */
+function getVariants(product) {
+  return (product?.variants || [])
+    .map(variant => ({
+      id: variant.variant_id || variant.id,
+      title: variant.title || variant.name || '',
+      sku: variant.sku || ''
+    }))
+    .filter(variant => variant.id);
+}
+
+/**
+ * Check whether every word of one name appears in another
+ * @param {string} name - Name from the order form
+ * @param {string} title - Product or variant title
+ * @returns {boolean} True if the names match
+ */
+function namesMatch(name, title) {
+  const nameWords = normalizeText(name).split(' ').filter(Boolean);
+  const titleWords = normalizeText(title).split(' ').filter(Boolean);
+  if (nameWords.length === 0 || titleWords.length === 0) {
+    return false;
+  }
+  return nameWords.every(word => titleWords.includes(word)) ||
+    titleWords.every(word => nameWords.includes(word));
+}
+
+/**
+ * Match an order line to a product variant in the store
+ * @param {Object} mcpClient - Connected MCP client
+ * @param {Object} line - Order line from parseOrderForm
+ * @returns {Promise<Object>} { productId, variantId, title, variantTitle } or { reason }
+ */
+async function matchOrderLine(mcpClient, line) {
+  // Forms generated by order-form.server.js carry the IDs; check they still exist in the store
+  if (line.productId && line.variantId) {
+    const product = parseProducts(await mcpClient.callStorefrontTool('get_product_details', { product_id: line.productId }))[0];
+    const variants = getVariants(product);
+    const variant = variants.find(candidate => candidate.id === line.variantId);
+    if (variant) {
+      return { productId: line.productId, variantId: variant.id, title: product.title, variantTitle: variants.length > 1 ? variant.title : '' };
+    }
+  }
+
+  const query = [line.product, line.variant].filter(Boolean).join(' ') || line.sku;
+  const products = parseProducts(await mcpClient.callStorefrontTool('search_shop_catalog', {
+    query,
+    context: 'Match a line from a customer order form'
+  }));
+
+  // A SKU identifies the variant exactly
+  if (line.sku) {
+    const sku = line.sku.toLowerCase();
+    for (const product of products) {
+      const variant = getVariants(product).find(candidate => candidate.sku.toLowerCase() === sku);
+      if (variant) {
+        return { productId: product.product_id || product.id, variantId: variant.id, title: product.title, variantTitle: variant.title };
+      }
+    }
+  }
+
+  const product = line.product
+    ? products.find(candidate => namesMatch(line.product, candidate.title))
+    : null;
+  if (!product) {
+    return { reason: products[0] ? `no matching product found (closest: ${products[0].title})` : 'no matching product found' };
+  }
+
+  const productId = product.product_id || product.id;
+  let variants = getVariants(product);
+  if (variants.length === 0) {
+    variants = getVariants(parseProducts(await mcpClient.callStorefrontTool('get_product_details', { product_id: productId }))[0]);
+  }
+  if (variants.length === 0) {
+    return { reason: 'product is not available' };
+  }
+
+  let variant = variants.length === 1 ? variants[0] : null;
+  if (!variant) {
+    const wanted = line.variant || line.product;
+    variant = variants.find(candidate => normalizeText(candidate.title) === normalizeText(line.variant)) ||
+      variants.find(candidate => namesMatch(candidate.title, wanted) || normalizeText(wanted).includes(normalizeText(candidate.title)));
+  }
+  if (!variant) {
+    return { reason: `several options (${variants.slice(0, 5).map(candidate => candidate.title).join(', ')}); please say which one` };
+  }
+
+  return { productId, variantId: variant.id, title: product.title, variantTitle: variants.length > 1 ? variant.title : '' };
+}
+
+/**
+ * Get the quantity increment for a matched product through validate_product_quantity
+ * @param {Object} mcpClient - Connected MCP client
+ * @param {Object} match - Matched product from matchOrderLine
+ * @returns {Promise<number|null>} Increment, or null if the product has none
+ */
+async function getQuantityIncrement(mcpClient, match) {
+  try {
+    const response = await mcpClient.callCustomTool('validate_product_quantity', {
+      product_id: match.productId,
+      variant_id: match.variantId,
+      product_title: match.title
+    });
+    const result = JSON.parse(response?.content?.[0]?.text || '{}');
+    const increment = parseInt(String(result.quantity_increment ?? ''), 10);
+    return increment > 0 ? increment : null;
+  } catch (error) {
+    console.warn('Spreadsheet order: Quantity increment lookup failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Build a cart from an order form
+ * @param {Object} params - Order details
+ * @param {Buffer} params.buffer - File contents
+ * @param {string} params.filename - File name
+ * @param {string} params.mimeType - MIME type
+ * @param {Object} params.mcpClient - Connected MCP client for the conversation
+ * @param {string} params.conversationId - The conversation ID
+ * @returns {Promise<Object|null>} { details, added, unmatched, truncated, checkoutUrl },
+ *   or null if the file has no product list
+ */
+export async function buildCartFromOrderForm({ buffer, filename, mimeType, mcpClient, conversationId }) {
+  const order = parseOrderForm(await readSpreadsheet(buffer, { filename, mimeType }));
+  if (!order) {
+    return null;
+  }
+
+  const added = [];
+  const unmatched = [...order.invalid];
+  for (const line of order.lines) {
+    const label = line.product || line.sku || `row ${line.rowNumber}`;
+    let match;
+    try {
+      match = await matchOrderLine(mcpClient, line);
+    } catch (error) {
+      console.error(`Spreadsheet order: Failed to match row ${line.rowNumber}:`, error.message);
+      match = { reason: 'could not be looked up' };
+    }
+    if (match.reason) {
+      unmatched.push({ rowNumber: line.rowNumber, label, reason: match.reason });
+      continue;
+    }
+
+    const increment = await getQuantityIncrement(mcpClient, match);
+    const quantity = increment ? Math.ceil(line.quantity / increment) * increment : line.quantity;
+    added.push({ ...match, rowNumber: line.rowNumber, requested: line.quantity, quantity, increment });
+  }
+
+  let checkoutUrl = null;
+  if (added.length > 0) {
+    const response = await mcpClient.callTool('update_cart', {
+      add_items: added.map(item => ({
+        product_variant_id: item.variantId,
+        product_id: item.productId,
+        quantity: item.quantity
+      }))
+    });
+    if (response?.error) {
+      throw new Error(`update_cart failed: ${typeof response.error.data === 'string' ? response.error.data : response.error.type}`);
+    }
+    checkoutUrl = await resolveCheckoutUrl(mcpClient, conversationId, 'whatsapp');
+  }
+
+  console.log(`Spreadsheet order: ${filename} gave ${added.length} cart lines and ${unmatched.length} unmatched rows for ${conversationId}`);
+  return {
+    details: order.details,
+    added,
+    unmatched,
+    truncated: order.truncated,
+    checkoutUrl
+  };
+}
+
+/**
+ * Format the cart lines built from an order form, one per line
+ * @param {Array} added - Added lines from buildCartFromOrderForm
+ * @returns {string} Cart lines
+ */
+function formatAddedLines(added) {
+  return added.map(item => {
+    const name = item.variantTitle ? `${item.title} (${item.variantTitle})` : item.title;
+    const note = item.quantity !== item.requested
+      ? ` (you asked for ${item.requested}; sold in multiples of ${item.increment})`
+      : '';
+    return `- ${item.quantity} × ${name}${note}`;
+  }).join('\n');
+}
+
+/**
+ * Format the rows that couldn't be added, one per line
+ * @param {Array} unmatched - Unmatched rows from buildCartFromOrderForm
+ * @returns {string} Unmatched rows
+ */
+function formatUnmatchedLines(unmatched) {
+  return unmatched.map(row => `- Row ${row.rowNumber} "${row.label}": ${row.reason}`).join('\n');
+}
+
+/**
+ * Write the customer's confirmation for an order form
+ * @param {Object} result - Result from buildCartFromOrderForm
+ * @param {Object} adapter - WhatsApp channel adapter, used to format the checkout link
+ * @returns {string} Confirmation message
+ */
+export function formatOrderConfirmation(result, adapter) {
+  const cartLines = formatAddedLines(result.added);
+  const sections = [
+    result.checkoutUrl
+      ? adapter.onCheckoutLink({ url: result.checkoutUrl, cartSummary: cartLines })
+      : `*Cart updated:*\n${cartLines}\n\nReply here when you're ready and I'll send your checkout link.`
+  ];
+  if (result.unmatched.length > 0) {
+    sections.push(`*I couldn't add these rows:*\n${formatUnmatchedLines(result.unmatched)}\n\nReply with the product names and I'll add them.`);
+  }
+  if (result.truncated) {
+    sections.push(`Only the first ${AppConfig.spreadsheetOrders.maxRows} products were read; please send the rest in another file.`);
+  }
+  return [`🧾 Thanks for your order form!`, ...sections].join('\n\n');
+}
+
+/**
+ * Write a plain text summary of an order form for the support team
+ * @param {Object} result - Result from buildCartFromOrderForm
+ * @returns {string} Summary
+ */
+export function formatOrderSummaryText(result) {
+  const sections = [];
+  if (result.details.length > 0) {
+    sections.push(`Details on the form:\n${result.details.map(detail => `${detail.label}: ${detail.value}`).join('\n')}`);
+  }
+  sections.push(result.added.length > 0
+    ? `Added to the customer's cart:\n${formatAddedLines(result.added)}`
+    : 'No rows could be added to a cart.');
+  if (result.unmatched.length > 0) {
+    sections.push(`Not added:\n${formatUnmatchedLines(result.unmatched)}`);
+  }
+  if (result.checkoutUrl) {
+    sections.push(`Checkout link sent: ${result.checkoutUrl}`);
+  }
+  return sections.join('\n\n');
+}
+
+export default {
+  isLegacyExcelFile,
+  readSpreadsheet,
+  parseOrderForm,
+  buildCartFromOrderForm,
+  formatOrderConfirmation,
+  formatOrderSummaryText
+};
@@ -0,0 +1,147 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import ExcelJS from "exceljs";
+import * as XLSX from "@e965/xlsx";
+
+vi.mock("./conversation.server", () => ({
+  resolveCheckoutUrl: vi.fn(async () => "https://shop.example.com/cart/c/1")
+}));
+
+const { buildCartFromOrderForm, parseOrderForm, readSpreadsheet } = await import("./spreadsheet-order.server");
+
+const formRows = [
+  ["Business name:", "Cloud Nine Vapes"],
+  ["Contact", "Sam"],
+  [],
+  ["SKU", "Product Name", "Flavour", "Qty (boxes)"],
+  ["EB-MI-20", "Elf Bar 600", "Mango Ice", "7"],
+  ["", "Lost Mary BM600", "Triple Mango", "two"],
+  ["", "", "", "3"],
+  ["", "Elux Legend 3500", "Blue Razz", "0"],
+  ["", "Unknown Puff Bar", "", "4"]
+];
+
+/**
+ * Turn rows of text into readSpreadsheet output
+ * @param {Array<Array<string>>} rows - Cell text per row
+ * @returns {Array<{rowNumber: number, cells: Array<string>}>} Rows
+ */
+function toRows(rows) {
+  return rows
+    .map((cells, index) => ({ rowNumber: index + 1, cells }))
+    .filter(row => row.cells.length > 0);
+}
+
+/**
+ * Build a file in the given format holding formRows
+ * @param {string} bookType - "xlsx", "biff8" (.xls) or "csv"
+ * @returns {Promise<Buffer>} File contents
+ */
+async function buildFile(bookType) {
+  if (bookType === "xlsx") {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet("Order").addRows(formRows);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(formRows), "Order");
+  return XLSX.write(workbook, { type: "buffer", bookType });
+}
+
+/**
+ * Fake MCP client for a store with two products
+ * @returns {Object} MCP client whose tool calls are vi.fn mocks
+ */
+function createMcpClient() {
+  const products = [
+    {
+      product_id: "gid://shopify/Product/1",
+      title: "Elf Bar 600",
+      variants: [
+        { variant_id: "gid://shopify/ProductVariant/11", title: "Mango Ice", sku: "EB-MI-20" },
+        { variant_id: "gid://shopify/ProductVariant/12", title: "Blueberry", sku: "EB-BB-20" }
+      ]
+    }
+  ];
+  return {
+    callStorefrontTool: vi.fn(async (name, args) => ({
+      content: [{ text: JSON.stringify({ products: /elf bar|EB-/i.test(args.query) ? products : [] }) }]
+    })),
+    callCustomTool: vi.fn(async () => ({ content: [{ text: JSON.stringify({ quantity_increment: 5 }) }] })),
+    callTool: vi.fn(async () => ({ content: [{ text: "{}" }] }))
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("parseOrderForm", () => {
+  it("finds the product list under the business details", () => {
+    const order = parseOrderForm([toRows(formRows)]);
+
+    expect(order.details).toEqual([
+      { label: "Business name", value: "Cloud Nine Vapes" },
+      { label: "Contact", value: "Sam" }
+    ]);
+    expect(order.lines).toEqual([
+      expect.objectContaining({ rowNumber: 5, sku: "EB-MI-20", product: "Elf Bar 600", variant: "Mango Ice", quantity: 7 }),
+      expect.objectContaining({ rowNumber: 9, product: "Unknown Puff Bar", quantity: 4 })
+    ]);
+  });
+
+  it("reports rows with an unreadable quantity or no product, and skips zero quantities", () => {
+    const order = parseOrderForm([toRows(formRows)]);
+
+    expect(order.invalid).toEqual([
+      { rowNumber: 6, label: "Lost Mary BM600", reason: 'quantity "two" is not a whole number' },
+      { rowNumber: 7, label: "row 7", reason: "no product given" }
+    ]);
+  });
+
+  it("looks past worksheets without a product list", () => {
+    const notes = toRows([["Please fill in the order sheet"], ["Thanks!"]]);
+
+    expect(parseOrderForm([notes, toRows(formRows)]).lines).toHaveLength(2);
+    expect(parseOrderForm([notes])).toBeNull();
+  });
+});
+
+describe("readSpreadsheet", () => {
+  it.each([
+    ["xlsx", "order.xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    ["biff8", "order.xls", "application/vnd.ms-excel"],
+    ["csv", "order.csv", "text/csv"]
+  ])("reads the order form from a %s file", async (bookType, filename, mimeType) => {
+    const worksheets = await readSpreadsheet(await buildFile(bookType), { filename, mimeType });
+
+    expect(parseOrderForm(worksheets)).toEqual(parseOrderForm([toRows(formRows)]));
+  });
+});
+
+describe("buildCartFromOrderForm", () => {
+  it("rounds quantities up to the product's increment and lists rows it couldn't match", async () => {
+    const mcpClient = createMcpClient();
+
+    const result = await buildCartFromOrderForm({
+      buffer: await buildFile("biff8"),
+      filename: "order.xls",
+      mimeType: "application/vnd.ms-excel",
+      mcpClient,
+      conversationId: "whatsapp_447700900123"
+    });
+
+    expect(result.added).toEqual([
+      expect.objectContaining({ rowNumber: 5, variantId: "gid://shopify/ProductVariant/11", requested: 7, quantity: 10, increment: 5 })
+    ]);
+    expect(result.unmatched.map(row => [row.rowNumber, row.reason])).toEqual([
+      [6, 'quantity "two" is not a whole number'],
+      [7, "no product given"],
+      [9, "no matching product found"]
+    ]);
+    expect(mcpClient.callTool).toHaveBeenCalledWith("update_cart", {
+      add_items: [{ product_variant_id: "gid://shopify/ProductVariant/11", product_id: "gid://shopify/Product/1", quantity: 10 }]
+    });
+    expect(result.checkoutUrl).toBe("https://shop.example.com/cart/c/1");
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Conversation Summary Service
+ * Produces a structured summary of a conversation for handoff emails and the agent
+ * inbox: what the customer wants, products discussed, cart state, open questions
+ * and sentiment. Claude writes it from a readable transcript; when the API is
+ * unavailable a basic summary is built from the messages instead. The latest
+ * summary is kept in Conversation.metadata.summary.
+ */
+import {
+  getConversation,
+  getConversationHistory,
+  updateConversationMetadata
+} from "../db.server";
+import { createClaudeService } from "./claude.server";
+import { formatDbMessage } from "./conversation.server";
+import AppConfig from "./config.server";
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const SUMMARY_TOOL = {
+  name: 'record_conversation_summary',
+  description: 'Record the summary of the customer conversation',
+  input_schema: {
+    type: 'object',
+    properties: {
+      intent: {
+        type: 'string',
+        description: 'What the customer is trying to do, in one or two sentences'
+      },
+      products: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Products or product types discussed, with variants where known'
+      },
+      cart: {
+        type: 'string',
+        description: 'Cart state: what was added, whether a checkout link was sent, or that there is no cart'
+      },
+      unresolvedQuestions: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Questions or requests the customer still needs an answer to'
+      },
+      sentiment: {
+        type: 'string',
+        enum: SENTIMENTS,
+        description: "The customer's mood at the end of the conversation"
+      }
+    },
+    required: ['intent', 'products', 'cart', 'unresolvedQuestions', 'sentiment']
+  }
+};
+
+const SUMMARY_INSTRUCTION = [
+  "You summarise online store chats between a customer, the store's assistant and support staff.",
+  'The summary is read by the support team picking the conversation up, so be factual and brief.',
+  'Only use what is in the transcript. Tool calls and results show what the assistant looked up;',
+  'use them to name products and describe the cart, but never copy raw data or IDs into the summary.'
+].join(' ');
+
+// Words that suggest an unhappy customer, for the basic summary
+const NEGATIVE_PATTERN = /\b(angry|annoyed|frustrat\w*|disappoint\w*|terrible|awful|useless|ridiculous|complain\w*|refund|still (?:not|haven't|waiting)|never (?:arrived|received)|worst)\b/i;
+
+/**
+ * Get the readable text of a tool result block
+ * @param {Object} block - tool_result content block
+ * @returns {string} Result text
+ */
+function getToolResultText(block) {
+  if (typeof block.content === 'string') {
+    return block.content;
+  }
+  if (Array.isArray(block.content)) {
+    return block.content.map(part => part.text || '').join(' ');
+  }
+  return '';
+}
+
+/**
+ * Turn stored messages into a transcript Claude can read
+ * @param {Array} dbMessages - Message rows, oldest first
+ * @returns {string} Transcript
+ */
+export function buildTranscript(dbMessages) {
+  const maxResult = AppConfig.summary.maxToolResultLength;
+  const lines = [];
+
+  for (const dbMessage of dbMessages) {
+    const speaker = dbMessage.role === 'user'
+      ? 'Customer'
+      : (dbMessage.sentBy ? `Staff (${dbMessage.sentBy})` : 'Assistant');
+    for (const block of formatDbMessage(dbMessage).content) {
+      if (block.type === 'text' && block.text?.trim()) {
+        lines.push(`${speaker}: ${block.text.trim()}`);
+      } else if (block.type === 'image') {
+        lines.push(`${speaker}: [Sent a photo]`);
+      } else if (block.type === 'tool_use') {
+        lines.push(`[Assistant called ${block.name} with ${JSON.stringify(block.input || {}).slice(0, maxResult)}]`);
+      } else if (block.type === 'tool_result') {
+        const result = getToolResultText(block).replace(/\s+/g, ' ').trim();
+        lines.push(`[Tool result: ${result.slice(0, maxResult)}${result.length > maxResult ? '…' : ''}]`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build a summary from the messages without calling Claude
+ * @param {Array} dbMessages - Message rows, oldest first
+ * @param {Object} [context] - Extra context
+ * @param {string} [context.reason] - Reason given for a handoff
+ * @param {Object} [context.metadata] - Conversation metadata (cart state)
+ * @returns {Object} Summary (see summarizeConversation)
+ */
+export function buildBasicSummary(dbMessages, { reason, metadata } = {}) {
+  const customerTexts = [];
+  const products = new Set();
+
+  for (const dbMessage of dbMessages) {
+    for (const block of formatDbMessage(dbMessage).content) {
+      if (dbMessage.role === 'user' && block.type === 'text' && block.text?.trim()) {
+        customerTexts.push(block.text.trim());
+      } else if (block.type === 'tool_use' && block.name === AppConfig.tools.productSearchName && block.input?.query) {
+        products.add(String(block.input.query));
+      }
+    }
+  }
+
+  const shorten = (text) => (text.length > 200 ? `${text.substring(0, 200)}...` : text);
+  const lastCustomerText = customerTexts[customerTexts.length - 1];
+
+  let cart = 'No cart in this conversation';
+  if (metadata?.last_cart_id) {
+    cart = metadata.last_checkout_url
+      ? 'A cart was built in the chat and a checkout link was sent'
+      : 'A cart was built in the chat';
+  }
+
+  return {
+    intent: reason || (lastCustomerText ? shorten(lastCustomerText) : 'Not clear from the conversation'),
+    products: [...products],
+    cart,
+    unresolvedQuestions: customerTexts.slice(-3).filter(text => text.endsWith('?')).map(shorten),
+    sentiment: customerTexts.some(text => NEGATIVE_PATTERN.test(text)) ? 'negative' : 'neutral',
+    source: 'basic'
+  };
+}
+
+/**
+ * Check Claude's output and fill anything missing
+ * @param {Object} input - Tool input from Claude
+ * @returns {Object} Summary
+ */
+function normalizeSummary(input) {
+  const toList = (value) => (Array.isArray(value) ? value.map(String).filter(item => item.trim()) : []);
+  return {
+    intent: String(input?.intent || 'Not clear from the conversation'),
+    products: toList(input?.products),
+    cart: String(input?.cart || 'Unknown'),
+    unresolvedQuestions: toList(input?.unresolvedQuestions),
+    sentiment: SENTIMENTS.includes(input?.sentiment) ? input.sentiment : 'neutral',
+    source: 'claude'
+  };
+}
+
+/**
+ * Summarize a conversation, reusing the stored summary when no messages have arrived since
+ * @param {string} conversationId - The conversation ID
+ * @param {Object} [options] - Summary options
+ * @param {string} [options.reason] - Reason given for a handoff; passed to Claude as context
+ * @param {boolean} [options.useCache=true] - Return the stored summary if it is still current
+ * @returns {Promise<Object|null>} { intent, products, cart, unresolvedQuestions, sentiment,
+ *   source: 'claude' | 'basic', generatedAt, coversUntil }, or null if there are no messages
+ */
+export async function summarizeConversation(conversationId, { reason, useCache = true } = {}) {
+  const conversation = await getConversation(conversationId);
+  const dbMessages = await getConversationHistory(conversationId, AppConfig.summary.maxMessages);
+  if (dbMessages.length === 0) {
+    return null;
+  }
+
+  const coversUntil = new Date(dbMessages[dbMessages.length - 1].createdAt).toISOString();
+  const cached = conversation?.metadata?.summary;
+  if (useCache && !reason && cached?.coversUntil === coversUntil) {
+    return cached;
+  }
+
+  let summary;
+  try {
+    const claudeService = createClaudeService();
+    const cartNote = conversation?.metadata?.last_cart_id
+      ? `\n\nThe conversation has a cart${conversation.metadata.last_checkout_url ? ' and a checkout link was sent' : ''}.`
+      : '';
+    const reasonNote = reason ? `\n\nReason given for contacting the team: ${reason}` : '';
+    const input = await claudeService.getStructuredResponse({
+      system: SUMMARY_INSTRUCTION,
+      messages: [{
+        role: 'user',
+        content: `Summarise this conversation.${reasonNote}${cartNote}\n\n<transcript>\n${buildTranscript(dbMessages)}\n</transcript>`
+      }],
+      tool: SUMMARY_TOOL,
+      model: AppConfig.summary.model || AppConfig.api.defaultModel,
+      maxTokens: AppConfig.summary.maxTokens,
+      timeoutMs: AppConfig.summary.timeoutMs,
+      purpose: 'summary',
+      conversationId
+    });
+    summary = normalizeSummary(input);
+  } catch (error) {
+    console.error(`Summary: Claude summary failed for ${conversationId}, using basic summary:`, error.message);
+    summary = buildBasicSummary(dbMessages, { reason, metadata: conversation?.metadata });
+  }
+
+  summary = { ...summary, generatedAt: new Date().toISOString(), coversUntil };
+  try {
+    await updateConversationMetadata(conversationId, { summary });
+  } catch (error) {
+    console.error(`Summary: Failed to store summary for ${conversationId}:`, error);
+  }
+  return summary;
+}
+
+/**
+ * Format a summary as plain text for emails and helpdesk tickets
+ * @param {Object} summary - Summary from summarizeConversation
+ * @param {string} [reason] - Reason given for a handoff
+ * @returns {string} Plain text summary
+ */
+export function formatSummaryText(summary, reason) {
+  const lines = [];
+  if (reason) {
+    lines.push(`Reason: ${reason}`);
+  }
+  if (!summary) {
+    return lines.join('\n');
+  }
+  lines.push(`Customer intent: ${summary.intent}`);
+  lines.push(`Products discussed: ${summary.products.length > 0 ? summary.products.join(', ') : 'None'}`);
+  lines.push(`Cart: ${summary.cart}`);
+  if (summary.unresolvedQuestions.length > 0) {
+    lines.push('Unresolved questions:');
+    summary.unresolvedQuestions.forEach(question => lines.push(`- ${question}`));
+  } else {
+    lines.push('Unresolved questions: None');
+  }
+  lines.push(`Sentiment: ${summary.sentiment}`);
+  if (summary.source === 'basic') {
+    lines.push('(Basic summary: the AI summary was unavailable)');
+  }
+  return lines.join('\n');
+}
+
+export default {
+  SENTIMENTS,
+  buildTranscript,
+  buildBasicSummary,
+  summarizeConversation,
+  formatSummaryText
+};
@@ -0,0 +1,220 @@
+/**
+ * Human Takeover Service
+ * Pauses the bot for a conversation while staff handle it. The state lives in
+ * Conversation.metadata (takeover_active, takeover_by, takeover_at, takeover_activity_at).
+ * While it is set, customer messages are stored and forwarded to staff instead of
+ * going to Claude. It ends when staff hand back, or after a period without staff
+ * replies, and the customer is told the assistant is back.
+ */
+import {
+  getConversation,
+  getUserById,
+  saveMessage,
+  updateConversationMetadata,
+  getTakeoverConversations,
+  getActiveSupportTicket
+} from "../db.server";
+import { sendConversationMessage } from "./inbox.server";
+import {
+  sendEmail,
+  generateTakeoverMessageEmailHTML,
+  generateTakeoverMessageEmailText
+} from "../utils/email.server";
+import AppConfig from "./config.server";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let releaseTimer = null;
+
+/**
+ * Read the takeover state from conversation metadata
+ * @param {Object|null} metadata - Conversation metadata
+ * @returns {{active: boolean, by?: string, at?: string, expiresAt?: string}} Takeover state
+ */
+export function getTakeoverState(metadata) {
+  if (metadata?.takeover_active !== true) {
+    return { active: false };
+  }
+  const lastActivity = metadata.takeover_activity_at || metadata.takeover_at;
+  const expiresAt = lastActivity
+    ? new Date(new Date(lastActivity).getTime() + AppConfig.takeover.timeoutHours * HOUR_MS).toISOString()
+    : null;
+  return {
+    active: true,
+    by: metadata.takeover_by || null,
+    at: metadata.takeover_at || null,
+    expiresAt
+  };
+}
+
+/**
+ * Pause the bot so staff can handle the conversation
+ * @param {string} conversationId - The conversation ID
+ * @param {string} by - Staff member, or "escalation" when started by a support ticket
+ * @returns {Promise<Object>} The new takeover state
+ */
+export async function startTakeover(conversationId, by) {
+  const now = new Date().toISOString();
+  const conversation = await updateConversationMetadata(conversationId, {
+    takeover_active: true,
+    takeover_by: by,
+    takeover_at: now,
+    takeover_activity_at: now
+  });
+  console.log(`Takeover: Bot paused for ${conversationId} by ${by}`);
+  ensureTakeoverReleaseTimer();
+  return getTakeoverState(conversation.metadata);
+}
+
+/**
+ * Note staff activity so the takeover doesn't time out while they are replying
+ * @param {string} conversationId - The conversation ID
+ * @param {string} agentName - Staff member who replied
+ * @returns {Promise<Object>} The takeover state
+ */
+export async function recordTakeoverActivity(conversationId, agentName) {
+  const conversation = await getConversation(conversationId);
+  if (!getTakeoverState(conversation?.metadata).active) {
+    // Replying from the inbox takes the conversation over
+    return startTakeover(conversationId, agentName);
+  }
+  const updated = await updateConversationMetadata(conversationId, {
+    takeover_activity_at: new Date().toISOString()
+  });
+  return getTakeoverState(updated.metadata);
+}
+
+/**
+ * Hand the conversation back to the bot and let the customer know
+ * @param {string} conversationId - The conversation ID
+ * @param {string} reason - Why it was released, e.g. "agent" or "timeout"
+ * @param {Object} [options] - Release options
+ * @param {boolean} [options.notifyCustomer=true] - Send the handback message
+ * @returns {Promise<void>}
+ */
+export async function releaseTakeover(conversationId, reason, { notifyCustomer = true } = {}) {
+  await updateConversationMetadata(conversationId, {
+    takeover_active: false,
+    takeover_by: null,
+    takeover_at: null,
+    takeover_activity_at: null
+  });
+  console.log(`Takeover: Bot resumed for ${conversationId} (${reason})`);
+
+  if (notifyCustomer) {
+    try {
+      await sendConversationMessage(conversationId, AppConfig.takeover.handbackMessage);
+    } catch (error) {
+      // The bot is back either way; WhatsApp may refuse if the 24-hour window has closed
+      console.error(`Takeover: Failed to send handback message to ${conversationId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Check whether the bot should stay silent for an inbound message, releasing
+ * takeovers that have timed out
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<boolean>} True if staff are handling the conversation
+ */
+export async function isBotPaused(conversationId) {
+  const conversation = await getConversation(conversationId);
+  const state = getTakeoverState(conversation?.metadata);
+  if (!state.active) {
+    return false;
+  }
+  if (state.expiresAt && Date.now() >= new Date(state.expiresAt).getTime()) {
+    await releaseTakeover(conversationId, 'timeout');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Store a customer message received while the bot is paused and forward it to staff
+ * @param {string} conversationId - The conversation ID
+ * @param {string} channel - "web" or "whatsapp"
+ * @param {string} text - The customer's message, as forwarded to staff
+ * @param {Object} [options] - Hold options
+ * @param {Array} [options.content] - Content blocks to save instead of the text (e.g. a photo and its caption)
+ * @param {string} [options.origin] - How the message was sent, e.g. 'voice' for a transcribed voice note
+ * @returns {Promise<void>}
+ */
+export async function holdMessageForAgent(conversationId, channel, text, { content = null, origin = null } = {}) {
+  await saveMessage(conversationId, 'user', content ? JSON.stringify(content) : text, { origin });
+  console.log(`Takeover: Held message for staff in ${conversationId}`);
+
+  const supportEmail = process.env.SUPPORT_EMAIL;
+  if (!AppConfig.takeover.forwardByEmail || !supportEmail) {
+    return;
+  }
+  try {
+    const conversation = await getConversation(conversationId);
+    const user = conversation?.userId ? await getUserById(conversation.userId) : null;
+    const ticket = await getActiveSupportTicket(conversationId);
+    const ticketReference = ticket?.reference || null;
+    const emailData = {
+      conversationId,
+      channel,
+      customerName: user?.name,
+      customerContact: user?.phoneNumber || user?.email,
+      ticketReference,
+      message: origin === 'voice' ? `[Voice note] ${text}` : text,
+      // Email replies can only be matched to a conversation through its ticket reference
+      replyByEmail: !!ticketReference && !!process.env.INBOUND_EMAIL_ADDRESS
+    };
+    await sendEmail({
+      to: supportEmail,
+      subject: `New customer message${ticketReference ? ` (#${ticketReference})` : ''}`,
+      html: generateTakeoverMessageEmailHTML(emailData),
+      text: generateTakeoverMessageEmailText(emailData),
+      replyTo: emailData.replyByEmail ? process.env.INBOUND_EMAIL_ADDRESS : undefined
+    });
+  } catch (error) {
+    console.error(`Takeover: Failed to forward message from ${conversationId}:`, error);
+  }
+}
+
+/**
+ * Release every takeover that has gone quiet for longer than the timeout
+ * @returns {Promise<number>} Number of conversations handed back to the bot
+ */
+export async function releaseExpiredTakeovers() {
+  const conversations = await getTakeoverConversations();
+  let released = 0;
+  for (const conversation of conversations) {
+    const { expiresAt } = getTakeoverState(conversation.metadata);
+    if (expiresAt && Date.now() >= new Date(expiresAt).getTime()) {
+      await releaseTakeover(conversation.id, 'timeout');
+      released++;
+    }
+  }
+  return released;
+}
+
+/**
+ * Release timed-out takeovers every AppConfig.takeover.releaseCheckMinutes, so quiet
+ * conversations are handed back even when nobody opens the inbox. The timer only lives
+ * in this process, so it is armed when a takeover starts, when the inbox is loaded and
+ * when the WhatsApp queue drains.
+ */
+export function ensureTakeoverReleaseTimer() {
+  if (releaseTimer) return;
+  releaseTimer = setInterval(() => {
+    releaseExpiredTakeovers().catch((error) => {
+      console.error('Takeover: Scheduled release failed:', error);
+    });
+  }, AppConfig.takeover.releaseCheckMinutes * 60 * 1000);
+  releaseTimer.unref?.();
+}
+
+export default {
+  getTakeoverState,
+  startTakeover,
+  recordTakeoverActivity,
+  releaseTakeover,
+  isBotPaused,
+  holdMessageForAgent,
+  releaseExpiredTakeovers,
+  ensureTakeoverReleaseTimer
+};
@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+vi.mock("../db.server", () => ({
+  default: {},
+  getConversation: vi.fn(),
+  getUserById: vi.fn(),
+  saveMessage: vi.fn(),
+  updateConversationMetadata: vi.fn(async (id, metadata) => ({ id, metadata })),
+  getTakeoverConversations: vi.fn(async () => []),
+  getActiveSupportTicket: vi.fn()
+}));
+vi.mock("./inbox.server", () => ({
+  sendConversationMessage: vi.fn(async () => {})
+}));
+
+const { default: AppConfig } = await import("./config.server");
+const { getTakeoverConversations, updateConversationMetadata } = await import("../db.server");
+const { sendConversationMessage } = await import("./inbox.server");
+const { startTakeover } = await import("./takeover.server");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe("scheduled takeover release", () => {
+  it("hands a quiet conversation back to the bot without the inbox being opened", async () => {
+    await startTakeover("whatsapp_447700900123", "Sam");
+    const lastActivity = new Date(Date.now() - (AppConfig.takeover.timeoutHours + 1) * HOUR_MS).toISOString();
+    getTakeoverConversations.mockResolvedValue([
+      { id: "whatsapp_447700900123", metadata: { takeover_active: true, takeover_activity_at: lastActivity } },
+      { id: "whatsapp_447700900456", metadata: { takeover_active: true, takeover_activity_at: new Date().toISOString() } }
+    ]);
+    updateConversationMetadata.mockClear();
+
+    await vi.advanceTimersByTimeAsync(AppConfig.takeover.releaseCheckMinutes * 60 * 1000);
+
+    expect(getTakeoverConversations).toHaveBeenCalledTimes(1);
+    expect(updateConversationMetadata).toHaveBeenCalledTimes(1);
+    expect(updateConversationMetadata).toHaveBeenCalledWith("whatsapp_447700900123", expect.objectContaining({
+      takeover_active: false
+    }));
+    expect(sendConversationMessage).toHaveBeenCalledWith("whatsapp_447700900123", AppConfig.takeover.handbackMessage);
+  });
+});
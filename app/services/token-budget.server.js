@@ -0,0 +1,95 @@
+/**
+ * Token Budget Service
+ * Estimates the size of a Claude request before it is sent and trims the
+ * conversation history to fit AppConfig.tokenBudget, dropping the oldest turns
+ * first. A turn (the customer's message plus the assistant's tool calls and
+ * their results) is kept or dropped as a whole so tool_use/tool_result pairs
+ * stay intact.
+ */
+import AppConfig from "./config.server";
+
+/**
+ * Estimate the tokens in a piece of request content. Images are counted at
+ * AppConfig.tokenBudget.imageTokens each rather than by the size of their data.
+ * @param {string|Object|Array} value - Text, or any JSON-serializable content
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(value) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  let images = 0;
+  const text = typeof value === 'string'
+    ? value
+    : JSON.stringify(value, (key, item) => {
+      if (item?.type === 'image') {
+        images += 1;
+        return undefined;
+      }
+      return item;
+    }) || '';
+  return Math.ceil(text.length / AppConfig.tokenBudget.charsPerToken) +
+    images * AppConfig.tokenBudget.imageTokens;
+}
+
+/**
+ * Check whether a message only carries tool results
+ * @param {Object} message - Claude message
+ * @returns {boolean} True for tool result messages
+ */
+function isToolResultMessage(message) {
+  return message.role === 'user' &&
+    Array.isArray(message.content) &&
+    message.content.some(block => block.type === 'tool_result');
+}
+
+/**
+ * Split history into turns, each starting with a customer message
+ * @param {Array} messages - Claude messages, oldest first
+ * @returns {Array<Array>} Turns, oldest first
+ */
+function groupIntoTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    const startsTurn = message.role === 'user' && !isToolResultMessage(message);
+    if (startsTurn || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  }
+  return turns;
+}
+
+/**
+ * Drop the oldest turns until the history fits the budget. The latest turn is
+ * always kept, even if it is over budget on its own.
+ * @param {Array} messages - Claude messages, oldest first
+ * @param {number} budgetTokens - Tokens available for the history
+ * @returns {{messages: Array, trimmed: number, tokens: number}} The history to send,
+ *   how many messages were dropped and its estimated size
+ */
+export function fitHistoryToBudget(messages, budgetTokens) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { messages: messages || [], trimmed: 0, tokens: 0 };
+  }
+
+  const turns = groupIntoTurns(messages);
+  const kept = [];
+  let tokens = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turnTokens = estimateTokens(turns[i].map(message => message.content));
+    if (kept.length > 0 && tokens + turnTokens > budgetTokens) {
+      break;
+    }
+    kept.unshift(...turns[i]);
+    tokens += turnTokens;
+  }
+
+  return { messages: kept, trimmed: messages.length - kept.length, tokens };
+}
+
+export default {
+  estimateTokens,
+  fitHistoryToBudget
+};
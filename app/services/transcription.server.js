@@ -0,0 +1,173 @@
+/**
+ * Transcription Backends
+ * Turn voice notes into text so they can be answered like typed messages. Each
+ * backend takes the audio and returns the transcript; the backend is chosen by
+ * AppConfig.transcription.backend. The openai backend reads OPENAI_API_KEY; the
+ * stub backend returns AppConfig.transcription.stubText (or TRANSCRIPTION_STUB_TEXT)
+ * without calling anything, for local testing.
+ */
+import AppConfig from "./config.server";
+
+export const TRANSCRIPTION_BACKENDS = ['openai', 'stub'];
+
+// Audio formats the OpenAI API accepts, by the MIME types WhatsApp sends
+const OPENAI_FILE_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * Build an Error carrying the transcription API's HTTP status
+ * @param {string} message - Error message
+ * @param {number} [status] - HTTP status from the API
+ * @returns {Error} Error with a `status` property when there was a response
+ */
+function createTranscriptionError(message, status) {
+  const error = new Error(message);
+  if (status) {
+    error.status = status;
+  }
+  return error;
+}
+
+/**
+ * Get the media type of a file, without parameters (e.g. "audio/ogg; codecs=opus")
+ * @param {string} mimeType - MIME type reported by WhatsApp
+ * @returns {string} Bare media type
+ */
+function getMediaType(mimeType) {
+  return String(mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Creates the OpenAI backend: sends the audio to the OpenAI transcription API
+ * @returns {Object} Transcription backend
+ */
+export function createOpenAITranscriber() {
+  return {
+    name: 'openai',
+
+    isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+    transcribe: async ({ buffer, mimeType }) => {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new Error('The openai transcription backend needs OPENAI_API_KEY');
+      }
+      const mediaType = getMediaType(mimeType);
+      const extension = OPENAI_FILE_EXTENSIONS[mediaType];
+      if (!extension) {
+        throw new Error(`Audio format ${mediaType || 'unknown'} cannot be transcribed`);
+      }
+
+      const { model, language, requestTimeoutMs } = AppConfig.transcription;
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mediaType }), `voice-note.${extension}`);
+      form.append('model', model);
+      form.append('response_format', 'json');
+      if (language) {
+        form.append('language', language);
+      }
+
+      let response;
+      try {
+        response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${apiKey}` },
+          body: form,
+          signal: AbortSignal.timeout(requestTimeoutMs)
+        });
+      } catch (error) {
+        throw createTranscriptionError(`Transcription request failed: ${error.message}`);
+      }
+
+      const responseText = await response.text();
+      if (!response.ok) {
+        throw createTranscriptionError(`Transcription API error: ${response.status} - ${responseText.slice(0, 300) || response.statusText}`, response.status);
+      }
+      let data = {};
+      try {
+        data = JSON.parse(responseText);
+      } catch {
+        throw createTranscriptionError('Transcription API returned an unreadable response', response.status);
+      }
+      return { text: String(data.text || '').trim() };
+    }
+  };
+}
+
+/**
+ * Creates the stub backend: returns a fixed transcript without calling any service
+ * @returns {Object} Transcription backend
+ */
+export function createStubTranscriber() {
+  return {
+    name: 'stub',
+
+    isConfigured: () => true,
+
+    transcribe: async () => ({
+      text: process.env.TRANSCRIPTION_STUB_TEXT || AppConfig.transcription.stubText
+    })
+  };
+}
+
+/**
+ * Get a transcription backend by name
+ * @param {string} [name] - Backend name; defaults to AppConfig.transcription.backend
+ * @returns {Object} Transcription backend
+ */
+export function getTranscriptionBackend(name = AppConfig.transcription.backend) {
+  switch (name) {
+    case 'openai':
+      return createOpenAITranscriber();
+    case 'stub':
+      return createStubTranscriber();
+    default:
+      throw new Error(`Unknown transcription backend: ${name}`);
+  }
+}
+
+/**
+ * Check whether voice notes can be transcribed with the current settings
+ * @returns {boolean} True if transcription is enabled and the backend is configured
+ */
+export function isTranscriptionAvailable() {
+  if (!AppConfig.transcription.enabled) {
+    return false;
+  }
+  try {
+    return getTranscriptionBackend().isConfigured();
+  } catch (error) {
+    console.error('Transcription:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Transcribe a voice note with the configured backend
+ * @param {Object} audio - Downloaded audio
+ * @param {Buffer} audio.buffer - Audio data
+ * @param {string} audio.mimeType - MIME type
+ * @returns {Promise<{text: string, backend: string}>} The transcript (empty if nothing was heard) and the backend used
+ */
+export async function transcribeAudio({ buffer, mimeType }) {
+  if (buffer.length > AppConfig.transcription.maxBytes) {
+    throw new Error(`Voice note is too large to transcribe (${buffer.length} bytes)`);
+  }
+  const backend = getTranscriptionBackend();
+  const { text } = await backend.transcribe({ buffer, mimeType });
+  console.log(`Transcription (${backend.name}): ${buffer.length} bytes -> ${text.length} characters`);
+  return { text, backend: backend.name };
+}
+
+export default {
+  TRANSCRIPTION_BACKENDS,
+  getTranscriptionBackend,
+  isTranscriptionAvailable,
+  transcribeAudio
+};
@@ -0,0 +1,73 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import AppConfig from "./config.server";
+import { isTranscriptionAvailable, transcribeAudio } from "./transcription.server";
+
+const originalTranscription = { ...AppConfig.transcription };
+
+beforeEach(() => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  AppConfig.transcription.enabled = true;
+  AppConfig.transcription.backend = "stub";
+});
+
+afterEach(() => {
+  Object.assign(AppConfig.transcription, originalTranscription);
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const voiceNote = { buffer: Buffer.from("ogg data"), mimeType: "audio/ogg; codecs=opus" };
+
+describe("transcribeAudio", () => {
+  it("returns the stub transcript without calling a service", async () => {
+    const fetchSpy = vi.spyOn(global, "fetch");
+
+    await expect(transcribeAudio(voiceNote)).resolves.toEqual({
+      text: AppConfig.transcription.stubText,
+      backend: "stub"
+    });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it("uses TRANSCRIPTION_STUB_TEXT over the configured stub text", async () => {
+    vi.stubEnv("TRANSCRIPTION_STUB_TEXT", "Do you have mango ice in 20mg?");
+
+    const { text } = await transcribeAudio(voiceNote);
+
+    expect(text).toBe("Do you have mango ice in 20mg?");
+  });
+
+  it("rejects audio over maxBytes before it reaches the backend", async () => {
+    AppConfig.transcription.maxBytes = 4;
+
+    await expect(transcribeAudio(voiceNote)).rejects.toThrow("Voice note is too large to transcribe (8 bytes)");
+    // Logged only once a backend has returned a transcript
+    expect(console.log).not.toHaveBeenCalled();
+  });
+});
+
+describe("isTranscriptionAvailable", () => {
+  it("is false when transcription is turned off", () => {
+    AppConfig.transcription.enabled = false;
+
+    expect(isTranscriptionAvailable()).toBe(false);
+  });
+
+  it("is false when the openai backend has no API key", () => {
+    AppConfig.transcription.backend = "openai";
+    vi.stubEnv("OPENAI_API_KEY", "");
+
+    expect(isTranscriptionAvailable()).toBe(false);
+  });
+
+  it("is false for an unknown backend", () => {
+    AppConfig.transcription.backend = "carrier-pigeon";
+
+    expect(isTranscriptionAvailable()).toBe(false);
+  });
+
+  it("is true for the stub backend", () => {
+    expect(isTranscriptionAvailable()).toBe(true);
+  });
+});
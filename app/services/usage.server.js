@@ -0,0 +1,181 @@
+/**
+ * Claude Usage Service
+ * Turns the ClaudeUsage records written for every Claude call into the admin cost
+ * report: daily cost, the most expensive conversations and the average spend per
+ * resolved conversation. Costs use the per-model prices in AppConfig.usage.pricing.
+ */
+import {
+  getClaudeUsageByDay,
+  getClaudeUsageByConversation,
+  getConversationsForUsageReport
+} from "../db.server";
+import AppConfig from "./config.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Find the price list for a model
+ * @param {string} model - Model name, e.g. "claude-sonnet-4-20250514"
+ * @returns {Object|null} { input, output, cacheWrite, cacheRead } per million tokens, or null if unknown
+ */
+export function getModelPricing(model) {
+  const pricing = AppConfig.usage.pricing;
+  const match = Object.keys(pricing)
+    .filter(prefix => String(model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? pricing[match] : null;
+}
+
+/**
+ * Work out the cost of some usage
+ * @param {Object} usage - Token counts and model
+ * @returns {number|null} Cost in AppConfig.usage.currency, or null if the model has no price
+ */
+export function calculateCost({ model, inputTokens = 0, outputTokens = 0, cacheCreationInputTokens = 0, cacheReadInputTokens = 0 }) {
+  const price = getModelPricing(model);
+  if (!price) {
+    return null;
+  }
+  return (
+    inputTokens * price.input +
+    outputTokens * price.output +
+    cacheCreationInputTokens * price.cacheWrite +
+    cacheReadInputTokens * price.cacheRead
+  ) / 1_000_000;
+}
+
+/**
+ * Total tokens in a usage row
+ * @param {Object} row - Usage row
+ * @returns {number} Input, output and cache tokens
+ */
+function totalTokens(row) {
+  return row.inputTokens + row.outputTokens + row.cacheCreationInputTokens + row.cacheReadInputTokens;
+}
+
+/**
+ * Add a usage row to a running total
+ * @param {Object} total - Running total
+ * @param {Object} row - Usage row
+ * @returns {Object} The running total
+ */
+function addUsage(total, row) {
+  total.requests += row.requests;
+  total.inputTokens += row.inputTokens;
+  total.outputTokens += row.outputTokens;
+  total.cacheCreationInputTokens += row.cacheCreationInputTokens;
+  total.cacheReadInputTokens += row.cacheReadInputTokens;
+  total.cost += calculateCost(row) || 0;
+  return total;
+}
+
+/**
+ * Empty running total
+ * @returns {Object} Zeroed totals
+ */
+function emptyTotal() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    cost: 0
+  };
+}
+
+/**
+ * Build the usage report for the admin
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days] - Number of days to cover, including today
+ * @returns {Promise<Object>} { since, days, currency, totals, daily, topConversations, resolved, unpricedModels }
+ */
+export async function getUsageReport({ days = AppConfig.usage.defaultReportDays } = {}) {
+  const since = new Date(Date.now() - (days - 1) * DAY_MS);
+  since.setUTCHours(0, 0, 0, 0);
+
+  const [dailyRows, conversationRows] = await Promise.all([
+    getClaudeUsageByDay(since),
+    getClaudeUsageByConversation(since)
+  ]);
+
+  const unpricedModels = new Set();
+  const totals = { ...emptyTotal(), latencyMsTotal: 0, latencyCount: 0 };
+  const dailyMap = new Map();
+  for (const row of dailyRows) {
+    if (!getModelPricing(row.model)) {
+      unpricedModels.add(row.model);
+    }
+    const date = new Date(row.day).toISOString().slice(0, 10);
+    if (!dailyMap.has(date)) {
+      dailyMap.set(date, { date, ...emptyTotal() });
+    }
+    addUsage(dailyMap.get(date), row);
+    addUsage(totals, row);
+    totals.latencyMsTotal += row.latencyMsTotal;
+    totals.latencyCount += row.latencyCount;
+  }
+
+  const byConversation = new Map();
+  for (const row of conversationRows) {
+    if (!byConversation.has(row.conversationId)) {
+      byConversation.set(row.conversationId, { conversationId: row.conversationId, channel: row.channel, ...emptyTotal() });
+    }
+    addUsage(byConversation.get(row.conversationId), row);
+  }
+
+  const conversations = await getConversationsForUsageReport([...byConversation.keys()]);
+  const resolvedBefore = Date.now() - AppConfig.usage.resolvedAfterHours * HOUR_MS;
+  const resolved = { count: 0, tokens: 0, cost: 0 };
+  for (const conversation of conversations) {
+    const usage = byConversation.get(conversation.id);
+    const user = conversation.user;
+    usage.customer = user?.name || user?.phoneNumber || user?.email || null;
+    usage.channel = conversation.channel || usage.channel;
+    usage.lastMessageAt = conversation.lastMessageAt;
+    usage.resolved = conversation.tickets.length === 0 &&
+      !!conversation.lastMessageAt &&
+      new Date(conversation.lastMessageAt).getTime() < resolvedBefore;
+    if (usage.resolved) {
+      resolved.count++;
+      resolved.tokens += totalTokens(usage);
+      resolved.cost += usage.cost;
+    }
+  }
+
+  const topConversations = [...byConversation.values()]
+    .sort((a, b) => b.cost - a.cost)
+    .slice(0, AppConfig.usage.topConversations)
+    .map(usage => ({ ...usage, totalTokens: totalTokens(usage) }));
+
+  return {
+    since: since.toISOString(),
+    days,
+    currency: AppConfig.usage.currency,
+    totals: {
+      requests: totals.requests,
+      inputTokens: totals.inputTokens,
+      outputTokens: totals.outputTokens,
+      cacheCreationInputTokens: totals.cacheCreationInputTokens,
+      cacheReadInputTokens: totals.cacheReadInputTokens,
+      cost: totals.cost,
+      averageLatencyMs: totals.latencyCount > 0 ? Math.round(totals.latencyMsTotal / totals.latencyCount) : null
+    },
+    daily: [...dailyMap.values()],
+    topConversations,
+    resolved: {
+      count: resolved.count,
+      averageTokens: resolved.count > 0 ? Math.round(resolved.tokens / resolved.count) : null,
+      averageCost: resolved.count > 0 ? resolved.cost / resolved.count : null,
+      afterHours: AppConfig.usage.resolvedAfterHours
+    },
+    unpricedModels: [...unpricedModels]
+  };
+}
+
+export default {
+  getModelPricing,
+  calculateCost,
+  getUsageReport
+};
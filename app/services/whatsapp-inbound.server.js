@@ -0,0 +1,655 @@
+/**
+ * WhatsApp Inbound Service
+ * Handles a single inbound WhatsApp message: documents, photos, voice notes, button and list taps, consent keywords,
+ * staff takeover, reset commands and chat turns
+ */
+import MCPClient from "../mcp-client";
+import AppConfig from "./config.server";
+import { createConversationEngine } from "./conversation.server";
+import { createWhatsAppChannel } from "./channels.server";
+import {
+  detectConsentKeyword,
+  recordMarketingConsent,
+  CONSENT_REPLIES
+} from "./consent.server";
+import { isBotPaused, holdMessageForAgent } from "./takeover.server";
+import { pruneRememberedMessages } from "./memory.server";
+import {
+  buildCartFromOrderForm,
+  formatOrderConfirmation,
+  formatOrderSummaryText
+} from "./spreadsheet-order.server";
+import {
+  isSupportedImage,
+  storeImageMessage,
+  buildImageMessageContent
+} from "./image-message.server";
+import { isTranscriptionAvailable, transcribeAudio } from "./transcription.server";
+import { parseInteractiveReply, describeInteractiveReply } from "./interactive.server";
+import {
+  saveMessage,
+  createOrGetUser,
+  linkConversationToUser,
+  getUserByPhoneNumber,
+  deleteConversationHistory,
+  updateConversationMetadata
+} from "../db.server";
+import {
+  resolveCustomerMcpEndpoint,
+  normalizeStorefrontDomain,
+  getPreferredStoreDomain,
+  getConfiguredShopId
+} from "../utils/mcp.server";
+import { sendWhatsAppMessage, downloadWhatsAppMedia } from "../utils/whatsapp.server";
+import { fromWhatsAppId, getWhatsAppConversationId } from "../utils/phone.server";
+import {
+  sendEmail,
+  generateSpreadsheetEmailHTML,
+  generateSpreadsheetEmailText
+} from "../utils/email.server";
+
+// Cache for MCP connections to avoid reconnecting on every message
+const mcpCache = new Map();
+
+// Helper to get or create cached MCP client
+async function getCachedMCPClient(shopDomain, conversationId, shopId, customerMcpEndpoint) {
+  const cacheKey = `${shopDomain}_${shopId}_${conversationId}_${customerMcpEndpoint || 'none'}`;
+  
+  if (mcpCache.has(cacheKey)) {
+    return mcpCache.get(cacheKey);
+  }
+  
+  if (!customerMcpEndpoint) {
+    throw new Error(
+      "Unable to resolve customer MCP endpoint for WhatsApp conversation."
+    );
+  }
+  
+  const mcpClient = new MCPClient(
+    shopDomain,
+    conversationId,
+    shopId,
+    customerMcpEndpoint,
+    'whatsapp'
+  );
+  
+  // Connect to MCP servers once and cache
+  try {
+    await mcpClient.connectToStorefrontServer();
+    await mcpClient.connectToCustomerServer();
+    
+    mcpCache.set(cacheKey, mcpClient);
+    return mcpClient;
+  } catch (error) {
+    console.warn('WhatsApp: Failed to connect to MCP servers:', error.message);
+    return mcpClient; // Return client even if connection fails
+  }
+}
+
+/**
+ * Resolve the store and get the cached MCP client for a WhatsApp conversation
+ * @param {string} conversationId - The WhatsApp conversation ID
+ * @returns {Promise<{mcpClient: Object, allowedHost: string}>} MCP client and the storefront host links may point to
+ */
+async function getWhatsAppMcpClient(conversationId) {
+  const preferredDomain =
+    normalizeStorefrontDomain(process.env.STOREFRONT_DOMAIN) ||
+    normalizeStorefrontDomain(process.env.MCP_STOREFRONT_URL) ||
+    getPreferredStoreDomain();
+  if (!preferredDomain) {
+    throw new Error(
+      "WhatsApp: STOREFRONT_DOMAIN or MCP_STOREFRONT_URL must be configured."
+    );
+  }
+  const shopId = getConfiguredShopId(process.env.SHOP_ID, preferredDomain);
+  if (!shopId) {
+    throw new Error("WhatsApp: Unable to determine shopId. Set SHOP_ID.");
+  }
+  const shopDomain = preferredDomain;
+  console.log('[WA][DOMAIN]', {
+    storefrontEnv: process.env.STOREFRONT_DOMAIN,
+    mcpEnv: process.env.MCP_STOREFRONT_URL,
+    resolvedShopDomain: shopDomain
+  });
+
+  // Allowed host for checkout links
+  let allowedHost = '';
+  try { allowedHost = new URL(shopDomain).host; } catch {}
+
+  // Get cached MCP client
+  const customerMcpEndpoint = await resolveCustomerMcpEndpoint(
+    shopDomain,
+    conversationId
+  );
+  if (!customerMcpEndpoint) {
+    throw new Error("WhatsApp: Unable to resolve customer MCP endpoint.");
+  }
+  const mcpClient = await getCachedMCPClient(
+    shopDomain,
+    conversationId,
+    shopId,
+    customerMcpEndpoint
+  );
+  return { mcpClient, allowedHost };
+}
+
+/**
+ * Try to build a cart from a spreadsheet order form
+ * @param {Object} params - Order form details
+ * @param {string} params.from - Sender phone number
+ * @param {string} params.conversationId - The WhatsApp conversation ID
+ * @param {Object} params.document - Document from the webhook message
+ * @param {Object} params.fileData - Downloaded file ({ buffer, mimeType })
+ * @returns {Promise<{result: Object, channel: Object}|null>} The order result and the channel
+ *   adapter, or null if the file should go to the team as before
+ */
+async function processSpreadsheetOrder({ from, conversationId, document, fileData }) {
+  if (!AppConfig.spreadsheetOrders.enabled) {
+    return null;
+  }
+  // Staff are handling the conversation, so leave the order to them
+  if (await isBotPaused(conversationId)) {
+    return null;
+  }
+
+  await getOrCreateWhatsAppUser(from, conversationId);
+  const { mcpClient, allowedHost } = await getWhatsAppMcpClient(conversationId);
+  const result = await buildCartFromOrderForm({
+    buffer: fileData.buffer,
+    filename: document.filename,
+    mimeType: fileData.mimeType,
+    mcpClient,
+    conversationId
+  });
+  return result ? { result, channel: createWhatsAppChannel(from, { allowedHost }) } : null;
+}
+
+/**
+ * Get the user for a WhatsApp number, creating it on first contact, and link the conversation
+ * @param {string} from - Sender phone number
+ * @param {string} conversationId - The WhatsApp conversation ID
+ * @returns {Promise<Object>} The user
+ */
+async function getOrCreateWhatsAppUser(from, conversationId) {
+  let user = await getUserByPhoneNumber(from);
+  if (!user) {
+    user = await createOrGetUser({
+      type: 'whatsapp',
+      phoneNumber: from,
+      metadata: {
+        firstSeen: new Date().toISOString(),
+        source: 'whatsapp'
+      }
+    });
+  }
+
+  // Link conversation to user
+  await linkConversationToUser(conversationId, user.id, 'whatsapp');
+  return user;
+}
+
+/**
+ * Run a chat turn for a WhatsApp message through the conversation engine; the channel adapter sends the reply
+ * @param {Object} params - Turn details
+ * @param {string} params.from - Sender phone number
+ * @param {string} params.conversationId - The WhatsApp conversation ID
+ * @param {string} params.userMessage - The customer's message text
+ * @param {Array} [params.userContent] - Content blocks to save instead of the text (e.g. a photo and its caption)
+ * @param {string} [params.origin] - How the message was sent, e.g. 'voice' for a transcribed voice note
+ * @param {boolean} params.isFinalAttempt - When false, failures are thrown so the queue can retry
+ * @param {Object} params.progress - Steps done on earlier attempts
+ * @param {Function} params.completeStep - Records a finished step so a retry skips it
+ * @returns {Promise<Object>} Processing result ({ success })
+ */
+async function runWhatsAppChatTurn({ from, conversationId, userMessage, userContent = null, origin = null, isFinalAttempt, progress, completeStep }) {
+  try {
+    const label = userContent ? '[Photo] ' : origin === 'voice' ? '[Voice] ' : '';
+    console.log(`[WHATSAPP][IN] (${conversationId}) ${label}${userMessage}`);
+    
+    // Create or get WhatsApp user
+    try {
+      await getOrCreateWhatsAppUser(from, conversationId);
+    } catch (userError) {
+      console.error('WhatsApp: Error handling user:', userError);
+      // Continue even if user creation fails
+    }
+    
+    const { mcpClient, allowedHost } = await getWhatsAppMcpClient(conversationId);
+
+    // Run the turn through the shared conversation engine; the adapter sends the reply
+    const channel = createWhatsAppChannel(from, { allowedHost });
+    const engine = createConversationEngine();
+    await engine.runTurn(
+      {
+        conversationId,
+        userMessage,
+        userContent,
+        origin,
+        promptType: AppConfig.api.defaultPromptType,
+        mcpClient,
+        userMessageSaved: !!progress.userMessageSaved,
+        onProgress: (step) => completeStep(step, true)
+      },
+      channel
+    );
+  } catch (error) {
+    console.error('WhatsApp chat error:', error);
+    // Let the queue retry before telling the customer it failed, unless tools already ran:
+    // running the turn again would repeat them (e.g. add the same items to the cart twice)
+    if (!isFinalAttempt && !progress.toolsStarted) throw error;
+    await sendWhatsAppMessage(from, "Sorry, I'm having trouble processing your request right now. Please try again later.");
+    return { success: false, error: error.message };
+  }
+
+  // Clean up old messages to prevent database bloat, once they are in the memory; the reply is already sent
+  try {
+    await pruneRememberedMessages(conversationId, 10);
+  } catch (error) {
+    console.error('WhatsApp: Error pruning remembered messages:', error);
+  }
+  return { success: true };
+}
+
+/**
+ * Handle a photo: store it with the conversation, then pass it to staff or to Claude to identify the product
+ * @param {Object} message - Message object from the webhook payload
+ * @param {Object} options - Processing options
+ * @param {boolean} options.isFinalAttempt - When false, failures are thrown so the queue can retry
+ * @param {Object} options.progress - Steps done on earlier attempts
+ * @param {Function} options.completeStep - Records a finished step so a retry skips it
+ * @returns {Promise<Object>} Processing result ({ success, message?, error? })
+ */
+async function handleImageMessage(message, { isFinalAttempt, progress, completeStep }) {
+  const from = message.from;
+  const caption = message.image.caption?.trim() || '';
+  const conversationId = getWhatsAppConversationId(from);
+
+  // A retry reuses the photo stored on an earlier attempt
+  let stored = progress.photo || null;
+  if (!stored) {
+    try {
+      const fileData = await downloadWhatsAppMedia(message.image.id);
+      if (!isSupportedImage({ mimeType: fileData.mimeType, size: fileData.buffer.length })) {
+        console.warn('WhatsApp: Unsupported image rejected:', fileData.mimeType, `${fileData.buffer.length} bytes`);
+        await sendWhatsAppMessage(
+          from,
+          "📷 Sorry, I couldn't open that photo. Please send it as a JPEG or PNG image under 5MB."
+        );
+        return { success: true, message: 'Unsupported image rejected' };
+      }
+
+      // The photo is linked to the conversation, so it must exist first
+      await getOrCreateWhatsAppUser(from, conversationId);
+      stored = await storeImageMessage({ conversationId, buffer: fileData.buffer, mimeType: fileData.mimeType });
+      await completeStep('photo', stored);
+    } catch (error) {
+      console.error('WhatsApp: Error receiving photo:', error);
+      if (!isFinalAttempt) throw error;
+      await sendWhatsAppMessage(from, "❌ Sorry, I couldn't receive your photo. Please try again later.");
+      return { success: false, error: error.message };
+    }
+  }
+
+  const userContent = buildImageMessageContent({ filename: stored.filename, mediaType: stored.mediaType, caption });
+
+  // Staff are handling this conversation: pass the photo on instead of replying
+  try {
+    if (progress.heldForAgent) {
+      return { success: true, message: 'Held for staff' };
+    }
+    if (await isBotPaused(conversationId)) {
+      await holdMessageForAgent(conversationId, 'whatsapp', `[Photo] ${stored.url}${caption ? `\n${caption}` : ''}`, {
+        content: userContent
+      });
+      await completeStep('heldForAgent', true);
+      return { success: true, message: 'Held for staff' };
+    }
+  } catch (takeoverError) {
+    console.error('WhatsApp: Error handling takeover:', takeoverError);
+    if (!isFinalAttempt) throw takeoverError;
+    return { success: false, error: 'Takeover handling failed' };
+  }
+
+  return runWhatsAppChatTurn({ from, conversationId, userMessage: caption, userContent, isFinalAttempt, progress, completeStep });
+}
+
+/**
+ * Handle a voice note: transcribe it, then pass the transcript to staff or answer it like a text message
+ * @param {Object} message - Message object from the webhook payload
+ * @param {Object} options - Processing options
+ * @param {boolean} options.isFinalAttempt - When false, failures are thrown so the queue can retry
+ * @param {Object} options.progress - Steps done on earlier attempts
+ * @param {Function} options.completeStep - Records a finished step so a retry skips it
+ * @returns {Promise<Object>} Processing result ({ success, message?, error? })
+ */
+async function handleVoiceMessage(message, { isFinalAttempt, progress, completeStep }) {
+  const from = message.from;
+  const conversationId = getWhatsAppConversationId(from);
+
+  // A retry reuses the transcript from an earlier attempt instead of downloading and transcribing again
+  let transcript = progress.transcript ?? null;
+  if (transcript === null) {
+    try {
+      const fileData = await downloadWhatsAppMedia(message.audio.id);
+      if (fileData.buffer.length > AppConfig.transcription.maxBytes) {
+        console.warn('WhatsApp: Voice note too large to transcribe:', `${fileData.buffer.length} bytes`);
+        await sendWhatsAppMessage(from, "🎤 Sorry, that voice note is too long for me. Please send a shorter one or type your message.");
+        return { success: true, message: 'Voice note too large' };
+      }
+      ({ text: transcript } = await transcribeAudio({ buffer: fileData.buffer, mimeType: fileData.mimeType }));
+      await completeStep('transcript', transcript);
+    } catch (error) {
+      console.error('WhatsApp: Error transcribing voice note:', error);
+      if (!isFinalAttempt) throw error;
+      await sendWhatsAppMessage(from, "🎤 Sorry, I couldn't listen to your voice note. Please type your message instead.");
+      return { success: false, error: error.message };
+    }
+  }
+
+  if (!transcript) {
+    await sendWhatsAppMessage(from, "🎤 Sorry, I couldn't make out your voice note. Could you say it again or type your message?");
+    return { success: true, message: 'Empty transcript' };
+  }
+
+  // Staff are handling this conversation: pass the transcript on instead of replying
+  try {
+    if (progress.heldForAgent) {
+      return { success: true, message: 'Held for staff' };
+    }
+    if (await isBotPaused(conversationId)) {
+      await getOrCreateWhatsAppUser(from, conversationId);
+      await holdMessageForAgent(conversationId, 'whatsapp', transcript, { origin: 'voice' });
+      await completeStep('heldForAgent', true);
+      return { success: true, message: 'Held for staff' };
+    }
+  } catch (takeoverError) {
+    console.error('WhatsApp: Error handling takeover:', takeoverError);
+    if (!isFinalAttempt) throw takeoverError;
+    return { success: false, error: 'Takeover handling failed' };
+  }
+
+  return runWhatsAppChatTurn({ from, conversationId, userMessage: transcript, origin: 'voice', isFinalAttempt, progress, completeStep });
+}
+
+/**
+ * Process one inbound WhatsApp message
+ * @param {Object} message - Message object from the webhook payload (entry[].changes[].value.messages[])
+ * @param {Object} [options] - Processing options
+ * @param {boolean} [options.isFinalAttempt=true] - When false, failures are thrown so the queue can retry
+ *   instead of apologising to the customer
+ * @param {Object} [options.progress] - Steps the queue job finished on earlier attempts
+ * @param {Function} [options.completeStep] - Records a finished step (name, value) on the job so a retry skips it
+ * @returns {Promise<Object>} Processing result ({ success, message?, error? })
+ */
+export async function handleInboundWhatsAppMessage(message, { isFinalAttempt = true, progress = {}, completeStep = async () => {} } = {}) {
+  if (!message) {
+    return { success: true };
+  }
+
+  // The sender's WhatsApp id carries the country code; everything below works with E.164
+  const from = fromWhatsAppId(message.from);
+  if (!from) {
+    console.warn(`WhatsApp: Ignoring message ${message.id} from invalid sender ${message.from}`);
+    return { success: true, message: 'Invalid sender' };
+  }
+  message = { ...message, from };
+
+  // Photos go to Claude so it can identify the product
+  if (message.image && AppConfig.imageMessages.enabled) {
+    return handleImageMessage(message, { isFinalAttempt, progress, completeStep });
+  }
+
+  // Voice notes are transcribed and answered like text
+  if (message.audio && isTranscriptionAvailable()) {
+    return handleVoiceMessage(message, { isFinalAttempt, progress, completeStep });
+  }
+
+  // Handle videos (and photos or audio when they are turned off) - reject with explanation
+  if (message.image || message.video || message.audio) {
+    const mediaType = message.image ? 'image' : message.video ? 'video' : 'audio';
+    const mediaLabel = { image: 'photos', video: 'videos', audio: 'audio messages' }[mediaType];
+    
+    console.warn(`WhatsApp: Unsupported ${mediaType} received from ${from} - rejecting`);
+    
+    await sendWhatsAppMessage(
+      from,
+      `📄 Sorry, I can't open ${mediaLabel}.\n\n` +
+      "Please type your message, or send " +
+      (AppConfig.imageMessages.enabled ? "a photo of the product or " : "") +
+      "a spreadsheet (.xlsx, .xls, .csv)."
+    );
+    
+    return { success: true, message: 'Unsupported media type rejected' };
+  }
+  
+  // Handle document messages - only accept spreadsheets
+  if (message.document) {
+    const document = message.document;
+    const caption = message.caption || '';
+    
+    // Define allowed spreadsheet MIME types
+    const allowedSpreadsheetTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
+      'application/vnd.ms-excel', // .xls
+      'text/csv', // .csv
+      'application/csv', // .csv (alternative)
+      'text/comma-separated-values' // .csv (alternative)
+    ];
+    
+    // Check if the file is a spreadsheet
+    const isSpreadsheet = allowedSpreadsheetTypes.includes(document.mime_type) ||
+                         document.filename?.toLowerCase().endsWith('.xlsx') ||
+                         document.filename?.toLowerCase().endsWith('.xls') ||
+                         document.filename?.toLowerCase().endsWith('.csv');
+    
+    if (!isSpreadsheet) {
+      console.warn('WhatsApp: Non-spreadsheet document rejected:', document.mime_type);
+      await sendWhatsAppMessage(
+        from,
+        "📄 Sorry, I can only accept spreadsheet files.\n\n" +
+        "✅ Supported formats:\n" +
+        "• Excel files (.xlsx, .xls)\n" +
+        "• CSV files (.csv)\n\n" +
+        "❌ Your file type is not supported.\n\n" +
+        "Please convert your file to one of the supported formats and send it again."
+      );
+      
+      return { success: true, message: 'Non-spreadsheet document rejected' };
+    }
+    
+    const conversationId = getWhatsAppConversationId(from);
+    let order = null;
+    try {
+      // Download the file from WhatsApp
+      const fileData = await downloadWhatsAppMedia(document.id);
+
+      // Build a cart from order forms; anything that can't be read goes to the team as before
+      try {
+        order = await processSpreadsheetOrder({ from, conversationId, document, fileData });
+      } catch (orderError) {
+        console.error('WhatsApp: Could not build a cart from the spreadsheet:', orderError);
+      }
+      const cartBuilt = order?.result.added.length > 0;
+      const orderSummary = order ? formatOrderSummaryText(order.result) : null;
+
+      if (cartBuilt) {
+        const confirmation = formatOrderConfirmation(order.result, order.channel);
+        await sendWhatsAppMessage(from, confirmation);
+        await saveMessage(conversationId, 'user', JSON.stringify([{ type: 'text', text: `[Order form: ${document.filename}]${caption ? ` ${caption}` : ''}` }]));
+        await saveMessage(conversationId, 'assistant', JSON.stringify([{ type: 'text', text: confirmation }]));
+      }
+      
+      // Get support email from environment
+      const supportEmail = process.env.SUPPORT_EMAIL || 'support@vapelocal.co.uk';
+      
+      // Prepare email data
+      const fileSizeKB = Math.round(fileData.fileSize / 1024);
+      const emailSubject = `New Spreadsheet Order Submission - ${document.filename}`;
+      
+      // Convert buffer to base64 for email attachment (Resend accepts base64 strings)
+      const fileBase64 = fileData.buffer.toString('base64');
+      
+      // Send email with attachment
+      const emailSent = sendEmail({
+        to: supportEmail,
+        subject: emailSubject,
+        html: generateSpreadsheetEmailHTML({
+          customerPhone: from,
+          filename: document.filename,
+          fileType: fileData.mimeType,
+          fileSize: `${fileSizeKB}KB`,
+          caption: caption || null,
+          orderSummary
+        }),
+        text: generateSpreadsheetEmailText({
+          customerPhone: from,
+          filename: document.filename,
+          fileType: fileData.mimeType,
+          fileSize: `${fileSizeKB}KB`,
+          caption: caption || null,
+          orderSummary
+        }),
+        attachments: [{
+          filename: document.filename,
+          content: fileBase64,
+          type: fileData.mimeType
+        }]
+      });
+
+      if (cartBuilt) {
+        // The cart is already built and confirmed; a retry would add it twice
+        await emailSent.catch(emailError => {
+          console.error('WhatsApp: Failed to email the order form to the team:', emailError);
+        });
+        return { success: true, message: 'Cart built from spreadsheet order' };
+      }
+      await emailSent;
+      
+      // Send confirmation to customer
+      await sendWhatsAppMessage(
+        from, 
+        "✅ Thank you! Your file has been received and sent to our team. Someone will review it shortly."
+      );
+      
+      // Save the interaction to database
+      await saveMessage(conversationId, 'user', `[Document: ${document.filename}]`);
+      await saveMessage(conversationId, 'assistant', 'File received and sent to team via email.');
+      
+      return { success: true, message: 'Document sent via email successfully' };
+      
+    } catch (error) {
+      console.error('WhatsApp: Error processing document:', error);
+      // Let the queue retry before telling the customer it failed, unless the cart was already built
+      if (order?.result.added.length > 0) {
+        return { success: false, error: error.message };
+      }
+      if (!isFinalAttempt) throw error;
+      await sendWhatsAppMessage(from, "❌ Sorry, there was an error processing your file. Please try again later.");
+      return { success: false, error: error.message };
+    }
+  }
+  
+  // Handle text messages, and taps on reply buttons and list rows, which are answered like text
+  const interactiveReply = parseInteractiveReply(message);
+  if (message.text || interactiveReply) {
+    const userMessage = message.text ? message.text.body : describeInteractiveReply(interactiveReply);
+    const origin = interactiveReply ? 'interactive' : null;
+    
+    // Use the phone number as conversation ID for WhatsApp
+    const conversationId = getWhatsAppConversationId(from);
+
+    // STOP / START keywords change marketing consent instead of going to Claude
+    const consentKeyword = origin ? null : detectConsentKeyword(userMessage);
+    if (consentKeyword) {
+      try {
+        const user = await getOrCreateWhatsAppUser(from, conversationId);
+        await recordMarketingConsent(user.id, 'whatsapp', consentKeyword.status, 'keyword', consentKeyword.keyword);
+        const reply = CONSENT_REPLIES[consentKeyword.status];
+        await saveMessage(conversationId, 'user', userMessage);
+        await saveMessage(conversationId, 'assistant', JSON.stringify([{ type: 'text', text: reply }]));
+        await sendWhatsAppMessage(from, reply);
+        return { success: true, message: `Consent updated: ${consentKeyword.status}` };
+      } catch (consentError) {
+        console.error('WhatsApp: Error updating marketing consent:', consentError);
+        // Opt-outs must not be lost - let the queue retry
+        if (!isFinalAttempt) throw consentError;
+        await sendWhatsAppMessage(from, "❌ Sorry, I couldn't update your subscription right now. Please try again.");
+        return { success: false, error: 'Consent update failed' };
+      }
+    }
+    
+    // Staff are handling this conversation: pass the message on instead of replying
+    try {
+      if (progress.heldForAgent) {
+        return { success: true, message: 'Held for staff' };
+      }
+      if (await isBotPaused(conversationId)) {
+        await getOrCreateWhatsAppUser(from, conversationId);
+        await holdMessageForAgent(conversationId, 'whatsapp', userMessage, { origin });
+        await completeStep('heldForAgent', true);
+        return { success: true, message: 'Held for staff' };
+      }
+    } catch (takeoverError) {
+      console.error('WhatsApp: Error handling takeover:', takeoverError);
+      if (!isFinalAttempt) throw takeoverError;
+      return { success: false, error: 'Takeover handling failed' };
+    }
+
+    // Early command handling: allow user to reset chat via simple commands
+    try {
+      const normalized = (userMessage || '').trim().toLowerCase();
+      const resetIntents = [
+        /^\/?reset(\s+(chat|conversation))?$/, // reset, /reset, reset chat
+        /^(clear|restart)(\s+(chat|conversation))?$/, // clear chat, restart conversation
+        /^(start\s+over|start\s+again|new\s+chat|new\s+conversation)$/
+      ];
+      const shouldReset = resetIntents.some((rx) => rx.test(normalized)) ||
+        normalized.includes('reset chat') || normalized.includes('clear chat');
+      if (shouldReset) {
+        try {
+          await deleteConversationHistory(conversationId);
+          await updateConversationMetadata(conversationId, {
+            last_cart_id: null,
+            last_checkout_url: null,
+            last_cart_updated_at: null
+          });
+          await sendWhatsAppMessage(from, 'I\'ve cleared our chat and reset your cart. How can I help now?');
+          return { success: true, message: 'Conversation reset' };
+        } catch (resetErr) {
+          console.error('WhatsApp: Error resetting conversation:', resetErr);
+          await sendWhatsAppMessage(from, '❌ Sorry, I couldn\'t reset our chat right now. Please try again.');
+          return { success: false, error: 'Reset failed' };
+        }
+      }
+    } catch (cmdErr) {
+      console.warn('WhatsApp: Command handling error:', cmdErr);
+      // continue to normal flow
+    }
+
+    return runWhatsAppChatTurn({ from, conversationId, userMessage, origin, isFinalAttempt, progress, completeStep });
+  }
+  
+  // Handle stickers, contacts, locations, and other unsupported message types
+  if (!message.text && !message.document && !message.image && !message.video && !message.audio) {
+    const messageType = message.type || 'unknown';
+    
+    console.warn(`WhatsApp: Unsupported message type '${messageType}' received from ${from}`);
+    
+    await sendWhatsAppMessage(
+      from,
+      "I can help you via text messages or spreadsheet files.\n\n" +
+      "📄 To send a spreadsheet: Attach an Excel (.xlsx, .xls) or CSV file\n" +
+      (AppConfig.imageMessages.enabled ? "📷 To find a product: Send me a photo of it\n" : "") +
+      (isTranscriptionAvailable() ? "🎤 To talk: Send me a voice note\n" : "") +
+      "💬 To chat: Send me a text message"
+    );
+    
+    return { success: true, message: 'Unsupported message type' };
+  }
+  
+  return { success: true };
+}
+
+export default {
+  handleInboundWhatsAppMessage
+};
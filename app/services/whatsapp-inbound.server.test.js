@@ -0,0 +1,325 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const runTurn = vi.hoisted(() => vi.fn(async () => {}));
+// Set by the tests that run turns through the real conversation engine with a scripted Claude
+const engine = vi.hoisted(() => ({ real: false, streamConversation: null, callTool: null }));
+
+// Prisma can't load without a generated client, so the inbound handler's collaborators are replaced
+vi.mock("../db.server", () => ({
+  default: {},
+  saveMessage: vi.fn(async () => ({ id: 1 })),
+  createOrGetUser: vi.fn(async () => ({ id: "user-1" })),
+  linkConversationToUser: vi.fn(async () => {}),
+  getUserByPhoneNumber: vi.fn(async () => ({ id: "user-1" })),
+  deleteConversationHistory: vi.fn(async () => {}),
+  updateConversationMetadata: vi.fn(async () => {}),
+  setMessageWhatsAppId: vi.fn(async () => {}),
+  getConversationHistory: vi.fn(async () => []),
+  getConversation: vi.fn(async () => null)
+}));
+vi.mock("../mcp-client", () => ({
+  default: class {
+    tools = [];
+    async connectToStorefrontServer() {}
+    async connectToCustomerServer() {}
+    callTool(name, args) {
+      return engine.callTool(name, args);
+    }
+  }
+}));
+vi.mock("../utils/mcp.server", () => ({
+  resolveCustomerMcpEndpoint: vi.fn(async () => "https://shop.example.com/account/customer/api/mcp"),
+  normalizeStorefrontDomain: vi.fn(() => "https://shop.example.com"),
+  getPreferredStoreDomain: vi.fn(() => "https://shop.example.com"),
+  getConfiguredShopId: vi.fn(() => "1")
+}));
+vi.mock("../utils/whatsapp.server", () => ({
+  sendWhatsAppMessage: vi.fn(async () => ({})),
+  getWhatsAppMessageId: vi.fn(() => null),
+  downloadWhatsAppMedia: vi.fn(),
+  storeUploadedFile: vi.fn(async (filename) => `https://app.example.com/uploads/${filename}`),
+  getUploadUrl: vi.fn((filename) => `https://app.example.com/uploads/${filename}`),
+  getImageFromStore: vi.fn(async () => null)
+}));
+vi.mock("./conversation.server", async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    createConversationEngine: (services) => (engine.real ? actual.createConversationEngine(services) : { runTurn })
+  };
+});
+vi.mock("./claude.server", () => ({
+  createClaudeService: () => ({
+    streamConversation: (...args) => engine.streamConversation(...args)
+  })
+}));
+vi.mock("./custom-tools.server", () => ({
+  getCustomTool: () => null,
+  runCustomTool: vi.fn()
+}));
+vi.mock("./takeover.server", () => ({
+  isBotPaused: vi.fn(async () => false),
+  holdMessageForAgent: vi.fn(async () => {})
+}));
+vi.mock("./memory.server", () => ({
+  pruneRememberedMessages: vi.fn(async () => 0),
+  getMemoryPrompt: vi.fn(async () => null),
+  updateConversationMemory: vi.fn(async () => {})
+}));
+
+const { default: AppConfig } = await import("./config.server");
+const { saveMessage } = await import("../db.server");
+const { sendWhatsAppMessage, downloadWhatsAppMedia, storeUploadedFile } = await import("../utils/whatsapp.server");
+const { isBotPaused, holdMessageForAgent } = await import("./takeover.server");
+const { pruneRememberedMessages } = await import("./memory.server");
+const { handleInboundWhatsAppMessage } = await import("./whatsapp-inbound.server");
+
+const originalConfig = {
+  imageMessages: { ...AppConfig.imageMessages },
+  transcription: { ...AppConfig.transcription }
+};
+
+/**
+ * Stand-in for the queue job: keeps the finished steps between attempts like the progress column
+ * @returns {{progress: Object, completeStep: Function}} Job options for handleInboundWhatsAppMessage
+ */
+function createJob() {
+  const progress = {};
+  return {
+    progress,
+    completeStep: vi.fn(async (step, value) => {
+      progress[step] = value;
+    })
+  };
+}
+
+/**
+ * Run a job the way the queue does: retry until it succeeds or the attempts run out
+ * @param {Object} message - Message object from the webhook payload
+ * @param {Object} job - Job from createJob
+ * @param {number} maxAttempts - Attempts before the final one
+ * @returns {Promise<Object>} Result of the attempt that finished
+ */
+async function runWithRetries(message, job, maxAttempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await handleInboundWhatsAppMessage(message, {
+        isFinalAttempt: attempt >= maxAttempts,
+        progress: job.progress,
+        completeStep: job.completeStep
+      });
+    } catch (error) {
+      if (attempt >= maxAttempts) throw error;
+    }
+  }
+}
+
+const from = "447700900123";
+const phoneNumber = "+447700900123";
+const imageMessage = { id: "wamid.1", from, type: "image", image: { id: "media-1", caption: "Do you stock this?" } };
+const voiceMessage = { id: "wamid.2", from, type: "audio", audio: { id: "media-2" } };
+const textMessage = { id: "wamid.3", from, type: "text", text: { body: "Do you have mango ice?" } };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  AppConfig.imageMessages.enabled = true;
+  AppConfig.transcription.enabled = true;
+  AppConfig.transcription.backend = "stub";
+  isBotPaused.mockResolvedValue(false);
+  engine.real = false;
+  downloadWhatsAppMedia.mockImplementation(async (mediaId) => (
+    mediaId === "media-1"
+      ? { buffer: Buffer.from("jpeg data"), mimeType: "image/jpeg", fileSize: 9 }
+      : { buffer: Buffer.from("ogg data"), mimeType: "audio/ogg; codecs=opus", fileSize: 8 }
+  ));
+});
+
+afterEach(() => {
+  Object.assign(AppConfig.imageMessages, originalConfig.imageMessages);
+  Object.assign(AppConfig.transcription, originalConfig.transcription);
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("voice notes", () => {
+  it("answers a voice note with the transcript from the stub backend", async () => {
+    vi.stubEnv("TRANSCRIPTION_STUB_TEXT", "Have you got mango ice in 20mg?");
+
+    const result = await handleInboundWhatsAppMessage(voiceMessage);
+
+    expect(result).toEqual({ success: true });
+    expect(downloadWhatsAppMedia).toHaveBeenCalledWith("media-2");
+    expect(runTurn).toHaveBeenCalledTimes(1);
+    expect(runTurn.mock.calls[0][0]).toMatchObject({
+      conversationId: `whatsapp_${from}`,
+      userMessage: "Have you got mango ice in 20mg?",
+      origin: "voice"
+    });
+  });
+
+  it("asks for a shorter voice note when the audio is over maxBytes", async () => {
+    AppConfig.transcription.maxBytes = 4;
+
+    const result = await handleInboundWhatsAppMessage(voiceMessage);
+
+    expect(result).toMatchObject({ success: true, message: "Voice note too large" });
+    expect(sendWhatsAppMessage).toHaveBeenCalledWith(phoneNumber, expect.stringContaining("too long"));
+    expect(runTurn).not.toHaveBeenCalled();
+  });
+
+  it("turns voice notes away without downloading them when transcription is off", async () => {
+    AppConfig.transcription.enabled = false;
+
+    const result = await handleInboundWhatsAppMessage(voiceMessage);
+
+    expect(result).toMatchObject({ success: true, message: "Unsupported media type rejected" });
+    expect(sendWhatsAppMessage).toHaveBeenCalledWith(phoneNumber, expect.stringContaining("I can't open audio messages"));
+    expect(downloadWhatsAppMedia).not.toHaveBeenCalled();
+    expect(runTurn).not.toHaveBeenCalled();
+  });
+});
+
+describe("chat turn retries", () => {
+  it("lets the queue retry a failed turn without apologising first", async () => {
+    runTurn.mockRejectedValueOnce(new Error("overloaded"));
+
+    await expect(handleInboundWhatsAppMessage(textMessage, { isFinalAttempt: false })).rejects.toThrow("overloaded");
+    expect(sendWhatsAppMessage).not.toHaveBeenCalled();
+  });
+
+  it("apologises once when the final attempt fails", async () => {
+    runTurn.mockRejectedValueOnce(new Error("overloaded"));
+
+    const result = await handleInboundWhatsAppMessage(textMessage, { isFinalAttempt: true });
+
+    expect(result).toMatchObject({ success: false, error: "overloaded" });
+    expect(sendWhatsAppMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry the turn when only pruning fails", async () => {
+    pruneRememberedMessages.mockRejectedValueOnce(new Error("database unavailable"));
+
+    const result = await handleInboundWhatsAppMessage(textMessage, { isFinalAttempt: false });
+
+    expect(result).toEqual({ success: true });
+    expect(runTurn).toHaveBeenCalledTimes(1);
+    expect(sendWhatsAppMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe("photo retries", () => {
+  it("downloads and stores the photo once when the turn is retried", async () => {
+    runTurn.mockRejectedValueOnce(new Error("overloaded"));
+    const job = createJob();
+
+    const result = await runWithRetries(imageMessage, job);
+
+    expect(result).toEqual({ success: true });
+    expect(downloadWhatsAppMedia).toHaveBeenCalledTimes(1);
+    expect(storeUploadedFile).toHaveBeenCalledTimes(1);
+    expect(runTurn).toHaveBeenCalledTimes(2);
+    const [first, second] = runTurn.mock.calls.map(([turn]) => turn.userContent);
+    expect(second).toEqual(first);
+  });
+
+  it("forwards the photo to staff once when the job is retried", async () => {
+    isBotPaused.mockResolvedValue(true);
+    const job = createJob();
+
+    await runWithRetries(imageMessage, job);
+    await runWithRetries(imageMessage, job);
+
+    expect(holdMessageForAgent).toHaveBeenCalledTimes(1);
+    expect(downloadWhatsAppMedia).toHaveBeenCalledTimes(1);
+    expect(runTurn).not.toHaveBeenCalled();
+  });
+});
+
+describe("voice note retries", () => {
+  it("transcribes once when the takeover check fails and is retried", async () => {
+    isBotPaused.mockRejectedValueOnce(new Error("database unavailable"));
+    const job = createJob();
+
+    await runWithRetries(voiceMessage, job);
+
+    expect(downloadWhatsAppMedia).toHaveBeenCalledTimes(1);
+    expect(job.completeStep).toHaveBeenCalledWith("transcript", AppConfig.transcription.stubText);
+    expect(runTurn).toHaveBeenCalledTimes(1);
+  });
+
+  it("forwards the transcript to staff once when the job is retried", async () => {
+    isBotPaused.mockResolvedValue(true);
+    const job = createJob();
+
+    await runWithRetries(voiceMessage, job);
+    await runWithRetries(voiceMessage, job);
+
+    expect(holdMessageForAgent).toHaveBeenCalledTimes(1);
+    expect(downloadWhatsAppMedia).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("retries through the conversation engine", () => {
+  const addToCart = { type: "tool_use", id: "toolu_1", name: "update_cart", input: { add_items: [{ product_variant_id: "gid://shopify/ProductVariant/2", quantity: 10 }] } };
+
+  /**
+   * Count how often the customer message was saved (tool results are saved with the user role too)
+   * @returns {number} saveMessage calls for the message text
+   */
+  const userMessagesSaved = () => saveMessage.mock.calls.filter(([, role, content]) => (
+    role === "user" && content === textMessage.text.body
+  )).length;
+
+  beforeEach(() => {
+    engine.real = true;
+    engine.callTool = vi.fn(async (name) => (
+      name === "update_cart"
+        ? { content: [{ type: "text", text: JSON.stringify({ cart: { id: "gid://shopify/Cart/1", lines: [] } }) }] }
+        : { error: { message: "No cart" } }
+    ));
+  });
+
+  it("saves the customer's message once when a turn fails before any tool runs", async () => {
+    let calls = 0;
+    engine.streamConversation = async (request, { onMessage }) => {
+      calls++;
+      if (calls === 1) throw new Error("overloaded");
+      onMessage({ role: "assistant", content: [{ type: "text", text: "Yes, we stock mango ice." }] });
+      return { stop_reason: "end_turn" };
+    };
+    const job = createJob();
+
+    const result = await runWithRetries(textMessage, job);
+
+    expect(result).toEqual({ success: true });
+    expect(calls).toBe(2);
+    expect(userMessagesSaved()).toBe(1);
+    expect(sendWhatsAppMessage).toHaveBeenCalledTimes(1);
+    expect(sendWhatsAppMessage).toHaveBeenCalledWith(phoneNumber, "Yes, we stock mango ice.");
+  });
+
+  it("does not run the turn again once a tool has run", async () => {
+    let calls = 0;
+    engine.streamConversation = async (request, { onMessage, onToolUse }) => {
+      calls++;
+      if (calls > 1) throw new Error("overloaded");
+      const message = { role: "assistant", content: [{ type: "text", text: "Adding that now." }, addToCart] };
+      onMessage(message);
+      await onToolUse(addToCart);
+      return { stop_reason: "tool_use" };
+    };
+    const job = createJob();
+
+    const result = await runWithRetries(textMessage, job);
+
+    expect(result).toMatchObject({ success: false, error: "overloaded" });
+    expect(engine.callTool.mock.calls.filter(([name]) => name === "update_cart")).toHaveLength(1);
+    expect(userMessagesSaved()).toBe(1);
+    expect(job.progress).toMatchObject({ userMessageSaved: true, toolsStarted: true });
+    // The customer hears about the failure instead of waiting for retries
+    expect(sendWhatsAppMessage).toHaveBeenCalledTimes(1);
+  });
+});
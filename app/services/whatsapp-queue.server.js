@@ -0,0 +1,188 @@
+/**
+ * WhatsApp Queue Service
+ * Durable inbound queue so the webhook can acknowledge Meta immediately.
+ * Jobs are de-duplicated by message id and processed in order per phone number.
+ */
+import {
+  enqueueWhatsAppInboundJob,
+  claimNextWhatsAppInboundJob,
+  completeWhatsAppInboundJob,
+  failWhatsAppInboundJob,
+  releaseStaleWhatsAppInboundJobs,
+  getNextWhatsAppInboundRetryAt,
+  saveWhatsAppInboundJobProgress
+} from "../db.server";
+import { handleInboundWhatsAppMessage } from "./whatsapp-inbound.server";
+import { ensureTakeoverReleaseTimer } from "./takeover.server";
+import AppConfig from "./config.server";
+
+let activeDrain = null;
+let drainRequested = false;
+let retryTimer = null;
+
+/**
+ * Extract all inbound messages from a webhook payload
+ * @param {Object} body - Parsed webhook body
+ * @returns {Array<Object>} Message objects
+ */
+export function extractInboundMessages(body) {
+  const messages = [];
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      for (const message of change?.value?.messages || []) {
+        if (message?.id && message?.from) {
+          messages.push(message);
+        }
+      }
+    }
+  }
+  return messages;
+}
+
+/**
+ * Persist inbound messages to the queue, skipping ids that were already received
+ * @param {Array<Object>} messages - Message objects from the webhook
+ * @returns {Promise<{queued: number, duplicates: number}>} Enqueue counts
+ */
+export async function enqueueWhatsAppMessages(messages) {
+  let queued = 0;
+  let duplicates = 0;
+
+  for (const message of messages) {
+    const seconds = parseInt(message.timestamp, 10);
+    const job = await enqueueWhatsAppInboundJob({
+      messageId: message.id,
+      phoneNumber: message.from,
+      payload: message,
+      messageTimestamp: Number.isNaN(seconds) ? new Date() : new Date(seconds * 1000)
+    });
+
+    if (job) {
+      queued++;
+    } else {
+      duplicates++;
+      console.log(`WhatsApp: Ignoring duplicate delivery of message ${message.id}`);
+    }
+  }
+
+  return { queued, duplicates };
+}
+
+/**
+ * Process queued jobs until none are ready. Concurrent calls share the running drain,
+ * which loops again if new work was signalled while it was running.
+ * @returns {Promise<{processed: number}>} Number of jobs handled
+ */
+export function processWhatsAppQueue() {
+  drainRequested = true;
+  // Quiet takeovers are handed back on a timer; make sure it runs after a restart
+  ensureTakeoverReleaseTimer();
+
+  if (!activeDrain) {
+    activeDrain = (async () => {
+      let processed = 0;
+      try {
+        await releaseStaleWhatsAppInboundJobs(AppConfig.whatsappQueue.staleLockMinutes);
+        while (drainRequested) {
+          drainRequested = false;
+          processed += await drainReadyJobs();
+        }
+        await scheduleNextRetry();
+      } finally {
+        activeDrain = null;
+      }
+      return { processed };
+    })();
+  }
+
+  return activeDrain;
+}
+
+/**
+ * Claim and run jobs with AppConfig.whatsappQueue.concurrency workers until the queue has
+ * nothing ready. Claiming skips phone numbers with a job in progress, so each customer's
+ * messages are still handled in order.
+ * @returns {Promise<number>} Number of jobs handled
+ */
+async function drainReadyJobs() {
+  let processed = 0;
+
+  const work = async () => {
+    let job = await claimNextWhatsAppInboundJob();
+    while (job) {
+      await runJob(job);
+      processed++;
+      job = await claimNextWhatsAppInboundJob();
+    }
+  };
+
+  const workers = Math.max(1, AppConfig.whatsappQueue.concurrency || 1);
+  await Promise.all(Array.from({ length: workers }, work));
+  return processed;
+}
+
+/**
+ * Run a single claimed job and record the outcome
+ * @param {Object} job - Claimed WhatsAppInboundJob row
+ */
+async function runJob(job) {
+  const { maxAttempts, retryBaseDelaySeconds } = AppConfig.whatsappQueue;
+  const isFinalAttempt = job.attempts >= maxAttempts;
+
+  // Steps finished on earlier attempts (stored photo, transcript, saved message, tools run) are not repeated
+  const progress = { ...(job.progress || {}) };
+  const completeStep = async (step, value) => {
+    progress[step] = value;
+    try {
+      await saveWhatsAppInboundJobProgress(job.id, progress);
+    } catch {
+      // A retry repeats the step
+    }
+  };
+
+  try {
+    await handleInboundWhatsAppMessage(job.payload, { isFinalAttempt, progress, completeStep });
+    await completeWhatsAppInboundJob(job.id);
+  } catch (error) {
+    const retryAt = isFinalAttempt
+      ? null
+      : new Date(Date.now() + retryBaseDelaySeconds * 1000 * Math.pow(2, job.attempts - 1));
+    console.error(
+      `WhatsApp: Job ${job.id} (message ${job.messageId}) failed on attempt ${job.attempts}/${maxAttempts}` +
+      (retryAt ? `, retrying at ${retryAt.toISOString()}` : ', giving up'),
+      error
+    );
+    try {
+      await failWhatsAppInboundJob(job.id, error?.message || String(error), retryAt);
+    } catch {
+      // Left in 'processing'; released once the lock goes stale
+    }
+  }
+}
+
+/**
+ * Wake the queue when the next delayed retry becomes due
+ */
+async function scheduleNextRetry() {
+  const nextAt = await getNextWhatsAppInboundRetryAt();
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+  if (!nextAt) return;
+
+  const delayMs = Math.max(new Date(nextAt).getTime() - Date.now(), 1000);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    processWhatsAppQueue().catch((error) => {
+      console.error('WhatsApp: Scheduled queue run failed:', error);
+    });
+  }, delayMs);
+  retryTimer.unref?.();
+}
+
+export default {
+  extractInboundMessages,
+  enqueueWhatsAppMessages,
+  processWhatsAppQueue
+};
@@ -0,0 +1,83 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const queue = vi.hoisted(() => ({ jobs: [] }));
+
+vi.mock("../db.server", () => ({
+  default: {},
+  enqueueWhatsAppInboundJob: vi.fn(),
+  claimNextWhatsAppInboundJob: vi.fn(async () => queue.jobs.shift() || null),
+  completeWhatsAppInboundJob: vi.fn(async () => {}),
+  failWhatsAppInboundJob: vi.fn(async () => {}),
+  releaseStaleWhatsAppInboundJobs: vi.fn(async () => 0),
+  getNextWhatsAppInboundRetryAt: vi.fn(async () => null),
+  saveWhatsAppInboundJobProgress: vi.fn(async () => {})
+}));
+vi.mock("./whatsapp-inbound.server", () => ({
+  handleInboundWhatsAppMessage: vi.fn()
+}));
+vi.mock("./takeover.server", () => ({
+  ensureTakeoverReleaseTimer: vi.fn()
+}));
+
+const { default: AppConfig } = await import("./config.server");
+const { completeWhatsAppInboundJob, failWhatsAppInboundJob } = await import("../db.server");
+const { handleInboundWhatsAppMessage } = await import("./whatsapp-inbound.server");
+const { processWhatsAppQueue } = await import("./whatsapp-queue.server");
+
+const originalQueueConfig = { ...AppConfig.whatsappQueue };
+
+/**
+ * Build a claimed job row
+ * @param {number} n - Job number
+ * @returns {Object} Job as returned by claimNextWhatsAppInboundJob
+ */
+function makeJob(n) {
+  return { id: `job-${n}`, messageId: `wamid.${n}`, attempts: 1, payload: { id: `wamid.${n}`, from: `4477009001${n}` } };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  queue.jobs = [];
+});
+
+afterEach(() => {
+  Object.assign(AppConfig.whatsappQueue, originalQueueConfig);
+  vi.restoreAllMocks();
+});
+
+describe("processWhatsAppQueue", () => {
+  it("runs up to the configured number of jobs at once", async () => {
+    AppConfig.whatsappQueue.concurrency = 3;
+    queue.jobs = [1, 2, 3, 4, 5, 6, 7].map(makeJob);
+    let running = 0;
+    let mostRunning = 0;
+    handleInboundWhatsAppMessage.mockImplementation(async () => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      running--;
+      return { success: true };
+    });
+
+    const result = await processWhatsAppQueue();
+
+    expect(result).toEqual({ processed: 7 });
+    expect(mostRunning).toBe(3);
+    expect(completeWhatsAppInboundJob).toHaveBeenCalledTimes(7);
+  });
+
+  it("keeps the other workers going when a job fails", async () => {
+    queue.jobs = [1, 2, 3].map(makeJob);
+    handleInboundWhatsAppMessage.mockImplementation(async (message) => {
+      if (message.id === "wamid.2") throw new Error("overloaded");
+      return { success: true };
+    });
+
+    const result = await processWhatsAppQueue();
+
+    expect(result).toEqual({ processed: 3 });
+    expect(completeWhatsAppInboundJob).toHaveBeenCalledTimes(2);
+    expect(failWhatsAppInboundJob).toHaveBeenCalledWith("job-2", "overloaded", expect.any(Date));
+  });
+});
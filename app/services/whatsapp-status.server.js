@@ -0,0 +1,59 @@
+/**
+ * WhatsApp Status Service
+ * Records delivery/read receipts from the webhook's `statuses` payloads
+ */
+import { applyWhatsAppStatus } from "../db.server";
+
+const TRACKED_STATUSES = new Set(['sent', 'delivered', 'read', 'failed']);
+
+/**
+ * Extract status callbacks from a webhook payload
+ * @param {Object} body - Parsed webhook body
+ * @returns {Array<Object>} Status updates ({ whatsappMessageId, status, timestamp, error })
+ */
+export function extractStatusUpdates(body) {
+  const updates = [];
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      for (const status of change?.value?.statuses || []) {
+        if (!status?.id || !TRACKED_STATUSES.has(status.status)) {
+          continue;
+        }
+        const seconds = parseInt(status.timestamp, 10);
+        const error = Array.isArray(status.errors) && status.errors[0]
+          ? `${status.errors[0].code || ''} ${status.errors[0].title || status.errors[0].message || ''}`.trim()
+          : null;
+        updates.push({
+          whatsappMessageId: status.id,
+          status: status.status,
+          timestamp: Number.isNaN(seconds) ? new Date() : new Date(seconds * 1000),
+          error
+        });
+      }
+    }
+  }
+  return updates;
+}
+
+/**
+ * Persist status updates against stored messages and broadcast recipients
+ * @param {Array<Object>} updates - Updates from extractStatusUpdates
+ * @returns {Promise<{messages: number, recipients: number}>} Rows updated
+ */
+export async function recordWhatsAppStatuses(updates) {
+  const totals = { messages: 0, recipients: 0 };
+  for (const update of updates) {
+    const result = await applyWhatsAppStatus(update);
+    totals.messages += result.messages;
+    totals.recipients += result.recipients;
+    if (update.status === 'failed') {
+      console.warn(`WhatsApp: Message ${update.whatsappMessageId} failed: ${update.error || 'unknown error'}`);
+    }
+  }
+  return totals;
+}
+
+export default {
+  extractStatusUpdates,
+  recordWhatsAppStatuses
+};
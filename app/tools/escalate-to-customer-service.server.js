@@ -0,0 +1,61 @@
+/**
+ * escalate_to_customer_service Tool
+ * Hands the conversation over to the customer service team
+ */
+import { escalateConversation } from "../services/escalation.server";
+
+/**
+ * Create a support ticket unless the conversation already has one open
+ * @param {Object} toolArgs - Arguments passed to the tool
+ * @param {Object} context - Tool call context
+ * @param {string} context.conversationId - The conversation ID
+ * @param {string} context.channel - The channel name
+ * @returns {Promise<Object>} Tool outcome
+ */
+async function handler(toolArgs, { conversationId, channel } = {}) {
+  try {
+    const outcome = await escalateConversation({ conversationId, channel, toolArgs });
+
+    if (outcome.status === 'created') {
+      return { content: outcome.toolResult, notice: outcome.notice, stop: true };
+    }
+    // Let Claude continue replying to the user's actual request
+    return { content: outcome.toolResult };
+  } catch (handoffError) {
+    console.error('Failed to process handoff:', handoffError);
+    return {
+      content: `Handoff failed: ${handoffError.message}`,
+      notice: "I apologize, but I couldn't process your request to speak with our team. Please contact support directly or try again later.",
+      stop: true
+    };
+  }
+}
+
+export default {
+  name: "escalate_to_customer_service",
+  description: "Escalate the conversation to a human customer service representative. Use this when the customer explicitly requests to speak with a person, needs help beyond the bot's capabilities, or is frustrated. The customer must provide their name, email, and phone number before this tool can be used. IMPORTANT: A conversation can only have one open support ticket. If a ticket is already open, inform the customer that their request is already being processed and the team will be in touch soon. Once the team resolves the ticket, a new one can be created if needed.",
+  input_schema: {
+    type: "object",
+    properties: {
+      customer_name: {
+        type: "string",
+        description: "The customer's full name"
+      },
+      customer_email: {
+        type: "string",
+        description: "The customer's email address"
+      },
+      customer_phone: {
+        type: "string",
+        description: "The customer's phone number"
+      },
+      reason: {
+        type: "string",
+        description: "Brief reason for the handoff (optional)"
+      }
+    },
+    required: ["customer_name", "customer_email", "customer_phone"]
+  },
+  channels: ["web", "whatsapp"],
+  handler
+};
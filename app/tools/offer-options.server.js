@@ -0,0 +1,81 @@
+/**
+ * offer_options Tool
+ * Attaches tappable choices to the reply on WhatsApp: reply buttons for up to
+ * three options, a list picker for more. Taps come back as customer messages
+ * naming the action and the product and variant IDs.
+ */
+import { isInteractiveEnabled, isValidOption } from "../services/interactive.server";
+
+/**
+ * Queue the options on the channel adapter so they are sent with the reply
+ * @param {Object} toolArgs - Arguments passed to the tool
+ * @param {Object} context - Tool call context
+ * @param {Object} [context.adapter] - Channel adapter; must implement offerOptions
+ * @returns {Promise<Object>} Tool outcome
+ */
+async function handler(toolArgs, { adapter } = {}) {
+  if (!isInteractiveEnabled() || !adapter?.offerOptions) {
+    return { content: 'Tappable options are not available here. List the choices in your reply instead.' };
+  }
+
+  const options = Array.isArray(toolArgs?.options) ? toolArgs.options : [];
+  const valid = options.filter(isValidOption);
+  if (valid.length === 0) {
+    return {
+      content: 'No options were sent: each option needs a label, add_to_cart and choose_variant need ' +
+        'product_id and variant_id, and see_more needs product_id.'
+    };
+  }
+
+  const layout = adapter.offerOptions(valid.slice(0, 10));
+  const skipped = options.length - valid.length + Math.max(valid.length - 10, 0);
+  return {
+    content: `${Math.min(valid.length, 10)} options will be shown as ${layout === 'button' ? 'reply buttons' : 'a list'} under your reply.` +
+      (skipped > 0 ? ` ${skipped} invalid or extra options were left out.` : '') +
+      ' Write your reply as usual; there is no need to list the options again.'
+  };
+}
+
+export default {
+  name: "offer_options",
+  description: "Show the customer tappable choices under your reply on WhatsApp: up to 3 appear as buttons, up to 10 as a list. Use it to offer 'Add to cart' and 'See more' for a product you recommend, or to let the customer pick a variant (flavour, strength, size). Use the exact product and variant IDs from the catalog tools. When the customer taps an option you receive a message starting with [Tapped \"<label>\"] that includes the IDs; 'Add to cart' and variant taps are the customer's confirmation, so validate the quantity (use the smallest allowed quantity if they gave none) and call update_cart. Call this at most once per reply.",
+  input_schema: {
+    type: "object",
+    properties: {
+      options: {
+        type: "array",
+        description: "The choices, in the order to show them (1 to 10)",
+        items: {
+          type: "object",
+          properties: {
+            label: {
+              type: "string",
+              description: "Text on the button or list row; keep it under 20 characters (e.g. 'Add to cart', 'Mint 20mg')"
+            },
+            action: {
+              type: "string",
+              enum: ["add_to_cart", "see_more", "choose_variant", "reply"],
+              description: "'add_to_cart' adds the variant, 'see_more' asks for product details, 'choose_variant' picks that variant, 'reply' just sends the label back"
+            },
+            product_id: {
+              type: "string",
+              description: "Product GID; required for add_to_cart, choose_variant and see_more"
+            },
+            variant_id: {
+              type: "string",
+              description: "Variant GID; required for add_to_cart and choose_variant"
+            },
+            description: {
+              type: "string",
+              description: "Optional second line such as the price; shows the options as a list"
+            }
+          },
+          required: ["label", "action"]
+        }
+      }
+    },
+    required: ["options"]
+  },
+  channels: ["whatsapp"],
+  handler
+};
@@ -0,0 +1,98 @@
+/**
+ * send_order_template Tool
+ * Sends a spreadsheet order form to the customer as a document. The form is
+ * generated from the live catalog; the static template URLs are only used if
+ * generation fails.
+ */
+import AppConfig from "../services/config.server";
+import { generateOrderForm } from "../services/order-form.server";
+
+/**
+ * Send the requested order template through the channel adapter
+ * @param {Object} toolArgs - Arguments passed to the tool
+ * @param {Object} context - Tool call context
+ * @param {Object} [context.adapter] - Channel adapter; must implement sendDocumentFromUrl
+ * @param {string} context.channel - The channel name
+ * @returns {Promise<Object>} Tool outcome
+ */
+async function handler(toolArgs, { adapter, channel } = {}) {
+  const templateType = toolArgs?.template_type || 'general';
+  const collection = toolArgs?.collection?.trim() ||
+    (templateType === 'bestsellers' ? AppConfig.orderForms.bestsellersCollection : null);
+
+  let templateUrl;
+  let filename;
+  try {
+    ({ url: templateUrl, filename } = await generateOrderForm({ collection }));
+  } catch (generateError) {
+    console.error(`Failed to generate the ${collection || 'catalog'} order form:`, generateError);
+    if (toolArgs?.collection) {
+      return {
+        content: `Could not build an order form for collection "${toolArgs.collection}": ${generateError.message}. ` +
+          'Check the collection name, or send the bestsellers or general form instead.'
+      };
+    }
+    // Fall back to the static template for this type
+    templateUrl = templateType === 'bestsellers'
+      ? process.env.ORDER_TEMPLATE_BESTSELLERS_URL
+      : process.env.ORDER_TEMPLATE_GENERAL_URL;
+    filename = templateType === 'bestsellers'
+      ? 'bestsellers-order-form.xlsx'
+      : 'order-form.xlsx';
+  }
+
+  if (!templateUrl || !adapter?.sendDocumentFromUrl) {
+    console.error('Template URL not configured for type:', templateType);
+    return {
+      content: 'Order template is not available.',
+      notice: "I apologize, but the order template is not currently available. Please contact our team directly.",
+      stop: true
+    };
+  }
+
+  try {
+    const caption = toolArgs?.message ||
+      "📄 Here's your order form!\n\n" +
+      "1. Fill in your business details\n" +
+      "2. Enter quantities for products you want\n" +
+      "3. Send the completed form back to me";
+
+    await adapter.sendDocumentFromUrl(templateUrl, filename, caption);
+    return {
+      content: `Order template sent successfully to customer via ${channel === 'whatsapp' ? 'WhatsApp' : 'chat'}.`
+    };
+  } catch (templateError) {
+    console.error('Failed to send template:', templateError);
+    return {
+      content: `Failed to send order template: ${templateError.message}`,
+      notice: "I apologize, but I couldn't send the order template. Please try again later.",
+      stop: true
+    };
+  }
+}
+
+export default {
+  name: "send_order_template",
+  description: "Send a spreadsheet order template to the customer via WhatsApp. Use this when customers ask about bestsellers, want to place bulk orders, or need an order form. The template includes business details fields and a product list with current prices where they can enter quantities; when they send it back, a cart is built from it automatically.",
+  input_schema: {
+    type: "object",
+    properties: {
+      template_type: {
+        type: "string",
+        enum: ["bestsellers", "general"],
+        description: "Type of template to send: 'bestsellers' for bestseller products, 'general' for the full catalog"
+      },
+      collection: {
+        type: "string",
+        description: "Optional collection handle (e.g. 'disposables') when the customer wants an order form for one product range"
+      },
+      message: {
+        type: "string",
+        description: "Optional custom message to include with the template"
+      }
+    },
+    required: ["template_type"]
+  },
+  channels: ["whatsapp"],
+  handler
+};
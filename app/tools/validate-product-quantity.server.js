@@ -0,0 +1,146 @@
+/**
+ * validate_product_quantity Tool
+ * Looks up quantity increments configured for a product or variant
+ */
+import prisma from "../db.server";
+
+/**
+ * Resolve the quantity increment for a product, variant or product title
+ * @param {Object} toolArgs - Arguments passed to the tool
+ * @param {Object} context - Tool call context
+ * @param {Object} [context.mcpClient] - MCP client used to resolve IDs via storefront search
+ * @returns {Promise<Object>} Tool outcome with the quantity requirements as JSON
+ */
+async function handler(toolArgs, { mcpClient } = {}) {
+  const { product_id, product_title, variant_id } = toolArgs || {};
+
+  let quantity_increment = null;
+  let matchedKey = null;
+
+  // Check database for quantity increments by product_id, variant_id, or product_title
+  let incrementRecord = null;
+
+  if (product_id) {
+    incrementRecord = await prisma.productQuantityIncrement.findUnique({
+      where: { entityId: product_id }
+    });
+    if (incrementRecord) {
+      quantity_increment = incrementRecord.increment;
+      matchedKey = product_id;
+    }
+  }
+
+  if (!incrementRecord && variant_id) {
+    incrementRecord = await prisma.productQuantityIncrement.findUnique({
+      where: { entityId: variant_id }
+    });
+    if (incrementRecord) {
+      quantity_increment = incrementRecord.increment;
+      matchedKey = variant_id;
+    }
+  }
+
+  if (!incrementRecord && product_title) {
+    incrementRecord = await prisma.productQuantityIncrement.findFirst({
+      where: { productTitle: product_title }
+    });
+    if (incrementRecord) {
+      quantity_increment = incrementRecord.increment;
+      matchedKey = incrementRecord.entityId;
+    }
+  }
+
+  // If still not found, try resolving IDs via storefront search
+  if (quantity_increment == null) {
+    try {
+      // Try to resolve by any identifier we have; include variant_id as a last-resort query
+      const query = (product_title || product_id || variant_id);
+      if (mcpClient && query && typeof query === 'string') {
+        const searchResponse = await mcpClient.callStorefrontTool('search_shop_catalog', {
+          query,
+          context: 'Resolve product for quantity increment validation'
+        });
+
+        // Expected to be an object with content[0].text containing JSON with products
+        let products = [];
+        if (searchResponse?.content && Array.isArray(searchResponse.content) && searchResponse.content[0]) {
+          const text = searchResponse.content[0].text;
+          try {
+            const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+            if (parsed?.products && Array.isArray(parsed.products)) {
+              products = parsed.products;
+            }
+          } catch (e) {
+            console.error('Failed parsing search_shop_catalog response:', e);
+          }
+        }
+
+        if (products.length > 0) {
+          const best = products[0];
+          const resolvedProductId = best.product_id || best.id;
+          const resolvedVariantId = (best.variants && best.variants[0] && (best.variants[0].variant_id || best.variants[0].id)) || null;
+
+          // Check database for resolved IDs
+          if (resolvedVariantId) {
+            const resolvedIncrement = await prisma.productQuantityIncrement.findUnique({
+              where: { entityId: resolvedVariantId }
+            });
+            if (resolvedIncrement) {
+              quantity_increment = resolvedIncrement.increment;
+              matchedKey = resolvedVariantId;
+            }
+          }
+
+          if (!quantity_increment && resolvedProductId) {
+            const resolvedIncrement = await prisma.productQuantityIncrement.findUnique({
+              where: { entityId: resolvedProductId }
+            });
+            if (resolvedIncrement) {
+              quantity_increment = resolvedIncrement.increment;
+              matchedKey = resolvedProductId;
+            }
+          }
+        }
+      }
+    } catch (e) {
+      console.error('Error resolving product for quantity validation:', e);
+    }
+  }
+
+  const result = {
+    product_id: product_id,
+    variant_id,
+    product_title,
+    quantity_increment: quantity_increment,
+    message: quantity_increment
+      ? `Product requires quantity in increments of ${quantity_increment}. Use ${quantity_increment} or multiples (${quantity_increment * 2}, ${quantity_increment * 3}, etc.) when adding to cart.`
+      : `Product has no quantity requirements. Default quantity of 1 can be used.`
+  };
+
+  return { content: JSON.stringify(result) };
+}
+
+export default {
+  name: "validate_product_quantity",
+  description: "Check if a product has quantity requirements (minimum or increment). ALWAYS call this before adding products to cart. If a quantity_increment exists, you MUST use that value or a multiple of it as the quantity. Example: if increment is 5, use 5, 10, 15, etc. Provide the exact Shopify `product_id` or `variant_id` returned by your latest search/get_product_details call; if you don't have a canonical ID yet, run the lookup again instead of guessing.",
+  input_schema: {
+    type: "object",
+    properties: {
+      product_id: {
+        type: "string",
+        description: "The product ID to check (can be GID or product title)"
+      },
+      product_title: {
+        type: "string",
+        description: "Optional product title to check if ID not found"
+      },
+      variant_id: {
+        type: "string",
+        description: "Optional variant ID to check variant-level increment"
+      }
+    },
+    required: ["product_id"]
+  },
+  channels: ["web", "whatsapp"],
+  handler
+};
@@ -11,22 +11,26 @@ import { Resend } from 'resend';
  * @param {string} emailData.html - HTML body content
  * @param {string} [emailData.text] - Plain text body content (optional)
  * @param {Array} [emailData.attachments] - Array of attachment objects with { filename, content, type }
+ * @param {string} [emailData.replyTo] - Address replies should go to (optional)
  * @returns {Promise<Object>} Response from email service
  */
 
-export async function sendEmail({ to, subject, html, text, attachments }) {
+export async function sendEmail({ to, subject, html, text, attachments, replyTo }) {
   // Check if we have the Resend API key configured
   const resendApiKey = process.env.RESEND_API_KEY;
   const mailServiceApi = process.env.MAIL_SERVICE_API;
   
   if (mailServiceApi === 'resend' && resendApiKey) {
-    return await sendEmailViaResend({ to, subject, html, text, attachments });
+    return await sendEmailViaResend({ to, subject, html, text, attachments, replyTo });
   }
   
   // Fallback to console logging for development
   console.log('📧 Email would be sent:');
   console.log('To:', to);
   console.log('Subject:', subject);
+  if (replyTo) {
+    console.log('Reply-To:', replyTo);
+  }
   console.log('Body:', text || html);
   if (attachments && attachments.length > 0) {
     console.log('Attachments:', attachments.map(a => a.filename).join(', '));
@@ -44,9 +48,10 @@ export async function sendEmail({ to, subject, html, text, attachments }) {
  * Send email via Resend using the SDK
  * @param {Object} emailData - Email data
  * @param {Array} [emailData.attachments] - Array of attachment objects
+ * @param {string} [emailData.replyTo] - Reply-To address
  * @returns {Promise<Object>} Response from Resend API
  */
-async function sendEmailViaResend({ to, subject, html, text, attachments }) {
+async function sendEmailViaResend({ to, subject, html, text, attachments, replyTo }) {
   const resendApiKey = process.env.RESEND_API_KEY;
   const mailFrom = process.env.MAIL_FROM || 'noreply@vapelocal.co.uk';
   
@@ -65,6 +70,10 @@ async function sendEmailViaResend({ to, subject, html, text, attachments }) {
       text: text
     };
     
+    if (replyTo) {
+      emailPayload.replyTo = replyTo;
+    }
+    
     // Add attachments if provided
     if (attachments && attachments.length > 0) {
       emailPayload.attachments = attachments.map(att => ({
@@ -84,12 +93,21 @@ async function sendEmailViaResend({ to, subject, html, text, attachments }) {
   }
 }
 
+/**
+ * Escape text for use in an HTML email
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 /**
  * Extract plain text from message content (handles both JSON string and parsed content)
  * @param {string|Array} content - Message content
  * @returns {string} Plain text representation
  */
-function extractMessageText(content) {
+export function extractMessageText(content) {
   try {
     let parsed = content;
     
@@ -128,7 +146,8 @@ export function generateHandoffEmailHTML(handoffData) {
     conversationId,
     conversationSummary,
     lastMessages,
-    ticketReference
+    ticketReference,
+    replyByEmail
   } = handoffData;
   
   return `
@@ -191,7 +210,7 @@ export function generateHandoffEmailHTML(handoffData) {
             ${conversationSummary ? `
               <div class="summary">
                 <h3>Conversation Summary:</h3>
-                <p>${conversationSummary}</p>
+                <p>${escapeHtml(conversationSummary).replace(/\n/g, '<br>')}</p>
               </div>
             ` : ''}
             
@@ -209,6 +228,10 @@ export function generateHandoffEmailHTML(handoffData) {
                 }).join('')}
               </div>
             ` : ''}
+
+            ${replyByEmail ? `
+              <p><b>Reply to this email to answer the customer in their chat.</b> Only write above the quoted text.</p>
+            ` : ''}
           </div>
         </div>
       </body>
@@ -230,7 +253,8 @@ export function generateHandoffEmailText(handoffData) {
     conversationId,
     conversationSummary,
     lastMessages,
-    ticketReference
+    ticketReference,
+    replyByEmail
   } = handoffData;
   
   return `
@@ -258,6 +282,9 @@ ${text}
 
 `;
 }).join('')}
+` : ''}
+${replyByEmail ? `
+Reply to this email to answer the customer in their chat. Only write above the quoted text.
 ` : ''}
   `.trim();
 }
@@ -342,6 +369,82 @@ Vape Local Team
   `.trim();
 }
 
+/**
+ * Generate HTML email forwarding a customer message received while staff have taken over
+ * @param {Object} data - Message data
+ * @param {string} data.conversationId - The conversation ID
+ * @param {string} data.channel - "web" or "whatsapp"
+ * @param {string} [data.customerName] - Customer name
+ * @param {string} [data.customerContact] - Phone number or email
+ * @param {string} [data.ticketReference] - Open ticket reference
+ * @param {string} data.message - The customer's message
+ * @param {boolean} [data.replyByEmail] - Replies to this email reach the customer
+ * @returns {string} HTML email content
+ */
+export function generateTakeoverMessageEmailHTML({
+  conversationId,
+  channel,
+  customerName,
+  customerContact,
+  ticketReference,
+  message,
+  replyByEmail
+}) {
+  const safeMessage = escapeHtml(message);
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .message { margin: 16px 0; padding: 12px; border-left: 4px solid #1766ff; background-color: #f0f5ff; white-space: pre-wrap; }
+          .meta { color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <p><b>${customerName || customerContact || 'A customer'}</b> sent a new message on ${channel === 'whatsapp' ? 'WhatsApp' : 'Web Chat'}.</p>
+          <div class="message">${safeMessage}</div>
+          <p class="meta">
+            ${ticketReference ? `Ticket: #${ticketReference}<br>` : ''}
+            ${customerContact ? `Contact: ${customerContact}<br>` : ''}
+            Conversation ID: ${conversationId}
+          </p>
+          <p class="meta">The assistant is paused for this conversation. Reply ${replyByEmail ? 'to this email or ' : ''}from the Inbox in the app admin.</p>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Generate text email forwarding a customer message received while staff have taken over
+ * @param {Object} data - Message data (see generateTakeoverMessageEmailHTML)
+ * @returns {string} Plain text email content
+ */
+export function generateTakeoverMessageEmailText({
+  conversationId,
+  channel,
+  customerName,
+  customerContact,
+  ticketReference,
+  message,
+  replyByEmail
+}) {
+  return `
+${customerName || customerContact || 'A customer'} sent a new message on ${channel === 'whatsapp' ? 'WhatsApp' : 'Web Chat'}:
+
+${message}
+
+${ticketReference ? `Ticket: #${ticketReference}\n` : ''}${customerContact ? `Contact: ${customerContact}\n` : ''}Conversation ID: ${conversationId}
+
+The assistant is paused for this conversation. Reply ${replyByEmail ? 'to this email or ' : ''}from the Inbox in the app admin.
+  `.trim();
+}
+
 /**
  * Generate HTML email template for spreadsheet submission
  * @param {Object} submissionData - Submission data
@@ -353,7 +456,8 @@ export function generateSpreadsheetEmailHTML(submissionData) {
     filename, 
     fileType, 
     fileSize,
-    caption 
+    caption,
+    orderSummary
   } = submissionData;
   
   return `
@@ -401,9 +505,17 @@ export function generateSpreadsheetEmailHTML(submissionData) {
                 <div>${caption}</div>
               </div>
             ` : ''}
+            ${orderSummary ? `
+              <div class="info-row">
+                <div class="label">Automatic Cart:</div>
+                <div style="white-space: pre-line;">${escapeHtml(orderSummary)}</div>
+              </div>
+            ` : ''}
             <div class="info-row" style="margin-top: 20px; padding: 15px; background-color: #e8f5e9;">
               <p><strong>📎 The spreadsheet file is attached to this email.</strong></p>
-              <p>Please review the order and process it accordingly.</p>
+              <p>${orderSummary
+                ? 'A cart was built from this file and sent to the customer. Please follow up on any rows that were not added.'
+                : 'Please review the order and process it accordingly.'}</p>
             </div>
           </div>
         </div>
@@ -423,7 +535,8 @@ export function generateSpreadsheetEmailText(submissionData) {
     filename, 
     fileType, 
     fileSize,
-    caption 
+    caption,
+    orderSummary
   } = submissionData;
   
   return `
@@ -436,9 +549,11 @@ File Size: ${fileSize || 'Unknown'}
 Channel: WhatsApp
 
 ${caption ? `Customer Note:\n${caption}\n` : ''}
-
+${orderSummary ? `Automatic Cart:\n${orderSummary}\n` : ''}
 The spreadsheet file is attached to this email.
-Please review the order and process it accordingly.
+${orderSummary
+  ? 'A cart was built from this file and sent to the customer. Please follow up on any rows that were not added.'
+  : 'Please review the order and process it accordingly.'}
   `.trim();
 }
 
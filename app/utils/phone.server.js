@@ -0,0 +1,98 @@
+/**
+ * Phone number utility functions
+ * Phone numbers are stored in E.164 format ("+" followed by the country code
+ * and subscriber number, e.g. +447700900123). WhatsApp identifies users by the
+ * same digits without the "+", which is also what WhatsApp conversation IDs use.
+ */
+import AppConfig from "../services/config.server";
+
+const E164_DIGITS_PATTERN = /^[1-9]\d{7,14}$/;
+const WHATSAPP_CONVERSATION_PREFIX = 'whatsapp_';
+
+/**
+ * Normalise a phone number to E.164
+ * Accepts "+44 7700 900123" and "0044 7700 900123". Numbers written with a national
+ * trunk prefix ("07700 900123") are only accepted when a default country code is
+ * configured. Bare digits ("7700900123") are rejected because there is no telling
+ * whether they include a country code; use fromWhatsAppId for WhatsApp ids.
+ * @param {string} input - Phone number as entered
+ * @param {string|null} [defaultCountryCode] - Calling code for national numbers, e.g. "44"
+ * @returns {string|null} The E.164 number, or null if it isn't a valid number
+ */
+export function normalizePhoneNumber(input, defaultCountryCode = AppConfig.phone.defaultCountryCode) {
+  if (input === null || input === undefined) {
+    return null;
+  }
+
+  const compact = String(input).trim().replace(/[\s\-.()]/g, '');
+  let digits;
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+  } else if (compact.startsWith('0')) {
+    if (!defaultCountryCode) {
+      return null;
+    }
+    digits = String(defaultCountryCode).replace(/^\+/, '') + compact.slice(1);
+  } else {
+    return null;
+  }
+
+  return E164_DIGITS_PATTERN.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Convert a WhatsApp id (the sender's "from" in a webhook) to E.164
+ * WhatsApp ids are the number's digits including the country code, e.g. "447700900123".
+ * @param {string} whatsappId - WhatsApp id
+ * @returns {string|null} The E.164 number, or null if it isn't a valid id
+ */
+export function fromWhatsAppId(whatsappId) {
+  if (whatsappId === null || whatsappId === undefined) {
+    return null;
+  }
+  const digits = String(whatsappId).trim();
+  return E164_DIGITS_PATTERN.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Check whether a value can be normalised to a valid E.164 number
+ * @param {string} input - Phone number
+ * @returns {boolean} True if the number is valid
+ */
+export function isValidPhoneNumber(input) {
+  return normalizePhoneNumber(input) !== null;
+}
+
+/**
+ * Format a phone number the way the WhatsApp Cloud API expects it (digits only)
+ * @param {string} phoneNumber - Phone number in any accepted format
+ * @returns {string|null} The WhatsApp id, or null if the number is invalid
+ */
+export function toWhatsAppId(phoneNumber) {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  return normalized ? normalized.slice(1) : null;
+}
+
+/**
+ * Build the conversation ID used for a WhatsApp user's chat
+ * @param {string} phoneNumber - Phone number in any accepted format
+ * @returns {string|null} Conversation ID (format: whatsapp_447700900123), or null if the number is invalid
+ */
+export function getWhatsAppConversationId(phoneNumber) {
+  const whatsappId = toWhatsAppId(phoneNumber);
+  return whatsappId ? `${WHATSAPP_CONVERSATION_PREFIX}${whatsappId}` : null;
+}
+
+/**
+ * Read the phone number out of a WhatsApp conversation ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {string|null} The E.164 number, or null for non-WhatsApp or malformed IDs
+ */
+export function getPhoneNumberFromConversationId(conversationId) {
+  if (!conversationId || !conversationId.startsWith(WHATSAPP_CONVERSATION_PREFIX)) {
+    return null;
+  }
+  return fromWhatsAppId(conversationId.slice(WHATSAPP_CONVERSATION_PREFIX.length));
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { fromWhatsAppId, getPhoneNumberFromConversationId, getWhatsAppConversationId, normalizePhoneNumber } from "./phone.server";
+
+describe("normalizePhoneNumber", () => {
+  it("accepts numbers written with + or 00", () => {
+    expect(normalizePhoneNumber("+44 7700 900123")).toBe("+447700900123");
+    expect(normalizePhoneNumber("0044 (7700) 900-123")).toBe("+447700900123");
+  });
+
+  it("rejects bare digits, which may be missing their country code", () => {
+    expect(normalizePhoneNumber("7700900123")).toBeNull();
+    expect(normalizePhoneNumber("447700900123", "44")).toBeNull();
+  });
+
+  it("only accepts national numbers when a default country code is configured", () => {
+    expect(normalizePhoneNumber("07700 900123", null)).toBeNull();
+    expect(normalizePhoneNumber("07700 900123", "44")).toBe("+447700900123");
+  });
+});
+
+describe("WhatsApp ids", () => {
+  it("reads the sender's id as a number with its country code", () => {
+    expect(fromWhatsAppId("447700900123")).toBe("+447700900123");
+    expect(fromWhatsAppId("+447700900123")).toBeNull();
+  });
+
+  it("round-trips a number through its conversation ID", () => {
+    const conversationId = getWhatsAppConversationId(fromWhatsAppId("447700900123"));
+
+    expect(conversationId).toBe("whatsapp_447700900123");
+    expect(getPhoneNumberFromConversationId(conversationId)).toBe("+447700900123");
+  });
+});
@@ -3,6 +3,34 @@
  */
 
 import prisma from "../db.server";
+import { toWhatsAppId } from "./phone.server";
+
+/**
+ * Build an Error carrying the WhatsApp API error code (e.g. 131047, 130429)
+ * @param {string} message - Error message
+ * @param {Object} responseData - Error response from the WhatsApp API
+ * @returns {Error} Error with a `code` property when the API returned one
+ */
+function createWhatsAppApiError(message, responseData) {
+  const error = new Error(message);
+  if (responseData?.error?.code) {
+    error.code = String(responseData.error.code);
+  }
+  return error;
+}
+
+/**
+ * Format a recipient phone number for the messages API
+ * @param {string} to - Phone number, in E.164 or WhatsApp id format
+ * @returns {string} WhatsApp id (digits only, with country code)
+ */
+function formatRecipient(to) {
+  const whatsappId = toWhatsAppId(to);
+  if (!whatsappId) {
+    throw new Error(`Invalid WhatsApp phone number: ${to}`);
+  }
+  return whatsappId;
+}
 
 /**
  * Send a message to WhatsApp
@@ -15,7 +43,7 @@ export async function sendWhatsAppMessage(to, text) {
   const token = process.env.WHATSAPP_TOKEN;
   const payload = {
     messaging_product: "whatsapp",
-    to,
+    to: formatRecipient(to),
     text: { body: text },
   };
   
@@ -40,35 +68,161 @@ export async function sendWhatsAppMessage(to, text) {
     // Check for specific WhatsApp error about messaging window
     if (responseData.error?.code === 131047 || responseData.error?.message?.includes('24 hour')) {
       console.error('WhatsApp: Message outside 24-hour window - user needs to initiate conversation');
-      throw new Error('MESSAGING_WINDOW_EXPIRED: User needs to message first to open 24-hour window');
+      throw createWhatsAppApiError('MESSAGING_WINDOW_EXPIRED: User needs to message first to open 24-hour window', responseData);
     }
     
-    throw new Error(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`);
+    throw createWhatsAppApiError(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`, responseData);
   }
   
   console.log('WhatsApp: Message sent successfully:', JSON.stringify(responseData));
   return responseData;
 }
 
+/**
+ * Shorten text to a WhatsApp field limit
+ * @param {string} text - Text to fit
+ * @param {number} max - Maximum length
+ * @returns {string} Text, ending in an ellipsis if it was cut
+ */
+function fitText(text, max) {
+  const value = String(text || '').trim();
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Send an interactive message (reply buttons or a list picker) to WhatsApp
+ * @param {string} to - Phone number to send message to
+ * @param {Object} interactive - The "interactive" object of the messages API payload
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+export async function sendWhatsAppInteractive(to, interactive) {
+  const url = `https://graph.facebook.com/v22.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+  const token = process.env.WHATSAPP_TOKEN;
+  const payload = {
+    messaging_product: "whatsapp",
+    recipient_type: "individual",
+    to: formatRecipient(to),
+    type: "interactive",
+    interactive
+  };
+
+  console.log(`WhatsApp: Sending interactive ${interactive.type} message to`, to);
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const responseData = await response.json();
+
+  if (!response.ok) {
+    console.error('WhatsApp: Failed to send interactive message:', response.status, response.statusText);
+    console.error('WhatsApp: Error response:', JSON.stringify(responseData, null, 2));
+    throw createWhatsAppApiError(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`, responseData);
+  }
+
+  console.log('WhatsApp: Interactive message sent successfully:', JSON.stringify(responseData));
+  return responseData;
+}
+
+/**
+ * Send a message with up to three reply buttons
+ * @param {string} to - Phone number to send message to
+ * @param {string} bodyText - Message text (up to 1024 characters)
+ * @param {Array<{id: string, title: string}>} buttons - Buttons; titles are cut to 20 characters
+ * @param {Object} [options] - Optional parts
+ * @param {string} [options.header] - Header text (up to 60 characters)
+ * @param {string} [options.footer] - Footer text (up to 60 characters)
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+export async function sendWhatsAppButtons(to, bodyText, buttons, { header, footer } = {}) {
+  return sendWhatsAppInteractive(to, {
+    type: "button",
+    ...(header ? { header: { type: "text", text: fitText(header, 60) } } : {}),
+    body: { text: fitText(bodyText, 1024) },
+    ...(footer ? { footer: { text: fitText(footer, 60) } } : {}),
+    action: {
+      buttons: buttons.slice(0, 3).map((button) => ({
+        type: "reply",
+        reply: { id: button.id.slice(0, 256), title: fitText(button.title, 20) }
+      }))
+    }
+  });
+}
+
+/**
+ * Send a list picker: a button that opens a list of up to ten rows
+ * @param {string} to - Phone number to send message to
+ * @param {string} bodyText - Message text (up to 1024 characters)
+ * @param {string} buttonText - Text of the button that opens the list (up to 20 characters)
+ * @param {Array<{title?: string, rows: Array<{id: string, title: string, description?: string}>}>} sections -
+ *   List sections; row titles are cut to 24 characters and descriptions to 72
+ * @param {Object} [options] - Optional parts
+ * @param {string} [options.header] - Header text (up to 60 characters)
+ * @param {string} [options.footer] - Footer text (up to 60 characters)
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+export async function sendWhatsAppList(to, bodyText, buttonText, sections, { header, footer } = {}) {
+  // WhatsApp allows ten rows across all sections
+  let remaining = 10;
+  const listSections = sections
+    .map((section) => {
+      const rows = section.rows.slice(0, remaining).map((row) => ({
+        id: row.id.slice(0, 200),
+        title: fitText(row.title, 24),
+        ...(row.description ? { description: fitText(row.description, 72) } : {})
+      }));
+      remaining -= rows.length;
+      return { ...(section.title ? { title: fitText(section.title, 24) } : {}), rows };
+    })
+    .filter((section) => section.rows.length > 0);
+
+  return sendWhatsAppInteractive(to, {
+    type: "list",
+    ...(header ? { header: { type: "text", text: fitText(header, 60) } } : {}),
+    body: { text: fitText(bodyText, 1024) },
+    ...(footer ? { footer: { text: fitText(footer, 60) } } : {}),
+    action: {
+      button: fitText(buttonText, 20),
+      sections: listSections
+    }
+  });
+}
+
+/**
+ * Get the WhatsApp message id (wamid) from a send response
+ * @param {Object} responseData - Response from the WhatsApp messages API
+ * @returns {string|null} The wamid, used to match delivery status callbacks
+ */
+export function getWhatsAppMessageId(responseData) {
+  return responseData?.messages?.[0]?.id || null;
+}
+
 /**
  * Send a template message to WhatsApp (bypasses 24-hour window)
  * @param {string} to - Phone number to send message to
  * @param {string} templateName - Name of the approved template
  * @param {string} languageCode - Language code (e.g., 'en_US')
+ * @param {Array<Object>} [components] - Template parameters, see buildTemplateComponents
  * @returns {Promise<Object>} Response from WhatsApp API
  */
-export async function sendWhatsAppTemplate(to, templateName = 'hello_world', languageCode = 'en_US') {
+export async function sendWhatsAppTemplate(to, templateName = 'hello_world', languageCode = 'en_US', components = []) {
   const url = `https://graph.facebook.com/v22.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
   const token = process.env.WHATSAPP_TOKEN;
   const payload = {
     messaging_product: "whatsapp",
-    to,
+    to: formatRecipient(to),
     type: "template",
     template: {
       name: templateName,
       language: {
         code: languageCode
-      }
+      },
+      ...(components.length > 0 ? { components } : {})
     }
   };
   
@@ -89,13 +243,93 @@ export async function sendWhatsAppTemplate(to, templateName = 'hello_world', lan
   if (!response.ok) {
     console.error('WhatsApp: Failed to send template:', response.status, response.statusText);
     console.error('WhatsApp: Error response:', JSON.stringify(responseData, null, 2));
-    throw new Error(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`);
+    throw createWhatsAppApiError(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`, responseData);
   }
   
   console.log('WhatsApp: Template sent successfully:', JSON.stringify(responseData));
   return responseData;
 }
 
+/**
+ * Build the components array for a template message
+ * @param {Object} params - Template parameter values
+ * @param {Array<string>} [params.headerParams] - Values for a text header's {{n}} variables
+ * @param {string} [params.headerImageUrl] - Image for an image header
+ * @param {Array<string>} [params.bodyParams] - Values for the body's {{n}} variables, in order
+ * @param {Array<Object>} [params.buttonParams] - { index, subType: 'url'|'quick_reply', value } per dynamic button
+ * @returns {Array<Object>} Components for sendWhatsAppTemplate
+ */
+export function buildTemplateComponents({ headerParams = [], headerImageUrl, bodyParams = [], buttonParams = [] } = {}) {
+  const components = [];
+
+  if (headerImageUrl) {
+    components.push({
+      type: 'header',
+      parameters: [{ type: 'image', image: { link: headerImageUrl } }]
+    });
+  } else if (headerParams.length > 0) {
+    components.push({
+      type: 'header',
+      parameters: headerParams.map(text => ({ type: 'text', text }))
+    });
+  }
+
+  if (bodyParams.length > 0) {
+    components.push({
+      type: 'body',
+      parameters: bodyParams.map(text => ({ type: 'text', text }))
+    });
+  }
+
+  for (const button of buttonParams) {
+    components.push({
+      type: 'button',
+      sub_type: button.subType,
+      index: String(button.index),
+      parameters: [
+        button.subType === 'quick_reply'
+          ? { type: 'payload', payload: button.value }
+          : { type: 'text', text: button.value }
+      ]
+    });
+  }
+
+  return components;
+}
+
+/**
+ * List the approved message templates for the WhatsApp Business Account
+ * @returns {Promise<Array<Object>>} Templates ({ name, language, category, components })
+ */
+export async function getWhatsAppTemplates() {
+  const accountId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+  if (!accountId) {
+    throw new Error('WHATSAPP_BUSINESS_ACCOUNT_ID is not set');
+  }
+  const token = process.env.WHATSAPP_TOKEN;
+
+  const templates = [];
+  let url = `https://graph.facebook.com/v22.0/${accountId}/message_templates?status=APPROVED&fields=name,language,category,components&limit=100`;
+  while (url) {
+    const response = await fetch(url, {
+      headers: {
+        "Authorization": `Bearer ${token}`
+      }
+    });
+    const responseData = await response.json();
+
+    if (!response.ok) {
+      console.error('WhatsApp: Failed to list templates:', JSON.stringify(responseData, null, 2));
+      throw createWhatsAppApiError(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`, responseData);
+    }
+
+    templates.push(...(responseData.data || []));
+    url = responseData.paging?.next || null;
+  }
+
+  return templates;
+}
+
 /**
  * Upload image to database and get URL
  * @param {string} imageData - Base64 encoded image data
@@ -175,6 +409,53 @@ export async function getImageFromStore(filename) {
   }
 }
 
+/**
+ * Get the public URL of a stored file
+ * @param {string} filename - Stored filename
+ * @returns {string} Public URL served by the uploads route
+ */
+export function getUploadUrl(filename) {
+  return `${process.env.APP_URL || 'https://your-domain.com'}/uploads/${filename}`;
+}
+
+/**
+ * Check whether a file has been stored
+ * @param {string} filename - Stored filename
+ * @returns {Promise<boolean>} True if the file exists
+ */
+export async function hasStoredUpload(filename) {
+  try {
+    const file = await prisma.uploadedImage.findUnique({
+      where: { filename },
+      select: { id: true }
+    });
+    return !!file;
+  } catch (error) {
+    console.error('Failed to check stored file:', error);
+    return false;
+  }
+}
+
+/**
+ * Store a file so the uploads route can serve it, replacing any file with the same name
+ * @param {string} filename - Filename used in the URL
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type
+ * @param {Object} [options] - Storage options
+ * @param {string} [options.conversationId] - Conversation the file was received in
+ * @returns {Promise<string>} Public URL of the file
+ */
+export async function storeUploadedFile(filename, buffer, mimeType, { conversationId = null } = {}) {
+  const data = { data: buffer, mimeType, size: buffer.length, conversationId };
+  await prisma.uploadedImage.upsert({
+    where: { filename },
+    create: { filename, ...data },
+    update: data
+  });
+  console.log('File stored in database with key:', filename, `(${buffer.length} bytes)`);
+  return getUploadUrl(filename);
+}
+
 /**
  * Send an image message to WhatsApp using public URL
  * @param {string} to - Phone number to send message to
@@ -188,7 +469,7 @@ export async function sendWhatsAppImageWithUrl(to, imageUrl, caption = '') {
   
   const payload = {
     messaging_product: "whatsapp",
-    to,
+    to: formatRecipient(to),
     type: "image",
     image: {
       link: imageUrl
@@ -217,7 +498,7 @@ export async function sendWhatsAppImageWithUrl(to, imageUrl, caption = '') {
   if (!response.ok) {
     console.error('WhatsApp: Failed to send image message:', response.status, response.statusText);
     console.error('WhatsApp: Error response:', JSON.stringify(responseData, null, 2));
-    throw new Error(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`);
+    throw createWhatsAppApiError(`WhatsApp API error: ${response.status} - ${responseData.error?.message || response.statusText}`, responseData);
   }
   
   console.log('WhatsApp: Image message sent successfully:', JSON.stringify(responseData));
@@ -326,7 +607,7 @@ export async function sendWhatsAppDocument(to, fileBuffer, filename, caption = '
   // Step 2: Send the document message
   const payload = {
     messaging_product: "whatsapp",
-    to,
+    to: formatRecipient(to),
     type: "document",
     document: {
       id: mediaId,
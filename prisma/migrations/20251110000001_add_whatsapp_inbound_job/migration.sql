@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "WhatsAppInboundJob" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "messageTimestamp" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "availableAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WhatsAppInboundJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WhatsAppInboundJob_messageId_key" ON "WhatsAppInboundJob"("messageId");
+
+-- CreateIndex
+CREATE INDEX "WhatsAppInboundJob_status_availableAt_idx" ON "WhatsAppInboundJob"("status", "availableAt");
+
+-- CreateIndex
+CREATE INDEX "WhatsAppInboundJob_phoneNumber_messageTimestamp_idx" ON "WhatsAppInboundJob"("phoneNumber", "messageTimestamp");
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Message" ADD COLUMN "whatsappMessageId" TEXT,
+ADD COLUMN "whatsappStatus" TEXT,
+ADD COLUMN "whatsappStatusAt" TIMESTAMP(3),
+ADD COLUMN "whatsappError" TEXT;
+
+-- CreateTable
+CREATE TABLE "BroadcastRecipient" (
+    "id" TEXT NOT NULL,
+    "broadcastId" TEXT NOT NULL,
+    "userId" TEXT,
+    "phoneNumber" TEXT NOT NULL,
+    "whatsappMessageId" TEXT,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "deliveredAt" TIMESTAMP(3),
+    "readAt" TIMESTAMP(3),
+    "failedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BroadcastRecipient_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Message_whatsappMessageId_key" ON "Message"("whatsappMessageId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BroadcastRecipient_whatsappMessageId_key" ON "BroadcastRecipient"("whatsappMessageId");
+
+-- CreateIndex
+CREATE INDEX "BroadcastRecipient_broadcastId_status_idx" ON "BroadcastRecipient"("broadcastId", "status");
+
+-- AddForeignKey
+ALTER TABLE "BroadcastRecipient" ADD CONSTRAINT "BroadcastRecipient_broadcastId_fkey" FOREIGN KEY ("broadcastId") REFERENCES "BroadcastLog"("id") ON DELETE CASCADE ON UPDATE CASCADE;
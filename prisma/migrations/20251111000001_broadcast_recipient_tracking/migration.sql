@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "BroadcastLog" ADD COLUMN "imageUrl" TEXT,
+ADD COLUMN "completedAt" TIMESTAMP(3),
+ALTER COLUMN "results" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "BroadcastRecipient" ADD COLUMN "channel" TEXT NOT NULL DEFAULT 'whatsapp',
+ADD COLUMN "conversationId" TEXT,
+ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "errorCode" TEXT,
+ALTER COLUMN "phoneNumber" DROP NOT NULL,
+ALTER COLUMN "status" SET DEFAULT 'pending';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BroadcastRecipient_broadcastId_channel_userId_key" ON "BroadcastRecipient"("broadcastId", "channel", "userId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BroadcastLog" ADD COLUMN "scheduledAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "BroadcastLog_status_scheduledAt_idx" ON "BroadcastLog"("status", "scheduledAt");
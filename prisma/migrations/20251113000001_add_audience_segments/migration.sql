@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "BroadcastLog" ADD COLUMN "segmentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "AudienceSegment" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "rules" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AudienceSegment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AudienceSegment_name_key" ON "AudienceSegment"("name");
+
+-- AddForeignKey
+ALTER TABLE "BroadcastLog" ADD CONSTRAINT "BroadcastLog_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "AudienceSegment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BroadcastLog" ADD COLUMN "template" JSONB;
+
+-- AlterTable
+ALTER TABLE "BroadcastRecipient" ADD COLUMN "sentAs" TEXT;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "MarketingConsent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "detail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MarketingConsent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MarketingConsentEvent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "detail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MarketingConsentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MarketingConsent_channel_status_idx" ON "MarketingConsent"("channel", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketingConsent_userId_channel_key" ON "MarketingConsent"("userId", "channel");
+
+-- CreateIndex
+CREATE INDEX "MarketingConsentEvent_userId_createdAt_idx" ON "MarketingConsentEvent"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MarketingConsent" ADD CONSTRAINT "MarketingConsent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,68 @@
+-- Normalise User.phoneNumber to E.164 ("+" followed by country code and number).
+-- Spaces and punctuation are removed and a leading "00" becomes "+". A number is only
+-- rewritten when its country code is known: it was written with "+" or "00", or it
+-- belongs to a WhatsApp user, whose numbers come from WhatsApp ids that always start
+-- with the country code. Anything else (e.g. "07700 900123" or "7700900123"), numbers
+-- that are still not valid E.164, and numbers that would duplicate another user's
+-- number are cleared and kept in metadata."unverifiedPhoneNumber" so nothing is lost.
+CREATE TEMPORARY TABLE "_PhoneNumberCleanup" AS
+SELECT
+    "id",
+    "phoneNumber",
+    CASE
+        WHEN "compact" ~ '^(\+|00)' OR "type" = 'whatsapp'
+            THEN '+' || regexp_replace("compact", '^(\+|00)', '')
+    END AS "normalized",
+    "updatedAt"
+FROM (
+    SELECT "id", "type", "phoneNumber", "updatedAt",
+           regexp_replace("phoneNumber", '[^0-9+]', '', 'g') AS "compact"
+    FROM "User"
+    WHERE "phoneNumber" IS NOT NULL
+) AS "u";
+
+-- Numbers that were already E.164 win, then the most recently updated user
+CREATE TEMPORARY TABLE "_PhoneNumberKeep" AS
+SELECT DISTINCT ON ("normalized") "id", "normalized"
+FROM "_PhoneNumberCleanup"
+WHERE "normalized" ~ '^\+[1-9][0-9]{7,14}$'
+ORDER BY "normalized", ("phoneNumber" = "normalized") DESC, "updatedAt" DESC;
+
+-- Clear numbers that cannot be kept
+UPDATE "User" AS u
+SET "metadata" = COALESCE(u."metadata", '{}'::jsonb) || jsonb_build_object('unverifiedPhoneNumber', u."phoneNumber"),
+    "phoneNumber" = NULL
+FROM "_PhoneNumberCleanup" AS c
+WHERE u."id" = c."id"
+  AND NOT EXISTS (SELECT 1 FROM "_PhoneNumberKeep" AS k WHERE k."id" = c."id");
+
+-- Rewrite the rest to E.164
+UPDATE "User" AS u
+SET "phoneNumber" = k."normalized"
+FROM "_PhoneNumberKeep" AS k
+WHERE u."id" = k."id"
+  AND u."phoneNumber" <> k."normalized";
+
+-- Queued broadcast recipients carry a copy of the number: give them their user's new number
+UPDATE "BroadcastRecipient" AS r
+SET "phoneNumber" = k."normalized"
+FROM "_PhoneNumberKeep" AS k
+WHERE r."userId" = k."id"
+  AND r."phoneNumber" IS NOT NULL
+  AND r."phoneNumber" <> k."normalized";
+
+-- and don't send to numbers that were cleared, which could reach the wrong person
+UPDATE "BroadcastRecipient" AS r
+SET "status" = 'failed',
+    "error" = 'Phone number has no recognised country code',
+    "errorCode" = 'invalid_phone_number',
+    "failedAt" = NOW(),
+    "updatedAt" = NOW()
+FROM "_PhoneNumberCleanup" AS c
+WHERE r."userId" = c."id"
+  AND r."status" = 'pending'
+  AND r."phoneNumber" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "_PhoneNumberKeep" AS k WHERE k."id" = c."id");
+
+DROP TABLE "_PhoneNumberKeep";
+DROP TABLE "_PhoneNumberCleanup";
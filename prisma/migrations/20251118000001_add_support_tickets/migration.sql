@@ -0,0 +1,74 @@
+-- CreateTable
+CREATE TABLE "SupportTicket" (
+    "id" TEXT NOT NULL,
+    "reference" SERIAL NOT NULL,
+    "conversationId" TEXT,
+    "userId" TEXT,
+    "channel" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "assignee" TEXT,
+    "reason" TEXT,
+    "customerName" TEXT,
+    "customerEmail" TEXT,
+    "customerPhone" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SupportTicket_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SupportTicket_reference_key" ON "SupportTicket"("reference");
+
+-- CreateIndex
+CREATE INDEX "SupportTicket_conversationId_status_idx" ON "SupportTicket"("conversationId", "status");
+
+-- CreateIndex
+CREATE INDEX "SupportTicket_status_createdAt_idx" ON "SupportTicket"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SupportTicket_userId_idx" ON "SupportTicket"("userId");
+
+-- AddForeignKey
+ALTER TABLE "SupportTicket" ADD CONSTRAINT "SupportTicket_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SupportTicket" ADD CONSTRAINT "SupportTicket_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Move handoffs recorded in Conversation.metadata into tickets, keeping their references.
+-- Handoffs still inside the old 24-hour cooldown stay open; older ones are resolved.
+INSERT INTO "SupportTicket" ("id", "reference", "conversationId", "userId", "channel", "status", "resolvedAt", "createdAt", "updatedAt")
+SELECT DISTINCT ON (("metadata"->>'handoff_ticket_reference')::INTEGER)
+    'legacy_' || "id",
+    ("metadata"->>'handoff_ticket_reference')::INTEGER,
+    "id",
+    "userId",
+    "channel",
+    CASE
+        WHEN ("metadata"->>'handoff_at') IS NULL
+          OR ("metadata"->>'handoff_at')::TIMESTAMPTZ > NOW() - INTERVAL '24 hours' THEN 'open'
+        ELSE 'resolved'
+    END,
+    CASE
+        WHEN ("metadata"->>'handoff_at') IS NULL
+          OR ("metadata"->>'handoff_at')::TIMESTAMPTZ > NOW() - INTERVAL '24 hours' THEN NULL
+        ELSE CURRENT_TIMESTAMP
+    END,
+    COALESCE((("metadata"->>'handoff_at')::TIMESTAMPTZ AT TIME ZONE 'UTC'), "updatedAt"),
+    CURRENT_TIMESTAMP
+FROM "Conversation"
+WHERE "metadata"->>'handoff_requested' = 'true'
+  AND "metadata"->>'handoff_ticket_reference' ~ '^[0-9]+$'
+ORDER BY ("metadata"->>'handoff_ticket_reference')::INTEGER, "metadata"->>'handoff_at' DESC;
+
+-- New references continue after the legacy ones, starting at 1000
+SELECT setval(
+    pg_get_serial_sequence('"SupportTicket"', 'reference'),
+    GREATEST(COALESCE((SELECT MAX("reference") FROM "SupportTicket"), 0), 999)
+);
+
+-- Drop the old handoff flags
+UPDATE "Conversation"
+SET "metadata" = "metadata" - 'handoff_requested' - 'handoff_at' - 'handoff_ticket_reference'
+WHERE "metadata" ?| ARRAY['handoff_requested', 'handoff_at', 'handoff_ticket_reference'];
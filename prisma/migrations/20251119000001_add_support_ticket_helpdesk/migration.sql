@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "SupportTicket" ADD COLUMN "helpdesk" TEXT,
+ADD COLUMN "externalId" TEXT,
+ADD COLUMN "externalUrl" TEXT;
+
+-- Tickets created so far were all emailed to support
+UPDATE "SupportTicket" SET "helpdesk" = 'email';
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "memory" TEXT,
+ADD COLUMN "memoryUpdatedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN "memory" TEXT,
+ADD COLUMN "memoryThrough" TIMESTAMP(3);
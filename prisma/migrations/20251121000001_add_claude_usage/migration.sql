@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ClaudeUsage" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "channel" TEXT,
+    "purpose" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "inputTokens" INTEGER NOT NULL DEFAULT 0,
+    "outputTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheCreationInputTokens" INTEGER NOT NULL DEFAULT 0,
+    "cacheReadInputTokens" INTEGER NOT NULL DEFAULT 0,
+    "estimatedInputTokens" INTEGER,
+    "trimmedMessages" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ClaudeUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ClaudeUsage_createdAt_idx" ON "ClaudeUsage"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "ClaudeUsage_conversationId_idx" ON "ClaudeUsage"("conversationId");
+
+-- CreateIndex
+CREATE INDEX "ClaudeUsage_purpose_createdAt_idx" ON "ClaudeUsage"("purpose", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ClaudeUsage" ADD COLUMN "toolRound" INTEGER,
+ADD COLUMN "latencyMs" INTEGER;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "UploadedImage" ADD COLUMN "conversationId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "UploadedImage_conversationId_idx" ON "UploadedImage"("conversationId");
+
+-- AddForeignKey
+ALTER TABLE "UploadedImage" ADD CONSTRAINT "UploadedImage_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "WhatsAppInboundJob" ADD COLUMN "progress" JSONB;
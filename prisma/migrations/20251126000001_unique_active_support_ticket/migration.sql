@@ -0,0 +1,20 @@
+-- A conversation can only have one open or pending support ticket. Prisma can't describe
+-- partial unique indexes, so this one is managed here rather than in schema.prisma.
+
+-- Resolve all but the newest active ticket of any conversation that has more than one
+UPDATE "SupportTicket" AS t
+SET "status" = 'resolved',
+    "resolvedAt" = CURRENT_TIMESTAMP,
+    "updatedAt" = CURRENT_TIMESTAMP
+WHERE t."status" IN ('open', 'pending')
+  AND t."conversationId" IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM "SupportTicket" AS newer
+    WHERE newer."conversationId" = t."conversationId"
+      AND newer."status" IN ('open', 'pending')
+      AND (newer."createdAt", newer."reference") > (t."createdAt", t."reference")
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SupportTicket_conversationId_active_key" ON "SupportTicket"("conversationId")
+WHERE "status" IN ('open', 'pending');